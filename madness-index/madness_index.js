@@ -12,6 +12,8 @@
 
 // Global containers
 let RAW_ROWS = [];
+let DATASET = null;      // engine dataset (see mi_engine.js)
+let MODEL_PROFILE = null; // active model profile JSON (null = engine default)
 let TEAMS = {};          // key: team name -> team object
 let FIELD_STATS = {};    // key: metric -> { mean, sd }
 let TEAM_LIST = [];
@@ -19,6 +21,24 @@ let CURRENT_ROUND = null;
 let SANDBOX_MODE = false;
 let MI_ROUND_NUDGE_SHOWN = false;
 let MI_ROUND_TOUCHED = false;
+let LAST_BRACKET = null;  // last simulateBracket() result
+let LAST_ODDS = null;     // last simulateTournament() result
+let LAST_BACKTEST = null; // last runBacktest() report
+let LAST_COMPARE = null;  // last compareModelProfiles() result
+let LAST_WORKBOOK = null; // last uploaded .xlsx { buffer, fileName, sheetNames, sheetName }
+let DATASET_URL = null;   // #datasetSelect path of the loaded dataset (null for uploads)
+let DATASET_LABEL = '';   // display name of the loaded dataset (file name)
+let UPLOAD_PERCENT_KEYS = []; // percent-unit keys auto-detected in the current upload (saved only once confirmed in the wizard)
+let WHAT_IF_EDITS = {};   // what-if editor: { teamName: { metricKey: value } }
+
+const HEADER_OVERRIDES_KEY = 'mi.headerOverrides'; // localStorage: { csvHeader: canonicalKey | null }
+const PERCENT_KEYS_KEY = 'mi.percentKeys';         // localStorage: [canonicalKey] stored in percent units
+const IMPORT_PROFILES_KEY = 'mi.importProfiles';   // localStorage: { name: { headers, percentKeys } }
+const MAPPING_SKIPS_KEY = 'mi.mappingSkips';       // localStorage: { headerSignature: [canonicalKey] } left unmapped in the wizard
+const SESSION_KEY = 'mi.session';                  // localStorage: last dataset + matchup (see SESSION & MATCHUP HISTORY)
+const MATCHUP_HISTORY_KEY = 'mi.matchupHistory';   // localStorage: recent matchups, newest first
+const MATCHUP_HISTORY_LIMIT = 10;
+const F4_PAIRING_KEY = 'mi.f4Pairing';             // localStorage: [[region, region], [region, region]] national semifinals
 
 // Default Profile Mark descriptions (fallback if JSON not present)
 const DEFAULT_MARK_DESCRIPTIONS = {
@@ -1218,1938 +1238,1822 @@ function getMITierKeyForRating(rating) {
   return 'Fragile';
 }
 
-// ========== SEED / BRACKET LOGIC HELPERS ==========
+// ========== SCORING ENGINE (mi_engine.js) ==========
 //
-// We treat seeds 1–16 as if they belong to the standard NCAA region structure:
-//
-//  Pod A (top-top):    {1, 16, 8, 9}
-//  Pod B (top-bottom): {5, 12, 4, 13}
-//  Pod C (bot-top):    {6, 11, 3, 14}
-//  Pod D (bot-bottom): {7, 10, 2, 15}
-//
-// Within a single region, two seeds have a uniquely-defined meeting round:
-//   - R64: same first-round game
-//   - R32: same pod but not direct R64
-//   - S16: different pods, same half (A↔B or C↔D)
-//   - E8:  different halves (A/B vs C/D)
-//
-// Across different regions, any pair of seeds can only meet in:
-//   - Final Four (F4)
-//   - Championship (Champ)
-//
-// For *distinct* seeds, both "same region" and "different region" layouts
-// are possible across different years, so the possible rounds are:
-//   { intra-region round } ∪ { F4, Champ }.
-// For *equal* seeds (e.g., 1 vs 1), they can never share a region
-// (only one #1 per region), so only { F4, Champ } are possible.
-
-const R64_PAIRINGS = [
-  [1, 16], [8, 9],
-  [5, 12], [4, 13],
-  [6, 11], [3, 14],
-  [7, 10], [2, 15],
-];
-
-// Map seed → pod label
-function getSeedPod(seed) {
-  const s = Number(seed);
-  if ([1, 16, 8, 9].includes(s))  return 'A'; // top-top
-  if ([5, 12, 4, 13].includes(s)) return 'B'; // top-bottom
-  if ([6, 11, 3, 14].includes(s)) return 'C'; // bottom-top
-  if ([7, 10, 2, 15].includes(s)) return 'D'; // bottom-bottom
-  return null;
-}
-
-// Pod → half of region
-function getPodHalf(pod) {
-  if (pod === 'A' || pod === 'B') return 'top';
-  if (pod === 'C' || pod === 'D') return 'bottom';
-  return null;
-}
-
-// Are these seeds a direct Round of 64 game?
-function isFirstRoundPair(seedA, seedB) {
-  const a = Number(seedA);
-  const b = Number(seedB);
-  return R64_PAIRINGS.some(([x, y]) =>
-    (a === x && b === y) || (a === y && b === x)
-  );
-}
+// All scoring lives in the headless engine (mi_engine.js, loaded first as
+// window.MI_ENGINE). This file only owns DOM state and rendering; the
+// helpers below are pulled in so existing UI call sites keep working.
 
-// If two seeds were placed in the *same region*,
-// what is the unique round where they would meet?
-function getIntraRegionRound(seedA, seedB) {
-  const a = Number(seedA);
-  const b = Number(seedB);
+const MI_ENGINE = window.MI_ENGINE;
 
-  // Same seed cannot share a region (one slot per seed per region)
-  if (!Number.isFinite(a) || !Number.isFinite(b) || a === b) return null;
+const {
+  getPossibleRoundsForTeams,
+  parseCSV,
+  computeMIBase,
+  getLeanBand,
+} = MI_ENGINE;
 
-  const podA = getSeedPod(a);
-  const podB = getSeedPod(b);
-  if (!podA || !podB) return null;
-
-  if (isFirstRoundPair(a, b)) return 'R64';
-
-  if (podA === podB) return 'R32';
-
-  const halfA = getPodHalf(podA);
-  const halfB = getPodHalf(podB);
+function updateInteractionHeadersFromSelections() {
+  const selectA = document.getElementById('teamA');
+  const selectB = document.getElementById('teamB');
+  const adjAHeader = document.getElementById('adjAHeader');
+  const adjBHeader = document.getElementById('adjBHeader');
 
-  if (halfA && halfB && halfA === halfB) return 'S16';
+  const aTeam = selectA?.value ? getTeamByName(selectA.value) : null;
+  const bTeam = selectB?.value ? getTeamByName(selectB.value) : null;
 
-  // Different halves of the same region
-  return 'E8';
+  if (adjAHeader) adjAHeader.textContent = `Adj to ${aTeam?.name || 'Team A'}`;
+  if (adjBHeader) adjBHeader.textContent = `Adj to ${bTeam?.name || 'Team B'}`;
 }
 
-// Global order for sorting rounds
-const ROUND_ORDER = ['R64', 'R32', 'S16', 'E8', 'F4', 'Champ'];
-
-// All possible rounds this *pair of seeds* can meet in,
-// across all valid bracket layouts (same region vs different region).
-function getPossibleRoundsForSeeds(seedA, seedB) {
-  const a = Number(seedA);
-  const b = Number(seedB);
-  if (!Number.isFinite(a) || !Number.isFinite(b)) return [];
-
-  const possible = new Set();
-
-  if (a !== b) {
-    const intra = getIntraRegionRound(a, b);
-    if (intra) possible.add(intra);
+// ---------- CSV Parsing & Initialization ----------
+// buildTeamsFromCSV(headers, rows) Scores the parsed CSV through the engine with the active model profile, then mirrors the dataset into the UI globals and refreshes the team dropdowns.
+function buildTeamsFromCSV(headers, rows) {
+  DATASET = MI_ENGINE.buildDataset(headers, rows, {
+    profile: MODEL_PROFILE || undefined,
+    headerOverrides: getHeaderOverrides(),
+    percentKeys: [...new Set([...getPercentKeys(), ...UPLOAD_PERCENT_KEYS])],
+    f4Pairing: readStoredJSON(F4_PAIRING_KEY, []),
+  });
+  syncDatasetGlobals();
+  populateTeamDropdowns();
+  renderDatasetValidation(MI_ENGINE.validateDataset(DATASET));
+  renderF4PairingPicker();
+  renderLeaderboard();
+  refreshTeamProfile();
+  populateRoundRobinGroups();
+  refreshWhatIf(true);
+  refreshSyntheticTeams();
+}
+
+// readStoredJSON(key, fallback) Parsed localStorage value (fallback if missing, unreadable or a different type)
+function readStoredJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    if (!raw) return fallback;
+    const parsed = JSON.parse(raw);
+    return parsed !== null && typeof parsed === typeof fallback && Array.isArray(parsed) === Array.isArray(fallback)
+      ? parsed
+      : fallback;
+  } catch (err) {
+    console.warn(`[MI] Could not read saved ${key}:`, err);
+    return fallback;
   }
-
-  // Cross-region possibilities (any pair can be separated across regions)
-  possible.add('F4');
-  possible.add('Champ');
-
-  // Return sorted by natural tournament order
-  return Array.from(possible).sort((r1, r2) =>
-    ROUND_ORDER.indexOf(r1) - ROUND_ORDER.indexOf(r2)
-  );
 }
 
-// Convenience wrapper for checking a specific round
-function isRoundPossibleForSeeds(seedA, seedB, roundCode) {
-  const possible = getPossibleRoundsForSeeds(seedA, seedB);
-  return possible.includes(roundCode);
+// writeStoredJSON(key, value) Saves value (removes the key when value is empty); false if storage refused it
+function writeStoredJSON(key, value) {
+  try {
+    const empty = value == null || (typeof value === 'object' && !Object.keys(value).length);
+    if (empty) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    console.warn(`[MI] Could not save ${key}:`, err);
+    return false;
+  }
 }
 
-// Build a small descriptor we can attach to the matchup result
-function getSeedRoundMeta(seedA, seedB, roundCode) {
-  const a = Number(seedA);
-  const b = Number(seedB);
-  if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
-
-  const possible = getPossibleRoundsForSeeds(a, b);
-  const isAllowed = possible.includes(roundCode);
-  const earliest = possible.length
-    ? possible[0]
-    : null;
-
-  return {
-    seedA: a,
-    seedB: b,
-    possible,    // e.g. ['R32','F4','Champ']
-    isAllowed,   // true if current round is compatible with these seeds
-    earliest,    // earliest possible round in standard bracket order
-  };
+// getHeaderOverrides() User header → key mappings saved in localStorage ({} if none / unreadable)
+function getHeaderOverrides() {
+  return readStoredJSON(HEADER_OVERRIDES_KEY, {});
 }
 
-// ---------- Config: Metric Aliases ----------
-// Allows flexible CSV headers while mapping into canonical keys.
-const ALIASES = {
-  team: ['Team','TEAM','team','School','Team Name','TeamName','Team_Name','School Name','SchoolName','School_Name'],
-  seed: ['Seed', 'seed'],
-
-  // Core metrics
-  offeff: ['OffEff', 'offeff', 'AdjOE', 'AdjO', 'Offensive Efficiency'],
-  defeff: ['DefEff', 'defeff', 'AdjDE', 'AdjD', 'Defensive Efficiency'],
-  adjem: ['AdjEM', 'adjem', 'AdjEMargin', 'AdjEMarg', 'Efficiency Margin'],
-  ts: ['TS', 'TS%', 'ts', 'TS_pct', 'True Shooting %'],
-  efg: ['eFG', 'eFG%', 'efg'],
-  tempo: ['Tempo', 'tempo', 'Pace'],
-  epr: ['EPR', 'epr', 'Effective Possession Ratio'],
-  to: ['TO%', 'TOV%', 'to', 'to_pct', 'TO_pct', 'TO pct'],
-
-  // Resume / SOS
-  w: ['W', 'Wins'],
-  l: ['L', 'Losses'],
-  sos: ['SOS', 'sos', 'Sos'],
-  cgw: ['CGW%', 'CGW_pct', 'CGW pct', 'Close Game Win %'],
-
-  // Shooting / FT / distribution
-  threepr: ['3P Rate', '3P_Rate', '3PR', '3P_Att_Rate', '3PAr'],
-  threepp: ['3P%', '3P', '3P_pct', '3P_Pct'],
-  pct_pts_3: ['%Pts3', '%Pts from 3', 'PctPts3', '% of Points from 3'],
-  pct_pts_2: ['%Pts2', '%Pts from 2', 'PctPts2', '% of Points from 2'],
-  pct_pts_ft: ['%PtsFT', '%Pts from FT', 'PctPtsFT', '% of Points from FT'],
-  ft_pct: ['FT%', 'FT', 'FT_pct'],
-
-  // Opponent / defensive shooting
-  opp_3pr: ['Opp3PR', 'Opp 3P Rate', 'Opp3P_Rate'],
-  opp_3pp: ['Opp3P%', 'Opp 3P%', 'Opp. 3PT%', 'Opp. 3PT pct'],
-  def_efg: ['Def. eFG %', 'DEFG%', 'Opp eFG%', 'Opp eFG', 'Def. eFG_pct', 'Def. eFG pct'],
-  opp_2p_pct: ['Opp2P%', 'Opp 2P%'],
-  oapp: ['Opp. Asst./Poss.', 'Opp Asst/Poss',],
-
-  // Foul / FT rate
-  ftr: ['FTR', 'FT Rate', 'FTr'],
-  opp_ftr: ['OppFTR', 'Opp FTR', 'Opp FT Rate'],
-
-  // Paint & rim
-  nb2: ['NB2', 'NB2%', 'NonBlock2%', 'NonBlock2P%'],
-  blk: ['BLK%', 'Blk%', 'BLK', 'Block%'],
-
-  // Turnover / pressure
-  spp: ['SPP', 'StlPoss', 'Steals/poss', 'Stl%'],
-  otpp: ['OTPP', 'OppTOPoss', 'Opp TO/poss', 'Opp TOV%'],
-
-  // Rebounding / extra chances
-  orb: ['ORB%', 'OR%', 'ORB'],
-  drb: ['DRB%', 'DR%', 'DRB'],
-  scpg: ['SCPG', 'ExtraChances', '2ndChance', '2nd Chance', 'Extra Scoring Chances/game'],
-
-};
-
-// Helper: normalize percent-like numbers to 0–1 range
-function normalizePercentMaybe(v) {
-  if (v == null || isNaN(v)) return v;
-  if (v > 1.0001 && v <= 100.0) return v / 100.0;
-  return v;
-}
-
-// Metrics that require field stats for z-scoring
-const METRICS_FOR_Z = [
-  'offeff', 'defeff', 'adjem', 'ts', 'efg', 'tempo', 'epr', 'to',
-  'threepr', 'threepp', 'pct_pts_3', 'pct_pts_2', 'pct_pts_ft',
-  'opp_3pr', 'opp_3pp', 'ftr', 'opp_ftr', 'ft_pct',
-  'nb2', 'def_efg', 'blk',
-  'spp', 'otpp', 'opp_ast_poss',
-  'orb', 'drb', 'scpg',
-];
-
-// ---------- Utility Functions ----------
+function saveHeaderOverrides(overrides) {
+  writeStoredJSON(HEADER_OVERRIDES_KEY, overrides);
+}
 
-function findHeaderIndex(headers, candidates) {
-  for (const name of candidates) {
-    const idx = headers.findIndex(h => h.trim().toLowerCase() === name.trim().toLowerCase());
-    if (idx !== -1) return idx;
-  }
-  return -1;
+// getPercentKeys() Keys the user marked as percent units (converted to 0–1 on load)
+function getPercentKeys() {
+  return readStoredJSON(PERCENT_KEYS_KEY, []);
 }
 
-function getValue(row, headers, key) {
-  const aliases = ALIASES[key];
-  if (!aliases) return null;
-  const idx = findHeaderIndex(headers, aliases);
-  if (idx === -1) return null;
-  const raw = row[idx];
-  if (raw === undefined || raw === null || raw === '') return null;
-  const v = parseFloat(raw);
-  return isNaN(v) ? null : v;
+function savePercentKeys(keys) {
+  writeStoredJSON(PERCENT_KEYS_KEY, keys);
 }
 
-function computeMean(arr) {
-  if (!arr.length) return 0;
-  return arr.reduce((a, b) => a + b, 0) / arr.length;
+// setHeaderOverride(header, key) Saves one mapping ('' = back to automatic, '__ignore' = skip the column) and rebuilds the loaded dataset with it.
+function setHeaderOverride(header, key) {
+  const overrides = getHeaderOverrides();
+  if (!key) delete overrides[header];
+  else overrides[header] = key === '__ignore' ? null : key;
+  saveHeaderOverrides(overrides);
+  reapplyHeaderOverrides();
 }
 
-function computeSD(arr, mean) {
-  if (!arr.length) return 0;
-  const v = arr.reduce((s, x) => s + Math.pow(x - mean, 2), 0) / arr.length;
-  return Math.sqrt(v);
+function clearHeaderOverrides() {
+  saveHeaderOverrides({});
+  savePercentKeys([]);
+  writeStoredJSON(MAPPING_SKIPS_KEY, {});
+  reapplyHeaderOverrides();
 }
 
-function zScore(val, mean, sd) {
-  if (val === null || val === undefined || sd === 0) return 0;
-  return (val - mean) / sd;
+// reapplyHeaderOverrides() Re-reads the loaded CSV with the current mappings and re-runs the open matchup.
+function reapplyHeaderOverrides() {
+  if (!DATASET) return;
+  buildTeamsFromCSV(DATASET.headers, DATASET.rows);
+  rerunLastMatchup();
 }
 
-// Defensive orientation: convert "lower is better" into "higher is better" BEFORE z-scoring
-function orientAndZ(team, key, orientation = 'normal') {
-  const fs = FIELD_STATS[key];
-  if (!fs) return 0;
-  let v = team[key];
-  if (v === null || v === undefined) return 0;
+// buildHeaderMappingHTML(headerIndex) Column → key list (which alias matched) with a key picker for every header that did not map.
+function buildHeaderMappingHTML(headerIndex) {
+  if (!headerIndex || !headerIndex.__matches) return '';
 
-  if (orientation === 'invert') {
-    // For things like DefEff, TO%, Opp eFG% etc. when we store raw values
-    v = fs.mean * 2 - v; // simple reflection around mean (works since we only need monotonic inversion)
-  }
+  const overrides = getHeaderOverrides();
+  const keys = Object.keys(MI_ENGINE.HEADER_ALIASES);
+  const picker = (header, current) => `
+        <select class="header-override-select" data-header="${header}">
+          <option value="">${current ? 'Automatic' : 'Choose a metric…'}</option>
+          <option value="__ignore"${current === null ? ' selected' : ''}>Ignore column</option>
+          ${keys.map(k => `<option value="${k}"${current === k ? ' selected' : ''}>${k}</option>`).join('')}
+        </select>`;
 
-  return zScore(v, fs.mean, fs.sd);
-}
+  const matched = headerIndex.__matches.map(m => {
+    const isOverride = m.via === 'override';
+    const how = isOverride ? 'your mapping' : (m.alias === m.header ? 'exact' : `alias "${m.alias}"`);
+    return `
+      <li class="header-map-item${isOverride ? ' is-override' : ''}">
+        <span class="header-map-col">${m.header}</span>
+        <span class="header-map-key">${m.key}</span>
+        <span class="header-map-how">${how}</span>
+        ${isOverride ? picker(m.header, m.key) : ''}
+      </li>`;
+  }).join('');
 
-// Helper: safe z on arbitrary metric with control over inversion
-function getZ(team, key, inverted = false) {
-  const fs = FIELD_STATS[key];
-  if (!fs) return 0;
-  const v = team[key];
-  if (v === null || v === undefined) return 0;
-  const val = inverted ? (fs.mean * 2 - v) : v;
-  return zScore(val, fs.mean, fs.sd);
-}
+  const unmatched = (headerIndex.__unmapped || []).map(u => `
+      <li class="header-map-item is-unmapped">
+        <span class="header-map-col">${u.header}</span>
+        <span class="header-map-key">${u.reason === 'duplicate' ? `duplicate of ${u.key}` : u.reason === 'ignored' ? 'ignored' : '—'}</span>
+        ${picker(u.header, Object.prototype.hasOwnProperty.call(overrides, u.header) ? overrides[u.header] : undefined)}
+      </li>`).join('');
 
-// v3.2 unified tier table
-function getTierPointsFromZ(z) {
-  if (z >= 1.00) return 2.0;                  // Elite
-  if (z >= 0.80) return 1.5;                  // Strong
-  if (z >= 0.60) return 1.0;                  // Above Average
-  if (z >= 0.00) return 0.5;                  // Average
-  if (z >= -0.80) return 0.0;                 // Weak
-  return 0.0;                                 // Fragile (z < -0.80)
-}
+  const clearBtn = Object.keys(overrides).length || getPercentKeys().length
+    ? `<button type="button" class="btn secondary header-override-clear">${miGetCopy('validation.clear_mappings', 'Clear saved mappings')}</button>`
+    : '';
 
-// Tier labels for UI only (same ranges as tier points)
-function getTierLabelFromZ(z) {
-  if (z >= 1.00) return 'Elite';
-  if (z >= 0.80) return 'Strong';
-  if (z >= 0.60) return 'Above Average';
-  if (z >= 0.00) return 'Average';
-  if (z >= -0.80) return 'Weak';
-  return 'Fragile';
+  return `
+    <details class="header-map">
+      <summary>${miGetCopy('validation.mapping_title', 'Column mapping')}</summary>
+      <ul class="header-map-list">${unmatched}${matched}</ul>
+      ${clearBtn}
+    </details>`;
 }
 
-function updateInteractionHeadersFromSelections() {
-  const selectA = document.getElementById('teamA');
-  const selectB = document.getElementById('teamB');
-  const adjAHeader = document.getElementById('adjAHeader');
-  const adjBHeader = document.getElementById('adjBHeader');
-
-  const aTeam = selectA?.value ? getTeamByName(selectA.value) : null;
-  const bTeam = selectB?.value ? getTeamByName(selectB.value) : null;
+// renderDatasetValidation(report) Severity summary + issue list in the panel under #status (errors expand by default).
+function renderDatasetValidation(report) {
+  const panel = document.getElementById('datasetValidation');
+  if (!report) return;
 
-  if (adjAHeader) adjAHeader.textContent = `Adj to ${aTeam?.name || 'Team A'}`;
-  if (adjBHeader) adjBHeader.textContent = `Adj to ${bTeam?.name || 'Team B'}`;
-}
+  report.issues
+    .filter(i => i.severity !== 'info')
+    .forEach(i => console.warn(`[MI] Data check (${i.severity}):`, i.message));
 
-// ---------- CSV Parsing & Initialization ----------
-function parseCSV(text) {
-  // Strip BOM if present
-  if (text && text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+  if (!panel) return;
 
-  const rows = [];
-  let cur = '', row = [], inQuotes = false;
+  const { error, warning } = report.counts;
+  const chips = [];
+  if (error) chips.push(`<span class="validation-chip is-error">${error} ${error === 1 ? 'error' : 'errors'}</span>`);
+  if (warning) chips.push(`<span class="validation-chip is-warning">${warning} ${warning === 1 ? 'warning' : 'warnings'}</span>`);
 
-  const pushCell = () => {
-    // Unwrap quotes, unescape ""
-    row.push(cur.replace(/^"(.*)"$/s, '$1').replace(/""/g, '"').trim());
-    cur = '';
-  };
+  const summaryText = chips.length
+    ? chips.join('')
+    : `<span class="validation-chip is-ok">${miGetCopy('validation.clean', 'No problems found.')}</span>`;
 
-  for (let i = 0; i < text.length; i++) {
-    const ch = text[i];
-    if (ch === '"') {
-      if (inQuotes && text[i + 1] === '"') { cur += '"'; i++; }
-      else { inQuotes = !inQuotes; }
-    } else if (ch === ',' && !inQuotes) {
-      pushCell();
-    } else if ((ch === '\n' || ch === '\r') && !inQuotes) {
-      if (ch === '\r' && text[i + 1] === '\n') i++;
-      pushCell();
-      rows.push(row);
-      row = [];
-    } else {
-      cur += ch;
-    }
-  }
-  if (cur.length || row.length) { pushCell(); rows.push(row); }
-
-  const headers = (rows.shift() || []).map(h => h.trim());
-  return { headers, rows };
-}
-
-function detectTeamNameIndex(headers, rows) {
-  // 1) Try exact alias matches (case-insensitive)
-  const aliasIdx = findHeaderIndex(headers, ALIASES.team || ['Team']);
-  if (aliasIdx !== -1) return aliasIdx;
-
-  // 2) Try loose regex match on header text
-  //    (covers things like "Team Name", "School (D1)", "TEAM/SCHOOL", etc.)
-  for (let i = 0; i < headers.length; i++) {
-    const h = (headers[i] || '').toLowerCase().replace(/[\s_\-\/().]+/g, '');
-    if (h.includes('team') || h.includes('school')) return i;
-  }
-
-  // 3) Heuristic: pick the column that looks most like names in first 30 rows
-  const sampleN = Math.min(rows.length, 30);
-  let bestIdx = -1, bestScore = -1;
-  for (let c = 0; c < headers.length; c++) {
-    let score = 0;
-    for (let r = 0; r < sampleN; r++) {
-      const v = (rows[r] && rows[r][c] || '').trim();
-      if (!v) continue;
-      const hasLetters = /[A-Za-z]/.test(v);
-      const looksNumber = /^[\d.\-]+$/.test(v);
-      const hasPercent = /%/.test(v);
-      // reward typical team-name patterns (letters + spaces, not pure numbers/percents)
-      if (hasLetters && !looksNumber && !hasPercent && v.length <= 60) score++;
-      // minor bonus if it contains a space (two words like "Saint Mary’s")
-      if (/\s/.test(v)) score += 0.25;
-    }
-    if (score > bestScore) { bestScore = score; bestIdx = c; }
-  }
-  return bestScore >= 5 ? bestIdx : -1;
-}
-
-// Normalize a header (trim, lowercase, strip punctuation/spaces)
-function _normHeader(h) {
-  return String(h || '')
-    .trim()
-    .toLowerCase()
-    .replace(/[%]/g, 'pct')
-    .replace(/[.\-_/]/g, ' ')      // dots and punctuation -> spaces
-    .replace(/\s+/g, ' ')          // collapse spaces
-    .trim();
-}
-
-// EXACT map for "Official MM Sheet 2.csv"
-const HEADER_MAP = new Map([
-  // identity
-  ['team',                    'name'],
-  ['seed',                    'seed'],
-
-  // core 8
-  ['off eff',                 'offeff'],
-  ['def eff',                 'defeff'],
-  ['efficiency margin',       'adjem'],
-  ['true shooting pct',       'ts'],
-  ['efg',                     'efg'],
-  ['tempo',                   'tempo'],
-  ['effective possession ratio','epr'],
-  ['to pct',                  'to'],
-
-  // defensive eFG
-  ['def efgpct',               'def_efg'],   // for "Def. eFG%"
-  ['def efg pct',              'def_efg'],   // for "Def. eFG pct" style headers
-
-  // distribution (points share)
-  ['pct of points from 2',    'pct_pts_2'],  // note: CSV header had a trailing space — normalizer strips it
-  ['pct of points from 3',    'pct_pts_3'],
-  ['pct of points from ft',   'pct_pts_ft'],
-
-  // shooting + rates used by interactions
-  ['3p pct',                  'threepp'],
-  ['3p rate',                 'threepr'],
-  ['ftr',                     'ftr'],
-
-  // extras used in breadth / interactions / marks
-  ['extra scoring chances game', 'scpg'],
-  ['non blocked 2pt pct',     'nb2'],
-  ['orb pct',                 'orb'],
-  ['drb pct',                 'drb'],
-  ['block pct',               'blk'],
-  ['steals per possession',   'spp'],
-  ['opp asst poss',           'opp_ast_poss'],
-  ['opp to poss',             'otpp'],
-  ['opp fta fga',             'opp_ftr'],
-  ['opp 3pt pct',             'opp_3pp'],
-  ['opp 3p rate',             'opp_3pr'],
-  ['ft_pct',                  'ft_pct'],
-
-  // résumé bits
-  ['close game win pct',      'close_win_pct'],
-  ['wins',                    'w'],
-  ['losses',                  'l'],
-  ['strength of schedule',    'sos'],
-]);
-
-// Build index: CSV header -> internal key
-function makeHeaderIndex(headers) {
-  const index = {};
-  const normed = headers.map(_normHeader);
-
-  normed.forEach((h, i) => {
-    const key = HEADER_MAP.get(h);
-    if (key) index[key] = i;
-  });
+  const items = report.issues.map(i => `
+      <li class="validation-item is-${i.severity}">
+        <span class="validation-sev">${i.severity}</span>
+        <span class="validation-msg">${i.message}</span>
+      </li>`).join('');
 
-  // for sanity: team/name MUST exist
-  if (index.name == null) index.name = normed.indexOf('team');
+  panel.innerHTML = `
+    <details class="validation-details"${error ? ' open' : ''}>
+      <summary>
+        <span class="validation-title">${miGetCopy('validation.title', 'Data check')}</span>
+        ${summaryText}
+      </summary>
+      <ul class="validation-list">${items}</ul>
+    </details>
+    ${buildHeaderMappingHTML(DATASET && DATASET.headerIndex)}`;
+  panel.hidden = false;
+}
 
-  // store for debugging
-  index.__raw = headers;
-  index.__norm = normed;
-  return index;
+// syncDatasetGlobals() Points TEAMS / TEAM_LIST / FIELD_STATS at the current DATASET (call after any rescore).
+function syncDatasetGlobals() {
+  TEAMS       = DATASET ? DATASET.teams : {};
+  TEAM_LIST   = DATASET ? DATASET.teamList : [];
+  FIELD_STATS = DATASET ? DATASET.fieldStats : {};
 }
 
-function buildTeamsFromCSV(headers, rows) {
-  const H = makeHeaderIndex(headers);
-
-  function getNum(row, key) {
-    const i = H[key];
-    if (i == null || i < 0) return null;
-    let v = row[i];
-    if (v == null || v === '') return null;
-    if (typeof v === 'string') v = v.replace(/,/g,'').trim();
-    const n = Number(v);
-    return Number.isFinite(n) ? n : null;
-  }
-  function getStr(row, key) {
-    const i = H[key];
-    if (i == null || i < 0) return '';
-    return String(row[i]).trim();
-  }
-
-  TEAMS = {};
-  TEAM_LIST = [];
-
-  for (const row of rows) {
-    const team = {
-      name:   getStr(row, 'name'),
-      seed:   getNum(row, 'seed'),
-
-      // core 8
-      offeff: getNum(row, 'offeff'),
-      defeff: getNum(row, 'defeff'),
-      adjem:  getNum(row, 'adjem'),
-      ts:     getNum(row, 'ts'),
-      efg:    getNum(row, 'efg'),
-      tempo:  getNum(row, 'tempo'),
-      epr:    getNum(row, 'epr'),
-      to:     getNum(row, 'to'),
-      def_efg:getNum(row, 'def_efg'),
-
-      // distribution
-      pct_pts_2:  getNum(row, 'pct_pts_2'),
-      pct_pts_3:  getNum(row, 'pct_pts_3'),
-      pct_pts_ft: getNum(row, 'pct_pts_ft'),
-
-      // interactions/extras
-      threepp:       getNum(row, 'threepp'),
-      threepr:       getNum(row, 'threepr'),
-      ftr:           getNum(row, 'ftr'),
-      scpg:          getNum(row, 'scpg'),
-      nb2:           getNum(row, 'nb2'),
-      orb:           getNum(row, 'orb'),
-      drb:           getNum(row, 'drb'),
-      blk:           getNum(row, 'blk'),
-      spp:           getNum(row, 'spp'),
-      opp_ast_poss:  getNum(row, 'opp_ast_poss'),
-      otpp:          getNum(row, 'otpp'),
-      opp_ftr:       getNum(row, 'opp_ftr'),
-      opp_3pp:       getNum(row, 'opp_3pp'),
-      opp_3pr:       getNum(row, 'opp_3pr'),
-      ft_pct:        getNum(row, 'ft_pct'),
-
-
-      // résumé
-      close_win_pct: getNum(row, 'close_win_pct'),
-      w:             getNum(row, 'w'),
-      l:             getNum(row, 'l'),
-      sos:           getNum(row, 'sos'),
-    };
+function getTeamByName(name) {
+  return MI_ENGINE.getTeam(DATASET, name);
+}
 
-    if (!team.name) continue; // skip empties
+function compareTeams(teamAName, teamBName, roleMode = 'auto') {
+  const result = MI_ENGINE.scoreMatchup(DATASET, teamAName, teamBName, {
+    round: CURRENT_ROUND,
+  });
 
-    TEAMS[team.name] = team;
-    TEAM_LIST.push(team.name);
+  if (!result) {
+    console.error('Invalid team selection:', teamAName, teamBName);
+    return;
   }
 
-  computeFieldStats(); // your existing function
-  computeAllTeamLayers();
-  computeStaticIdentities();
-  populateTeamDropdowns(); // your existing function
-}
-
-function computeFieldStats() {
-  FIELD_STATS = {};
+  const { a, b } = result;
 
-  METRICS_FOR_Z.forEach(key => {
-    const vals = Object.values(TEAMS)
-      .map(t => t[key])
-      .filter(v => v !== null && v !== undefined && !isNaN(v));
-    if (!vals.length) return;
-    const mean = computeMean(vals);
-    const sd = computeSD(vals, mean);
-    FIELD_STATS[key] = { mean, sd };
-  });
+  window.LAST_RESULT = result;
+  updateMatchupPermalink(result);
+  recordMatchupSession(result);
+  renderMatchupCard(result, document.getElementById('matchupCardSize')?.value);
+  refreshSensitivity(result);
 
-  // wp & P for resume / resume-pressure
-  const wpArr = [];
-  const pArr = [];
-  const sosArr = [];
-
-  Object.values(TEAMS).forEach(t => {
-    if (t.w != null && t.l != null) {
-      const total = t.w + t.l;
-      if (total > 0) {
-        t.wp = t.w / total;
-        wpArr.push(t.wp);
-      }
-    }
-    if (t.sos != null) {
-      sosArr.push(t.sos);
-    }
-  });
+  renderTeamCards(result);
+  renderProfileMarks(a, "inlineMarksA");
+  renderProfileMarks(b, "inlineMarksB");
+  renderInteractionsTable(result);
+  renderInteractionsConsole(result);
+  renderSummary(result);
+  updateMatchupBarFromDOM();
+  updateCoreBacksForResult(result);
+  updateBreadthBacksForResult(result);
+  updateResumeBacksForResult(result);
+  updateMarksBacksForResult(result);
+  updateFormulaBacksForResult(result);
+  updateIdentityBacksForResult(result);
 
-  if (sosArr.length) {
-    // Convert SOS rank/index into hardness percentile P: lower SOS -> tougher -> higher P
-    const minSOS = Math.min(...sosArr);
-    const maxSOS = Math.max(...sosArr);
-    Object.values(TEAMS).forEach(t => {
-      if (t.sos != null && maxSOS > minSOS) {
-        const norm = (t.sos - minSOS) / (maxSOS - minSOS); // 0 = toughest, 1 = weakest
-        t.P = 1 - norm; // 1 = toughest schedule
-        pArr.push(t.P);
-      }
-    });
+  // New: pull copy.json from the global and feed it into the MI back-of-card builder
+  const copy = window.MI_COPY;
+  if (copy) {
+    updateMadnessBacksForResult(result, window.MI_COPY, roleMode);
   }
 
-  if (wpArr.length) {
-    const mean = computeMean(wpArr);
-    const sd = computeSD(wpArr, mean);
-    FIELD_STATS.wp = { mean, sd };
-  }
-
-  if (pArr.length) {
-    const mean = computeMean(pArr);
-    const sd = computeSD(pArr, mean);
-    FIELD_STATS.P = { mean, sd };
-  }
-}
-
-// ---------- Core Metric Layer + Breadth ----------
-function computeCoreForTeam(team) {
-  // 1) Core z-scores (v3.2 Core set: 8 metrics, Tempo removed)
-  const zOff    = getZ(team, 'offeff',  false);
-  const zDef    = getZ(team, 'defeff',  true);   // lower DefEff better
-  const zAdjEM  = getZ(team, 'adjem',   false);
-  const zTS     = getZ(team, 'ts',      false);
-  const zEFG    = getZ(team, 'efg',     false);
-  const zDefEFG = getZ(team, 'def_efg', true);   // lower Def eFG% better
-  const zEPR    = getZ(team, 'epr',     false);
-  const zTO     = getZ(team, 'to',      true);   // lower TO% better
-
-  // Store for downstream layers (Breadth, Profile Marks, Interactions)
-  team.coreZ = {
-    offeff:  zOff,
-    defeff:  zDef,
-    adjem:   zAdjEM,
-    ts:      zTS,
-    efg:     zEFG,
-    def_efg: zDefEFG,
-    epr:     zEPR,
-    to:      zTO,
-  };
-
-  // Core tier points (explain-mode only; do not affect MIBS)
-  team.coreTierPts = {};
-  Object.keys(team.coreZ).forEach((key) => {
-    team.coreTierPts[key] = getTierPointsFromZ(team.coreZ[key]);
-  });
-
-  // 2) Core weighted composite — MIBS (v3.2 weights)
-  // OffEff + -DefEff = 45%
-  // TS% + eFG% + -Def eFG% = 35%
-  // EPR + -TO% = 20%
-  // AdjEM = stabilizer lane
-  const wOffDef = 0.45 / 2.0;  // 0.225 each
-  const wShoot  = 0.35 / 3.0;  // ≈0.1167 each
-  const wPoss   = 0.20 / 2.0;  // 0.10 each
-  const wAdjEM  = 0.10;        // stabilizer
-
-  const mibsCore =
-    wOffDef * zOff +
-    wOffDef * zDef +
-    wShoot  * zTS +
-    wShoot  * zEFG +
-    wShoot  * zDefEFG +
-    wPoss   * zEPR +
-    wPoss   * zTO;
-
-  const mibs = mibsCore + wAdjEM * zAdjEM;
-  team.mibs = mibs;
-
-  // 3) Per-stat rows for the Core Traits table (UI only)
-  const fsOff    = FIELD_STATS.offeff  || {};
-  const fsDef    = FIELD_STATS.defeff  || {};
-  const fsAdjEM  = FIELD_STATS.adjem   || {};
-  const fsTS     = FIELD_STATS.ts      || {};
-  const fsEFG    = FIELD_STATS.efg     || {};
-  const fsDefEFG = FIELD_STATS.def_efg || {};
-  const fsEPR    = FIELD_STATS.epr     || {};
-  const fsTO     = FIELD_STATS.to      || {};
-
-  const L = getTierLabelFromZ;
-
-  team.coreDetails = [
-    {
-      key:   'offeff',
-      label: 'Offensive Efficiency',
-      mean:  fsOff.mean,
-      sd:    fsOff.sd,
-      value: team.offeff,
-      z:     zOff,
-      tier:  L(zOff),
-      weight: wOffDef,
-      points: wOffDef * zOff,
-    },
-    {
-      key:   'defeff',
-      label: 'Defensive Efficiency',
-      mean:  fsDef.mean,
-      sd:    fsDef.sd,
-      value: team.defeff,
-      z:     zDef,
-      tier:  L(zDef),
-      weight: wOffDef,
-      points: wOffDef * zDef,
-    },
-    {
-      key:   'adjem',
-      label: 'Adj. Efficiency Margin',
-      mean:  fsAdjEM.mean,
-      sd:    fsAdjEM.sd,
-      value: team.adjem,
-      z:     zAdjEM,
-      tier:  L(zAdjEM),
-      weight: wAdjEM,
-      points: wAdjEM * zAdjEM,
-    },
-    {
-      key:   'ts',
-      label: 'True Shooting %',
-      mean:  fsTS.mean,
-      sd:    fsTS.sd,
-      value: team.ts,
-      z:     zTS,
-      tier:  L(zTS),
-      weight: wShoot,
-      points: wShoot * zTS,
-    },
-    {
-      key:   'efg',
-      label: 'Effective FG %',
-      mean:  fsEFG.mean,
-      sd:    fsEFG.sd,
-      value: team.efg,
-      z:     zEFG,
-      tier:  L(zEFG),
-      weight: wShoot,
-      points: wShoot * zEFG,
-    },
-    {
-      key:   'def_efg',
-      label: 'Defensive eFG %',
-      mean:  fsDefEFG.mean,
-      sd:    fsDefEFG.sd,
-      value: team.def_efg,
-      z:     zDefEFG,
-      tier:  L(zDefEFG),
-      weight: wShoot,
-      points: wShoot * zDefEFG,
-    },
-    {
-      key:   'epr',
-      label: 'Effective Possession Ratio (EPR)',
-      mean:  fsEPR.mean,
-      sd:    fsEPR.sd,
-      value: team.epr,
-      z:     zEPR,
-      tier:  L(zEPR),
-      weight: wPoss,
-      points: wPoss * zEPR,
-    },
-    {
-      key:   'to',
-      label: 'Turnover %',
-      mean:  fsTO.mean,
-      sd:    fsTO.sd,
-      value: team.to,
-      z:     zTO,
-      tier:  L(zTO),
-      weight: wPoss,
-      points: wPoss * zTO,
-    },
-  ];
+  console.log(result);
+  return result;
 }
 
-function computeBreadthForTeam(team) {
-  const z = team.coreZ || {};
+// ---------- DOM Hooks ----------
 
-  // v3.2 hit criterion: z ≥ 0.60
-  const isHit = (val) => typeof val === 'number' && val >= 0.60;
+function populateTeamDropdowns() {
+  const selectA =
+    document.getElementById('teamA') ||
+    document.getElementById('teamASelect') ||
+    document.getElementById('cindTeamSelect');
+  const selectB =
+    document.getElementById('teamB') ||
+    document.getElementById('teamBSelect') ||
+    document.getElementById('favTeamSelect');
 
-  // A. Efficiency Quartet (OffEff, -DefEff, AdjEM, -Def eFG%) — max +0.40
-  let effHits = 0;
-  if (isHit(z.offeff))  effHits++;
-  if (isHit(z.defeff))  effHits++;
-  if (isHit(z.adjem))   effHits++;
-  if (isHit(z.def_efg)) effHits++;
+  if (!selectA || !selectB) return;
 
-  let effBonus = 0;
-  if (effHits === 1)      effBonus = 0.10;
-  else if (effHits === 2) effBonus = 0.20;
-  else if (effHits === 3) effBonus = 0.30;
-  else if (effHits === 4) effBonus = 0.40;
+  selectA.innerHTML = '<option value="" disabled selected>Select Team A</option>';
+  selectB.innerHTML = '<option value="" disabled selected>Select Team B</option>';
 
-  // B. Shooting Pair (TS%, eFG%) — max +0.30
-  let shootHits = 0;
-  if (isHit(z.ts))  shootHits++;
-  if (isHit(z.efg)) shootHits++;
+  // Sort a copy: TEAM_LIST is the dataset's CSV order (bracket layout relies on it)
+  [...TEAM_LIST].sort().forEach(name => {
+    const optA = document.createElement('option');
+    optA.value = name;
+    optA.textContent = name;
+    selectA.appendChild(optA);
 
-  let shootBonus = 0;
-  if (shootHits === 1)      shootBonus = 0.15;
-  else if (shootHits === 2) shootBonus = 0.30;
+    const optB = document.createElement('option');
+    optB.value = name;
+    optB.textContent = name;
+    selectB.appendChild(optB);
+  });
 
-  // C. Possession Stability Pair (EPR, -TO%) — max +0.30
-  let possHits = 0;
-  if (isHit(z.epr)) possHits++;
-  if (isHit(z.to))  possHits++; // already inverted in z
+  let lastTeamsOk = false;
 
-  let possBonus = 0;
-  if (possHits === 1)      possBonus = 0.15;
-  else if (possHits === 2) possBonus = 0.30;
+  const onTeamChange = () => {
+    updateRoundOptionsForCurrentSeeds();
+    updateInteractionHeadersFromSelections();
+    updatePreMatchupHubProgress();
+    refreshCompareButtonState();
 
-  const breadth = effBonus + shootBonus + possBonus;
+  const teamsOk = getSelectedTeams().ok;
+  const roundReady = isRoundSelected();
 
-  // For debugging / UI
-  team.breadthEffHits   = effHits;
-  team.breadthShootHits = shootHits;
-  team.breadthPossHits  = possHits;
-  team.breadthTotalHits = effHits + shootHits + possHits;
+  if (!lastTeamsOk && teamsOk && !roundReady && !MI_ROUND_TOUCHED && !MI_ROUND_NUDGE_SHOWN) {
+    MI_ROUND_NUDGE_SHOWN = true;
+    nudgeRoundSelector();
+  }
 
-  team.breadth = breadth;                   // BreadthWeight = 1.00
-  team.breadthHits = team.breadthTotalHits; // backwards-compatible
-}
+  lastTeamsOk = teamsOk;
+};
 
-// ---------- Résumé Context Score (R) — MI_base Component ----------
+  selectA.addEventListener('change', onTeamChange);
+  selectB.addEventListener('change', onTeamChange);
 
-function computeResumeContextForTeam(team) {
-  // If we’re missing résumé data or field stats, treat as neutral résumé.
-  if (!FIELD_STATS.wp || !FIELD_STATS.P || team.wp == null || team.P == null) {
-    team.resumeIndex = 0;          // underlying R index
-    team.resumeR     = 0;          // adjustment actually added to MI_base
-    team.resumeRTier = 'Average';
+  updatePreMatchupHubProgress();
+  updateRoundOptionsForCurrentSeeds();
+  refreshCompareButtonState();
+}
 
-    // Keep MI_base well-defined even if résumé is neutral
-     computeMIBase(team);
-    return;
+function getRoundLabelFromCode(code) {
+  switch (code) {
+    case "R64":   return "Round of 64";
+    case "R32":   return "Round of 32";
+    case "S16":   return "Sweet Sixteen";
+    case "E8":    return "Elite Eight";
+    case "F4":    return "Final Four";
+    case "Champ": return "Championship";
+    default:      return "Select Round";
   }
+}
 
-  // 1) Field-normalized record and schedule
-  const z_wp = zScore(team.wp, FIELD_STATS.wp.mean, FIELD_STATS.wp.sd || 0.00001);
-  const z_P  = zScore(team.P,  FIELD_STATS.P.mean,  FIELD_STATS.P.sd  || 0.00001);
+// describeSeedPair(seedA, seedB, regionA, regionB) "seeds 3 and 6", or with regions "the 3 seed in the South and the 6 seed in the East".
+function describeSeedPair(seedA, seedB, regionA, regionB) {
+  if (regionA && regionB) {
+    return `the ${seedA} seed in the ${regionA} and the ${seedB} seed in the ${regionB}`;
+  }
+  return `seeds ${seedA} and ${seedB}`;
+}
 
-  const R = (z_wp + z_P) / 2;
+// describeNoMeetingRound(teamA, teamB) Why two teams have no legal round: a play-in pair, or seeds outside the bracket.
+function describeNoMeetingRound(teamA, teamB) {
+  if (teamA.region && teamA.region === teamB.region && Number(teamA.seed) === Number(teamB.seed)) {
+    return `${teamA.name} and ${teamB.name} are both the ${teamA.seed} seed in the ${teamA.region}, so they only meet in ` +
+      `the play-in (First Four), which is not one of the rounds here. Turn on Sandbox Mode to compare them.`;
+  }
+  return `${teamA.name} and ${teamB.name} have no bracket round in which they can meet. Turn on Sandbox Mode to compare them.`;
+}
 
-  // 3) Map R into global z-tier bands (same system used elsewhere),
-  //    then convert tier → adjustment in the ±0.15 range.
-  //
-  // Tiers (R):
-  //   Elite      : R ≥ +1.00        → +0.15
-  //   Strong     : +1.00 > R ≥ 0.80 → +0.10
-  //   Above Avg  : +0.80 > R ≥ 0.60 → +0.05
-  //   Average    : +0.60 > R ≥ 0.00 →  0.00
-  //   Weak       :  0.00 > R ≥ –0.80 → –0.05
-  //   Fragile    : R < –0.80        → –0.10
+// ---------- Final Four pairing ----------
 
-  let adj  = 0;
-  let tier = 'Average';
+// renderF4PairingPicker() Shows which regions meet in each national semifinal (four-region datasets only) and lets the user change it.
+function renderF4PairingPicker() {
+  const wrap = document.getElementById('f4PairingPicker');
+  const select = document.getElementById('f4PairingSelect');
+  if (!wrap || !select) return;
 
-  if (R >= 1.00) {
-    adj = 0.15; tier = 'Elite';
-  } else if (R >= 0.80) {
-    adj = 0.10; tier = 'Strong';
-  } else if (R >= 0.60) {
-    adj = 0.05; tier = 'Above Average';
-  } else if (R < -0.80) {
-    adj = -0.25; tier = 'Fragile';
-  } else if (R < 0.00) {
-    adj = -0.15; tier = 'Weak';
+  const options = MI_ENGINE.getF4PairingOptions(DATASET && DATASET.regionOrder);
+  select.innerHTML = '';
+  if (!options.length || !DATASET.f4Pairing) {
+    wrap.hidden = true;
+    return;
   }
 
-  // 4) Store all résumé pieces on the team object
-  team.resumeIndex = R;    // the underlying R index (z-like)
-  team.resumeR     = adj;  // the actual MI_base adjustment
-  team.resumeRTier = tier;
-
-  // 5) Update MI_base now that Core, Breadth, and Résumé are known
-  computeMIBase(team);
+  const current = JSON.stringify(DATASET.f4Pairing);
+  options.forEach((pairing, i) => {
+    const opt = document.createElement('option');
+    opt.value = String(i);
+    opt.textContent = pairing.map(pair => pair.join(' vs ')).join(' · ');
+    if (JSON.stringify(pairing) === current) opt.selected = true;
+    select.appendChild(opt);
+  });
+  wrap.hidden = false;
 }
 
-// ---------- Interaction Metrics (Directional, Tiered, Half-Mirrored) ----------
-
-function halfMirroredAdjust(gap) {
-  const mag = Math.abs(gap);
-  if (mag < 0.50) return 0;
-  if (mag < 1.00) return 0.25;
-  return 0.50;
+// setF4Pairing(index) Applies one of the getF4PairingOptions() pairings, remembers it and re-filters the legal rounds.
+function setF4Pairing(index) {
+  const pairing = MI_ENGINE.getF4PairingOptions(DATASET && DATASET.regionOrder)[index];
+  if (!pairing) return;
+  DATASET.f4Pairing = pairing;
+  writeStoredJSON(F4_PAIRING_KEY, pairing);
+  console.log('[MI] Final Four pairing:', pairing);
+  updateRoundOptionsForCurrentSeeds();
+  if (LAST_BRACKET) runBracketSimulation();
 }
 
-// Shared interaction accumulator (reset in computeInteractions)
-let __INT = { a: 0, b: 0, breakdown: {} };
-
-// Small helpers to apply mirrored adjustments and record a breakdown entry
-function _applyToA(base, tag) {
-  if (!base) return;
-  __INT.a += base;
-  __INT.b -= base;
-  __INT.breakdown[tag] = (__INT.breakdown[tag] || 0) + base;
-}
+// ---------- Identity Role Resolver (Favorite / Cinderella / Neutral) ----------
 
-function _applyToB(base, tag) {
-  if (!base) return;
-  __INT.b += base;
-  __INT.a -= base;
-  __INT.breakdown[tag] = (__INT.breakdown[tag] || 0) - base;
-}
+function getIdentityRoleForGame(team, opponent, roundCode) {
+  if (!team || !opponent) return 'NEUTRAL';
 
-/* 1) 3PT Tension */
-function interaction3PT(a, b) {
-  const offA = (getZ(a, 'threepr') + getZ(a, 'threepp') + getZ(a, 'pct_pts_3')) / 3;
-  const offB = (getZ(b, 'threepr') + getZ(b, 'threepp') + getZ(b, 'pct_pts_3')) / 3;
+  const s    = team.seed;
+  const sOpp = opponent.seed;
 
-  // Defensive perimeter resistance (invert: lower opp values = stronger defense)
-  const defA = (getZ(a, 'opp_3pr', true) + getZ(a, 'opp_3pp', true)) / 2;
-  const defB = (getZ(b, 'opp_3pr', true) + getZ(b, 'opp_3pp', true)) / 2;
+  if (s == null || sOpp == null) return 'NEUTRAL';
 
-  const gapA = offA - defB; // A offense vs B perimeter D
-  const gapB = offB - defA; // B offense vs A perimeter D
+  const a = Math.min(s, sOpp);
+  const b = Math.max(s, sOpp);
+  const pairKey = `${a}-${b}`;
+  const round = roundCode || CURRENT_ROUND || "R64";
 
-  if (Math.abs(gapA) >= Math.abs(gapB)) {
-    const base = halfMirroredAdjust(gapA);
-    if (gapA > 0) _applyToA(base, '3pt'); else _applyToB(base, '3pt');
-  } else {
-    const base = halfMirroredAdjust(gapB);
-    if (gapB > 0) _applyToB(base, '3pt'); else _applyToA(base, '3pt');
-  }
-}
+  // 1) Round of 64 absolute rules for canonical pairs
+  if (round === "R64") {
+    switch (pairKey) {
+      case "1-16":
+      case "2-15":
+      case "3-14":
+      case "4-13":
+      case "5-12":
+        return (s === a) ? "FAVORITE" : "CINDERELLA";
 
-/* 2) FT Pressure (FT% + FTR + %Pts from FT vs foul discipline) */
-function interactionFT(a, b) {
-  // Offensive FT score: blend FTR, FT%, and % of points from FT (all z-scored)
-  const offFTA =
-    (getZ(a, 'ftr') + getZ(a, 'ft_pct') + getZ(a, 'pct_pts_ft')) / 3;
-  const offFTB =
-    (getZ(b, 'ftr') + getZ(b, 'ft_pct') + getZ(b, 'pct_pts_ft')) / 3;
+      case "6-11":
+        if (s === 6)  return "FAVORITE";
+        if (s === 11) return "CINDERELLA";
+        return "NEUTRAL";
 
-  // Defensive FT discipline: lower OppFTR = better, so invert
-  const defFTA = getZ(a, 'opp_ftr', true);
-  const defFTB = getZ(b, 'opp_ftr', true);
+      case "7-10":
+        if (s === 7)  return "FAVORITE";
+        if (s === 10) return "CINDERELLA";
+        return "NEUTRAL";
 
-  // Tension gaps: offense vs the *other* team’s FT discipline
-  const gapA = offFTA - defFTB; // Team A offense vs Team B FT defense
-  const gapB = offFTB - defFTA; // Team B offense vs Team A FT defense
+      case "8-9":
+        // 8–9 R64 is explicitly neutral in the identity layer
+        return "NEUTRAL";
 
-  // Choose the side with the stronger leverage signal
-  if (Math.abs(gapA) >= Math.abs(gapB)) {
-    const base = halfMirroredAdjust(gapA);
-    if (base) {
-      if (gapA > 0) _applyToA(base, 'ft');
-      else          _applyToB(base, 'ft');
-    }
-  } else {
-    const base = halfMirroredAdjust(gapB);
-    if (base) {
-      if (gapB > 0) _applyToB(base, 'ft');
-      else          _applyToA(base, 'ft');
+      default:
+        // Non-canonical R64 matchup → fall through to general rules
+        break;
     }
   }
-}
 
-/* 3) Paint Presence (2P profile vs rim protection) */
-function interactionPaint(a, b) {
-  const offA = (getZ(a, 'pct_pts_2') + getZ(a, 'nb2')) / 2;
-  const offB = (getZ(b, 'pct_pts_2') + getZ(b, 'nb2')) / 2;
+  // 2) General rules for non-R64 or custom matchups
+  if (s === sOpp) {
+    // Same seed -> treat as neutral for identity purposes
+    return "NEUTRAL";
+  }
 
-  // Rim protection: invert def_efg (lower = better), blk is normal
-  const rimDefA = (getZ(a, 'def_efg', true) + getZ(a, 'blk')) / 2;
-  const rimDefB = (getZ(b, 'def_efg', true) + getZ(b, 'blk')) / 2;
+  const lowerSeed  = (s < sOpp) ? s    : sOpp;
+  const higherSeed = (s < sOpp) ? sOpp : s;
 
-  const gapA = offA - rimDefB;
-  const gapB = offB - rimDefA;
+  const teamIsFavorite = (s === lowerSeed);
+  const deepRound =
+    round === "S16" ||
+    round === "E8"  ||
+    round === "F4"  ||
+    round === "C"   || round === "Champ";
 
-  if (Math.abs(gapA) >= Math.abs(gapB)) {
-    const base = halfMirroredAdjust(gapA);
-    if (gapA > 0) _applyToA(base, 'paint'); else _applyToB(base, 'paint');
+  if (teamIsFavorite) {
+    // Lower seed → default favorite identity
+    return "FAVORITE";
   } else {
-    const base = halfMirroredAdjust(gapB);
-    if (gapB > 0) _applyToB(base, 'paint'); else _applyToA(base, 'paint');
-  }
-}
-
-/* 4) Turnover Pressure (ball pressure + disruption vs ball security) */
-function interactionTO(a, b) {
-  // Defensive pressure: steals, forced TOs, and limiting assisted possessions
-  const pressA = (
-    getZ(a, 'spp') +                 // steals / possession
-    getZ(a, 'otpp') +                // opponent TO / possession
-    getZ(a, 'opp_ast_poss', true)    // invert: lower opp AST/poss = more disruption
-  ) / 3;
-
-  const pressB = (
-    getZ(b, 'spp') +
-    getZ(b, 'otpp') +
-    getZ(b, 'opp_ast_poss', true)
-  ) / 3;
-
-  // Offensive ball security (already inverted in Core): higher = safer
-  const secA = getZ(a, 'to', true);
-  const secB = getZ(b, 'to', true);
-
-  const gapA = pressA - secB; // A defense vs B offense
-  const gapB = pressB - secA; // B defense vs A offense
-
-  if (Math.abs(gapA) >= Math.abs(gapB)) {
-    const base = halfMirroredAdjust(gapA);
-    if (base) {
-      if (gapA > 0) _applyToA(base, 'to');
-      else          _applyToB(base, 'to');
+    // Team is the underdog
+    if (s >= 7) {
+      // Classic Cinderella territory (7+)
+      return "CINDERELLA";
     }
-  } else {
-    const base = halfMirroredAdjust(gapB);
-    if (base) {
-      if (gapB > 0) _applyToB(base, 'to');
-      else          _applyToA(base, 'to');
+    if (s === 6 && deepRound) {
+      // Pivot seed becomes Cinderella only in deeper rounds vs stronger seeds
+      return "CINDERELLA";
     }
+    // Otherwise just underdog without strong Cinderella identity
+    return "NEUTRAL";
   }
 }
 
-/* 5) Possession Manager (second chances vs denial) */
-function interactionGlass(a, b) {
-  // Use 'scpg' for extra scoring chances per game
-  const offGlassA = (getZ(a, 'orb') + getZ(a, 'scpg')) / 2;
-  const offGlassB = (getZ(b, 'orb') + getZ(b, 'scpg')) / 2;
-  const defGlassA = getZ(a, 'drb');
-  const defGlassB = getZ(b, 'drb');
-
-  const gapA = offGlassA - defGlassB;
-  const gapB = offGlassB - defGlassA;
-
-  if (Math.abs(gapA) >= Math.abs(gapB)) {
-    const base = halfMirroredAdjust(gapA);
-    if (gapA > 0) _applyToA(base, 'glass'); else _applyToB(base, 'glass');
-  } else {
-    const base = halfMirroredAdjust(gapB);
-    if (gapB > 0) _applyToB(base, 'glass'); else _applyToA(base, 'glass');
-  }
-}
-
-/* 6) Resume Pressure (matchup version) */
-function interactionResume(a, b) {
-  if (!FIELD_STATS.wp || !FIELD_STATS.P || a.wp == null || b.wp == null || a.P == null || b.P == null) return;
-
-  const z_wp_a = zScore(a.wp, FIELD_STATS.wp.mean, FIELD_STATS.wp.sd || 1e-5);
-  const z_P_a  = zScore(a.P,  FIELD_STATS.P.mean,  FIELD_STATS.P.sd  || 1e-5);
-  const idxA   = (z_wp_a + z_P_a) / 2;
-
-  const z_wp_b = zScore(b.wp, FIELD_STATS.wp.mean, FIELD_STATS.wp.sd || 1e-5);
-  const z_P_b  = zScore(b.P,  FIELD_STATS.P.mean,  FIELD_STATS.P.sd  || 1e-5);
-  const idxB   = (z_wp_b + z_P_b) / 2;
-
-  const gap = idxA - idxB;
-  const base = halfMirroredAdjust(gap);
-  if (gap > 0) _applyToA(base, 'resume'); else if (gap < 0) _applyToB(base, 'resume');
-}
-
-/* 7) Physicality / Contact Tolerance */
-function interactionPhysicality(a, b) {
-  // Offensive physicality: lives in contact and the paint
-  const physOffA = (
-    getZ(a, 'ftr') +          // draw fouls
-    getZ(a, 'pct_pts_2') +    // % of points from 2s
-    getZ(a, 'nb2')            // non-blocked 2s
-  ) / 3;
-
-  const physOffB = (
-    getZ(b, 'ftr') +
-    getZ(b, 'pct_pts_2') +
-    getZ(b, 'nb2')
-  ) / 3;
-
-  // Defensive contact tolerance: rim resistance + foul discipline
-  const tolDefA = (
-    getZ(a, 'blk') +              // rim challenge
-    getZ(a, 'def_efg', true) +    // invert: lower Def eFG% = better
-    getZ(a, 'opp_ftr', true)      // invert: lower OppFTR = better discipline
-  ) / 3;
-
-  const tolDefB = (
-    getZ(b, 'blk') +
-    getZ(b, 'def_efg', true) +
-    getZ(b, 'opp_ftr', true)
-  ) / 3;
-
-  const gapA = physOffA - tolDefB; // A's physical style vs B's tolerance
-  const gapB = physOffB - tolDefA; // B's physical style vs A's tolerance
-
-  // Choose the stronger directional signal, then half-mirror
-  if (Math.abs(gapA) >= Math.abs(gapB)) {
-    const base = halfMirroredAdjust(gapA);
-    if (!base) return;
-    if (gapA > 0) _applyToA(base, 'phys');  // A's physicality stresses B
-    else          _applyToB(base, 'phys');  // B's interior toughness wins
-  } else {
-    const base = halfMirroredAdjust(gapB);
-    if (!base) return;
-    if (gapB > 0) _applyToB(base, 'phys');
-    else          _applyToA(base, 'phys');
-  }
-}
-
-/* 8) Shot Quality / Shot Discipline */
-function interactionShotQuality(a, b) {
-  // Offensive shot quality: efficiency + geometry + clean interior looks
-  const sqA = (
-    getZ(a, 'efg') +          // overall shot efficiency
-    getZ(a, 'threepr') +      // 3P rate (spacing / geometry)
-    getZ(a, 'nb2')            // non-blocked 2s (clean paint looks)
-  ) / 3;
-
-  const sqB = (
-    getZ(b, 'efg') +
-    getZ(b, 'threepr') +
-    getZ(b, 'nb2')
-  ) / 3;
-
-  // Defensive shot discipline: suppress eFG and assisted, in-rhythm looks
-  const sdA = (
-    getZ(a, 'def_efg', true) +      // invert: lower Def eFG% = better
-    getZ(a, 'opp_ast_poss', true)   // invert: lower opp AST/poss = more disruption
-  ) / 2;
-
-  const sdB = (
-    getZ(b, 'def_efg', true) +
-    getZ(b, 'opp_ast_poss', true)
-  ) / 2;
-
-  const gapA = sqA - sdB; // A's shot diet vs B's ability to distort it
-  const gapB = sqB - sdA; // B's shot diet vs A's disruption
-
-  if (Math.abs(gapA) >= Math.abs(gapB)) {
-    const base = halfMirroredAdjust(gapA);
-    if (!base) return;
-    if (gapA > 0) _applyToA(base, 'shotq'); // A keeps its shot diet intact
-    else          _applyToB(base, 'shotq'); // B meaningfully distorts A
-  } else {
-    const base = halfMirroredAdjust(gapB);
-    if (!base) return;
-    if (gapB > 0) _applyToB(base, 'shotq');
-    else          _applyToA(base, 'shotq');
-  }
+function getSummaryGapKey(diff) {
+  const d = Math.abs(typeof diff === 'number' ? diff : 0);
+  if (d < 0.10) return 'tiny_gap';   // "Coin flip"
+  if (d < 0.25) return 'small_gap';  // "Slight lean"
+  if (d < 0.50) return 'medium_gap'; // "Clear lean"
+  return 'large_gap';                // "Strong favorite"
 }
 
-/* 9) Variance Sensitivity */
-function interactionVariance(a, b) {
-  // --- Helper: Turnover Fragility index (same logic as the mark, but numeric)
-  function getTurnoverFragility(team) {
-    // stability = good if -TO% high and EPR high
-    const stability = (-getZ(team, 'to') + getZ(team, 'epr')) / 2;
-    // fragility = inverse of stability
-    return -stability;
-  }
-
-  // --- Helper: small bonus for shot-volatility marks
-  function getVarianceMarkBonus(team) {
-    const marks = Array.isArray(team.profileMarks) ? team.profileMarks : [];
-    let bonus = 0;
+function renderSummary({ a, b, miA, miB, diff, predicted, interactions, round, seedMeta }) {
+  const table = document.getElementById('summaryTable');
+  if (!table) return;
 
-    if (marks.includes('Unstable Perimeter — Severe')) bonus += 0.10;
-    else if (marks.includes('Unstable Perimeter — Moderate')) bonus += 0.05;
+  const tbody = table.querySelector('tbody');
+  if (!tbody) return;
 
-    if (marks.includes('Cold Arc Team — Severe')) bonus += 0.10;
-    else if (marks.includes('Cold Arc Team — Moderate')) bonus += 0.05;
+  // ----- JSON wiring for labels + gap phrases -----
+  const copy        = window.MI_COPY || {};
+  const summaryCopy = copy.summary || {};
+  const tableLabels = summaryCopy.table_labels || {};
+  const phrases     = copy.summary_phrases || {};
 
-    return bonus;
-  }
+  const cTeamLabel = tableLabels.cinderella_label
+    || (copy.card && copy.card.cinderella_label)
+    || 'Cinderella';
 
-  // Variance Exposure Index (VEI): how volatile this team's style is
-  function getVEI(team) {
-    const threeVol   = getZ(team, 'threepr');        // high 3P rate → more variance
-    const lowFTR     = getZ(team, 'ftr', true);      // low FTR → fewer stabilizing FTs
-    const lowORB     = getZ(team, 'orb', true);      // low ORB → fewer extra chances
-    const toFrag     = getTurnoverFragility(team);   // bad TO/EPR mix → volatility
-    const markBonus  = getVarianceMarkBonus(team);   // add small boost for bad marks
+  const fTeamLabel = tableLabels.favorite_label
+    || (copy.card && copy.card.favorite_label)
+    || 'Favorite';
 
-    return (
-      0.40 * threeVol +
-      0.20 * lowFTR +
-      0.20 * lowORB +
-      0.20 * toFrag +
-      markBonus
-    );
-  }
+  const baselineLabel    = tableLabels.baseline_label    || 'Baseline MI';
+  const matchupLabel     = tableLabels.matchup_label     || 'Matchup MI';
+  const interactionLabel = tableLabels.interaction_label || 'Interaction Leverage';
+  const predictedLabel   = tableLabels.predicted_label   || 'Predicted Winner';
 
-  // Opponent Stabilization Index (OSI): how much this team suppresses volatility
-  function getOSI(team) {
-    const press     = getZ(team, 'otpp');          // forces TOs → punishes fragile styles
-    const dReb      = getZ(team, 'drb');           // strong DRB → removes 2nd-chance safety
-    const ftDisc    = getZ(team, 'opp_ftr', true); // invert: lower OppFTR = fewer free points
-    const perimDisc = getZ(team, 'opp_3pp', true); // invert: lower Opp3P% = stabilizes 3-happy foes
+  const neutralText = summaryCopy.neutral_matchup || 'Neutral matchup';
+  const towardWord  = summaryCopy.toward_phrase   || 'toward';
 
-    return (press + dReb + ftDisc + perimDisc) / 4;
-  }
+  // ----- Baseline vs matchup values (define BEFORE any narration logic) -----
+  const baseA = typeof a.mi_base === 'number' ? a.mi_base : computeMIBase(a);
+  const baseB = typeof b.mi_base === 'number' ? b.mi_base : computeMIBase(b);
+  const intA  = interactions?.a || 0;
+  const intB  = interactions?.b || 0;
 
-  const veiA = getVEI(a);
-  const veiB = getVEI(b);
-  const osiA = getOSI(a);
-  const osiB = getOSI(b);
+  const centerHeaderLabel = summaryCopy.matchup_header || 'Matchup Edge';
 
-  // "Risk exposure" for each side: how much their volatility is *exposed* by this opponent
-  const riskA = veiA - osiB;
-  const riskB = veiB - osiA;
+  // ----- Gap band (JSON) -----
+  const gapKey    = getSummaryGapKey(diff);
+  const gapCfg    = phrases[gapKey] || {};
+  const bandLabel = gapCfg.label || '';
+  const bandDesc  = gapCfg.description || '';
 
-  // We treat higher risk as a liability and award leverage to the more stable side
-  if (Math.abs(riskA) >= Math.abs(riskB)) {
-    const base = halfMirroredAdjust(riskA);
-    if (!base) return;
+  // ----- Build lean text (also feeds the hero HUD) -----
+  let leanText;
 
-    if (riskA > 0) {
-      // A's volatility is exposed by B → favors B
-      _applyToB(base, 'var');
-    } else if (riskA < 0) {
-      // B cannot meaningfully punish A's volatility → favors A (A effectively more stable here)
-      _applyToA(base, 'var');
+  if (diff === 0) {
+    if (bandLabel && bandDesc) {
+      leanText = bandLabel + ' — ' + bandDesc;
+    } else {
+      leanText = bandDesc || neutralText;
     }
   } else {
-    const base = halfMirroredAdjust(riskB);
-    if (!base) return;
-
-    if (riskB > 0) {
-      // B's volatility is exposed by A → favors A
-      _applyToA(base, 'var');
-    } else if (riskB < 0) {
-      // A cannot meaningfully punish B's volatility → favors B
-      _applyToB(base, 'var');
-    }
-  }
-}
-
-function computeInteractions(a, b) {
-  __INT = { a: 0, b: 0, breakdown: {} }; // reset
-
-  interaction3PT(a, b);
-  interactionFT(a, b);
-  interactionPaint(a, b);
-  interactionTO(a, b);
-  interactionGlass(a, b);
-  interactionResume(a, b);
-  interactionPhysicality(a, b);
-  interactionShotQuality(a, b);
-  interactionVariance(a, b);
-
-  return { a: __INT.a, b: __INT.b, breakdown: __INT.breakdown };
-}
-
-// ---------- Profile Marks (Diagnostic Only) ----------
-
-function computeProfileMarks(team) {
-  const marks = [];
-
-  // 1. Offensive Rigidity
-  const s2 = team.pct_pts_2 || 0;
-  const s3 = team.pct_pts_3 || 0;
-  const sft = team.pct_pts_ft || 0;
-  const primaryShare = Math.max(s2, s3, sft);
-  const primary = (primaryShare === s2) ? '2P' : (primaryShare === s3 ? '3P' : 'FT');
+    const winnerName = diff > 0 ? a.name : b.name;
 
-  let planBZs = [];
-  if (primaryShare >= 0.50) {
-    if (primary === '2P') {
-      planBZs.push(getZ(team, 'threepp'));
-      planBZs.push(getZ(team, 'ft_pct'));
-    } else if (primary === '3P') {
-      planBZs.push(getZ(team, 'nb2'));
-      planBZs.push(getZ(team, 'ft_pct'));
+    if (bandLabel && bandDesc) {
+      leanText = bandLabel + ' ' + towardWord + ' ' + winnerName + '. ' + bandDesc;
+    } else if (bandDesc) {
+      leanText = bandDesc + ' ' + towardWord + ' ' + winnerName + '.';
+    } else if (bandLabel) {
+      leanText = bandLabel + ' ' + towardWord + ' ' + winnerName;
     } else {
-      planBZs.push(getZ(team, 'nb2'));
-      planBZs.push(getZ(team, 'threepp'));
-    }
-    const planB = (planBZs[0] + planBZs[1]) / 2;
-    if (primaryShare >= 0.55 && planB <= -0.50) {
-      marks.push('Offensive Rigidity — Severe');
-    } else if (planB <= -0.25) {
-      marks.push('Offensive Rigidity — Moderate');
-    }
-  }
-
-  // 2. Unstable Perimeter Profile
-  if (team.threepr != null && team.threepp != null) {
-    const vol = team.threepr;
-    const acc = team.threepp;
-    const gap = Math.abs(vol - acc);
-    if (vol >= 0.40) {
-      if (gap >= 0.10) marks.push('Unstable Perimeter — Severe');
-      else if (gap >= 0.06) marks.push('Unstable Perimeter — Moderate');
+      const fallbackBand = getLeanBand(diff);
+      leanText = fallbackBand
+        ? (fallbackBand + ' ' + towardWord + ' ' + winnerName)
+        : (towardWord + ' ' + winnerName);
     }
   }
 
-  // 3. Cold Arc Team
-  if (FIELD_STATS.threepp && team.threepp != null) {
-    const z = getZ(team, 'threepp');
-    if (z < -0.67) marks.push('Cold Arc Team — Severe');
-    else if (z < 0 && z >= -0.67) marks.push('Cold Arc Team — Moderate');
-  }
-
-  // 4. Undisciplined Defense
-  if (FIELD_STATS.spp && FIELD_STATS.otpp && FIELD_STATS.opp_ftr && team.spp != null && team.otpp != null && team.opp_ftr != null) {
-    const pressure = getZ(team, 'spp') + getZ(team, 'otpp');
-    const discipline = -getZ(team, 'opp_ftr'); // higher OppFTR = worse discipline
-    const disorder = pressure - discipline;
-    if (disorder >= 1.00) marks.push('Undisciplined Defense — Severe');
-    else if (disorder >= 0.50) marks.push('Undisciplined Defense — Moderate');
-  }
-
-  // 5. Soft Interior
-  if (FIELD_STATS.def_efg && FIELD_STATS.blk && team.def_efg != null && team.blk != null) {
-    const resistance = (-getZ(team, 'def_efg') + getZ(team, 'blk')) / 2;
-    if (resistance < -0.75) marks.push('Soft Interior — Severe');
-    else if (resistance < -0.25) marks.push('Soft Interior — Moderate');
-  }
-
-  // 6. Perimeter Leakage
-  if (FIELD_STATS.opp_3pr && FIELD_STATS.opp_3pp && team.opp_3pr != null && team.opp_3pp != null) {
-    const exposure = getZ(team, 'opp_3pr') + getZ(team, 'opp_3pp');
-    if (exposure >= 1.00) marks.push('Perimeter Leakage — Severe');
-    else if (exposure >= 0.50) marks.push('Perimeter Leakage — Moderate');
-  }
+  // ----- Verdict → Confidence → Why → Risk (JSON-driven; NO hardcoded phrases) -----
+  const verdictCopy = summaryCopy.verdict || {}; // NEW namespace (we'll add to copy.json next)
 
-  // 7. Tempo Strain 
-  if (FIELD_STATS.tempo && FIELD_STATS.epr && FIELD_STATS.to &&
-      team.tempo != null && team.epr != null && team.to != null) {
+  // Optional labels (can be blank until JSON is added)
+  const confidenceLabelText = verdictCopy.confidence_label || tableLabels.confidence_label || '';
+  const driverLabelText     = verdictCopy.driver_label     || tableLabels.driver_label     || '';
+  const riskLabelText       = verdictCopy.risk_label       || tableLabels.risk_label       || '';
 
-    const zTempo = getZ(team, 'tempo');
-    const zEPR   = getZ(team, 'epr');
-    const zInvTO = getZ(team, 'to', true);
+  // Confidence label comes from summary_phrases band label (already JSON-driven)
+  const confidenceBand = (bandLabel || getLeanBand(diff) || '').trim();
 
-    const tempoExtremity = Math.abs(zTempo);
-    if (tempoExtremity < 0.80) {
-      // no mark
-    } else {
-      const si = (zEPR + zInvTO) / 2;
-      const vulnerability = Math.max(0, -si);
-
-      const tempoStrain = tempoExtremity * vulnerability;
-
-      if (tempoExtremity >= 1.20 &&
-          vulnerability >= 0.75 &&
-          tempoStrain   >= 0.90) {
-        marks.push('Tempo Strain — Severe');
-      } else if (tempoExtremity >= 0.80 &&
-                 vulnerability >= 0.40 &&
-                 tempoStrain   >= 0.40) {
-        marks.push('Tempo Strain — Moderate');
-      }
-    }
-  }
+  // Determine winner side
+  const winnerIsA = (predicted === a.name);
+  const winName   = winnerIsA ? a.name : b.name;
+  const loseName  = winnerIsA ? b.name : a.name;
 
-  // 8. Turnover Fragility
-  if (FIELD_STATS.to && FIELD_STATS.epr && team.to != null && team.epr != null) {
-    const stability = (-getZ(team, 'to') + getZ(team, 'epr')) / 2;
-    const frag = -stability;
-    if (frag >= 1.00) marks.push('Turnover Fragility — Severe');
-    else if (frag >= 0.50) marks.push('Turnover Fragility — Moderate');
-  }
+  // Interaction leverage (winner vs loser)
+  const winInt  = winnerIsA ? intA : intB;
+  const loseInt = winnerIsA ? intB : intA;
 
-  team.profileMarks = marks;
-}
+  // Thresholds: keep numeric logic in JS; wording lives in JSON
+  const INT_SOFT = typeof verdictCopy.int_soft_threshold === 'number'
+    ? verdictCopy.int_soft_threshold
+    : 0.20;
 
-// ---------- Full Team Layer Computation ----------
+  const intBalanced   = (Math.abs(winInt) <= INT_SOFT && Math.abs(loseInt) <= INT_SOFT);
+  const intReinforces = (winInt >  INT_SOFT && loseInt < -INT_SOFT);
+  const intResists    = (winInt < -INT_SOFT && loseInt >  INT_SOFT);
 
-function computeAllTeamLayers() {
-  Object.values(TEAMS).forEach(team => {
-    computeCoreForTeam(team);
-    computeBreadthForTeam(team);
-    computeResumeContextForTeam(team);
-    computeProfileMarks(team);
-  });
-}
+  // Helper: tiny template renderer with {{TOKENS}}
+  const renderTpl = (tpl, tokens) => {
+    if (!tpl) return '';
+    return String(tpl).replace(/\{\{(\w+)\}\}/g, (_, k) => {
+      return (tokens && tokens[k] != null) ? String(tokens[k]) : '';
+    });
+  };
 
-// ---------- CIS / FAS Static Identity Profiles (v4.0) ----------
+  // Decide "edge tier" (keys only; wording comes from JSON)
+  const absDiff = Math.abs(diff);
+  const edgeTier = (absDiff >= 4) ? 'heavy'
+                : (absDiff >= 2) ? 'solid'
+                : (absDiff >  0) ? 'slight'
+                : 'coin';
 
-// Small helper: count strong/weak cores from team.coreZ
-function getCoreFractions(team) {
-  const z = team.coreZ || {};
-  const keys = Object.keys(z);
-  if (!keys.length) {
-    return {
-      fStrong: 0,
-      fWeak: 0,
-      strongCount: 0,
-      weakCount: 0
-    };
+  // Decide driver case
+  let driverCase = '';
+  if (diff === 0) {
+    driverCase = intBalanced ? 'neutral_balanced' : 'neutral_swingy';
+  } else if (intBalanced) {
+    driverCase = 'edge_balanced';
+  } else if (intReinforces) {
+    driverCase = 'reinforces_winner';
+  } else if (intResists) {
+    driverCase = 'resists_winner';
+  } else {
+    // mixed
+    driverCase = (Math.abs(winInt) >= Math.abs(loseInt)) ? 'mixed_still_winner' : 'mixed_live_loser';
   }
 
-  let strongCount = 0;
-  let weakCount   = 0;
+  // Decide risk case (tier-aware + resistance-aware)
+  const riskCase = `${edgeTier}_${intResists ? 'resists' : 'default'}`;
 
-  keys.forEach(k => {
-    const val = z[k];
-    if (typeof val !== 'number') return;
-    if (val >= 0.80) strongCount++;
-    else if (val < 0.50) weakCount++;
-  });
+  // Pull templates from JSON (blank-safe)
+  const driverTpl = (verdictCopy.driver_templates && verdictCopy.driver_templates[driverCase]) || '';
+  const riskTpl   = (verdictCopy.risk_templates   && verdictCopy.risk_templates[riskCase])   || '';
 
-  const total = keys.length;
-  return {
-    fStrong: strongCount / total,
-    fWeak:   weakCount   / total,
-    strongCount,
-    weakCount
+  const tokens = {
+    WINNER: winName,
+    LOSER: loseName,
+    DIFF: fmt(diff, 3),
+    EDGE_TIER: edgeTier,
+    WIN_INT: fmt(winInt, 3),
+    LOSE_INT: fmt(loseInt, 3)
   };
-}
 
-// Compute CIS_static and FAS_static for every team once per CSV load
-function computeStaticIdentities() {
-  const teams = Object.values(TEAMS || {});
-  const n = teams.length;
-  if (!n) return;
+  const driverText = renderTpl(driverTpl, tokens);
+  const riskText   = renderTpl(riskTpl, tokens);
 
-  // 1) Make sure MI_base is populated and collect values
-  const miValues = [];
-  teams.forEach(t => {
-    if (typeof t.mi_base !== 'number') {
-      computeMIBase(t);
-    }
-    miValues.push(t.mi_base || 0);
-  });
+  // Support line remains the band description (already JSON-driven via summary_phrases)
+  let supportText = bandDesc || '';
+  if (supportText && leanText && leanText.includes(supportText)) {
+    supportText = '';
+  }
 
-  // 2) Performance percentile P via rank-percentile of MI_base
-  const sorted = [...teams].sort((a, b) => (a.mi_base || 0) - (b.mi_base || 0));
-  const perfMap = new Map();
-  sorted.forEach((t, idx) => {
-    // rank-percentile: lower MI_base = lower percentile
-    const P = (idx + 0.5) / n;
-    perfMap.set(t.name, P);
-  });
+  // ----- Hero HUD updates -----
+  const hudCName   = document.getElementById('hudCinderName');
+  const hudFName   = document.getElementById('hudFavoriteName');
+  const hudDelta   = document.getElementById('hudDeltaValue');
+  const hudLean    = document.getElementById('hudLeanText');
+  const hudCRating = document.getElementById('hudCinderRating');
+  const hudFRating = document.getElementById('hudFavoriteRating');
 
-  // 3) Compute raw CIS/FAS
-  let cisRawMax = 0;
-  let fasRawMax = 0;
+  if (hudCName)  hudCName.textContent  = a.name;
+  if (hudFName)  hudFName.textContent  = b.name;
+  if (hudDelta)  hudDelta.textContent  = `ΔMI ${fmt(diff, 3)}`;
+  if (hudLean)   hudLean.textContent   = leanText;
 
-  teams.forEach(team => {
-    const s = team.seed;
-    if (s == null) {
-      team.cis_raw = 0;
-      team.fas_raw = 0;
-      return;
-    }
+  const deriveRating = (team) => {
+    let rating = (typeof team.mi_rating === 'number') ? team.mi_rating : null;
 
-    const P = perfMap.get(team.name) ?? 0.5;
-    team.performancePercentile = P;
+    if (rating == null) {
+      const P = (typeof team.performancePercentile === 'number')
+        ? team.performancePercentile
+        : 0.5;
+      rating = Math.round(P * 100);
+    }
 
-  // 1–99 Madness Index Rating (cosmetic, based on MI_base percentile)
-  let rating = Math.round(P * 100);
-  if (rating < 1) rating = 1;
-  if (rating > 99) rating = 99;
-  team.mi_rating = rating;    
+    if (rating < 1) rating = 1;
+    if (rating > 99) rating = 99;
+    return rating;
+  };
 
-    const Sf = (17 - s) / 16; // favorite-side index
-    const Su = (s - 1) / 16;  // underdog-side index
+  const ratingA = deriveRating(a);
+  const ratingB = deriveRating(b);
 
-    const delta = P - Sf;
-    const deltaPlus = Math.max(0, delta); // for CIS
-    const APrime = 1 - Math.abs(delta);   // for FAS alignment
+  if (hudCRating) hudCRating.textContent = `MI ${ratingA.toString().padStart(2, '0')}`;
+  if (hudFRating) hudFRating.textContent = `MI ${ratingB.toString().padStart(2, '0')}`;
 
-    const { fStrong, fWeak, strongCount, weakCount } = getCoreFractions(team);
-    team.coreStrongCount = strongCount;
-    team.coreWeakCount   = weakCount;
-    team.coreStrongFrac  = fStrong;
-    team.coreWeakFrac    = fWeak;
+  // ----- Summary table headers -----
+  const headA = document.getElementById('summaryTeamAHeader');
+  const headB = document.getElementById('summaryTeamBHeader');
+  if (headA) headA.textContent = a.name;
+  if (headB) headB.textContent = b.name;
 
-    const bCoreCIS = Math.max(0, fStrong - 0.5 * fWeak);
-    const bCoreFAS = fStrong * (1 - fWeak);
+  // ----- Single clean matchup row using "mini cards" in each cell -----
+  tbody.innerHTML = `
+    <tr>
+      <!-- Team A summary -->
+      <td>
+        <div class="summary-block">
+          <div class="summary-team-label">${cTeamLabel}</div>
+          <div class="summary-team-name">${a.name}</div>
+          <div class="summary-mi-line summary-mi-secondary">${baselineLabel}: ${fmt(baseA, 3)}</div>
+          <div class="summary-mi-line summary-mi-primary">${matchupLabel}: ${fmt(miA, 3)}</div>
+          <div class="summary-int-line">
+            ${interactionLabel}: ${fmt(intA, 3)}
+          </div>
+        </div>
+      </td>
 
-    const R      = (typeof team.resumeR === 'number') ? team.resumeR : 0;
-    const Rplus  = 0.5 + R / 4;
+      <!-- Center ΔMI + prediction card -->
+      <td>
+        <div class="summary-block summary-lean">
+          <div class="summary-delta-label">${centerHeaderLabel}</div>
+          <div class="summary-delta-value">ΔMI: ${fmt(diff, 3)}</div>
 
-    const xCIS = 0.60 * deltaPlus +
-                 0.25 * bCoreCIS +
-                 0.15 * Rplus;
+          <div class="summary-pred-line">
+            ${predictedLabel}: <strong>${predicted}</strong>
+          </div>
 
-    const xFAS = 0.50 * APrime +
-                 0.30 * bCoreFAS +
-                 0.20 * Rplus;
+          ${confidenceBand ? `
+            <div class="summary-confidence-line">
+              ${confidenceLabelText ? `<span class="summary-mini-label">${confidenceLabelText}</span>` : ''}
+              <span class="summary-confidence-pill">${confidenceBand}</span>
+            </div>
+          ` : ''}
 
-    const cisRaw = Su * xCIS;
-    const fasRaw = Sf * xFAS;
+          ${driverText ? `
+            <div class="summary-driver-line">
+              ${driverLabelText ? `<span class="summary-mini-label">${driverLabelText}</span>` : ''}
+              <span class="summary-driver-text">${driverText}</span>
+            </div>
+          ` : ''}
 
-    team.cis_raw = cisRaw;
-    team.fas_raw = fasRaw;
+          ${riskText ? `
+            <div class="summary-risk-line">
+              ${riskLabelText ? `<span class="summary-mini-label">${riskLabelText}</span>` : ''}
+              <span class="summary-risk-text">${riskText}</span>
+            </div>
+          ` : ''}
 
-    if (cisRaw > cisRawMax) cisRawMax = cisRaw;
-    if (fasRaw > fasRawMax) fasRawMax = fasRaw;
-  });
+          <div class="summary-lean-text">
+            ${leanText}
+          </div>
 
-  // 4) Normalize to 0–100 static scores
-  const EPS = 1e-6;
-  teams.forEach(team => {
-    const cisRaw = team.cis_raw || 0;
-    const fasRaw = team.fas_raw || 0;
+          ${supportText ? `
+            <div class="summary-support-line">${supportText}</div>
+          ` : ''}
+        </div>
+      </td>
 
-    const cis = (cisRawMax > EPS && cisRaw > 0)
-      ? (cisRaw / cisRawMax) * 100
-      : 0;
+      <!-- Team B summary -->
+      <td>
+        <div class="summary-block">
+          <div class="summary-team-label">${fTeamLabel}</div>
+          <div class="summary-team-name">${b.name}</div>
+          <div class="summary-mi-line summary-mi-secondary">${baselineLabel}: ${fmt(baseB, 3)}</div>
+          <div class="summary-mi-line summary-mi-primary">${matchupLabel}: ${fmt(miB, 3)}</div>
+          <div class="summary-int-line">
+            ${interactionLabel}: ${fmt(intB, 3)}
+          </div>
+        </div>
+      </td>
+    </tr>
+  `;
 
-    const fas = (fasRawMax > EPS && fasRaw > 0)
-      ? (fasRaw / fasRawMax) * 100
-      : 0;
+  // ----- Round pill -----
+  const roundSpan = document.getElementById('currentRoundLabel');
+  if (roundSpan) {
+    roundSpan.textContent = getRoundLabelFromCode(round || CURRENT_ROUND);
+  }
 
-    team.cisStatic = cis;
-    team.fasStatic = fas;
-  });
-}
+  // Legacy spans (safe no-ops if not present)
+  const miASpan  = document.getElementById('miA');
+  const miBSpan  = document.getElementById('miB');
+  const predSpan = document.getElementById('predictedWinner');
 
-// ---------- Baseline Madness Index (MI_base) ----------
-function computeMIBase(team) {
-  const mibs      = (typeof team.mibs === 'number') ? team.mibs : 0;
-  const breadth   = (typeof team.breadth === 'number') ? team.breadth : 0;
-  const resumeAdj = (typeof team.resumeR === 'number') ? team.resumeR : 0;
+  if (miASpan)  miASpan.textContent  = miA.toFixed(3);
+  if (miBSpan)  miBSpan.textContent  = miB.toFixed(3);
+  if (predSpan) predSpan.textContent = predicted;
 
-  const miBase = mibs + breadth + resumeAdj;
+  const summarySection = document.getElementById('summarySection');
+  if (summarySection) {
+    summarySection.classList.add('visible');
+  }
 
-  team.mi_base = miBase;  // keep on the object for UI / downstream use
-  return miBase;
-}
+  // ----- Seed / bracket compatibility note -----
+  const seedNoteEl = document.getElementById('summarySeedNote');
+  if (seedNoteEl && seedMeta && typeof a.seed === 'number' && typeof b.seed === 'number') {
+    const { seedA, seedB, possible, isAllowed, earliest, regionAware, regionA, regionB } = seedMeta;
 
-// Scale interaction leverage by résumé quality.
-// Stronger résumés "cash in" more of their matchup leverage.
-function getResumeInteractionFactor(team) {
-  const tier = team.resumeRTier || 'Average';
+    const friendlyRounds = possible.map(getRoundLabelFromCode);
+    const currentLabel   = getRoundLabelFromCode(round || CURRENT_ROUND);
+    const earliestLabel  = earliest ? getRoundLabelFromCode(earliest) : null;
+    const pairLabel      = regionAware
+      ? describeSeedPair(seedA, seedB, regionA, regionB)
+      : describeSeedPair(seedA, seedB);
 
-  switch (tier) {
-    case 'Elite':
-      return 1.00;
-    case 'Strong':
-      return 0.95;
-    case 'Above Average':
-      return 0.90;
-    case 'Average':
-      return 0.85;
-    case 'Weak':
-      return 0.70;
-    case 'Fragile':
-      return 0.50;
-    default:
-      return 0.85; // treat unknown as roughly Average
+    if (!possible.length) {
+      seedNoteEl.textContent = '';
+    } else if (isAllowed) {
+      seedNoteEl.textContent =
+        `Bracket note: As ${pairLabel}, these teams ` +
+        `can meet in ${friendlyRounds.join(', ')}. ` +
+        `${currentLabel} is a valid meeting round.`;
+    } else {
+      seedNoteEl.textContent =
+        `Bracket note: As ${pairLabel}, these teams ` +
+        `can meet in ${friendlyRounds.join(', ')}. ` +
+        `${currentLabel} is *not* a valid meeting round in a standard 64-team bracket.`;
+    }
   }
 }
 
-// ---------- Matchup Madness Index (MI_matchup) ----------
+function renderInteractionsTable(result) {
+  const table = document.getElementById('interactionsTable');
+  const totalsBar = document.getElementById('interactionTotalsBar');
+  if (!table) return;
 
-function computeFinalMI(team, interactionAdj) {
-  // Safeguard: ensure MI_base exists
-  const base = (typeof team.mi_base === 'number')
-    ? team.mi_base
-    : computeMIBase(team);
+  // ==== Full canonical interaction list (ALWAYS displayed) ====
+  const ORDER = [
+    '3pt', 'ft', 'paint', 'to', 'glass', 'resume', 'phys', 'shotq', 'var'
+  ];
 
-  // Raw interaction total from the interaction engine
-  const intRaw = (typeof interactionAdj === 'number') ? interactionAdj : 0;
+  const LABEL = {
+    '3pt':   '3PT Tension',
+    'ft':    'FT Pressure',
+    'paint': 'Paint Tension',
+    'to':    'Turnover Pressure',
+    'glass': 'Glass Tension',
+    'resume':'Résumé Pressure',
+    'phys':  'Physicality Tolerance',
+    'shotq': 'Shot Discipline',
+    'var':   'Variance Sensitivity',
+  };
 
-  // Scale by résumé quality
-  const rFactor = getResumeInteractionFactor(team);
-  const intAdj  = intRaw * rFactor;
+  const intensityLabel = (val) => {
+    const x = Math.abs(val);
+    if (x >= 0.50) return 'Major';
+    if (x >= 0.25) return 'Moderate';
+    return 'Minor';
+  };
 
-  const mi_matchup = base + intAdj;
+  // ===== Team names (robust fallback) =====
+  const aName = result?.a?.name || result?.teamA?.name || result?.a?.team || "Team A";
+  const bName = result?.b?.name || result?.teamB?.name || result?.b?.team || "Team B";
 
-  // Optional: store for debugging / Explain Mode
-  team.mi_matchup   = mi_matchup;
-  team.mi_int_raw   = intRaw;   // pre-scaling leverage
-  team.mi_int       = intAdj;   // effective leverage after résumé scaling
-  team.mi_int_rFact = rFactor;  // which factor was applied
+  // ===== Update table headers =====
+  const adjAHeader = document.getElementById("adjAHeader");
+  const adjBHeader = document.getElementById("adjBHeader");
+  if (adjAHeader) adjAHeader.textContent = `Adj to ${aName}`;
+  if (adjBHeader) adjBHeader.textContent = `Adj to ${bName}`;
 
-  return mi_matchup;
-}
+  const breakdown = result.interactions?.breakdown || {};
+  const channels = result.interactions?.channels || [];
+  const traceByKey = {};
+  channels.forEach(ch => {
+    traceByKey[ch.tag] = ch;
+    // Profile-defined channels beyond the canonical nine get their own rows
+    if (!ORDER.includes(ch.tag)) {
+      ORDER.push(ch.tag);
+      LABEL[ch.tag] = ch.label;
+    }
+  });
 
-function getTeamByName(name) {
-  return TEAMS[name] || null;
-}
+  const tbody = table.querySelector("tbody");
+  tbody.innerHTML = "";
 
-function compareTeams(teamAName, teamBName, roleMode = 'auto') {
-  const a = getTeamByName(teamAName);
-  const b = getTeamByName(teamBName);
+  // ===== Always render ALL interactions =====
+  ORDER.forEach((key, i) => {
+    const raw = breakdown[key];   // may be undefined, numeric, or object
+    let aAdj = 0, bAdj = 0, edgeText = 'EVEN';
 
-  if (!a || !b) {
-    console.error('Invalid team selection:', teamAName, teamBName);
-    return;
-  }
+    if (typeof raw === 'number') {
+      aAdj = raw;
+      bAdj = -raw;
+      if (raw > 0) edgeText = `FAVORS ${aName}`;
+      else if (raw < 0) edgeText = `FAVORS ${bName}`;
+    }
+    else if (raw && typeof raw === 'object') {
+      aAdj = raw.aAdj ?? 0;
+      bAdj = raw.bAdj ?? 0;
+      edgeText = raw.edge || 'EVEN';
+    }
 
-  const interactions = computeInteractions(a, b);
+    const intensity = intensityLabel(aAdj);
 
-  const activeRound = CURRENT_ROUND;  // e.g. "R64", "S16", etc.
-  const seedMeta    = getSeedRoundMeta(a.seed, b.seed, activeRound);
+    let pillClass = 'int-edge-even';
+    if (aAdj > 0) pillClass = 'int-edge-A';
+    if (aAdj < 0) pillClass = 'int-edge-B';
 
-  const miA = computeFinalMI(a, interactions.a);
-  const miB = computeFinalMI(b, interactions.b);
+    const rowClass = i % 2 === 0 ? "int-row-even" : "int-row-odd";
 
-  const diff      = miA - miB;
-  const predicted = diff > 0 ? a.name : (diff < 0 ? b.name : 'Push');
+    const trace = traceByKey[key];
 
-  const result = {
-    a,
-    b,
-    miA,
-    miB,
-    diff,
-    predicted,
-    interactions,
-    round: activeRound,
-    seedMeta,
-  };
+    // Same decision under the inactive scoring mode (stepped ↔ continuous)
+    let altA = '', altB = '';
+    if (trace) {
+      const altIsStepped = trace.mode === 'continuous';
+      const alt = altIsStepped ? trace.steppedValue : trace.continuousValue;
+      const altLabel = altIsStepped ? 'stepped' : 'smooth';
+      altA = `<span class="int-adj-alt">${altLabel} ${fmt(alt, 3)}</span>`;
+      altB = `<span class="int-adj-alt">${altLabel} ${fmt(-alt, 3)}</span>`;
+    }
 
-  window.LAST_RESULT = result;
+    const toggle = trace
+      ? `<button type="button" class="int-trace-toggle" data-trace-key="${key}" aria-expanded="false" title="Show decision trace">▸</button>`
+      : '';
 
-  renderTeamCards(result);
-  renderProfileMarks(a, "inlineMarksA");
-  renderProfileMarks(b, "inlineMarksB");
-  renderInteractionsTable(result);
-  renderInteractionsConsole(result);
-  renderSummary(result);
-  updateMatchupBarFromDOM();
-  updateCoreBacksForResult(result);
-  updateBreadthBacksForResult(result);
-  updateResumeBacksForResult(result);
-  updateMarksBacksForResult(result);
-  updateFormulaBacksForResult(result);
-  updateIdentityBacksForResult(result);
+    tbody.innerHTML += `
+      <tr class="${rowClass}" data-int-key="${key}">
+        <td class="int-name">${toggle}${LABEL[key]}</td>
+        <td class="int-edge"><span class="int-edge-pill ${pillClass}">${edgeText}</span></td>
+        <td class="col-intensity">${intensity}</td>
+        <td class="int-adj ${aAdj >= 0 ? 'pos' : 'neg'}">${fmt(aAdj, 3)}${altA}</td>
+        <td class="int-adj ${bAdj >= 0 ? 'pos' : 'neg'}">${fmt(bAdj, 3)}${altB}</td>
+      </tr>
+      ${trace ? buildInteractionTraceRowHTML(trace, aName, bName) : ''}
+    `;
+  });
 
-  // New: pull copy.json from the global and feed it into the MI back-of-card builder
-  const copy = window.MI_COPY;
-  if (copy) {
-    updateMadnessBacksForResult(result, window.MI_COPY, roleMode);
-  }
+  // ===== Totals Bar =====
+  const totalA = result.interactions?.a || 0;
+  const totalB = result.interactions?.b || 0;
 
-  console.log(result);
-  return result;
-}
+  // Net A-side leverage under both scoring modes
+  const modeTotals = result.interactions?.totals;
+  const altTotals = modeTotals
+    ? `<div class="totals-modes">Stepped ${fmt(modeTotals.stepped, 3)} · Continuous ${fmt(modeTotals.continuous, 3)}
+        <span>(${aName} net, active: ${result.interactions.mode})</span></div>`
+    : '';
 
-// ---------- DOM Hooks ----------
+  if (totalsBar) {
+    const favored =
+      totalA > totalB ? aName :
+      totalB > totalA ? bName :
+      'EVEN';
 
-function populateTeamDropdowns() {
-  const selectA =
-    document.getElementById('teamA') ||
-    document.getElementById('teamASelect') ||
-    document.getElementById('cindTeamSelect');
-  const selectB =
-    document.getElementById('teamB') ||
-    document.getElementById('teamBSelect') ||
-    document.getElementById('favTeamSelect');
+    totalsBar.innerHTML = `
+      <div class="totals-left">
+        <div class="totals-title">Total Interaction Leverage</div>
+        <div class="totals-favored">FAVORS <span>${favored}</span></div>
+      </div>
+      <div class="totals-right">
+        <div class="totals-val ${totalA >= 0 ? 'pos' : 'neg'}">${fmt(totalA, 3)}</div>
+        <div class="totals-sep">/</div>
+        <div class="totals-val ${totalB >= 0 ? 'pos' : 'neg'}">${fmt(totalB, 3)}</div>
+      </div>
+      ${altTotals}
+    `;
+  }
+}
 
-  if (!selectA || !selectB) return;
+// buildInteractionTraceRowHTML(trace, aName, bName) Hidden detail row under an interaction: blends, both gaps, chosen side + why, ladder step and distance to the next/previous step.
+function buildInteractionTraceRowHTML(trace, aName, bName) {
+  const signed = (x) => (typeof x === 'number' ? `${x >= 0 ? '+' : ''}${x.toFixed(2)}` : '—');
+  const band = trace.band || {};
 
-  selectA.innerHTML = '<option value="" disabled selected>Select Team A</option>';
-  selectB.innerHTML = '<option value="" disabled selected>Select Team B</option>';
+  const blends = trace.orientation === 'relative'
+    ? `<div><span class="int-trace-k">Index</span> ${aName} ${signed(trace.offA)} · ${bName} ${signed(trace.offB)}</div>`
+    : `<div><span class="int-trace-k">Offense blend</span> ${aName} ${signed(trace.offA)} · ${bName} ${signed(trace.offB)}</div>
+        <div><span class="int-trace-k">Defense blend</span> ${aName} ${signed(trace.defA)} · ${bName} ${signed(trace.defB)}</div>
+        <div><span class="int-trace-k">Gaps</span> ${aName}→${bName} ${signed(trace.gapA)} · ${bName}→${aName} ${signed(trace.gapB)}</div>`;
 
-  TEAM_LIST.sort().forEach(name => {
-    const optA = document.createElement('option');
-    optA.value = name;
-    optA.textContent = name;
-    selectA.appendChild(optA);
+  const step = band.adj
+    ? `≥ ${fmt(band.min, 2)} → ${fmt(band.adj, 2)}`
+    : `below ${fmt(band.next ?? 0, 2)} → 0`;
 
-    const optB = document.createElement('option');
-    optB.value = name;
-    optB.textContent = name;
-    selectB.appendChild(optB);
-  });
+  const margins = [];
+  if (trace.aboveStep !== null && trace.aboveStep !== undefined) margins.push(`${fmt(trace.aboveStep, 2)} above this step`);
+  if (trace.toNextStep !== null && trace.toNextStep !== undefined) margins.push(`${fmt(trace.toNextStep, 2)} short of ${fmt(band.next, 2)}`);
 
-  let lastTeamsOk = false;
+  const scoring = `stepped ${signed(trace.steppedValue)} · continuous ${signed(trace.continuousValue)} (active: ${trace.mode}; + favors ${aName})`;
 
-  const onTeamChange = () => {
-    updateRoundOptionsForCurrentSeeds();
-    updateInteractionHeadersFromSelections();
-    updatePreMatchupHubProgress();
-    refreshCompareButtonState();
+  return `
+      <tr class="int-trace-row" data-trace-for="${trace.tag}" hidden>
+        <td colspan="5">
+          <div class="int-trace">
+            ${blends}
+            <div><span class="int-trace-k">Step</span> |gap| ${fmt(Math.abs(trace.gap), 2)} ${step}${margins.length ? ` (${margins.join('; ')})` : ''}</div>
+            <div><span class="int-trace-k">Scoring</span> ${scoring}</div>
+            <div class="int-trace-reason">${trace.reason}</div>
+          </div>
+        </td>
+      </tr>`;
+}
 
-  const teamsOk = getSelectedTeams().ok;
-  const roundReady = isRoundSelected();
+// toggleInteractionTrace(key) Shows / hides the trace row under one interaction
+function toggleInteractionTrace(key) {
+  const table = document.getElementById('interactionsTable');
+  if (!table || !key) return;
 
-  if (!lastTeamsOk && teamsOk && !roundReady && !MI_ROUND_TOUCHED && !MI_ROUND_NUDGE_SHOWN) {
-    MI_ROUND_NUDGE_SHOWN = true;
-    nudgeRoundSelector();
-  }
+  const row = table.querySelector(`tr.int-trace-row[data-trace-for="${key}"]`);
+  const btn = table.querySelector(`.int-trace-toggle[data-trace-key="${key}"]`);
+  if (!row) return;
 
-  lastTeamsOk = teamsOk;
-};
+  row.hidden = !row.hidden;
+  if (btn) {
+    btn.setAttribute('aria-expanded', String(!row.hidden));
+    btn.textContent = row.hidden ? '▸' : '▾';
+  }
+}
 
-  selectA.addEventListener('change', onTeamChange);
-  selectB.addEventListener('change', onTeamChange);
+/* ==========================================================================
+   Interaction Console (v3.5) — Wiring + Selection + Sync
+   Depends on:
+   - #interactionConsoleBody (HTML)
+   - #interactionsTable (HTML)
+   - window.MI_COPY.interactions_console (copy.json)
+   ========================================================================== */
 
-  updatePreMatchupHubProgress();
-  updateRoundOptionsForCurrentSeeds();
-  refreshCompareButtonState();
-}
+const INT_CONSOLE_KEYMAP = {
+  '3pt':   'three_pt_tension',
+  'ft':    'ft_pressure',
+  'paint': 'paint_tension',
+  'to':    'turnover_pressure',
+  'glass': 'glass_tension',
+  'resume':'resume_pressure',
+  'phys':  'physicality_tolerance',
+  'shotq': 'shot_discipline',
+  'var':   'variance_sensitivity'
+};
 
-function getRoundLabelFromCode(code) {
-  switch (code) {
-    case "R64":   return "Round of 64";
-    case "R32":   return "Round of 32";
-    case "S16":   return "Sweet Sixteen";
-    case "E8":    return "Elite Eight";
-    case "F4":    return "Final Four";
-    case "Champ": return "Championship";
-    default:      return "Select Round";
+function miHash32(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
   }
+  return h >>> 0;
 }
 
-// ---------- Identity Role Resolver (Favorite / Cinderella / Neutral) ----------
-
-function getIdentityRoleForGame(team, opponent, roundCode) {
-  if (!team || !opponent) return 'NEUTRAL';
-
-  const s    = team.seed;
-  const sOpp = opponent.seed;
-
-  if (s == null || sOpp == null) return 'NEUTRAL';
+function miStrength(absAdj) {
+  if (absAdj >= 0.50) return 'major';
+  if (absAdj >= 0.25) return 'moderate';
+  if (absAdj >  0.00) return 'thin';
+  return 'none';
+}
 
-  const a = Math.min(s, sOpp);
-  const b = Math.max(s, sOpp);
-  const pairKey = `${a}-${b}`;
-  const round = roundCode || CURRENT_ROUND || "R64";
+function miCaseFor(adj, eps = 1e-9) {
+  if (Math.abs(adj) <= eps) return 'even';
+  return adj > 0 ? 'a_adv' : 'b_adv';
+}
 
-  // 1) Round of 64 absolute rules for canonical pairs
-  if (round === "R64") {
-    switch (pairKey) {
-      case "1-16":
-      case "2-15":
-      case "3-14":
-      case "4-13":
-      case "5-12":
-        return (s === a) ? "FAVORITE" : "CINDERELLA";
+function miFillTeamTokens(text, aName, bName, tokenA = "{{TEAM_A}}", tokenB = "{{TEAM_B}}") {
+  if (!text) return "";
+  return String(text)
+    .split(tokenA).join(aName)
+    .split(tokenB).join(bName);
+}
 
-      case "6-11":
-        if (s === 6)  return "FAVORITE";
-        if (s === 11) return "CINDERELLA";
-        return "NEUTRAL";
+function miPickPool({ seedBase, rerunIndex, hasAlt }) {
+  // stable flip only on rerun; if no alt, always primary
+  if (!hasAlt) return 'primary';
+  const h = miHash32(seedBase);
+  const preferAlt = ((h + (rerunIndex || 0)) % 2) === 1;
+  return preferAlt ? 'alt' : 'primary';
+}
 
-      case "7-10":
-        if (s === 7)  return "FAVORITE";
-        if (s === 10) return "CINDERELLA";
-        return "NEUTRAL";
+function miPickLine(lines, seedBase, rerunIndex, salt) {
+  if (!Array.isArray(lines) || lines.length === 0) return "";
+  const h = miHash32(seedBase + "::" + salt);
+  const idx = (h + (rerunIndex || 0)) % lines.length;
+  return lines[idx];
+}
 
-      case "8-9":
-        // 8–9 R64 is explicitly neutral in the identity layer
-        return "NEUTRAL";
+function miPairsToRender({ card, isTopDriver, defaults }) {
+  let pairs = Number(defaults?.pair_count_default ?? 1);
 
-      default:
-        // Non-canonical R64 matchup → fall through to general rules
-        break;
-    }
+  if (isTopDriver) {
+    pairs = Math.max(pairs, Number(defaults?.pair_count_if_top_driver ?? 2));
   }
 
-  // 2) General rules for non-R64 or custom matchups
-  if (s === sOpp) {
-    // Same seed -> treat as neutral for identity purposes
-    return "NEUTRAL";
-  }
+  const threshold = String(defaults?.pair_count_if_strength_at_least ?? 'moderate').toLowerCase();
+  const s = miStrength(Math.abs(card.adj));
 
-  const lowerSeed  = (s < sOpp) ? s    : sOpp;
-  const higherSeed = (s < sOpp) ? sOpp : s;
+  const meetsThreshold =
+    threshold === 'minor' ||
+    (threshold === 'moderate' && (s === 'moderate' || s === 'major')) ||
+    (threshold === 'major' && s === 'major');
 
-  const teamIsFavorite = (s === lowerSeed);
-  const deepRound =
-    round === "S16" ||
-    round === "E8"  ||
-    round === "F4"  ||
-    round === "C"   || round === "Champ";
+  if (meetsThreshold) pairs = Math.max(pairs, 2);
 
-  if (teamIsFavorite) {
-    // Lower seed → default favorite identity
-    return "FAVORITE";
-  } else {
-    // Team is the underdog
-    if (s >= 7) {
-      // Classic Cinderella territory (7+)
-      return "CINDERELLA";
-    }
-    if (s === 6 && deepRound) {
-      // Pivot seed becomes Cinderella only in deeper rounds vs stronger seeds
-      return "CINDERELLA";
-    }
-    // Otherwise just underdog without strong Cinderella identity
-    return "NEUTRAL";
-  }
-}
+  // Even interactions: keep them single-line unless they’re also a true driver
+  if (card.case === 'even' && !(isTopDriver && s !== 'none')) pairs = 1;
 
-// ---------- Lean band helper (for ΔMI) ----------
-function getLeanBand(diff) {
-  const d = Math.abs(diff);
-  if (d < 0.10) return 'Toss-Up';
-  if (d < 0.25) return 'Very Slight Lean';
-  if (d < 0.50) return 'Lean';
-  if (d < 0.80) return 'Strong Lean';
-  return 'Heavy Lean';
+  return Math.max(1, Math.min(2, pairs));
 }
 
-function getSummaryGapKey(diff) {
-  const d = Math.abs(typeof diff === 'number' ? diff : 0);
-  if (d < 0.10) return 'tiny_gap';   // "Coin flip"
-  if (d < 0.25) return 'small_gap';  // "Slight lean"
-  if (d < 0.50) return 'medium_gap'; // "Clear lean"
-  return 'large_gap';                // "Strong favorite"
-}
+/**
+ * Interaction Console (right tile)
+ * Renders ALL 9 interaction channels in a fixed order.
+ * - No "TOP" chips.
+ * - Safe fallbacks if a channel is missing narrative text (prevents blank cards like PHYS).
+ */
+function renderInteractionsConsole(result) {
+  const host = document.getElementById('interactionConsoleBody');
+  if (!host) return;
 
-function renderSummary({ a, b, miA, miB, diff, predicted, interactions, round, seedMeta }) {
-  const table = document.getElementById('summaryTable');
-  if (!table) return;
+  // Your interactions object is keyed directly (threept, ft, paint, tov, glass, resume, phys, shotq, var)
+  const breakdown = result?.interactions?.breakdown || null;
 
-  const tbody = table.querySelector('tbody');
-  if (!tbody) return;
+    // Pre-matchup / missing data
+    if (!breakdown) {
+    host.innerHTML = `
+      <div class="int-console-card is-placeholder">
+        <div class="int-console-label">Ready</div>
+        <div class="int-console-text">
+          Run a matchup to populate these interaction descriptions.
+        </div>
+      </div>
+    `;
+    return;
+  }
 
-  // ----- JSON wiring for labels + gap phrases -----
-  const copy        = window.MI_COPY || {};
-  const summaryCopy = copy.summary || {};
-  const tableLabels = summaryCopy.table_labels || {};
-  const phrases     = copy.summary_phrases || {};
+  // Map JS interaction keys -> MI_COPY interactions_console channel keys
+  const KEYMAP = {
+    threept: "three_pt_tension",
+    ft: "ft_pressure",
+    paint: "paint_tension",
+    tov: "turnover_pressure",
+    glass: "glass_tension",
+    resume: "resume_pressure",
+    phys: "physicality_tolerance",
+    shotq: "shot_discipline",
+    var: "variance_sensitivity",
+  };
 
-  const cTeamLabel = tableLabels.cinderella_label
-    || (copy.card && copy.card.cinderella_label)
-    || 'Cinderella';
+  // Console keys -> breakdown keys (must match interactions table)
+  const BREAKDOWN_KEY = {
+    threept: "3pt",
+    ft: "ft",
+    paint: "paint",
+    tov: "to",
+    glass: "glass",
+    resume: "resume",
+    phys: "phys",
+    shotq: "shotq",
+    var: "var",
+  };
 
-  const fTeamLabel = tableLabels.favorite_label
-    || (copy.card && copy.card.favorite_label)
-    || 'Favorite';
+  const ORDER = [
+    { key: "threept", fallbackLabel: "3PT Tension" },
+    { key: "ft", fallbackLabel: "FT Pressure" },
+    { key: "paint", fallbackLabel: "Paint Tension" },
+    { key: "tov", fallbackLabel: "Turnover Pressure" },
+    { key: "glass", fallbackLabel: "Glass Tension" },
+    { key: "resume", fallbackLabel: "Résumé Pressure" },
+    { key: "phys", fallbackLabel: "Physicality Tolerance" },
+    { key: "shotq", fallbackLabel: "Shot Discipline" },
+    { key: "var", fallbackLabel: "Variance Sensitivity" },
+  ];
 
-  const baselineLabel    = tableLabels.baseline_label    || 'Baseline MI';
-  const matchupLabel     = tableLabels.matchup_label     || 'Matchup MI';
-  const interactionLabel = tableLabels.interaction_label || 'Interaction Leverage';
-  const predictedLabel   = tableLabels.predicted_label   || 'Predicted Winner';
+  const copyRoot = window.MI_COPY && window.MI_COPY.interactions_console ? window.MI_COPY.interactions_console : null;
 
-  const neutralText = summaryCopy.neutral_matchup || 'Neutral matchup';
-  const towardWord  = summaryCopy.toward_phrase   || 'toward';
+  // helper: random pick from array
+  const pick = (arr) => (Array.isArray(arr) && arr.length ? arr[Math.floor(Math.random() * arr.length)] : "");
 
-  // ----- Baseline vs matchup values (define BEFORE any narration logic) -----
-  const baseA = typeof a.mi_base === 'number' ? a.mi_base : computeMIBase(a);
-  const baseB = typeof b.mi_base === 'number' ? b.mi_base : computeMIBase(b);
-  const intA  = interactions?.a || 0;
-  const intB  = interactions?.b || 0;
+  host.innerHTML = "";
 
-  const centerHeaderLabel = summaryCopy.matchup_header || 'Matchup Edge';
+  ORDER.forEach(({ key, fallbackLabel }) => {
+    // Always render the card, even if a channel is missing (prevents “only 5 show up” confusion)
+    const longKey = KEYMAP[key];
+    const copyCh = copyRoot && copyRoot.channels ? copyRoot.channels[longKey] : null;
 
-  // ----- Gap band (JSON) -----
-  const gapKey    = getSummaryGapKey(diff);
-  const gapCfg    = phrases[gapKey] || {};
-  const bandLabel = gapCfg.label || '';
-  const bandDesc  = gapCfg.description || '';
+    // Title: prefer JSON label, else fallback
+    const title = (copyCh && copyCh.label) ? copyCh.label : fallbackLabel;
 
-  // ----- Build lean text (also feeds the hero HUD) -----
-  let leanText;
+    // Pull the interaction adjustment from the SAME source as the table
+    const bKey = BREAKDOWN_KEY[key];
+    const raw = breakdown?.[bKey];
 
-  if (diff === 0) {
-    if (bandLabel && bandDesc) {
-      leanText = bandLabel + ' — ' + bandDesc;
-    } else {
-      leanText = bandDesc || neutralText;
-    }
-  } else {
-    const winnerName = diff > 0 ? a.name : b.name;
+    // Determine case from adjustment (fallback to even)
+    let aAdj = 0;
+    if (typeof raw === "number") aAdj = raw;
+    else if (raw && typeof raw === "object") aAdj = Number(raw.aAdj ?? 0);
 
-    if (bandLabel && bandDesc) {
-      leanText = bandLabel + ' ' + towardWord + ' ' + winnerName + '. ' + bandDesc;
-    } else if (bandDesc) {
-      leanText = bandDesc + ' ' + towardWord + ' ' + winnerName + '.';
-    } else if (bandLabel) {
-      leanText = bandLabel + ' ' + towardWord + ' ' + winnerName;
-    } else {
-      const fallbackBand = getLeanBand(diff);
-      leanText = fallbackBand
-        ? (fallbackBand + ' ' + towardWord + ' ' + winnerName)
-        : (towardWord + ' ' + winnerName);
-    }
-  }
+    // Determine edge from the same sign logic the pill uses
+    const edge =
+      aAdj > 0 ? "A" :
+      aAdj < 0 ? "B" :
+      "EVEN";
 
-  // ----- Verdict → Confidence → Why → Risk (JSON-driven; NO hardcoded phrases) -----
-  const verdictCopy = summaryCopy.verdict || {}; // NEW namespace (we'll add to copy.json next)
+    // Console case must match the pill edge (prevents inverted miCaseFor behavior)
+    const resolvedCaseKey =
+      edge === "A" ? "a_adv" :
+      edge === "B" ? "b_adv" :
+      "even";
+
+    // Pull sentence pools from JSON (supports both schemas)
+    const caseObj = copyCh?.cases?.[resolvedCaseKey] || null;
+
+    const pools =
+      caseObj?.sentence_sets?.primary ||
+      caseObj?.primary ||
+      null;
+
+    const aName = result?.a?.name || result?.teamA?.name || result?.a?.team || "Team A";
+    const bName = result?.b?.name || result?.teamB?.name || result?.b?.team || "Team B";
+
+    const line1 = pools ? miFillTeamTokens(pick(pools.s1), aName, bName) : "";
+    const line2 = pools ? miFillTeamTokens(pick(pools.s2), aName, bName) : "";
+
+    // Always render as ONE paragraph per card
+    const text = [line1, line2].filter(Boolean).join(" ");
+
+    const card = document.createElement("div");
+    card.className = "int-console-card";
+    card.dataset.intKey = BREAKDOWN_KEY[key];
+    const labelEl = document.createElement("div");
+    labelEl.className = "int-console-label";
+
+    /* Title */
+    const titleSpan = document.createElement("span");
+    titleSpan.textContent = title.toUpperCase();
+
+    const pill = document.createElement("span");
+    pill.classList.add("int-edge-pill");
+
+    if (edge === "A") {
+      pill.classList.add("int-edge-A");
+      pill.textContent = `FAVORS ${aName}`;
+    } else if (edge === "B") {
+      pill.classList.add("int-edge-B");
+      pill.textContent = `FAVORS ${bName}`;
+    } else {
+      pill.classList.add("int-edge-even"); // if your CSS uses this
+      pill.textContent = "EVEN";
+    }
+
+    labelEl.appendChild(titleSpan);
+    labelEl.appendChild(pill);
+
+    const textEl = document.createElement("div");
+    textEl.className = "int-console-text";
+    textEl.textContent = text || "—";
+
+    card.appendChild(labelEl);
+    card.appendChild(textEl);
+    host.appendChild(card);
+  });
+}
+
+/* --------------------------
+   Table ↔ Console spotlight sync
+   -------------------------- */
+
+function clearInteractionConsoleSpotlight() {
+  const body = document.getElementById('interactionConsoleBody');
+  if (!body) return;
+
+  body.querySelectorAll('.int-console-card.is-active').forEach(el => el.classList.remove('is-active'));
+
+  const table = document.getElementById('interactionsTable');
+  if (table) {
+    table.querySelectorAll('tbody tr.is-console-active').forEach(tr => tr.classList.remove('is-console-active'));
+  }
+}
+
+function spotlightInteractionConsole(key) {
+  if (!key) return;
+
+  const body = document.getElementById('interactionConsoleBody');
+  if (!body) return;
+
+  clearInteractionConsoleSpotlight();
+
+  const card = body.querySelector(`.int-console-card[data-int-key="${key}"]`);
+  if (card) card.classList.add('is-active');
+
+  const table = document.getElementById('interactionsTable');
+  if (table) {
+    const tr = table.querySelector(`tbody tr[data-int-key="${key}"]`);
+    if (tr) tr.classList.add('is-console-active');
+  }
+}
+
+function initInteractionConsoleSync() {
+  const table = document.getElementById('interactionsTable');
+  if (!table) return;
+
+  const tbody = table.querySelector('tbody');
+  if (!tbody) return;
+
+  // hover (desktop)
+  tbody.addEventListener('mouseover', (e) => {
+    const tr = e.target.closest('tr[data-int-key]');
+    if (!tr) return;
+    spotlightInteractionConsole(tr.dataset.intKey);
+  });
+
+  tbody.addEventListener('mouseout', (e) => {
+    // If leaving the tbody entirely, clear
+    const related = e.relatedTarget;
+    if (related && tbody.contains(related)) return;
+    clearInteractionConsoleSpotlight();
+  });
+
+  // tap/click (mobile-safe)
+  tbody.addEventListener('click', (e) => {
+    const tr = e.target.closest('tr[data-int-key]');
+    if (!tr) return;
+
+    const key = tr.dataset.intKey;
+    const body = document.getElementById('interactionConsoleBody');
+    const active = body?.querySelector(`.int-console-card.is-active[data-int-key="${key}"]`);
+
+    if (active) {
+      clearInteractionConsoleSpotlight();
+      return;
+    }
+
+    spotlightInteractionConsole(key);
+
+    // auto-clear after a moment so it doesn’t “stick” forever on mobile
+    window.clearTimeout(window.__MI_INT_CONSOLE_TAP_TIMER);
+    window.__MI_INT_CONSOLE_TAP_TIMER = window.setTimeout(() => {
+      clearInteractionConsoleSpotlight();
+    }, 1800);
+  });
+}
+
+// ========== RENDER PROFILE MARK BADGES ==========
+const PROFILE_MARK_BADGE_PATH = "assets/img/badges/";
+
+// Profile mark label -> badge file
+const PROFILE_MARK_BADGES = {
+  "Offensive Rigidity — Moderate": "badge_offensive_rigidity_moderate.svg",
+  "Offensive Rigidity — Severe":   "badge_offensive_rigidity_severe.svg",
+
+  "Unstable Perimeter — Moderate": "badge_unstable_perimeter_moderate.svg",
+  "Unstable Perimeter — Severe":   "badge_unstable_perimeter_severe.svg",
+
+  "Cold Arc Team — Moderate": "badge_cold_arc_moderate.svg",
+  "Cold Arc Team — Severe":   "badge_cold_arc_severe.svg",
+
+  "Undisciplined Defense — Moderate": "badge_undisciplined_defense_moderate.svg",
+  "Undisciplined Defense — Severe":   "badge_undisciplined_defense_severe.svg",
+
+  "Soft Interior — Moderate": "badge_soft_interior_moderate.svg",
+  "Soft Interior — Severe":   "badge_soft_interior_severe.svg",
+
+  "Perimeter Leakage — Moderate": "badge_perimeter_leakage_moderate.svg",
+  "Perimeter Leakage — Severe":   "badge_perimeter_leakage_severe.svg",
+
+  "Tempo Strain — Moderate": "badge_tempo_strain_moderate.svg",
+  "Tempo Strain — Severe":   "badge_tempo_strain_severe.svg",
+
+  "Turnover Fragility — Moderate": "badge_turnover_fragility_moderate.svg",
+  "Turnover Fragility — Severe":   "badge_turnover_fragility_severe.svg",
+};
+
+function renderProfileMarks(team, containerId) {
+  const el = document.getElementById(containerId);
+  if (!el || !team || !Array.isArray(team.profileMarks)) return;
+
+  el.innerHTML = '';
+  
+  // Empty state
+  if (team.profileMarks.length === 0) {
+    el.innerHTML = `
+      <div class="pm-empty" role="status" aria-live="polite">
+        <div class="pm-empty-inner">
+          <svg class="pm-empty-icon" viewBox="0 0 24 24" fill="none" aria-hidden="true">
+            <path d="M12 8v5" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+            <path d="M12 16.5h.01" stroke="currentColor" stroke-width="3" stroke-linecap="round"/>
+            <path d="M10.3 3.9 2.6 19.2A2 2 0 0 0 4.4 22h15.2a2 2 0 0 0 1.8-2.8L13.7 3.9a2 2 0 0 0-3.4 0Z"
+                  stroke="currentColor" stroke-width="1.8" stroke-linejoin="round" opacity="0.9"/>
+          </svg>
+
+          <div class="pm-empty-title">No Profile Marks Detected</div>
+          <div class="pm-empty-text">
+            This team does not meet the criteria for any profile marks.
+          </div>
+        </div>
+      </div>
+    `;
+    return;
+  }
+
+
+
+  team.profileMarks.forEach(mark => {
+    const filename = PROFILE_MARK_BADGES[mark];
+    if (!filename) return;
+
+    // Example mark string: "Tempo Strain — Severe"
+    const parts    = mark.split('—');
+    const baseName = (parts[0] || mark).trim();
+    const severity = mark.includes('Severe')   ? 'Severe'
+                    : mark.includes('Moderate') ? 'Moderate'
+                    : 'Neutral';
+
+    const chip = document.createElement('div');
+    chip.className = 'mark-chip';
+    if (severity === 'Severe')   chip.classList.add('severe');
+    if (severity === 'Moderate') chip.classList.add('moderate');
+
+    const iconPlate = document.createElement('div');
+    iconPlate.className = 'mark-icon-plate';
+
+    const img = document.createElement('img');
+    img.src = PROFILE_MARK_BADGE_PATH + filename;
+    img.alt = baseName;
+    img.className = 'mark-badge';
+    iconPlate.appendChild(img);
+
+    const info = document.createElement('div');
+    info.className = 'mark-info';
+
+    const titleEl = document.createElement('div');
+    titleEl.className = 'mark-title';
+    titleEl.textContent = baseName;
+
+    const subEl = document.createElement('div');
+    subEl.className = 'mark-subtext';
+    subEl.textContent = getMarkDescription(baseName, severity);
+
+    info.appendChild(titleEl);
+    info.appendChild(subEl);
+
+    chip.appendChild(iconPlate);
+    chip.appendChild(info);
+
+    chip.title = mark;
+
+    el.appendChild(chip);
+  });
+}
+
+// ========== SMALL HELPERS FOR RENDERING ==========
+
+function fmt(val, digits) {
+  if (val === null || val === undefined || isNaN(val)) return '—';
+  return Number(val).toFixed(digits);
+}
+
+function showFooter() {
+  const f = document.getElementById('appFooter');
+  if (f) f.classList.remove('hidden');
+}
+
+function hideFooter() {
+  const f = document.getElementById('appFooter');
+  if (f) f.classList.add('hidden');
+}
+
+// ========== MATCHUP BAR TOGGLING ==========
+
+function updateMatchupBarFromDOM() {
+  const matchupBar = document.getElementById('matchupBar');
+  const topBar = document.querySelector('.top-bar') || document.getElementById('preSetupRow');
+  if (!matchupBar || !topBar) return;
+
+  const teamANameEl  = document.getElementById('teamATitle');
+  const teamBNameEl  = document.getElementById('teamBTitle');
+  const seedAEl      = document.getElementById('teamASeed');
+  const seedBEl      = document.getElementById('teamBSeed');
+  const roundLabelEl = document.getElementById('currentRoundLabel');
+
+  const cName = teamANameEl ? teamANameEl.textContent.trim() : 'Team A';
+  const fName = teamBNameEl ? teamBNameEl.textContent.trim() : 'Team B';
+  const cSeed = seedAEl ? seedAEl.textContent.trim() : '';
+  const fSeed = seedBEl ? seedBEl.textContent.trim() : '';
+  const round = roundLabelEl ? roundLabelEl.textContent.trim() : 'Round of 64';
+
+  const cNameOut = document.getElementById('matchupCinderName');
+  const fNameOut = document.getElementById('matchupFavoriteName');
+  const cSeedOut = document.getElementById('matchupCinderSeed');
+  const fSeedOut = document.getElementById('matchupFavoriteSeed');
+  const roundOut = document.getElementById('matchupRoundPill');
+
+  if (cNameOut) cNameOut.textContent = cName;
+  if (fNameOut) fNameOut.textContent = fName;
+  if (cSeedOut) cSeedOut.textContent = cSeed ? `(${cSeed})` : '';
+  if (fSeedOut) fSeedOut.textContent = fSeed ? `(${fSeed})` : '';
+  if (roundOut) roundOut.textContent = round;
+
+  matchupBar.classList.add('visible');
+  topBar.classList.add('collapsed');
+
+  const appShell = document.querySelector('.app-shell');
+   if (appShell) {
+   appShell.classList.add('has-matchup');
+   appShell.classList.remove('pre-matchup');
+   showFooter();
+  }
+}
+
+function hideMatchupBar() {
+  const matchupBar = document.getElementById('matchupBar');
+  const topBar = document.querySelector('.top-bar') || document.getElementById('preSetupRow');
+  if (!matchupBar || !topBar) return;
+
+  matchupBar.classList.remove('visible');
+  topBar.classList.remove('collapsed');
+
+  const appShell = document.querySelector('.app-shell');
+  if (appShell) {
+    appShell.classList.remove('has-matchup');
+    appShell.classList.add('pre-matchup');
+    hideFooter();
+  }
+}
+
+// ===== MATCHUP BAR QUICK EDIT (INLINE) =====
+let __MI_QUICK_EDIT_HOME = null;
+
+function enterMatchupQuickEdit() {
+  const matchupBar = document.getElementById('matchupBar');
+  if (!matchupBar) return;
+
+  const slotA = document.getElementById('matchupQuickA');
+  const slotB = document.getElementById('matchupQuickB');
+  const slotR = document.getElementById('matchupQuickRound');
+  if (!slotA || !slotB || !slotR) return;
+
+  const aWrap = document.getElementById('teamASelectWrap');
+  const bWrap = document.getElementById('teamBSelectWrap');
+  const rWrap = document.getElementById('roundSelectorWrap');
+
+  if (!aWrap || !bWrap || !rWrap) {
+    console.warn('[MI] Quick edit could not find select wrappers (teamASelectWrap/teamBSelectWrap/roundSelectorWrap).');
+    return;
+  }
+
+  // Cache original locations once
+  if (!__MI_QUICK_EDIT_HOME) {
+    __MI_QUICK_EDIT_HOME = {
+      aParent: aWrap.parentElement,
+      bParent: bWrap.parentElement,
+      rParent: rWrap.parentElement,
+      aNext: aWrap.nextSibling,
+      bNext: bWrap.nextSibling,
+      rNext: rWrap.nextSibling
+    };
+  }
+
+  matchupBar.classList.add('is-editing');
+  slotA.setAttribute('aria-hidden', 'false');
+  slotB.setAttribute('aria-hidden', 'false');
+  slotR.setAttribute('aria-hidden', 'false');
+
+  // Show actions container
+  const actions = matchupBar.querySelector('.matchup-quick-actions');
+  if (actions) actions.setAttribute('aria-hidden', 'false');
+
+  // Move existing controls into the bar
+  slotA.appendChild(aWrap);
+  slotR.appendChild(rWrap);
+  slotB.appendChild(bWrap);
+
+  // Focus Team A for speed
+  const teamASelect = document.getElementById('teamA');
+  if (teamASelect) teamASelect.focus();
+}
+
+function exitMatchupQuickEdit() {
+  const matchupBar = document.getElementById('matchupBar');
+  if (!matchupBar) return;
+
+  const slotA = document.getElementById('matchupQuickA');
+  const slotB = document.getElementById('matchupQuickB');
+  const slotR = document.getElementById('matchupQuickRound');
+
+  matchupBar.classList.remove('is-editing');
+  slotA?.setAttribute('aria-hidden', 'true');
+  slotB?.setAttribute('aria-hidden', 'true');
+  slotR?.setAttribute('aria-hidden', 'true');
+
+  const actions = matchupBar.querySelector('.matchup-quick-actions');
+  if (actions) actions.setAttribute('aria-hidden', 'true');
+
+  const aWrap = document.getElementById('teamASelectWrap');
+  const bWrap = document.getElementById('teamBSelectWrap');
+  const rWrap = document.getElementById('roundSelectorWrap');
+
+  if (__MI_QUICK_EDIT_HOME && aWrap && bWrap && rWrap) {
+    const { aParent, bParent, rParent, aNext, bNext, rNext } = __MI_QUICK_EDIT_HOME;
+    aParent?.insertBefore(aWrap, aNext || null);
+    bParent?.insertBefore(bWrap, bNext || null);
+    rParent?.insertBefore(rWrap, rNext || null);
+  }
+
+  // Close round dropdown if open (avoids weird floating menu)
+  const roundDropdown = document.getElementById('roundDropdown');
+  if (roundDropdown) roundDropdown.classList.add('hidden');
+}
+
+function showAnalysisShell() {
+  const shell = document.getElementById('analysisShell');
+  if (!shell) return;
+
+  shell.classList.remove('hidden');
+  // next frame so the transition actually runs
+  requestAnimationFrame(() => shell.classList.add('analysis-visible'));
+}
+
+function hideAnalysisShell() {
+  const shell = document.getElementById('analysisShell');
+  if (!shell) return;
+
+  shell.classList.remove('analysis-visible');
+
+  // wait for the fade/slide transition, then remove from layout
+  window.setTimeout(() => {
+    shell.classList.add('hidden');
+  }, 280);
+}
+
+function renderCoreProfileTable(team, tableId) {
+  const table = document.getElementById(tableId);
+  if (!table) return;
+
+  const rows = team.coreDetails || [];
+  if (!rows.length) {
+    table.innerHTML = `
+      <thead>
+        <tr class="table-header">
+          <th>Category</th>
+          <th>Thresholds</th>
+          <th>Team Value</th>
+          <th>Tier</th>
+          <th>Points Given</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td colspan="5">No core trait data.</td>
+        </tr>
+      </tbody>
+    `;
+    return;
+  }
+
+  const header = `
+    <thead>
+      <tr class="table-header">
+        <th>Category</th>
+        <th>Thresholds</th>
+        <th>Team Value</th>
+        <th>Tier</th>
+        <th>Points Given</th>
+      </tr>
+    </thead>
+  `;
+
+  const bodyRows = rows.map(r => {
+    const tierClass = r.tier
+      ? `tier-${r.tier.replace(/[\s/]+/g, '')}`   // e.g. "Slightly Above / Average" -> "tier-SlightlyAboveAverage"
+      : '';
+
+    return `
+      <tr>
+        <td>${r.label}</td>
+        <td>Mean = ${fmt(r.mean, 3)}<br/>SD = ${fmt(r.sd, 3)}</td>
+        <td class="metric-block">${fmt(r.value, 3)}</td>
+        <td class="metric-block ${tierClass}">${r.tier}</td>
+        <td class="metric-block">${fmt(r.points, 3)}</td>
+      </tr>
+    `;
+  }).join('');
+
+  const hits    = team.breadthHits != null ? team.breadthHits : 0;
+  const breadth = team.breadth     != null ? team.breadth     : 0;
+
+  const brConfig = window.MI_COPY?.core_profile?.breadth_row || {};
+  const thresholdText =
+    brConfig.threshold_text ||
+    "Bonus scales with total 'hits' across Efficiency, Shooting, Possession, Tempo";
+  const tierText =
+    brConfig.tier_text ||
+    "Tier placement skipped";
+
+  const breadthRow = `
+    <tr class="breadth-row">
+      <td>Breadth Bonus</td>
+      <td>${thresholdText}</td>
+      <td>${hits} hits</td>
+      <td>${tierText}</td>
+      <td>${fmt(breadth, 3)}</td>
+    </tr>
+  `;
+
+  table.innerHTML = header + `<tbody>` + bodyRows + breadthRow + `</tbody>`;
+}
+
+function renderNeutralTable(team, mi, interactionsTotal, tableId, subtotalSpanId) {
+  const table = document.getElementById(tableId);
+  const subtotalSpan = document.getElementById(subtotalSpanId);
+  if (!table || !subtotalSpan) return;
+
+  const core    = team.mibs    || 0;
+  const breadth = team.breadth || 0;
+  const resume  = team.resumeR || 0;
+
+  // interactionAdj = whatever is left after core + breadth + resume
+  const interactionAdj = (mi || 0) - (core + breadth + resume);
+
+  // Use the explicit interactions.a / interactions.b if available for display
+  const shownInt = (interactionsTotal != null ? interactionsTotal : interactionAdj);
+
+  const neutralSubtotal = resume + interactionAdj;
+
+  table.innerHTML = `
+    <tr class="table-header">
+      <th>Category</th>
+      <th>Thresholds</th>
+      <th>Team Value</th>
+      <th>Tier</th>
+      <th>Points Given</th>
+    </tr>
+    <tr>
+      <td>Résumé Context (R)</td>
+      <td>Field-relative W/L &amp; Schedule</td>
+      <td>${fmt(resume, 3)}</td>
+      <td>${resume >= 0 ? 'Favorable' : 'Skeptical'}</td>
+      <td>${fmt(resume, 3)}</td>
+    </tr>
+    <tr>
+      <td>Interaction Metrics</td>
+      <td>3P, FT, Paint, TO, Glass, Résumé Pressure</td>
+      <td>${fmt(shownInt, 3)}</td>
+      <td>${interactionAdj >= 0 ? 'Leverage' : 'Headwind'}</td>
+      <td>${fmt(interactionAdj, 3)}</td>
+    </tr>
+  `;
+
+  subtotalSpan.textContent = fmt(neutralSubtotal, 3);
+}
+
+function buildTeamSummary(team, opponent, result, side) {
+  const isA = side === 'A';
+
+  const coreRows = team.coreDetails || [];
+  let strongest = null, weakest = null;
+  if (coreRows.length) {
+    strongest = coreRows.reduce((best, r) => r.points > (best?.points ?? -Infinity) ? r : best, null);
+    weakest   = coreRows.reduce((worst, r) => r.points < (worst?.points ?? Infinity) ? r : worst, null);
+  }
+
+  const breadthHits = team.breadthHits ?? 0;
+  const breadthScore = team.breadth ?? 0;
+  const resumeScore  = team.resumeR ?? 0;
+  const resumeTier   = team.resumeRTier || 'Average';
+
+  const marks = Array.isArray(team.profileMarks) ? team.profileMarks : [];
+  const severeCount   = marks.filter(m => m.includes('Severe')).length;
+  const moderateCount = marks.filter(m => m.includes('Moderate')).length;
+
+  // If you have interactions labeled with swings, grab top 1–2
+  const intSide = isA ? result.interactions.a : result.interactions.b;
+  const topInts = (intSide?.details || [])
+    .slice()
+    .sort((x, y) => Math.abs(y.points) - Math.abs(x.points))
+    .slice(0, 2);
 
-  // Optional labels (can be blank until JSON is added)
-  const confidenceLabelText = verdictCopy.confidence_label || tableLabels.confidence_label || '';
-  const driverLabelText     = verdictCopy.driver_label     || tableLabels.driver_label     || '';
-  const riskLabelText       = verdictCopy.risk_label       || tableLabels.risk_label       || '';
+  // Opponent context (seed / MI gap etc if you want)
+  const oppSeed = opponent?.seed;
+  const mySeed  = team?.seed;
 
-  // Confidence label comes from summary_phrases band label (already JSON-driven)
-  const confidenceBand = (bandLabel || getLeanBand(diff) || '').trim();
+  // Build short clauses
+  const coreClause = (strongest && weakest)
+    ? `${strongest.label} is the main edge, while ${weakest.label} is the soft spot.`
+    : `Core Traits show this team’s main statistical shape.`;
 
-  // Determine winner side
-  const winnerIsA = (predicted === a.name);
-  const winName   = winnerIsA ? a.name : b.name;
-  const loseName  = winnerIsA ? b.name : a.name;
+  const breadthClause = (breadthScore > 0)
+    ? `${breadthHits} Above-Average hits earn a Breadth Bonus of +${fmt(breadthScore,3)}.`
+    : `Breadth is neutral — strengths are concentrated rather than spread out.`;
 
-  // Interaction leverage (winner vs loser)
-  const winInt  = winnerIsA ? intA : intB;
-  const loseInt = winnerIsA ? intB : intA;
+  const resumeClause = (resumeScore > 0.0001)
+    ? `${resumeTier} résumé adds +${fmt(resumeScore,3)}.`
+    : (resumeScore < -0.0001)
+      ? `${resumeTier} résumé subtracts ${fmt(resumeScore,3)}.`
+      : `${resumeTier} résumé is neutral.`;
 
-  // Thresholds: keep numeric logic in JS; wording lives in JSON
-  const INT_SOFT = typeof verdictCopy.int_soft_threshold === 'number'
-    ? verdictCopy.int_soft_threshold
-    : 0.20;
+  const marksClause = (!marks.length)
+    ? `No Profile Marks — clean structural profile.`
+    : (severeCount > 0)
+      ? `${severeCount} Severe / ${moderateCount} Moderate marks flag volatility or structural risk.`
+      : `${moderateCount} Moderate marks flag matchup-sensitive weaknesses.`;
 
-  const intBalanced   = (Math.abs(winInt) <= INT_SOFT && Math.abs(loseInt) <= INT_SOFT);
-  const intReinforces = (winInt >  INT_SOFT && loseInt < -INT_SOFT);
-  const intResists    = (winInt < -INT_SOFT && loseInt >  INT_SOFT);
+  const interactionClause = (topInts.length)
+    ? `Biggest matchup swing: ${topInts.map(i => `${i.label} (${fmt(i.points,3)})`).join(', ')}.`
+    : `No major matchup leverage flagged.`;
 
-  // Helper: tiny template renderer with {{TOKENS}}
-  const renderTpl = (tpl, tokens) => {
-    if (!tpl) return '';
-    return String(tpl).replace(/\{\{(\w+)\}\}/g, (_, k) => {
-      return (tokens && tokens[k] != null) ? String(tokens[k]) : '';
-    });
+  return {
+    strongest,
+    weakest,
+    coreClause,
+    breadthClause,
+    resumeClause,
+    marksClause,
+    interactionClause,
+    severeCount,
+    moderateCount,
+    breadthHits
   };
+}
 
-  // Decide "edge tier" (keys only; wording comes from JSON)
-  const absDiff = Math.abs(diff);
-  const edgeTier = (absDiff >= 4) ? 'heavy'
-                : (absDiff >= 2) ? 'solid'
-                : (absDiff >  0) ? 'slight'
-                : 'coin';
+function renderTeamSide(side, result) {
+  const isA   = side === 'A';
+  const team  = isA ? result.a   : result.b;
+  const mi    = isA ? result.miA : result.miB;              // matchup MI (still used elsewhere if needed)
+  const intTot= isA ? result.interactions.a : result.interactions.b;
 
-  // Decide driver case
-  let driverCase = '';
-  if (diff === 0) {
-    driverCase = intBalanced ? 'neutral_balanced' : 'neutral_swingy';
-  } else if (intBalanced) {
-    driverCase = 'edge_balanced';
-  } else if (intReinforces) {
-    driverCase = 'reinforces_winner';
-  } else if (intResists) {
-    driverCase = 'resists_winner';
-  } else {
-    // mixed
-    driverCase = (Math.abs(winInt) >= Math.abs(loseInt)) ? 'mixed_still_winner' : 'mixed_live_loser';
-  }
+  if (!team) return;
 
-  // Decide risk case (tier-aware + resistance-aware)
-  const riskCase = `${edgeTier}_${intResists ? 'resists' : 'default'}`;
+  const titleEl           = document.getElementById(isA ? 'teamATitle'    : 'teamBTitle');
+  const seedEl            = document.getElementById(isA ? 'teamASeed'     : 'teamBSeed');
+  const profileSubtotalEl = document.getElementById(isA ? 'cindSubtotalA' : 'favSubtotalB');
+  const teamTotalEl       = document.getElementById(isA ? 'teamTotalA'    : 'teamTotalB');
+  const coreTableId       = isA ? 'cindProfileTableA' : 'favProfileTableB';
+  const neutralTableId    = isA ? 'neutralTableA'     : 'neutralTableB';
+  const neutralSubtotalId = isA ? 'neutralSubtotalA'  : 'neutralSubtotalB';
 
-  // Pull templates from JSON (blank-safe)
-  const driverTpl = (verdictCopy.driver_templates && verdictCopy.driver_templates[driverCase]) || '';
-  const riskTpl   = (verdictCopy.risk_templates   && verdictCopy.risk_templates[riskCase])   || '';
+  const core    = team.mibs    || 0;
+  const breadth = team.breadth || 0;
+  const resume  = team.resumeR || 0;
+  const opponent = isA ? result.b : result.a;
+  const summary = buildTeamSummary(team, opponent, result, side);
 
-  const tokens = {
-    WINNER: winName,
-    LOSER: loseName,
-    DIFF: fmt(diff, 3),
-    EDGE_TIER: edgeTier,
-    WIN_INT: fmt(winInt, 3),
-    LOSE_INT: fmt(loseInt, 3)
-  };
+  // Baseline profile subtotal and MI_base
+  const profileSubtotal = core + breadth;
 
-  const driverText = renderTpl(driverTpl, tokens);
-  const riskText   = renderTpl(riskTpl, tokens);
+  // Ensure MI_base is present; fall back to computing if needed
+  const miBase = (typeof team.mi_base === 'number')
+    ? team.mi_base
+    : computeMIBase(team);
 
-  // Support line remains the band description (already JSON-driven via summary_phrases)
-  let supportText = bandDesc || '';
-  if (supportText && leanText && leanText.includes(supportText)) {
-    supportText = '';
+  // Build display name with seed prefix (e.g., "#1 Seed Florida")
+  const baseName = team.name || (isA ? 'Team A' : 'Team B');
+  const seedStr  = (team.seed != null && team.seed !== '') ? String(team.seed) : '';
+
+  if (titleEl) {
+    titleEl.textContent = seedStr
+      ? `#${seedStr} Seed ${baseName}`
+      : baseName;
   }
 
-  // ----- Hero HUD updates -----
-  const hudCName   = document.getElementById('hudCinderName');
-  const hudFName   = document.getElementById('hudFavoriteName');
-  const hudDelta   = document.getElementById('hudDeltaValue');
-  const hudLean    = document.getElementById('hudLeanText');
-  const hudCRating = document.getElementById('hudCinderRating');
-  const hudFRating = document.getElementById('hudFavoriteRating');
+  // Keep the raw numeric seed in the hidden span so the matchup HUD
+  // can still read it and display "(1)" etc. if desired.
+  if (seedEl) {
+    seedEl.textContent = seedStr;
+  }
 
-  if (hudCName)  hudCName.textContent  = a.name;
-  if (hudFName)  hudFName.textContent  = b.name;
-  if (hudDelta)  hudDelta.textContent  = `ΔMI ${fmt(diff, 3)}`;
-  if (hudLean)   hudLean.textContent   = leanText;
+  if (profileSubtotalEl) {
+    profileSubtotalEl.textContent = fmt(profileSubtotal, 3);
+  }
 
-  const deriveRating = (team) => {
+  if (teamTotalEl) {
+    // Prefer the precomputed 1–99 cosmetic rating
     let rating = (typeof team.mi_rating === 'number') ? team.mi_rating : null;
 
+    // If somehow missing, derive from performancePercentile or mi_base
     if (rating == null) {
       const P = (typeof team.performancePercentile === 'number')
         ? team.performancePercentile
@@ -3157,1653 +3061,3061 @@ function renderSummary({ a, b, miA, miB, diff, predicted, interactions, round, s
       rating = Math.round(P * 100);
     }
 
-    if (rating < 1) rating = 1;
+    if (rating < 1)  rating = 1;
     if (rating > 99) rating = 99;
-    return rating;
-  };
-
-  const ratingA = deriveRating(a);
-  const ratingB = deriveRating(b);
-
-  if (hudCRating) hudCRating.textContent = `MI ${ratingA.toString().padStart(2, '0')}`;
-  if (hudFRating) hudFRating.textContent = `MI ${ratingB.toString().padStart(2, '0')}`;
-
-  // ----- Summary table headers -----
-  const headA = document.getElementById('summaryTeamAHeader');
-  const headB = document.getElementById('summaryTeamBHeader');
-  if (headA) headA.textContent = a.name;
-  if (headB) headB.textContent = b.name;
-
-  // ----- Single clean matchup row using "mini cards" in each cell -----
-  tbody.innerHTML = `
-    <tr>
-      <!-- Team A summary -->
-      <td>
-        <div class="summary-block">
-          <div class="summary-team-label">${cTeamLabel}</div>
-          <div class="summary-team-name">${a.name}</div>
-          <div class="summary-mi-line summary-mi-secondary">${baselineLabel}: ${fmt(baseA, 3)}</div>
-          <div class="summary-mi-line summary-mi-primary">${matchupLabel}: ${fmt(miA, 3)}</div>
-          <div class="summary-int-line">
-            ${interactionLabel}: ${fmt(intA, 3)}
-          </div>
-        </div>
-      </td>
-
-      <!-- Center ΔMI + prediction card -->
-      <td>
-        <div class="summary-block summary-lean">
-          <div class="summary-delta-label">${centerHeaderLabel}</div>
-          <div class="summary-delta-value">ΔMI: ${fmt(diff, 3)}</div>
-
-          <div class="summary-pred-line">
-            ${predictedLabel}: <strong>${predicted}</strong>
-          </div>
 
-          ${confidenceBand ? `
-            <div class="summary-confidence-line">
-              ${confidenceLabelText ? `<span class="summary-mini-label">${confidenceLabelText}</span>` : ''}
-              <span class="summary-confidence-pill">${confidenceBand}</span>
-            </div>
-          ` : ''}
+    // Optional: keep the raw MI_base accessible for debugging
+    teamTotalEl.setAttribute('title', `Baseline MI: ${fmt(miBase, 3)}`);
 
-          ${driverText ? `
-            <div class="summary-driver-line">
-              ${driverLabelText ? `<span class="summary-mini-label">${driverLabelText}</span>` : ''}
-              <span class="summary-driver-text">${driverText}</span>
-            </div>
-          ` : ''}
+    // Display as a two-digit badge
+    teamTotalEl.textContent = rating.toString().padStart(2, '0');
+  }
 
-          ${riskText ? `
-            <div class="summary-risk-line">
-              ${riskLabelText ? `<span class="summary-mini-label">${riskLabelText}</span>` : ''}
-              <span class="summary-risk-text">${riskText}</span>
-            </div>
-          ` : ''}
+  // Résumé context mini-tile
+  const resumeTile   = document.getElementById(isA ? 'resumeTileA' : 'resumeTileB');
+  const resumeAdjEl  = document.getElementById(isA ? 'resumeAdjA'  : 'resumeAdjB');
+  const resumeTierEl = document.getElementById(isA ? 'resumeTierA' : 'resumeTierB');
 
-          <div class="summary-lean-text">
-            ${leanText}
-          </div>
+  if (resumeTile && resumeAdjEl && resumeTierEl) {
+    resumeAdjEl.textContent = fmt(resume, 3);
 
-          ${supportText ? `
-            <div class="summary-support-line">${supportText}</div>
-          ` : ''}
-        </div>
-      </td>
+    let tier = team.resumeRTier;
 
-      <!-- Team B summary -->
-      <td>
-        <div class="summary-block">
-          <div class="summary-team-label">${fTeamLabel}</div>
-          <div class="summary-team-name">${b.name}</div>
-          <div class="summary-mi-line summary-mi-secondary">${baselineLabel}: ${fmt(baseB, 3)}</div>
-          <div class="summary-mi-line summary-mi-primary">${matchupLabel}: ${fmt(miB, 3)}</div>
-          <div class="summary-int-line">
-            ${interactionLabel}: ${fmt(intB, 3)}
-          </div>
-        </div>
-      </td>
-    </tr>
-  `;
+    if (!tier) {
+     const rules = miGetCopy('resume_tile_ui.tier_rules', null);
+     if (Array.isArray(rules) && rules.length) {
+       const hit = rules.find(r => typeof r.min === 'number' && resume >= r.min);
+       tier = hit?.label || 'Average';
+     } else {
+       tier =
+        (resume >= 0.10 ? 'Strong' :
+         resume >= 0.05 ? 'Above Average' :
+         resume <= -0.10 ? 'Fragile' :
+         resume <= -0.05 ? 'Weak' : 'Average');
+     }
+   }
 
-  // ----- Round pill -----
-  const roundSpan = document.getElementById('currentRoundLabel');
-  if (roundSpan) {
-    roundSpan.textContent = getRoundLabelFromCode(round || CURRENT_ROUND);
-  }
+    resumeTierEl.textContent = tier;
 
-  // Legacy spans (safe no-ops if not present)
-  const miASpan  = document.getElementById('miA');
-  const miBSpan  = document.getElementById('miB');
-  const predSpan = document.getElementById('predictedWinner');
+    // Reset state + tier classes
+    resumeTile.classList.remove(
+      'context-positive',
+      'context-negative',
+      'context-neutral',
+      'resume-tier-strong',
+      'resume-tier-above',
+      'resume-tier-average',
+      'resume-tier-weak',
+      'resume-tier-fragile'
+    );
 
-  if (miASpan)  miASpan.textContent  = miA.toFixed(3);
-  if (miBSpan)  miBSpan.textContent  = miB.toFixed(3);
-  if (predSpan) predSpan.textContent = predicted;
+    // Sign-based state (existing behavior)
+    let stateClass = 'context-neutral';
+    if (resume > 0.0001) stateClass = 'context-positive';
+    else if (resume < -0.0001) stateClass = 'context-negative';
 
-  const summarySection = document.getElementById('summarySection');
-  if (summarySection) {
-    summarySection.classList.add('visible');
+   // Tier-based color class (JSON-driven)
+  let tierClass = 'resume-tier-average';
+  const rules = miGetCopy('resume_tile_ui.tier_rules', []);
+  if (Array.isArray(rules)) {
+    const rule = rules.find(r => r.label === tier);
+    if (rule?.class) tierClass = rule.class;
   }
 
-  // ----- Seed / bracket compatibility note -----
-  const seedNoteEl = document.getElementById('summarySeedNote');
-  if (seedNoteEl && seedMeta && typeof a.seed === 'number' && typeof b.seed === 'number') {
-    const { seedA, seedB, possible, isAllowed, earliest } = seedMeta;
+    resumeTile.classList.add(stateClass, tierClass);
+  }
 
-    const friendlyRounds = possible.map(getRoundLabelFromCode);
-    const currentLabel   = getRoundLabelFromCode(round || CURRENT_ROUND);
-    const earliestLabel  = earliest ? getRoundLabelFromCode(earliest) : null;
+    // Identity tile (CIS / FAS)
+  const identityTile    = document.getElementById(isA ? 'identityTileA'    : 'identityTileB');
+  const identityScoreEl = document.getElementById(isA ? 'identityScoreA'   : 'identityScoreB');
+  const identityRoleEl  = document.getElementById(isA ? 'identityRoleA'    : 'identityRoleB');
+  const identityDetailEl= document.getElementById(isA ? 'identityDetailA'  : 'identityDetailB');
+  const backIdentityEl  = document.getElementById(isA ? 'backIdentityA'    : 'backIdentityB');
 
-    if (!possible.length) {
-      seedNoteEl.textContent = '';
-    } else if (isAllowed) {
-      seedNoteEl.textContent =
-        `Bracket note: As seeds ${seedA} and ${seedB}, these teams ` +
-        `can meet in ${friendlyRounds.join(', ')}. ` +
-        `${currentLabel} is a valid meeting round.`;
-    } else {
-      seedNoteEl.textContent =
-        `Bracket note: As seeds ${seedA} and ${seedB}, these teams ` +
-        `can meet in ${friendlyRounds.join(', ')}. ` +
-        `${currentLabel} is *not* a valid meeting round in a standard 64-team bracket.`;
-    }
-  }
-}
+  if (identityTile && identityScoreEl && identityRoleEl && identityDetailEl) {
+    const identityLabelEl = identityTile.querySelector('.context-label');
+    const opponent = isA ? result.b : result.a;
+    const roundCode = result.round || CURRENT_ROUND || "R64";
+    const role = getIdentityRoleForGame(team, opponent, roundCode);
 
-function renderInteractionsTable(result) {
-  const table = document.getElementById('interactionsTable');
-  const totalsBar = document.getElementById('interactionTotalsBar');
-  if (!table) return;
+    const cis = (typeof team.cisStatic === 'number') ? team.cisStatic : 0;
+    const fas = (typeof team.fasStatic === 'number') ? team.fasStatic : 0;
 
-  // ==== Full canonical interaction list (ALWAYS displayed) ====
-  const ORDER = [
-    '3pt', 'ft', 'paint', 'to', 'glass', 'resume', 'phys', 'shotq', 'var'
-  ];
+    let activeScore = null;
+    let label       = 'Neutral';
+    let desc        = '';
+    let tileClass   = 'identity-neutral';
+    let headerText  = 'Tournament Identity';
 
-  const LABEL = {
-    '3pt':   '3PT Tension',
-    'ft':    'FT Pressure',
-    'paint': 'Paint Tension',
-    'to':    'Turnover Pressure',
-    'glass': 'Glass Tension',
-    'resume':'Résumé Pressure',
-    'phys':  'Physicality Tolerance',
-    'shotq': 'Shot Discipline',
-    'var':   'Variance Sensitivity',
-  };
+    const roundLabel = (typeof getRoundLabelFromCode === 'function')
+      ? getRoundLabelFromCode(roundCode)
+      : roundCode;
 
-  const intensityLabel = (val) => {
-    const x = Math.abs(val);
-    if (x >= 0.50) return 'Major';
-    if (x >= 0.25) return 'Moderate';
-    return 'Minor';
-  };
+        if (role === 'FAVORITE') {
+    activeScore = fas;
+    label       = 'Favorite';
+    // Only show FAS in the detail line
+    desc        = `Favorite Authenticity: ${Math.round(fas)}`;
+    tileClass   = 'identity-favorite';
+    headerText  = 'Favorite Authenticity Score';
 
-  // ===== Team names (robust fallback) =====
-  const aName = result?.a?.name || result?.teamA?.name || result?.a?.team || "Team A";
-  const bName = result?.b?.name || result?.teamB?.name || result?.b?.team || "Team B";
+  } else if (role === 'CINDERELLA') {
+    activeScore = cis;
+    label       = 'Cinderella';
+    // Only show CIS in the detail line
+    desc        = `Cinderella Identity: ${Math.round(cis)}`;
+    tileClass   = 'identity-cinderella';
+    headerText  = 'Cinderella Identity Score';
 
-  // ===== Update table headers =====
-  const adjAHeader = document.getElementById("adjAHeader");
-  const adjBHeader = document.getElementById("adjBHeader");
-  if (adjAHeader) adjAHeader.textContent = `Adj to ${aName}`;
-  if (adjBHeader) adjBHeader.textContent = `Adj to ${bName}`;
+  } else {
+    // No clear identity → keep both as background profile metrics
+    activeScore = null; // keeps the big number as "—"
+    label       = 'Neutral';
+    desc        = `CIS: ${Math.round(cis)} • FAS: ${Math.round(fas)}`;
+    tileClass   = 'identity-neutral';
+  }
 
-  const breakdown = result.interactions?.breakdown || {};
-  const tbody = table.querySelector("tbody");
-  tbody.innerHTML = "";
+    identityScoreEl.textContent = (activeScore != null)
+      ? fmt(activeScore, 0)
+      : '—';
 
-  // ===== Always render ALL interactions =====
-  ORDER.forEach((key, i) => {
-    const raw = breakdown[key];   // may be undefined, numeric, or object
-    let aAdj = 0, bAdj = 0, edgeText = 'EVEN';
+    identityRoleEl.textContent   = label;
+    identityDetailEl.textContent = desc;
 
-    if (typeof raw === 'number') {
-      aAdj = raw;
-      bAdj = -raw;
-      if (raw > 0) edgeText = `FAVORS ${aName}`;
-      else if (raw < 0) edgeText = `FAVORS ${bName}`;
-    }
-    else if (raw && typeof raw === 'object') {
-      aAdj = raw.aAdj ?? 0;
-      bAdj = raw.bAdj ?? 0;
-      edgeText = raw.edge || 'EVEN';
+    if (identityLabelEl) {
+      identityLabelEl.textContent = headerText;
     }
 
-    const intensity = intensityLabel(aAdj);
+    identityTile.classList.remove('identity-favorite', 'identity-cinderella', 'identity-neutral');
+    identityTile.classList.add('identity-tile', tileClass);
 
-    let pillClass = 'int-edge-even';
-    if (aAdj > 0) pillClass = 'int-edge-A';
-    if (aAdj < 0) pillClass = 'int-edge-B';
+    if (backIdentityEl && window.MI_COPY) {
+      const identityRole =
+        role === 'FAVORITE'   ? 'Favorite'   :
+        role === 'CINDERELLA' ? 'Cinderella' :
+                                'Neutral';
 
-    const rowClass = i % 2 === 0 ? "int-row-even" : "int-row-odd";
+      const identityTeam = {
+        name: team.name,
+        identity: {
+          CIS_static: cis,
+          FAS_static: fas
+        },
+        role: identityRole
+      };
 
-    tbody.innerHTML += `
-      <tr class="${rowClass}" data-int-key="${key}">
-        <td class="int-name">${LABEL[key]}</td>
-        <td class="int-edge"><span class="int-edge-pill ${pillClass}">${edgeText}</span></td>
-        <td class="col-intensity">${intensity}</td>
-        <td class="int-adj ${aAdj >= 0 ? 'pos' : 'neg'}">${fmt(aAdj, 3)}</td>
-        <td class="int-adj ${bAdj >= 0 ? 'pos' : 'neg'}">${fmt(bAdj, 3)}</td>
-      </tr>
-    `;
-  });
+      const expl = buildIdentityBackTextForTeam(identityTeam, window.MI_COPY);
 
-  // ===== Totals Bar =====
-  const totalA = result.interactions?.a || 0;
-  const totalB = result.interactions?.b || 0;
+      backIdentityEl.textContent = expl || '';
+    }
+  }
+  // Core Traits big table
+  renderCoreProfileTable(team, coreTableId);
 
-  if (totalsBar) {
-    const favored =
-      totalA > totalB ? aName :
-      totalB > totalA ? bName :
-      'EVEN';
+  // Neutral Modifiers table (Résumé + Interactions)
+  renderNeutralTable(team, mi, intTot, neutralTableId, neutralSubtotalId);
+}
 
-    totalsBar.innerHTML = `
-      <div class="totals-left">
-        <div class="totals-title">Total Interaction Leverage</div>
-        <div class="totals-favored">FAVORS <span>${favored}</span></div>
-      </div>
-      <div class="totals-right">
-        <div class="totals-val ${totalA >= 0 ? 'pos' : 'neg'}">${fmt(totalA, 3)}</div>
-        <div class="totals-sep">/</div>
-        <div class="totals-val ${totalB >= 0 ? 'pos' : 'neg'}">${fmt(totalB, 3)}</div>
-      </div>
-    `;
-  }
+function renderTeamCards(result) {
+  renderTeamSide('A', result);
+  renderTeamSide('B', result);
 }
 
-/* ==========================================================================
-   Interaction Console (v3.5) — Wiring + Selection + Sync
-   Depends on:
-   - #interactionConsoleBody (HTML)
-   - #interactionsTable (HTML)
-   - window.MI_COPY.interactions_console (copy.json)
-   ========================================================================== */
+function setCompareButtonEnabled(isEnabled) {
+  const btn =
+    document.getElementById('compareBtn') ||
+    document.getElementById('runCompare');
 
-const INT_CONSOLE_KEYMAP = {
-  '3pt':   'three_pt_tension',
-  'ft':    'ft_pressure',
-  'paint': 'paint_tension',
-  'to':    'turnover_pressure',
-  'glass': 'glass_tension',
-  'resume':'resume_pressure',
-  'phys':  'physicality_tolerance',
-  'shotq': 'shot_discipline',
-  'var':   'variance_sensitivity'
-};
+  if (!btn) return;
 
-function miHash32(str) {
-  let h = 2166136261;
-  for (let i = 0; i < str.length; i++) {
-    h ^= str.charCodeAt(i);
-    h = Math.imul(h, 16777619);
-  }
-  return h >>> 0;
+  btn.disabled = !isEnabled;
+  btn.setAttribute('aria-disabled', isEnabled ? 'false' : 'true');
+
+  btn.classList.toggle('compare-btn-disabled', !isEnabled);
+  btn.classList.toggle('compare-btn-enabled',  isEnabled);
 }
 
-function miStrength(absAdj) {
-  if (absAdj >= 0.50) return 'major';
-  if (absAdj >= 0.25) return 'moderate';
-  if (absAdj >  0.00) return 'thin';
-  return 'none';
+function miGetPreHubEls() {
+  return {
+    step1: document.getElementById('preStep1'),
+    step2: document.getElementById('preStep2'),
+    step3: document.getElementById('preStep3'),
+    text1: document.getElementById('preStepText1'),
+    text2: document.getElementById('preStepText2'),
+    text3: document.getElementById('preStepText3'),
+    st1: document.getElementById('preStepStatus1'),
+    st2: document.getElementById('preStepStatus2'),
+    st3: document.getElementById('preStepStatus3'),
+  };
 }
 
-function miCaseFor(adj, eps = 1e-9) {
-  if (Math.abs(adj) <= eps) return 'even';
-  return adj > 0 ? 'a_adv' : 'b_adv';
+function isCSVLoaded() {
+  return Array.isArray(RAW_ROWS) && RAW_ROWS.length > 0 && Array.isArray(TEAM_LIST) && TEAM_LIST.length > 0;
 }
 
-function miFillTeamTokens(text, aName, bName, tokenA = "{{TEAM_A}}", tokenB = "{{TEAM_B}}") {
-  if (!text) return "";
-  return String(text)
-    .split(tokenA).join(aName)
-    .split(tokenB).join(bName);
+function getSelectedTeams() {
+  const a = document.getElementById('teamA')?.value || '';
+  const b = document.getElementById('teamB')?.value || '';
+  return { a, b, ok: !!a && !!b && a !== b };
 }
 
-function miPickPool({ seedBase, rerunIndex, hasAlt }) {
-  // stable flip only on rerun; if no alt, always primary
-  if (!hasAlt) return 'primary';
-  const h = miHash32(seedBase);
-  const preferAlt = ((h + (rerunIndex || 0)) % 2) === 1;
-  return preferAlt ? 'alt' : 'primary';
+function isRoundSelected() {
+  return !!CURRENT_ROUND;
 }
 
-function miPickLine(lines, seedBase, rerunIndex, salt) {
-  if (!Array.isArray(lines) || lines.length === 0) return "";
-  const h = miHash32(seedBase + "::" + salt);
-  const idx = (h + (rerunIndex || 0)) % lines.length;
-  return lines[idx];
+function refreshCompareButtonState() {
+  const ready = isCSVLoaded() && getSelectedTeams().ok && isRoundSelected();
+  setCompareButtonEnabled(ready);
+  return ready;
 }
 
-function miPairsToRender({ card, isTopDriver, defaults }) {
-  let pairs = Number(defaults?.pair_count_default ?? 1);
+function updatePreMatchupHubProgress() {
+  const copy = window.MI_COPY && window.MI_COPY.prematch && window.MI_COPY.prematch.progress
+    ? window.MI_COPY.prematch.progress
+    : null;
 
-  if (isTopDriver) {
-    pairs = Math.max(pairs, Number(defaults?.pair_count_if_top_driver ?? 2));
-  }
+  const hub = document.getElementById('preMatchupHub');
+  if (!hub) return;
 
-  const threshold = String(defaults?.pair_count_if_strength_at_least ?? 'moderate').toLowerCase();
-  const s = miStrength(Math.abs(card.adj));
+  const els = {
+    statusWrap: document.querySelector('#preHubStatusWrap .pre-hub-status'),
+    statusText: document.getElementById('preStatusText'),
+    step1: document.getElementById('preStep1'),
+    step2: document.getElementById('preStep2'),
+    step3: document.getElementById('preStep3'),
+    t1: document.getElementById('preStepText1'),
+    t2: document.getElementById('preStepText2'),
+    t3: document.getElementById('preStepText3'),
+    s1: document.getElementById('preStepStatus1'),
+    s2: document.getElementById('preStepStatus2'),
+    s3: document.getElementById('preStepStatus3')
+  };
 
-  const meetsThreshold =
-    threshold === 'minor' ||
-    (threshold === 'moderate' && (s === 'moderate' || s === 'major')) ||
-    (threshold === 'major' && s === 'major');
+  // Inputs / state
+  const csvLoaded = Array.isArray(TEAM_LIST) && TEAM_LIST.length > 0;
+  const sel = getSelectedTeams();
+  const hasA = !!sel.a;
+  const hasB = !!sel.b && sel.b !== sel.a;
+  const teamsOk = !!sel.ok;
+  const roundChosen = !!CURRENT_ROUND;
 
-  if (meetsThreshold) pairs = Math.max(pairs, 2);
+  // ---- Active step visibility (show ONLY the current step) ----
+  const stepsWrap = hub.querySelector('.pre-hub-steps');
 
-  // Even interactions: keep them single-line unless they’re also a true driver
-  if (card.case === 'even' && !(isTopDriver && s !== 'none')) pairs = 1;
+  // Decide which step is "active"
+  let activeStep = 1;
 
-  return Math.max(1, Math.min(2, pairs));
-}
+  // Step 1 until a dataset is loaded
+  if (!csvLoaded) {
+    activeStep = 1;
 
-/**
- * Interaction Console (right tile)
- * Renders ALL 9 interaction channels in a fixed order.
- * - No "TOP" chips.
- * - Safe fallbacks if a channel is missing narrative text (prevents blank cards like PHYS).
- */
-function renderInteractionsConsole(result) {
-  const host = document.getElementById('interactionConsoleBody');
-  if (!host) return;
+  // Step 2 until BOTH teams are valid
+  } else if (!teamsOk) {
+    activeStep = 2;
 
-  // Your interactions object is keyed directly (threept, ft, paint, tov, glass, resume, phys, shotq, var)
-  const breakdown = result?.interactions?.breakdown || null;
+  // Step 3 as soon as teams are valid (round selection happens here)
+  } else {
+    activeStep = 3;
+  }
 
-    // Pre-matchup / missing data
-    if (!breakdown) {
-    host.innerHTML = `
-      <div class="int-console-card is-placeholder">
-        <div class="int-console-label">Ready</div>
-        <div class="int-console-text">
-          Run a matchup to populate these interaction descriptions.
-        </div>
-      </div>
-    `;
-    return;
+  // Force the visible step to reflect the *current* instruction
+  if (activeStep === 1 && els.t1) {
+    els.t1.textContent = (copy && copy.step1_pending) || 'Load tournament data to unlock team   selection.';
   }
 
-  // Map JS interaction keys -> MI_COPY interactions_console channel keys
-  const KEYMAP = {
-    threept: "three_pt_tension",
-    ft: "ft_pressure",
-    paint: "paint_tension",
-    tov: "turnover_pressure",
-    glass: "glass_tension",
-    resume: "resume_pressure",
-    phys: "physicality_tolerance",
-    shotq: "shot_discipline",
-    var: "variance_sensitivity",
-  };
+  if (activeStep === 2 && els.t2) {
+    if (!hasA) els.t2.textContent = (copy && copy.step2_pending) || 'Select Team A to continue.';
+    else if (!hasB) els.t2.textContent = (copy && copy.step2_pending) || 'Select Team B to continue.';
+    else els.t2.textContent = (copy && copy.step2_ready) || 'Teams selected.';
+  }
 
-  // Console keys -> breakdown keys (must match interactions table)
-  const BREAKDOWN_KEY = {
-    threept: "3pt",
-    ft: "ft",
-    paint: "paint",
-    tov: "to",
-    glass: "glass",
-    resume: "resume",
-    phys: "phys",
-    shotq: "shotq",
-    var: "var",
-  };
+  if (activeStep === 3 && els.t3) {
+    els.t3.textContent = !roundChosen
+      ? ((copy && copy.step3_pending) || 'Choose a round to unlock Compare.')
+      : ((copy && copy.step3_ready) || 'Ready. Press Compare to generate results.');
+  }
 
-  const ORDER = [
-    { key: "threept", fallbackLabel: "3PT Tension" },
-    { key: "ft", fallbackLabel: "FT Pressure" },
-    { key: "paint", fallbackLabel: "Paint Tension" },
-    { key: "tov", fallbackLabel: "Turnover Pressure" },
-    { key: "glass", fallbackLabel: "Glass Tension" },
-    { key: "resume", fallbackLabel: "Résumé Pressure" },
-    { key: "phys", fallbackLabel: "Physicality Tolerance" },
-    { key: "shotq", fallbackLabel: "Shot Discipline" },
-    { key: "var", fallbackLabel: "Variance Sensitivity" },
+    // ---- SHOW ONLY ONE STEP (activeStep) ----
+  const steps = [
+    { el: els.step1, n: 1 },
+    { el: els.step2, n: 2 },
+    { el: els.step3, n: 3 }
   ];
 
-  const copyRoot = window.MI_COPY && window.MI_COPY.interactions_console ? window.MI_COPY.interactions_console : null;
+  // Ensure the wrapper uses the single-column layout when only one step is visible
+  if (stepsWrap) stepsWrap.classList.add('is-single');
 
-  // helper: random pick from array
-  const pick = (arr) => (Array.isArray(arr) && arr.length ? arr[Math.floor(Math.random() * arr.length)] : "");
+  steps.forEach(({ el, n }) => {
+    if (!el) return;
+    const isActive = n === activeStep;
 
-  host.innerHTML = "";
+    el.classList.toggle('is-hidden', !isActive);
+    el.setAttribute('aria-hidden', String(!isActive));
 
-  ORDER.forEach(({ key, fallbackLabel }) => {
-    // Always render the card, even if a channel is missing (prevents “only 5 show up” confusion)
-    const longKey = KEYMAP[key];
-    const copyCh = copyRoot && copyRoot.channels ? copyRoot.channels[longKey] : null;
+    // Optional: keep keyboard focus out of hidden steps
+    el.querySelectorAll('button, a, input, select, textarea').forEach((node) => {
+      node.tabIndex = isActive ? 0 : -1;
+    });
+  });
 
-    // Title: prefer JSON label, else fallback
-    const title = (copyCh && copyCh.label) ? copyCh.label : fallbackLabel;
+  // Optional styling hook: single-step layout mode (always true now)
+  if (stepsWrap) stepsWrap.classList.add('is-single');
 
-    // Pull the interaction adjustment from the SAME source as the table
-    const bKey = BREAKDOWN_KEY[key];
-    const raw = breakdown?.[bKey];
+  // Progress milestones (per-click)
+  let pct = 0;
+  if (csvLoaded) pct = 25;
+  if (csvLoaded && hasA) pct = 50;
+  if (csvLoaded && hasA && hasB) pct = 75;
+  if (csvLoaded && teamsOk && roundChosen) pct = 100;
 
-    // Determine case from adjustment (fallback to even)
-    let aAdj = 0;
-    if (typeof raw === "number") aAdj = raw;
-    else if (raw && typeof raw === "object") aAdj = Number(raw.aAdj ?? 0);
+  // Status message (granular)
+  const fallback = {
+    waiting_csv:  'Waiting for tournament dataset.',
+    pick_team_a:  'Select Team A to continue.',
+    pick_team_b:  'Select Team B to continue.',
+    choose_round: 'Choose a round to unlock Compare.',
+    ready:        'Ready. Press Compare to generate results.'
+  };
 
-    // Determine edge from the same sign logic the pill uses
-    const edge =
-      aAdj > 0 ? "A" :
-      aAdj < 0 ? "B" :
-      "EVEN";
+  let statusMsg = fallback.waiting_csv;
 
-    // Console case must match the pill edge (prevents inverted miCaseFor behavior)
-    const resolvedCaseKey =
-      edge === "A" ? "a_adv" :
-      edge === "B" ? "b_adv" :
-      "even";
+  if (!csvLoaded) {
+    statusMsg = (copy && copy.status_waiting_csv) || fallback.waiting_csv;
+  } else if (!hasA) {
+    statusMsg = (copy && (copy.status_pick_team_a || copy.status_pick_teams)) || fallback.pick_team_a;
+  } else if (!hasB) {
+    statusMsg = (copy && (copy.status_pick_team_b || copy.status_pick_teams)) || fallback.pick_team_b;
+  } else if (!roundChosen) {
+    statusMsg = (copy && copy.status_choose_round) || fallback.choose_round;
+  } else {
+    statusMsg = (copy && copy.status_ready) || fallback.ready;
+  }
 
-    // Pull sentence pools from JSON (supports both schemas)
-    const caseObj = copyCh?.cases?.[resolvedCaseKey] || null;
+  if (els.statusText) els.statusText.textContent = '';
+
+  // Progress bar classes (for CSS widths)
+  if (els.statusWrap) {
+    els.statusWrap.classList.remove('is-idle', 'is-25', 'is-50', 'is-75', 'is-100');
+    const cls =
+      pct >= 100 ? 'is-100' :
+      pct >= 75  ? 'is-75'  :
+      pct >= 50  ? 'is-50'  :
+      pct >= 25  ? 'is-25'  : 'is-idle';
+    els.statusWrap.classList.add(cls);
+  }
 
-    const pools =
-      caseObj?.sentence_sets?.primary ||
-      caseObj?.primary ||
-      null;
+  // Step readiness (keep your 3-step structure, but update on partial progress)
+  const setStepState = (el, state) => {
+    if (!el) return;
+    el.classList.remove('is-done', 'is-next', 'is-locked');
+    el.classList.add(state);
+  };
 
-    const aName = result?.a?.name || result?.teamA?.name || result?.a?.team || "Team A";
-    const bName = result?.b?.name || result?.teamB?.name || result?.b?.team || "Team B";
+  // Step 1
+  if (csvLoaded) {
+    setStepState(els.step1, 'is-done');
+    if (els.s1) els.s1.textContent = (copy && copy.step1_ready) || 'Field loaded and teams unlocked.';
+  } else {
+    setStepState(els.step1, 'is-next');
+    if (els.s1) els.s1.textContent = (copy && copy.step1_pending) || 'Tournament field not loaded.';
+  }
 
-    const line1 = pools ? miFillTeamTokens(pick(pools.s1), aName, bName) : "";
-    const line2 = pools ? miFillTeamTokens(pick(pools.s2), aName, bName) : "";
+  // Step 2
+  if (!csvLoaded) {
+    setStepState(els.step2, 'is-locked');
+    if (els.s2) els.s2.textContent = (copy && copy.status_pending) || 'Pending';
+  } else if (teamsOk) {
+    setStepState(els.step2, 'is-done');
+    if (els.s2) els.s2.textContent = (copy && copy.step2_ready) || 'Teams selected. Matchup is queued.';
+  } else {
+    setStepState(els.step2, 'is-next');
+    const msg = !hasA ? ((copy && copy.step2_pending) || 'Select two teams to compare.')
+              : !hasB ? 'Select Team B to continue.'
+              : ((copy && copy.step2_pending) || 'Select two teams to compare.');
+    if (els.s2) els.s2.textContent = msg;
+  }
 
-    // Always render as ONE paragraph per card
-    const text = [line1, line2].filter(Boolean).join(" ");
+  // Step 3
+  if (!csvLoaded || !teamsOk) {
+    setStepState(els.step3, 'is-locked');
+    if (els.s3) els.s3.textContent = (copy && copy.status_pending) || 'Pending';
+  } else if (roundChosen) {
+    setStepState(els.step3, 'is-done');
+    if (els.s3) els.s3.textContent = (copy && copy.step3_ready) || 'Briefing complete. Run Compare when ready.';
+  } else {
+    setStepState(els.step3, 'is-next');
+    if (els.s3) els.s3.textContent = (copy && copy.step3_pending) || 'Choose a round, then run Compare to generate analysis.';
+  }
+}
 
-    const card = document.createElement("div");
-    card.className = "int-console-card";
-    card.dataset.intKey = BREAKDOWN_KEY[key];
-    const labelEl = document.createElement("div");
-    labelEl.className = "int-console-label";
+// Dynamically filter which rounds are available based on selected teams' seeds
+function updateRoundOptionsForCurrentSeeds() {
+  const roundBtn = document.getElementById("roundSelectBtn");
+  const roundDropdown = document.getElementById("roundDropdown");
+  if (!roundBtn || !roundDropdown) return;
 
-    /* Title */
-    const titleSpan = document.createElement("span");
-    titleSpan.textContent = title.toUpperCase();
+  const selectA =
+    document.getElementById('teamA') ||
+    document.getElementById('teamASelect') ||
+    document.getElementById('cindTeamSelect');
 
-    const pill = document.createElement("span");
-    pill.classList.add("int-edge-pill");
+  const selectB =
+    document.getElementById('teamB') ||
+    document.getElementById('teamBSelect') ||
+    document.getElementById('favTeamSelect');
 
-    if (edge === "A") {
-      pill.classList.add("int-edge-A");
-      pill.textContent = `FAVORS ${aName}`;
-    } else if (edge === "B") {
-      pill.classList.add("int-edge-B");
-      pill.textContent = `FAVORS ${bName}`;
-    } else {
-      pill.classList.add("int-edge-even"); // if your CSS uses this
-      pill.textContent = "EVEN";
-    }
+  const teamAName = selectA?.value || '';
+  const teamBName = selectB?.value || '';
 
-    labelEl.appendChild(titleSpan);
-    labelEl.appendChild(pill);
+  const showAllRounds = () => {
+    roundDropdown.querySelectorAll(".round-option").forEach(opt => {
+      opt.style.display = "";
+    });
+    CURRENT_ROUND = null;
+    roundBtn.textContent = "Select Round";
+    roundBtn.title = "";
 
-    const textEl = document.createElement("div");
-    textEl.className = "int-console-text";
-    textEl.textContent = text || "—";
+    // 🔒 No round selected → disable Compare
+    setCompareButtonEnabled(false);
+  };
 
-    card.appendChild(labelEl);
-    card.appendChild(textEl);
-    host.appendChild(card);
-  });
-}
+  // Sandbox = no restrictions
+  if (SANDBOX_MODE) {
+    showAllRounds();
+    return;
+  }
 
-/* --------------------------
-   Table ↔ Console spotlight sync
-   -------------------------- */
+  if (!teamAName || !teamBName) {
+    showAllRounds();
+    return;
+  }
 
-function clearInteractionConsoleSpotlight() {
-  const body = document.getElementById('interactionConsoleBody');
-  if (!body) return;
+  const teamA = getTeamByName(teamAName);
+  const teamB = getTeamByName(teamBName);
 
-  body.querySelectorAll('.int-console-card.is-active').forEach(el => el.classList.remove('is-active'));
+  if (!teamA || !teamB || teamA.seed == null || teamB.seed == null) {
+    showAllRounds();
+    return;
+  }
 
-  const table = document.getElementById('interactionsTable');
-  if (table) {
-    table.querySelectorAll('tbody tr.is-console-active').forEach(tr => tr.classList.remove('is-console-active'));
+  // Hypothetical teams have no bracket slot, so any round is fair game
+  if (teamA.synthetic || teamB.synthetic) {
+    showAllRounds();
+    return;
   }
-}
 
-function spotlightInteractionConsole(key) {
-  if (!key) return;
+  const allowedRounds = new Set(getPossibleRoundsForTeams(DATASET, teamA, teamB));
 
-  const body = document.getElementById('interactionConsoleBody');
-  if (!body) return;
+  roundDropdown.querySelectorAll(".round-option").forEach(opt => {
+    const code = opt.getAttribute("data-round");
+    opt.style.display = allowedRounds.has(code) ? "" : "none";
+  });
 
-  clearInteractionConsoleSpotlight();
+  // Force user to pick a compatible round
+  CURRENT_ROUND = null;
+  roundBtn.textContent = allowedRounds.size ? "Select Round" : "No Bracket Round";
+  roundBtn.title = allowedRounds.size ? "" : describeNoMeetingRound(teamA, teamB);
+  setCompareButtonEnabled(false);   // 🔒 reset whenever allowed-round set changes
+}
 
-  const card = body.querySelector(`.int-console-card[data-int-key="${key}"]`);
-  if (card) card.classList.add('is-active');
+function syncNextHalo(isCsvLoaded) {
+  const datasetCard = document.querySelector('.controls-card.is-primary-entry');
+  const stepsCard = document.getElementById('matchupSetupCard');
 
-  const table = document.getElementById('interactionsTable');
-  if (table) {
-    const tr = table.querySelector(`tbody tr[data-int-key="${key}"]`);
-    if (tr) tr.classList.add('is-console-active');
+  if (isCsvLoaded) {
+    datasetCard?.classList.remove('mi-halo');
+    stepsCard?.classList.add('mi-halo');
+  } else {
+    datasetCard?.classList.add('mi-halo');
+    stepsCard?.classList.remove('mi-halo');
   }
 }
 
-function initInteractionConsoleSync() {
-  const table = document.getElementById('interactionsTable');
-  if (!table) return;
-
-  const tbody = table.querySelector('tbody');
-  if (!tbody) return;
+// fetchModelProfile(url) Fetches and validates a model profile JSON without activating it.
+async function fetchModelProfile(url) {
+  const res = await fetch(url, { cache: 'no-store' });
+  if (!res.ok) throw new Error(`Fetch failed (${res.status})`);
+  return MI_ENGINE.loadModelProfile(await res.json());
+}
 
-  // hover (desktop)
-  tbody.addEventListener('mouseover', (e) => {
-    const tr = e.target.closest('tr[data-int-key]');
-    if (!tr) return;
-    spotlightInteractionConsole(tr.dataset.intKey);
-  });
+// loadModelProfileFromUrl(url) Fetches a model profile JSON, validates it through the engine and rescores the loaded dataset (re-running the open matchup).
+async function loadModelProfileFromUrl(url) {
+  const statusEl = document.getElementById('modelProfileStatus');
 
-  tbody.addEventListener('mouseout', (e) => {
-    // If leaving the tbody entirely, clear
-    const related = e.relatedTarget;
-    if (related && tbody.contains(related)) return;
-    clearInteractionConsoleSpotlight();
-  });
+  try {
+    const profile = await fetchModelProfile(url);
+    MODEL_PROFILE = profile;
+
+    // The engine's built-in profile mirrors the official file; flag any edit that touched only one of them
+    const drift = profile.id === MI_ENGINE.DEFAULT_MODEL_PROFILE.id
+      ? MI_ENGINE.getModelProfileDrift(profile)
+      : [];
+    if (drift.length) {
+      console.error(`[MI] ${url} differs from the built-in ${profile.id} profile at: ${drift.join(', ')}`);
+    }
 
-  // tap/click (mobile-safe)
-  tbody.addEventListener('click', (e) => {
-    const tr = e.target.closest('tr[data-int-key]');
-    if (!tr) return;
+    if (DATASET) {
+      MI_ENGINE.setDatasetProfile(DATASET, profile);
+      syncDatasetGlobals();
+      renderLeaderboard();
+      refreshTeamProfile();
+      refreshWhatIf();
+      renderSyntheticTeamList();
+      rerunLastMatchup();
+    }
 
-    const key = tr.dataset.intKey;
-    const body = document.getElementById('interactionConsoleBody');
-    const active = body?.querySelector(`.int-console-card.is-active[data-int-key="${key}"]`);
+    if (statusEl) {
+      statusEl.className = `helper-text model-profile-status${drift.length ? ' is-error' : ''}`;
+      statusEl.textContent = `${profile.label || profile.id} · v${profile.version}` +
+        (drift.length ? ` · differs from the built-in copy (${drift.length} fields, see console)` : '');
+    }
+    console.log('[MI] Model profile:', profile.id, profile.version);
+    return profile;
 
-    if (active) {
-      clearInteractionConsoleSpotlight();
-      return;
+  } catch (err) {
+    console.error('[MI] Model profile load error:', err);
+    if (statusEl) {
+      statusEl.className = 'helper-text model-profile-status is-error';
+      statusEl.textContent = `Profile not loaded (${err.message}). Using built-in v3.2.`;
     }
+    return null;
+  }
+}
 
-    spotlightInteractionConsole(key);
+// rerunLastMatchup() Re-scores the matchup currently on screen (after the dataset or model changes).
+function rerunLastMatchup() {
+  const last = window.LAST_RESULT;
+  if (!last || !DATASET) return null;
+  if (!getTeamByName(last.a.name) || !getTeamByName(last.b.name)) return null;
+  return compareTeams(last.a.name, last.b.name);
+}
 
-    // auto-clear after a moment so it doesn’t “stick” forever on mobile
-    window.clearTimeout(window.__MI_INT_CONSOLE_TAP_TIMER);
-    window.__MI_INT_CONSOLE_TAP_TIMER = window.setTimeout(() => {
-      clearInteractionConsoleSpotlight();
-    }, 1800);
-  });
+// clearMatchupResult() Takes down the matchup on screen (one of its teams no longer exists) and returns to the pre-matchup controls.
+function clearMatchupResult() {
+  window.LAST_RESULT = null;
+  hideAnalysisShell();
+  hideMatchupBar();
+  refreshSensitivity(null);
+  updateRoundOptionsForCurrentSeeds();
+  refreshCompareButtonState();
 }
 
-// ========== RENDER PROFILE MARK BADGES ==========
-function renderProfileMarks(team, containerId) {
-  const el = document.getElementById(containerId);
-  if (!el || !team || !Array.isArray(team.profileMarks)) return;
+async function loadOfficialDatasetFromUrl(url, filename) {
+  const statusEl = document.getElementById('status');
+  const appShell = document.querySelector('.app-shell');
 
-  const PROFILE_MARK_BADGE_PATH = "assets/img/badges/";
+  try {
+    if (statusEl) {
+      statusEl.className = 'status warn';
+      statusEl.textContent = 'Loading dataset…';
+    }
 
-  el.innerHTML = '';
-  
-  // Empty state
-  if (team.profileMarks.length === 0) {
-    el.innerHTML = `
-      <div class="pm-empty" role="status" aria-live="polite">
-        <div class="pm-empty-inner">
-          <svg class="pm-empty-icon" viewBox="0 0 24 24" fill="none" aria-hidden="true">
-            <path d="M12 8v5" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
-            <path d="M12 16.5h.01" stroke="currentColor" stroke-width="3" stroke-linecap="round"/>
-            <path d="M10.3 3.9 2.6 19.2A2 2 0 0 0 4.4 22h15.2a2 2 0 0 0 1.8-2.8L13.7 3.9a2 2 0 0 0-3.4 0Z"
-                  stroke="currentColor" stroke-width="1.8" stroke-linejoin="round" opacity="0.9"/>
-          </svg>
+    const res = await fetch(url, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`Fetch failed (${res.status})`);
 
-          <div class="pm-empty-title">No Profile Marks Detected</div>
-          <div class="pm-empty-text">
-            This team does not meet the criteria for any profile marks.
-          </div>
-        </div>
-      </div>
-    `;
-    return;
-  }
+    const text = await res.text();
+
+    // 1) Load into the app (no user upload required)
+    const { headers, rows } = parseCSV(text);
+    RAW_ROWS = rows;
+    UPLOAD_PERCENT_KEYS = [];
 
-  const BADGE_MAP = {
-    "Offensive Rigidity — Moderate": "badge_offensive_rigidity_moderate.svg",
-    "Offensive Rigidity — Severe":   "badge_offensive_rigidity_severe.svg",
+    buildTeamsFromCSV(headers, rows);
+    DATASET_URL = url;
+    DATASET_LABEL = filename || url;
+    saveSessionDataset({ kind: 'url', url, filename: filename || '' });
 
-    "Unstable Perimeter — Moderate": "badge_unstable_perimeter_moderate.svg",
-    "Unstable Perimeter — Severe":   "badge_unstable_perimeter_severe.svg",
+    const count = (TEAM_LIST || []).length;
+    updatePreMatchupHubProgress();
+    refreshCompareButtonState();
 
-    "Cold Arc Team — Moderate": "badge_cold_arc_moderate.svg",
-    "Cold Arc Team — Severe":   "badge_cold_arc_severe.svg",
+    if (appShell) {
+      if (count > 0) appShell.classList.add('csv-loaded');
+      else appShell.classList.remove('csv-loaded');
+    }
 
-    "Undisciplined Defense — Moderate": "badge_undisciplined_defense_moderate.svg",
-    "Undisciplined Defense — Severe":   "badge_undisciplined_defense_severe.svg",
+    if (statusEl) {
+      if (count > 0) {
+        statusEl.className = 'status ok';
+        statusEl.textContent = `Loaded ${count} teams (${filename || 'dataset'})`;
+      } else {
+        statusEl.className = 'status warn';
+        statusEl.textContent = 'Dataset loaded, but 0 teams detected.';
+      }
+    }
 
-    "Soft Interior — Moderate": "badge_soft_interior_moderate.svg",
-    "Soft Interior — Severe":   "badge_soft_interior_severe.svg",
+  } catch (err) {
+    console.error('[MI] Dataset load error:', err);
+    if (statusEl) {
+      statusEl.className = 'status error';
+      statusEl.textContent = `Dataset load error: ${err.message}`;
+    }
+    if (appShell) appShell.classList.remove('csv-loaded');
+    syncNextHalo(false);
+  }
+}
 
-    "Perimeter Leakage — Moderate": "badge_perimeter_leakage_moderate.svg",
-    "Perimeter Leakage — Severe":   "badge_perimeter_leakage_severe.svg",
+// triggerBlobDownload(blob, filename) Saves a Blob through a temporary object-URL anchor.
+function triggerBlobDownload(blob, filename) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(a.href);
+}
 
-    "Tempo Strain — Moderate": "badge_tempo_strain_moderate.svg",
-    "Tempo Strain — Severe":   "badge_tempo_strain_severe.svg",
+function triggerCsvDownload(csvText, filename) {
+  const blob = new Blob([csvText], { type: 'text/csv;charset=utf-8' });
+  triggerBlobDownload(blob, filename || 'MadnessIndex_Dataset.csv');
+}
 
-    "Turnover Fragility — Moderate": "badge_turnover_fragility_moderate.svg",
-    "Turnover Fragility — Severe":   "badge_turnover_fragility_severe.svg",
-  };
+async function downloadDatasetFromUrl(url, filename) {
+  const res = await fetch(url, { cache: 'no-store' });
+  if (!res.ok) throw new Error(`Fetch failed (${res.status})`);
+  const text = await res.text();
+  triggerCsvDownload(text, filename);
+}
 
-  team.profileMarks.forEach(mark => {
-    const filename = BADGE_MAP[mark];
-    if (!filename) return;
+function buildCsvTemplateText() {
+  // Headers chosen to match HEADER_ALIASES in mi_engine.js (resolved after normalizeHeader).
+  // (Don’t add extra commas/spaces; keep these stable.)
+  const headers = [
+    'Team','Seed','Region',
+    'Off Eff','Def Eff','Efficiency Margin','True Shooting %','eFG','Tempo','Effective Possession Ratio','TO%',
+    'Def. eFG%',
+    '% of points from 2','% of points from 3','% of points from FT',
+    '3P %','3P Rate','FTR',
+    'Extra Scoring Chances Game','Non Blocked 2pt %','ORB %','DRB %','Block %','Steals per possession',
+    'Opp Asst Poss','Opp TO Poss','Opp FTA FGA','Opp 3pt %','Opp 3P Rate',
+    'FT_PCT',
+    'Close game win pct','Wins','Losses','Strength of Schedule'
+  ];
 
-    // Example mark string: "Tempo Strain — Severe"
-    const parts    = mark.split('—');
-    const baseName = (parts[0] || mark).trim();
-    const severity = mark.includes('Severe')   ? 'Severe'
-                    : mark.includes('Moderate') ? 'Moderate'
-                    : 'Neutral';
+  // Header row only (clean template)
+  return headers.join(',') + '\n';
+}
 
-    const chip = document.createElement('div');
-    chip.className = 'mark-chip';
-    if (severity === 'Severe')   chip.classList.add('severe');
-    if (severity === 'Moderate') chip.classList.add('moderate');
+// ========== MATCHUP PERMALINK ==========
+//
+// The URL hash mirrors the scored matchup so it can be shared:
+//   #ds=<official dataset path>&a=<Team A>&b=<Team B>&round=<code>&sandbox=1&model=<profile file>&mv=<version>
+// Only datasets and profiles offered in #datasetSelect / #modelProfileSelect are loaded from a link.
 
-    const iconPlate = document.createElement('div');
-    iconPlate.className = 'mark-icon-plate';
+// getSelectOptionValues(id) Enabled option values of a <select> (whitelist for permalink restores).
+function getSelectOptionValues(id) {
+  const select = document.getElementById(id);
+  if (!select) return [];
+  return [...select.options].filter(o => o.value && !o.disabled).map(o => o.value);
+}
 
-    const img = document.createElement('img');
-    img.src = PROFILE_MARK_BADGE_PATH + filename;
-    img.alt = baseName;
-    img.className = 'mark-badge';
-    iconPlate.appendChild(img);
+// buildMatchupPermalinkHash(result) Serializes dataset, teams, round, sandbox flag and model profile into a hash string.
+function buildMatchupPermalinkHash(result) {
+  const params = new URLSearchParams();
+  if (DATASET_URL) params.set('ds', DATASET_URL);
+  params.set('a', result.a.name);
+  params.set('b', result.b.name);
+  if (CURRENT_ROUND) params.set('round', CURRENT_ROUND);
+  if (SANDBOX_MODE) params.set('sandbox', '1');
 
-    const info = document.createElement('div');
-    info.className = 'mark-info';
+  const modelSelect = document.getElementById('modelProfileSelect');
+  if (modelSelect && modelSelect.value) params.set('model', modelSelect.value);
+  const profile = MI_ENGINE.getModelProfile(DATASET);
+  if (profile.version) params.set('mv', profile.version);
 
-    const titleEl = document.createElement('div');
-    titleEl.className = 'mark-title';
-    titleEl.textContent = baseName;
+  return `#${params.toString()}`;
+}
 
-    const subEl = document.createElement('div');
-    subEl.className = 'mark-subtext';
-    subEl.textContent = getMarkDescription(baseName, severity);
+// updateMatchupPermalink(result) Rewrites the URL hash for the matchup on screen (replaceState, so no history entries).
+function updateMatchupPermalink(result) {
+  if (!result || !window.history || !history.replaceState) return;
+  const hash = buildMatchupPermalinkHash(result);
+  if (location.hash !== hash) history.replaceState(null, '', hash);
+}
 
-    info.appendChild(titleEl);
-    info.appendChild(subEl);
+// readMatchupPermalink() Parses the current hash; null when it does not name two teams.
+function readMatchupPermalink() {
+  const raw = (location.hash || '').replace(/^#/, '');
+  if (!raw) return null;
 
-    chip.appendChild(iconPlate);
-    chip.appendChild(info);
+  const params = new URLSearchParams(raw);
+  const a = params.get('a');
+  const b = params.get('b');
+  if (!a || !b) return null;
 
-    chip.title = mark;
+  return {
+    ds: params.get('ds') || '',
+    a,
+    b,
+    round: params.get('round') || '',
+    sandbox: params.get('sandbox') === '1',
+    model: params.get('model') || '',
+    mv: params.get('mv') || '',
+  };
+}
 
-    el.appendChild(chip);
-  });
+// setPermalinkStatus(kind, text) Reports permalink problems in the dataset status line.
+function setPermalinkStatus(kind, text) {
+  const statusEl = document.getElementById('status');
+  if (!statusEl) return;
+  statusEl.className = `status ${kind}`;
+  statusEl.textContent = text;
 }
 
-// ========== SMALL HELPERS FOR RENDERING ==========
+// applyMatchupSelection({ a, b, round, sandbox }) Drives the pre-matchup controls (sandbox, Team A/B, round) and clicks Compare; false when Compare stays disabled (e.g. unknown round).
+function applyMatchupSelection(sel) {
+  const sandboxToggle = document.getElementById('sandboxModeToggle');
+  if (sandboxToggle && sandboxToggle.checked !== sel.sandbox) {
+    sandboxToggle.checked = sel.sandbox;
+    sandboxToggle.dispatchEvent(new Event('change'));
+  }
 
-function fmt(val, digits) {
-  if (val === null || val === undefined || isNaN(val)) return '—';
-  return Number(val).toFixed(digits);
-}
+  ['teamA', 'teamB'].forEach(id => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    select.value = id === 'teamA' ? sel.a : sel.b;
+    select.dispatchEvent(new Event('change'));
+  });
 
-function showFooter() {
-  const f = document.getElementById('appFooter');
-  if (f) f.classList.remove('hidden');
-}
+  // Only known round codes reach the selector (a hand-edited hash can carry anything)
+  const roundOpt = MI_ENGINE.ROUND_ORDER.includes(sel.round)
+    ? document.querySelector(`#roundDropdown .round-option[data-round="${sel.round}"]`)
+    : null;
+  if (roundOpt) roundOpt.click();
 
-function hideFooter() {
-  const f = document.getElementById('appFooter');
-  if (f) f.classList.add('hidden');
+  const compareBtn = document.getElementById('compareBtn');
+  if (!refreshCompareButtonState() || !compareBtn) return false;
+  compareBtn.click();
+  return true;
 }
 
-// ========== MATCHUP BAR TOGGLING ==========
-
-function updateMatchupBarFromDOM() {
-  const matchupBar = document.getElementById('matchupBar');
-  const topBar = document.querySelector('.top-bar') || document.getElementById('preSetupRow');
-  if (!matchupBar || !topBar) return;
+// restoreMatchupFromPermalink() Loads the linked dataset, sets sandbox, teams and round, then runs the comparison.
+async function restoreMatchupFromPermalink() {
+  const link = readMatchupPermalink();
+  if (!link) return false;
+  console.log('[MI] Restoring permalink:', link);
 
-  const teamANameEl  = document.getElementById('teamATitle');
-  const teamBNameEl  = document.getElementById('teamBTitle');
-  const seedAEl      = document.getElementById('teamASeed');
-  const seedBEl      = document.getElementById('teamBSeed');
-  const roundLabelEl = document.getElementById('currentRoundLabel');
+  const modelSelect = document.getElementById('modelProfileSelect');
+  if (modelSelect && link.model && modelSelect.value !== link.model &&
+      getSelectOptionValues('modelProfileSelect').includes(link.model)) {
+    modelSelect.value = link.model;
+    await loadModelProfileFromUrl(link.model);
+  }
 
-  const cName = teamANameEl ? teamANameEl.textContent.trim() : 'Team A';
-  const fName = teamBNameEl ? teamBNameEl.textContent.trim() : 'Team B';
-  const cSeed = seedAEl ? seedAEl.textContent.trim() : '';
-  const fSeed = seedBEl ? seedBEl.textContent.trim() : '';
-  const round = roundLabelEl ? roundLabelEl.textContent.trim() : 'Round of 64';
+  if (link.ds && link.ds !== DATASET_URL) {
+    if (!getSelectOptionValues('datasetSelect').includes(link.ds)) {
+      setPermalinkStatus('warn', miGetCopy('permalink.unknown_dataset', 'This link points to a dataset that is not available here.'));
+      return false;
+    }
+    const datasetSelect = document.getElementById('datasetSelect');
+    const opt = datasetSelect ? [...datasetSelect.options].find(o => o.value === link.ds) : null;
+    if (datasetSelect) datasetSelect.value = link.ds;
+    await loadOfficialDatasetFromUrl(link.ds, opt?.dataset?.filename || '');
+  }
 
-  const cNameOut = document.getElementById('matchupCinderName');
-  const fNameOut = document.getElementById('matchupFavoriteName');
-  const cSeedOut = document.getElementById('matchupCinderSeed');
-  const fSeedOut = document.getElementById('matchupFavoriteSeed');
-  const roundOut = document.getElementById('matchupRoundPill');
+  if (!DATASET || !TEAM_LIST.length) {
+    setPermalinkStatus('warn', miGetCopy('permalink.needs_dataset', 'Load the dataset this link was made with to see the matchup.'));
+    return false;
+  }
+  if (!getTeamByName(link.a) || !getTeamByName(link.b)) {
+    setPermalinkStatus('warn', miFillTemplate(
+      miGetCopy('permalink.unknown_teams_template', 'This link names teams that are not in the loaded dataset ({{A}}, {{B}}).'),
+      { A: link.a, B: link.b }
+    ));
+    return false;
+  }
 
-  if (cNameOut) cNameOut.textContent = cName;
-  if (fNameOut) fNameOut.textContent = fName;
-  if (cSeedOut) cSeedOut.textContent = cSeed ? `(${cSeed})` : '';
-  if (fSeedOut) fSeedOut.textContent = fSeed ? `(${fSeed})` : '';
-  if (roundOut) roundOut.textContent = round;
+  if (!applyMatchupSelection(link)) {
+    setPermalinkStatus('warn', miGetCopy('permalink.not_ready', 'Loaded the linked teams, but the round could not be restored. Pick a round to compare.'));
+    return false;
+  }
 
-  matchupBar.classList.add('visible');
-  topBar.classList.add('collapsed');
+  const profile = MI_ENGINE.getModelProfile(DATASET);
+  if (link.mv && profile.version !== link.mv) {
+    setPermalinkStatus('warn', miFillTemplate(
+      miGetCopy('permalink.model_mismatch_template', 'This link was made with model v{{LINK}}; you are viewing v{{NOW}}.'),
+      { LINK: link.mv, NOW: profile.version }
+    ));
+  }
+  return true;
+}
 
-  const appShell = document.querySelector('.app-shell');
-   if (appShell) {
-   appShell.classList.add('has-matchup');
-   appShell.classList.remove('pre-matchup');
-   showFooter();
+// copyMatchupPermalink(btn) Copies the current URL (with hash) and flashes the button label.
+async function copyMatchupPermalink(btn) {
+  const label = btn ? btn.textContent : '';
+  try {
+    await navigator.clipboard.writeText(location.href);
+    if (btn) btn.textContent = miGetCopy('permalink.copied', 'Link copied');
+  } catch (err) {
+    console.warn('[MI] Clipboard unavailable:', err);
+    window.prompt(miGetCopy('permalink.copy_prompt', 'Copy this link:'), location.href);
   }
+  if (btn) setTimeout(() => { btn.textContent = label; }, 1500);
 }
 
-function hideMatchupBar() {
-  const matchupBar = document.getElementById('matchupBar');
-  const topBar = document.querySelector('.top-bar') || document.getElementById('preSetupRow');
-  if (!matchupBar || !topBar) return;
+// ========== SESSION & MATCHUP HISTORY ==========
+//
+// mi.session        { dataset: { kind: 'url', url, filename } | { kind: 'table', label, headers, rows } | null,
+//                     matchup: { a, b, round, sandbox } | null }
+// mi.matchupHistory [{ a, b, round, sandbox, predicted, diff, dataset, datasetLabel, fingerprint, at }], newest first
+//                   (dataset = official URL, null for uploads; fingerprint = getDatasetFingerprint() of the data scored)
+
+// getSession() Saved session ({ dataset: null, matchup: null } if none / unreadable).
+function getSession() {
+  return { dataset: null, matchup: null, ...readStoredJSON(SESSION_KEY, {}) };
+}
+
+// saveSessionDataset(source) Remembers how the current dataset was loaded; uploads too large for storage are dropped.
+function saveSessionDataset(source) {
+  const session = getSession();
+  if (!writeStoredJSON(SESSION_KEY, { ...session, dataset: source }) && source.kind === 'table') {
+    console.warn('[MI] Uploaded dataset too large to remember; it will not be restored on reload.');
+    writeStoredJSON(SESSION_KEY, { ...session, dataset: null });
+  }
+}
 
-  matchupBar.classList.remove('visible');
-  topBar.classList.remove('collapsed');
+// getDatasetFingerprint() Hash of the loaded headers + rows, so an upload can be told apart from another file with the same label.
+function getDatasetFingerprint() {
+  if (!DATASET) return null;
+  return miHash32(JSON.stringify([DATASET.headers, DATASET.rows])).toString(16);
+}
 
-  const appShell = document.querySelector('.app-shell');
-  if (appShell) {
-    appShell.classList.remove('has-matchup');
-    appShell.classList.add('pre-matchup');
-    hideFooter();
-  }
+// getMatchupHistory() Recent compared matchups, newest first.
+function getMatchupHistory() {
+  return readStoredJSON(MATCHUP_HISTORY_KEY, []);
 }
 
-// ===== MATCHUP BAR QUICK EDIT (INLINE) =====
-let __MI_QUICK_EDIT_HOME = null;
+// recordMatchupSession(result) Saves the matchup on screen as the session matchup and moves it to the top of the history.
+function recordMatchupSession(result) {
+  const matchup = { a: result.a.name, b: result.b.name, round: CURRENT_ROUND || '', sandbox: SANDBOX_MODE };
+  writeStoredJSON(SESSION_KEY, { ...getSession(), matchup });
 
-function enterMatchupQuickEdit() {
-  const matchupBar = document.getElementById('matchupBar');
-  if (!matchupBar) return;
+  const sameGame = h => h.round === matchup.round &&
+    ((h.a === matchup.a && h.b === matchup.b) || (h.a === matchup.b && h.b === matchup.a));
 
-  const slotA = document.getElementById('matchupQuickA');
-  const slotB = document.getElementById('matchupQuickB');
-  const slotR = document.getElementById('matchupQuickRound');
-  if (!slotA || !slotB || !slotR) return;
+  const entry = {
+    ...matchup,
+    predicted: result.predicted,
+    diff: result.diff,
+    dataset: DATASET_URL,
+    datasetLabel: DATASET_LABEL,
+    fingerprint: getDatasetFingerprint(),
+    at: new Date().toISOString(),
+  };
+  const history = [entry, ...getMatchupHistory().filter(h => !sameGame(h))].slice(0, MATCHUP_HISTORY_LIMIT);
+  writeStoredJSON(MATCHUP_HISTORY_KEY, history);
+  renderMatchupHistory();
+}
 
-  const aWrap = document.getElementById('teamASelectWrap');
-  const bWrap = document.getElementById('teamBSelectWrap');
-  const rWrap = document.getElementById('roundSelectorWrap');
+// renderMatchupHistory() Lists recent matchups (predicted winner, ΔMI, round, dataset) with one-click restore.
+function renderMatchupHistory() {
+  const list = document.getElementById('historyList');
+  if (!list) return;
 
-  if (!aWrap || !bWrap || !rWrap) {
-    console.warn('[MI] Quick edit could not find select wrappers (teamASelectWrap/teamBSelectWrap/roundSelectorWrap).');
+  const history = getMatchupHistory();
+  const clearBtn = document.getElementById('historyClearBtn');
+  if (clearBtn) clearBtn.disabled = !history.length;
+
+  if (!history.length) {
+    list.innerHTML = `<li class="history-empty">${miGetCopy('history.empty', 'Compared matchups will appear here.')}</li>`;
     return;
   }
 
-  // Cache original locations once
-  if (!__MI_QUICK_EDIT_HOME) {
-    __MI_QUICK_EDIT_HOME = {
-      aParent: aWrap.parentElement,
-      bParent: bWrap.parentElement,
-      rParent: rWrap.parentElement,
-      aNext: aWrap.nextSibling,
-      bNext: bWrap.nextSibling,
-      rNext: rWrap.nextSibling
-    };
+  list.innerHTML = history.map((h, i) => `
+    <li class="history-item">
+      <button type="button" class="history-restore" data-index="${i}">
+        <span class="history-teams">${h.a} vs ${h.b}</span>
+        <span class="history-meta">
+          ${h.round ? getRoundLabelFromCode(h.round) : ''}${h.sandbox ? ' · Sandbox' : ''}
+          · ${h.predicted} ${fmtDelta(Math.abs(h.diff))}
+          ${h.datasetLabel ? `· ${h.datasetLabel}` : ''}
+        </span>
+      </button>
+    </li>`).join('');
+}
+
+// loadSessionDataset(source) Reloads a remembered dataset (official URL or stored upload table).
+async function loadSessionDataset(source) {
+  if (!source) return;
+  if (source.kind === 'url') {
+    if (source.url === DATASET_URL) return;
+    if (!getSelectOptionValues('datasetSelect').includes(source.url)) return;
+    const datasetSelect = document.getElementById('datasetSelect');
+    if (datasetSelect) datasetSelect.value = source.url;
+    await loadOfficialDatasetFromUrl(source.url, source.filename);
+  } else if (source.kind === 'table' && Array.isArray(source.headers) && Array.isArray(source.rows)) {
+    loadUploadedTable(source.headers, source.rows, source.label);
   }
+}
 
-  matchupBar.classList.add('is-editing');
-  slotA.setAttribute('aria-hidden', 'false');
-  slotB.setAttribute('aria-hidden', 'false');
-  slotR.setAttribute('aria-hidden', 'false');
+// restoreMatchupFromHistory(index) Loads the entry's dataset when it was an official one, then reruns the matchup;
+// an upload entry only restores while that same file (by fingerprint) is loaded.
+async function restoreMatchupFromHistory(index) {
+  const entry = getMatchupHistory()[index];
+  if (!entry) return false;
 
-  // Show actions container
-  const actions = matchupBar.querySelector('.matchup-quick-actions');
-  if (actions) actions.setAttribute('aria-hidden', 'false');
+  if (entry.dataset && entry.dataset !== DATASET_URL) {
+    await loadSessionDataset({ kind: 'url', url: entry.dataset, filename: entry.datasetLabel });
+  }
 
-  // Move existing controls into the bar
-  slotA.appendChild(aWrap);
-  slotR.appendChild(rWrap);
-  slotB.appendChild(bWrap);
+  const sameUpload = entry.fingerprint
+    ? entry.fingerprint === getDatasetFingerprint()
+    : entry.datasetLabel === DATASET_LABEL;
+  if (!entry.dataset && (DATASET_URL || !sameUpload)) {
+    setPermalinkStatus('warn', miFillTemplate(
+      miGetCopy('history.other_upload_template', 'This matchup was run on an uploaded file ({{LABEL}}). Upload that file again to restore it.'),
+      { LABEL: entry.datasetLabel || miGetCopy('history.uploaded_label', 'Uploaded file') }
+    ));
+    return false;
+  }
 
-  // Focus Team A for speed
-  const teamASelect = document.getElementById('teamA');
-  if (teamASelect) teamASelect.focus();
+  if (!DATASET || !getTeamByName(entry.a) || !getTeamByName(entry.b)) {
+    setPermalinkStatus('warn', miFillTemplate(
+      miGetCopy('history.missing_teams_template', 'Load the dataset with {{A}} and {{B}} to restore this matchup.'),
+      { A: entry.a, B: entry.b }
+    ));
+    return false;
+  }
+  return applyMatchupSelection(entry);
 }
 
-function exitMatchupQuickEdit() {
-  const matchupBar = document.getElementById('matchupBar');
-  if (!matchupBar) return;
-
-  const slotA = document.getElementById('matchupQuickA');
-  const slotB = document.getElementById('matchupQuickB');
-  const slotR = document.getElementById('matchupQuickRound');
+// restoreSession() On boot: reloads the last dataset and re-selects (and reruns) the last matchup.
+async function restoreSession() {
+  const session = getSession();
+  await loadSessionDataset(session.dataset);
 
-  matchupBar.classList.remove('is-editing');
-  slotA?.setAttribute('aria-hidden', 'true');
-  slotB?.setAttribute('aria-hidden', 'true');
-  slotR?.setAttribute('aria-hidden', 'true');
+  const m = session.matchup;
+  if (!m || !DATASET || !getTeamByName(m.a) || !getTeamByName(m.b)) return false;
+  return applyMatchupSelection(m);
+}
 
-  const actions = matchupBar.querySelector('.matchup-quick-actions');
-  if (actions) actions.setAttribute('aria-hidden', 'true');
+// restoreStartupState() A permalink in the URL wins; otherwise the saved session is restored.
+function restoreStartupState() {
+  renderMatchupHistory();
+  return readMatchupPermalink() ? restoreMatchupFromPermalink() : restoreSession();
+}
 
-  const aWrap = document.getElementById('teamASelectWrap');
-  const bWrap = document.getElementById('teamBSelectWrap');
-  const rWrap = document.getElementById('roundSelectorWrap');
+// ========== FILE IMPORT (CSV / JSON / XLSX) ==========
 
-  if (__MI_QUICK_EDIT_HOME && aWrap && bWrap && rWrap) {
-    const { aParent, bParent, rParent, aNext, bNext, rNext } = __MI_QUICK_EDIT_HOME;
-    aParent?.insertBefore(aWrap, aNext || null);
-    bParent?.insertBefore(bWrap, bNext || null);
-    rParent?.insertBefore(rWrap, rNext || null);
-  }
+// getUploadKind(file) Classifies an upload by extension (csv is the fallback).
+function getUploadKind(file) {
+  const name = String((file && file.name) || '').toLowerCase();
+  if (name.endsWith('.xlsx')) return 'xlsx';
+  if (name.endsWith('.json')) return 'json';
+  return 'csv';
+}
 
-  // Close round dropdown if open (avoids weird floating menu)
-  const roundDropdown = document.getElementById('roundDropdown');
-  if (roundDropdown) roundDropdown.classList.add('hidden');
+// readUploadFile(file, asBuffer) Wraps FileReader in a promise (text or ArrayBuffer).
+function readUploadFile(file, asBuffer) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (ev) => resolve(ev.target.result);
+    reader.onerror = () => reject(reader.error || new Error('Could not read file'));
+    if (asBuffer) reader.readAsArrayBuffer(file);
+    else reader.readAsText(file);
+  });
 }
 
-function showAnalysisShell() {
-  const shell = document.getElementById('analysisShell');
-  if (!shell) return;
+// loadUploadedTable(headers, rows, label) Runs the shared upload pipeline for any parsed table.
+function loadUploadedTable(headers, rows, label) {
+  const statusEl = document.getElementById('status');
+
+  RAW_ROWS = rows;
+  DATASET_URL = null;
+  DATASET_LABEL = label || miGetCopy('history.uploaded_label', 'Uploaded file');
+  saveSessionDataset({ kind: 'table', label: DATASET_LABEL, headers, rows });
+  console.log('[MI] Upload headers:', headers);
+  console.log('[MI] First data row:', rows[0]);
+
+  // Trackers store shooting rates as 0–100; convert any such column for this load so validation sees fractions.
+  const percentKeys = getPercentKeys();
+  const detectedPercentKeys = MI_ENGINE.detectPercentKeys(headers, rows, getHeaderOverrides())
+    .filter(key => !percentKeys.includes(key));
+  UPLOAD_PERCENT_KEYS = detectedPercentKeys;
+  if (detectedPercentKeys.length) console.log('[MI] Percent-unit columns converted:', detectedPercentKeys);
+
+  buildTeamsFromCSV(headers, rows);
+  maybeOpenMappingWizard();
+
+  const count = (TEAM_LIST || []).length;
+  console.log('[MI] Teams parsed:', count);
+  updatePreMatchupHubProgress();
+  refreshCompareButtonState();
 
-  shell.classList.remove('hidden');
-  // next frame so the transition actually runs
-  requestAnimationFrame(() => shell.classList.add('analysis-visible'));
-}
+  const appShell = document.querySelector('.app-shell');
+  if (appShell) {
+    const isLoaded = count > 0;
 
-function hideAnalysisShell() {
-  const shell = document.getElementById('analysisShell');
-  if (!shell) return;
+    if (isLoaded) appShell.classList.add('csv-loaded');
+    else appShell.classList.remove('csv-loaded');
 
-  shell.classList.remove('analysis-visible');
+    syncNextHalo(isLoaded);
+  }
 
-  // wait for the fade/slide transition, then remove from layout
-  window.setTimeout(() => {
-    shell.classList.add('hidden');
-  }, 280);
+  if (statusEl) {
+    if (count > 0) {
+      statusEl.className = 'status ok';
+      statusEl.textContent = label ? `Loaded ${count} teams (${label})` : `Loaded ${count} teams`;
+      if (detectedPercentKeys.length) statusEl.textContent += ` · ${detectedPercentKeys.length} percent columns converted to 0–1`;
+    } else {
+      statusEl.className = 'status warn';
+      statusEl.textContent = `${label || 'File'} parsed, but 0 teams detected. Check the Team column header.`;
+    }
+  }
 }
 
-function renderCoreProfileTable(team, tableId) {
-  const table = document.getElementById(tableId);
-  if (!table) return;
+// renderSheetPicker() Shows the worksheet dropdown for multi-sheet workbooks.
+function renderSheetPicker() {
+  const wrap = document.getElementById('sheetPicker');
+  const select = document.getElementById('sheetSelect');
+  if (!wrap || !select) return;
 
-  const rows = team.coreDetails || [];
-  if (!rows.length) {
-    table.innerHTML = `
-      <thead>
-        <tr class="table-header">
-          <th>Category</th>
-          <th>Thresholds</th>
-          <th>Team Value</th>
-          <th>Tier</th>
-          <th>Points Given</th>
-        </tr>
-      </thead>
-      <tbody>
-        <tr>
-          <td colspan="5">No core trait data.</td>
-        </tr>
-      </tbody>
-    `;
+  const names = (LAST_WORKBOOK && LAST_WORKBOOK.sheetNames) || [];
+  if (names.length < 2) {
+    wrap.hidden = true;
+    select.innerHTML = '';
     return;
   }
 
-  const header = `
-    <thead>
-      <tr class="table-header">
-        <th>Category</th>
-        <th>Thresholds</th>
-        <th>Team Value</th>
-        <th>Tier</th>
-        <th>Points Given</th>
-      </tr>
-    </thead>
-  `;
-
-  const bodyRows = rows.map(r => {
-    const tierClass = r.tier
-      ? `tier-${r.tier.replace(/[\s/]+/g, '')}`   // e.g. "Slightly Above / Average" -> "tier-SlightlyAboveAverage"
-      : '';
+  select.innerHTML = '';
+  names.forEach(n => {
+    const opt = document.createElement('option');
+    opt.value = n;
+    opt.textContent = n;
+    select.appendChild(opt);
+  });
+  select.value = LAST_WORKBOOK.sheetName;
+  wrap.hidden = false;
+}
 
-    return `
-      <tr>
-        <td>${r.label}</td>
-        <td>Mean = ${fmt(r.mean, 3)}<br/>SD = ${fmt(r.sd, 3)}</td>
-        <td class="metric-block">${fmt(r.value, 3)}</td>
-        <td class="metric-block ${tierClass}">${r.tier}</td>
-        <td class="metric-block">${fmt(r.points, 3)}</td>
-      </tr>
-    `;
-  }).join('');
+// loadWorkbookSheet(sheet) Parses one worksheet of the last uploaded workbook into the app.
+async function loadWorkbookSheet(sheet) {
+  if (!LAST_WORKBOOK) return;
+  const parsed = await MI_ENGINE.parseXLSX(LAST_WORKBOOK.buffer, { sheet });
+  LAST_WORKBOOK.sheetNames = parsed.sheetNames;
+  LAST_WORKBOOK.sheetName = parsed.sheetName;
+  renderSheetPicker();
+  loadUploadedTable(parsed.headers, parsed.rows, `${LAST_WORKBOOK.fileName} › ${parsed.sheetName}`);
+}
 
-  const hits    = team.breadthHits != null ? team.breadthHits : 0;
-  const breadth = team.breadth     != null ? team.breadth     : 0;
+// importDatasetFile(file) Reads a .csv, .json or .xlsx upload and loads it.
+async function importDatasetFile(file) {
+  const kind = getUploadKind(file);
+  const statusEl = document.getElementById('status');
 
-  const brConfig = window.MI_COPY?.core_profile?.breadth_row || {};
-  const thresholdText =
-    brConfig.threshold_text ||
-    "Bonus scales with total 'hits' across Efficiency, Shooting, Possession, Tempo";
-  const tierText =
-    brConfig.tier_text ||
-    "Tier placement skipped";
+  try {
+    if (kind === 'xlsx') {
+      const buffer = await readUploadFile(file, true);
+      LAST_WORKBOOK = { buffer, fileName: file.name, sheetNames: [], sheetName: null };
+      await loadWorkbookSheet(0);
+      return;
+    }
 
-  const breadthRow = `
-    <tr class="breadth-row">
-      <td>Breadth Bonus</td>
-      <td>${thresholdText}</td>
-      <td>${hits} hits</td>
-      <td>${tierText}</td>
-      <td>${fmt(breadth, 3)}</td>
-    </tr>
-  `;
+    LAST_WORKBOOK = null;
+    renderSheetPicker();
 
-  table.innerHTML = header + `<tbody>` + bodyRows + breadthRow + `</tbody>`;
+    const text = await readUploadFile(file, false);
+    const { headers, rows } = kind === 'json' ? MI_ENGINE.parseTeamJSON(text) : parseCSV(text);
+    loadUploadedTable(headers, rows, kind === 'json' ? file.name : '');
+  } catch (err) {
+    const label = kind.toUpperCase();
+    console.error(`[MI] ${label} parse error:`, err);
+    if (statusEl) {
+      statusEl.className = 'status error';
+      statusEl.textContent = `${label} parse error: ${err.message}`;
+    }
+  }
 }
 
-function renderNeutralTable(team, mi, interactionsTotal, tableId, subtotalSpanId) {
-  const table = document.getElementById(tableId);
-  const subtotalSpan = document.getElementById(subtotalSpanId);
-  if (!table || !subtotalSpan) return;
+// ========== COLUMN-MAPPING WIZARD ==========
 
-  const core    = team.mibs    || 0;
-  const breadth = team.breadth || 0;
-  const resume  = team.resumeR || 0;
+// getImportProfiles() Named import profiles saved in localStorage: { name: { headers, percentKeys } }
+function getImportProfiles() {
+  return readStoredJSON(IMPORT_PROFILES_KEY, {});
+}
 
-  // interactionAdj = whatever is left after core + breadth + resume
-  const interactionAdj = (mi || 0) - (core + breadth + resume);
+function saveImportProfile(name, profile) {
+  const all = getImportProfiles();
+  all[name] = { headers: { ...(profile.headers || {}) }, percentKeys: [...(profile.percentKeys || [])] };
+  writeStoredJSON(IMPORT_PROFILES_KEY, all);
+}
 
-  // Use the explicit interactions.a / interactions.b if available for display
-  const shownInt = (interactionsTotal != null ? interactionsTotal : interactionAdj);
+// applyImportProfile(name) Makes a saved profile the active mapping, reloads the file and re-opens the wizard for anything still missing.
+function applyImportProfile(name) {
+  const profile = getImportProfiles()[name];
+  if (!profile) return;
+  saveHeaderOverrides(profile.headers || {});
+  savePercentKeys(profile.percentKeys || []);
+  reapplyHeaderOverrides();
+  maybeOpenMappingWizard();
+  console.log('[MI] Import profile applied:', name);
+}
 
-  const neutralSubtotal = resume + interactionAdj;
+function populateImportProfileSelect() {
+  const select = document.getElementById('importProfileSelect');
+  const applyBtn = document.getElementById('importProfileApplyBtn');
+  if (!select) return;
 
-  table.innerHTML = `
-    <tr class="table-header">
-      <th>Category</th>
-      <th>Thresholds</th>
-      <th>Team Value</th>
-      <th>Tier</th>
-      <th>Points Given</th>
-    </tr>
-    <tr>
-      <td>Résumé Context (R)</td>
-      <td>Field-relative W/L &amp; Schedule</td>
-      <td>${fmt(resume, 3)}</td>
-      <td>${resume >= 0 ? 'Favorable' : 'Skeptical'}</td>
-      <td>${fmt(resume, 3)}</td>
-    </tr>
-    <tr>
-      <td>Interaction Metrics</td>
-      <td>3P, FT, Paint, TO, Glass, Résumé Pressure</td>
-      <td>${fmt(shownInt, 3)}</td>
-      <td>${interactionAdj >= 0 ? 'Leverage' : 'Headwind'}</td>
-      <td>${fmt(interactionAdj, 3)}</td>
-    </tr>
-  `;
+  const names = Object.keys(getImportProfiles()).sort();
+  select.innerHTML = names.length
+    ? names.map(n => `<option value="${n}">${n}</option>`).join('')
+    : `<option value="">${miGetCopy('mapping_wizard.no_profiles', 'No saved profiles')}</option>`;
+  select.disabled = !names.length;
+  if (applyBtn) applyBtn.disabled = !names.length;
+}
 
-  subtotalSpan.textContent = fmt(neutralSubtotal, 3);
+// getMappingSkips(headers) Keys the user left as "not in this file" for this exact header set.
+function getMappingSkips(headers) {
+  return readStoredJSON(MAPPING_SKIPS_KEY, {})[headers.join('\u241F')] || [];
 }
 
-function buildTeamSummary(team, opponent, result, side) {
-  const isA = side === 'A';
+// saveMappingSkips(headers, keys) Remembers unmapped keys for this header set so the wizard stops re-opening for them.
+function saveMappingSkips(headers, keys) {
+  const all = readStoredJSON(MAPPING_SKIPS_KEY, {});
+  const signature = headers.join('\u241F');
+  if (keys.length) all[signature] = [...new Set(keys)];
+  else delete all[signature];
+  writeStoredJSON(MAPPING_SKIPS_KEY, all);
+}
 
-  const coreRows = team.coreDetails || [];
-  let strongest = null, weakest = null;
-  if (coreRows.length) {
-    strongest = coreRows.reduce((best, r) => r.points > (best?.points ?? -Infinity) ? r : best, null);
-    weakest   = coreRows.reduce((worst, r) => r.points < (worst?.points ?? Infinity) ? r : worst, null);
+// maybeOpenMappingWizard() Opens the wizard when the loaded file leaves Team or required metrics unmapped, or has auto-detected
+// percent columns to confirm (minus keys skipped for this header set); returns true if it opened.
+function maybeOpenMappingWizard() {
+  if (!DATASET) return false;
+  const skipped = getMappingSkips(DATASET.headers);
+  const saved = getPercentKeys();
+  const keys = [
+    ...MI_ENGINE.getUnresolvedKeys(DATASET.headerIndex),
+    ...UPLOAD_PERCENT_KEYS.filter(key => !saved.includes(key)),
+  ].filter(key => !skipped.includes(key));
+  if (!keys.length) {
+    closeMappingWizard();
+    return false;
   }
+  openMappingWizard(keys);
+  return true;
+}
 
-  const breadthHits = team.breadthHits ?? 0;
-  const breadthScore = team.breadth ?? 0;
-  const resumeScore  = team.resumeR ?? 0;
-  const resumeTier   = team.resumeRTier || 'Average';
+// openMappingWizard(keys) One row per key: header picker (preset for columns already matched), sample preview and a percent-units toggle for 0–1 metrics.
+function openMappingWizard(keys) {
+  const wizard = document.getElementById('mappingWizard');
+  const table = document.getElementById('mappingWizardTable');
+  if (!wizard || !table || !DATASET) return;
 
-  const marks = Array.isArray(team.profileMarks) ? team.profileMarks : [];
-  const severeCount   = marks.filter(m => m.includes('Severe')).length;
-  const moderateCount = marks.filter(m => m.includes('Moderate')).length;
+  const tbody = table.querySelector('tbody');
+  if (!tbody) return;
 
-  // If you have interactions labeled with swings, grab top 1–2
-  const intSide = isA ? result.interactions.a : result.interactions.b;
-  const topInts = (intSide?.details || [])
-    .slice()
-    .sort((x, y) => Math.abs(y.points) - Math.abs(x.points))
-    .slice(0, 2);
+  const headerOptions = DATASET.headers.map((h, i) => `<option value="${i}">${h}</option>`).join('');
+  const emptyLabel = miGetCopy('mapping_wizard.leave_empty', '— not in this file —');
+  const percentLabel = miGetCopy('mapping_wizard.percent_label', 'Percent (÷100)');
 
-  // Opponent context (seed / MI gap etc if you want)
-  const oppSeed = opponent?.seed;
-  const mySeed  = team?.seed;
+  tbody.innerHTML = keys.map(key => {
+    const isFraction = MI_ENGINE.FRACTION_KEYS.includes(key);
+    return `
+      <tr data-key="${key}">
+        <td class="mapping-wizard-key">${key}</td>
+        <td>
+          <select class="mapping-wizard-select">
+            <option value="">${emptyLabel}</option>
+            ${headerOptions}
+          </select>
+        </td>
+        <td class="mapping-wizard-sample">—</td>
+        <td>${isFraction
+          ? `<label class="mapping-wizard-unit"><input type="checkbox" class="mapping-wizard-percent" /> ${percentLabel}</label>`
+          : '—'}</td>
+      </tr>`;
+  }).join('');
 
-  // Build short clauses
-  const coreClause = (strongest && weakest)
-    ? `${strongest.label} is the main edge, while ${weakest.label} is the soft spot.`
-    : `Core Traits show this team’s main statistical shape.`;
+  // Keys that already resolved (detected percent columns) start on their column so the unit toggle reflects it
+  tbody.querySelectorAll('tr[data-key]').forEach(tr => {
+    const column = DATASET.headerIndex[tr.dataset.key];
+    const select = tr.querySelector('.mapping-wizard-select');
+    if (!select || column == null || column < 0) return;
+    select.value = String(column);
+    updateMappingWizardPreview(select);
+  });
 
-  const breadthClause = (breadthScore > 0)
-    ? `${breadthHits} Above-Average hits earn a Breadth Bonus of +${fmt(breadthScore,3)}.`
-    : `Breadth is neutral — strengths are concentrated rather than spread out.`;
+  populateImportProfileSelect();
+  wizard.hidden = false;
+}
 
-  const resumeClause = (resumeScore > 0.0001)
-    ? `${resumeTier} résumé adds +${fmt(resumeScore,3)}.`
-    : (resumeScore < -0.0001)
-      ? `${resumeTier} résumé subtracts ${fmt(resumeScore,3)}.`
-      : `${resumeTier} résumé is neutral.`;
+// updateMappingWizardPreview(select) Shows sample values for the chosen column and pre-ticks percent units when they look like 1–100 values.
+function updateMappingWizardPreview(select) {
+  const tr = select.closest('tr[data-key]');
+  if (!tr || !DATASET) return;
 
-  const marksClause = (!marks.length)
-    ? `No Profile Marks — clean structural profile.`
-    : (severeCount > 0)
-      ? `${severeCount} Severe / ${moderateCount} Moderate marks flag volatility or structural risk.`
-      : `${moderateCount} Moderate marks flag matchup-sensitive weaknesses.`;
+  const sampleCell = tr.querySelector('.mapping-wizard-sample');
+  const percentBox = tr.querySelector('.mapping-wizard-percent');
 
-  const interactionClause = (topInts.length)
-    ? `Biggest matchup swing: ${topInts.map(i => `${i.label} (${fmt(i.points,3)})`).join(', ')}.`
-    : `No major matchup leverage flagged.`;
+  if (select.value === '') {
+    if (sampleCell) sampleCell.textContent = '—';
+    if (percentBox) percentBox.checked = false;
+    return;
+  }
 
-  return {
-    strongest,
-    weakest,
-    coreClause,
-    breadthClause,
-    resumeClause,
-    marksClause,
-    interactionClause,
-    severeCount,
-    moderateCount,
-    breadthHits
-  };
+  const samples = MI_ENGINE.getColumnSamples(DATASET.rows, Number(select.value), 3);
+  if (sampleCell) sampleCell.textContent = samples.length ? samples.join(', ') : '(empty column)';
+  if (percentBox) percentBox.checked = MI_ENGINE.looksLikePercentUnits(samples);
 }
 
-function renderTeamSide(side, result) {
-  const isA   = side === 'A';
-  const team  = isA ? result.a   : result.b;
-  const mi    = isA ? result.miA : result.miB;              // matchup MI (still used elsewhere if needed)
-  const intTot= isA ? result.interactions.a : result.interactions.b;
+// applyMappingWizard() Saves the chosen columns / units as the active mapping (and optionally a named import profile), then reloads the file.
+function applyMappingWizard() {
+  const table = document.getElementById('mappingWizardTable');
+  if (!table || !DATASET) return;
 
-  if (!team) return;
+  const overrides = getHeaderOverrides();
+  const percentKeys = new Set(getPercentKeys());
+  const skipped = [];
 
-  const titleEl           = document.getElementById(isA ? 'teamATitle'    : 'teamBTitle');
-  const seedEl            = document.getElementById(isA ? 'teamASeed'     : 'teamBSeed');
-  const profileSubtotalEl = document.getElementById(isA ? 'cindSubtotalA' : 'favSubtotalB');
-  const teamTotalEl       = document.getElementById(isA ? 'teamTotalA'    : 'teamTotalB');
-  const coreTableId       = isA ? 'cindProfileTableA' : 'favProfileTableB';
-  const neutralTableId    = isA ? 'neutralTableA'     : 'neutralTableB';
-  const neutralSubtotalId = isA ? 'neutralSubtotalA'  : 'neutralSubtotalB';
+  table.querySelectorAll('tbody tr[data-key]').forEach(tr => {
+    const key = tr.dataset.key;
+    const select = tr.querySelector('.mapping-wizard-select');
+    if (!select) return;
+    if (select.value === '') {
+      skipped.push(key);
+      return;
+    }
 
-  const core    = team.mibs    || 0;
-  const breadth = team.breadth || 0;
-  const resume  = team.resumeR || 0;
-  const opponent = isA ? result.b : result.a;
-  const summary = buildTeamSummary(team, opponent, result, side);
+    // Only record a mapping when it differs from what the file already resolved to
+    if (Number(select.value) !== DATASET.headerIndex[key]) overrides[DATASET.headers[Number(select.value)]] = key;
+    const percentBox = tr.querySelector('.mapping-wizard-percent');
+    if (percentBox && percentBox.checked) percentKeys.add(key);
+    else {
+      percentKeys.delete(key);
+      UPLOAD_PERCENT_KEYS = UPLOAD_PERCENT_KEYS.filter(k => k !== key);
+    }
+  });
 
-  // Baseline profile subtotal and MI_base
-  const profileSubtotal = core + breadth;
+  saveHeaderOverrides(overrides);
+  savePercentKeys([...percentKeys]);
+  saveMappingSkips(DATASET.headers, [...getMappingSkips(DATASET.headers), ...skipped]);
 
-  // Ensure MI_base is present; fall back to computing if needed
-  const miBase = (typeof team.mi_base === 'number')
-    ? team.mi_base
-    : computeMIBase(team);
+  const nameInput = document.getElementById('importProfileName');
+  const name = nameInput ? nameInput.value.trim() : '';
+  if (name) {
+    saveImportProfile(name, { headers: overrides, percentKeys: [...percentKeys] });
+    nameInput.value = '';
+    console.log('[MI] Import profile saved:', name);
+  }
 
-  // Build display name with seed prefix (e.g., "#1 Seed Florida")
-  const baseName = team.name || (isA ? 'Team A' : 'Team B');
-  const seedStr  = (team.seed != null && team.seed !== '') ? String(team.seed) : '';
+  closeMappingWizard();
+  reapplyHeaderOverrides();
+}
 
-  if (titleEl) {
-    titleEl.textContent = seedStr
-      ? `#${seedStr} Seed ${baseName}`
-      : baseName;
+// skipMappingWizard() Closes the wizard and remembers every listed key as "not in this file" for the loaded header set.
+function skipMappingWizard() {
+  const table = document.getElementById('mappingWizardTable');
+  if (table && DATASET) {
+    const keys = [...table.querySelectorAll('tbody tr[data-key]')].map(tr => tr.dataset.key);
+    saveMappingSkips(DATASET.headers, [...getMappingSkips(DATASET.headers), ...keys]);
+  }
+  closeMappingWizard();
+}
+
+function closeMappingWizard() {
+  const wizard = document.getElementById('mappingWizard');
+  if (wizard) wizard.hidden = true;
+}
+
+// ========== PRINTABLE MATCHUP REPORT ==========
+//
+// Report mode re-lays the rendered matchup (card fronts and backs, interactions,
+// console narrative, summary) into #matchupReport as one print-ready page; the
+// print stylesheet hides the app shell while report mode is on.
+
+// Team-card element ids that feed the report, per side.
+const REPORT_SIDE_IDS = {
+  A: {
+    title: 'teamATitle', core: 'cindProfileTableA', subtotal: 'cindSubtotalA', total: 'teamTotalA',
+    identityScore: 'identityScoreA', identityRole: 'identityRoleA', identityDetail: 'identityDetailA',
+    resumeAdj: 'resumeAdjA', resumeTier: 'resumeTierA', marks: 'inlineMarksA',
+    backs: { formula: 'backFormulaA', core: 'backCoreA', breadth: 'backBreadthA', resume: 'backResumeA',
+      identity: 'backIdentityA', marks: 'backMarksA', madness: 'backMadnessTileA' },
+  },
+  B: {
+    title: 'teamBTitle', core: 'favProfileTableB', subtotal: 'favSubtotalB', total: 'teamTotalB',
+    identityScore: 'identityScoreB', identityRole: 'identityRoleB', identityDetail: 'identityDetailB',
+    resumeAdj: 'resumeAdjB', resumeTier: 'resumeTierB', marks: 'inlineMarksB',
+    backs: { formula: 'backFormulaB', core: 'backCoreB', breadth: 'backBreadthB', resume: 'backResumeB',
+      identity: 'backIdentityB', marks: 'backMarksB', madness: 'backMadnessTileB' },
+  },
+};
+
+const REPORT_BACK_LABELS = {
+  formula: 'How the score is built',
+  core: 'Core traits',
+  breadth: 'Breadth',
+  resume: 'Résumé',
+  identity: 'Tournament identity',
+  marks: 'Profile marks',
+  madness: 'Madness Index',
+};
+
+// getReportHTML(id, outer) Rendered markup of an element with ids stripped, so the copy cannot shadow the live DOM.
+function getReportHTML(id, outer = false) {
+  const el = document.getElementById(id);
+  if (!el) return '';
+  return String((outer ? el.outerHTML : el.innerHTML) || '').replace(/\sid="[^"]*"/g, '');
+}
+
+// getReportText(id) Trimmed text of an element ('' if missing).
+function getReportText(id) {
+  const el = document.getElementById(id);
+  return el ? String(el.textContent || '').trim() : '';
+}
+
+// buildReportTeamHTML(side) One team column: header numbers, core table, tiles and every back-of-card explanation.
+function buildReportTeamHTML(side) {
+  const ids = REPORT_SIDE_IDS[side];
+  const backs = Object.entries(ids.backs)
+    .map(([key, id]) => ({ key, html: getReportHTML(id) }))
+    .filter(b => b.html.replace(/<[^>]*>/g, '').trim());
+
+  return `
+    <section class="report-team">
+      <h2 class="report-team-title">${getReportText(ids.title)}</h2>
+      <dl class="report-facts">
+        <div><dt>${miGetCopy('report.rating_label', 'MI Rating')}</dt><dd>${getReportText(ids.total)}</dd></div>
+        <div><dt>${miGetCopy('report.subtotal_label', 'Profile subtotal')}</dt><dd>${getReportText(ids.subtotal)}</dd></div>
+        <div><dt>${miGetCopy('report.resume_label', 'Résumé')}</dt><dd>${getReportText(ids.resumeTier)} (${getReportText(ids.resumeAdj)})</dd></div>
+        <div><dt>${miGetCopy('report.identity_label', 'Identity')}</dt><dd>${getReportText(ids.identityRole)} · ${getReportText(ids.identityDetail)}</dd></div>
+      </dl>
+      ${getReportHTML(ids.core, true)}
+      <div class="report-marks">${getReportHTML(ids.marks)}</div>
+      <div class="report-backs">
+        ${backs.map(b => `
+          <h3>${miGetCopy(`report.back_labels.${b.key}`, REPORT_BACK_LABELS[b.key])}</h3>
+          <div class="report-back-text">${b.html}</div>`).join('')}
+      </div>
+    </section>`;
+}
+
+// buildMatchupReportHTML(result) Full report: header, verdict, both teams, interactions and console narrative.
+function buildMatchupReportHTML(result) {
+  const profile = MI_ENGINE.getModelProfile(DATASET);
+  const roundCode = result.round || CURRENT_ROUND;
+  const meta = [
+    roundCode ? getRoundLabelFromCode(roundCode) : '',
+    SANDBOX_MODE ? miGetCopy('report.sandbox_label', 'Sandbox mode') : '',
+    DATASET_LABEL,
+    `${profile.label || profile.id} · v${profile.version}`,
+    new Date().toLocaleString(),
+  ].filter(Boolean);
+
+  return `
+    <header class="report-header">
+      <p class="report-kicker">${miGetCopy('report.kicker', 'Madness Index Matchup Report')}</p>
+      <h1>${result.a.name} vs ${result.b.name}</h1>
+      <p class="report-meta">${meta.join(' · ')}</p>
+    </header>
+
+    <section class="report-section report-verdict">
+      <h2>${miGetCopy('report.summary_title', 'Summary')}</h2>
+      ${getReportHTML('summaryTable', true)}
+      <p class="report-seed-note">${getReportText('summarySeedNote')}</p>
+    </section>
+
+    <div class="report-section report-teams">
+      ${buildReportTeamHTML('A')}
+      ${buildReportTeamHTML('B')}
+    </div>
+
+    <section class="report-section">
+      <h2>${miGetCopy('report.interactions_title', 'Interaction Metrics')}</h2>
+      ${getReportHTML('interactionsTable', true)}
+      <div class="report-totals">${getReportHTML('interactionTotalsBar')}</div>
+    </section>
+
+    <section class="report-section">
+      <h2>${miGetCopy('report.console_title', 'Interaction Console')}</h2>
+      <div class="report-console">${getReportHTML('interactionConsoleBody')}</div>
+    </section>`;
+}
+
+// openMatchupReport() Builds the report for the matchup on screen and switches the page into report mode.
+function openMatchupReport() {
+  const result = window.LAST_RESULT;
+  const report = document.getElementById('matchupReport');
+  const body = document.getElementById('matchupReportBody');
+  if (!report || !body) return false;
+  if (!result) {
+    alert(miGetCopy('report.no_matchup', 'Run a matchup first, then open the report.'));
+    return false;
   }
 
-  // Keep the raw numeric seed in the hidden span so the matchup HUD
-  // can still read it and display "(1)" etc. if desired.
-  if (seedEl) {
-    seedEl.textContent = seedStr;
-  }
+  body.innerHTML = buildMatchupReportHTML(result);
+  report.hidden = false;
+  document.body.classList.add('report-mode');
+  window.scrollTo(0, 0);
+  return true;
+}
 
-  if (profileSubtotalEl) {
-    profileSubtotalEl.textContent = fmt(profileSubtotal, 3);
-  }
+// closeMatchupReport() Leaves report mode.
+function closeMatchupReport() {
+  const report = document.getElementById('matchupReport');
+  if (report) report.hidden = true;
+  document.body.classList.remove('report-mode');
+}
 
-  if (teamTotalEl) {
-    // Prefer the precomputed 1–99 cosmetic rating
-    let rating = (typeof team.mi_rating === 'number') ? team.mi_rating : null;
+// ========== SHAREABLE MATCHUP CARD (PNG) ==========
 
-    // If somehow missing, derive from performancePercentile or mi_base
-    if (rating == null) {
-      const P = (typeof team.performancePercentile === 'number')
-        ? team.performancePercentile
-        : 0.5;
-      rating = Math.round(P * 100);
-    }
+// Output sizes for social posts (px).
+const MATCHUP_CARD_SIZES = {
+  landscape: { width: 1200, height: 675 },
+  square:    { width: 1080, height: 1080 },
+  portrait:  { width: 1080, height: 1350 },
+};
 
-    if (rating < 1)  rating = 1;
-    if (rating > 99) rating = 99;
+// Canvas palette (mirrors the --mi-* theme variables in styles2.css).
+const MATCHUP_CARD_COLORS = {
+  bgTop: '#0b1120',
+  bgBottom: '#111827',
+  border: '#1f2937',
+  text: '#f9fafb',
+  muted: '#9ca3af',
+  faint: '#6b7280',
+  accent: '#38bdf8',
+  bands: {
+    'Toss-Up': '#6b7280',
+    'Very Slight Lean': '#94a3b8',
+    'Lean': '#38bdf8',
+    'Strong Lean': '#facc15',
+    'Heavy Lean': '#f97316',
+  },
+};
 
-    // Optional: keep the raw MI_base accessible for debugging
-    teamTotalEl.setAttribute('title', `Baseline MI: ${fmt(miBase, 3)}`);
+const MATCHUP_CARD_FONT = 'system-ui, -apple-system, "Segoe UI", sans-serif';
+const MATCHUP_CARD_MAX_BADGES = 4;
+let MATCHUP_CARD_RENDER = 0; // bumped per renderMatchupCard() call; a draw whose badges resolve late is dropped
+
+// loadCardImage(src) Resolves to a loaded Image, or null if it fails (a missing badge never blocks the card).
+function loadCardImage(src) {
+  return new Promise(resolve => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+}
 
-    // Display as a two-digit badge
-    teamTotalEl.textContent = rating.toString().padStart(2, '0');
+// getTopInteractionChannels(result, count) Favored channels with the largest |adjustment|, biggest first.
+function getTopInteractionChannels(result, count = 2) {
+  return ((result.interactions && result.interactions.channels) || [])
+    .filter(ch => ch.favored && ch.value)
+    .sort((x, y) => Math.abs(y.value) - Math.abs(x.value))
+    .slice(0, count);
+}
+
+// fitCardText(ctx, text, maxWidth, size, weight) Sets the largest font (down to half of size) that fits text in maxWidth.
+function fitCardText(ctx, text, maxWidth, size, weight = 700) {
+  let px = size;
+  do {
+    ctx.font = `${weight} ${Math.round(px)}px ${MATCHUP_CARD_FONT}`;
+    if (ctx.measureText(text).width <= maxWidth) break;
+    px -= size * 0.05;
+  } while (px > size * 0.5);
+  return px;
+}
+
+// drawMatchupCardTeam(ctx, team, x, colWidth, top, u, badges) One team column: seed, name, rating and badge row.
+function drawMatchupCardTeam(ctx, team, x, colWidth, top, u, badges) {
+  const C = MATCHUP_CARD_COLORS;
+  const cx = x + colWidth / 2;
+  ctx.textAlign = 'center';
+
+  ctx.fillStyle = C.muted;
+  ctx.font = `600 ${Math.round(26 * u)}px ${MATCHUP_CARD_FONT}`;
+  const seedText = team.seed != null && team.seed !== '' ? `#${team.seed} SEED` : '';
+  ctx.fillText([seedText, team.region ? String(team.region).toUpperCase() : ''].filter(Boolean).join(' · '), cx, top);
+
+  ctx.fillStyle = C.text;
+  fitCardText(ctx, team.name, colWidth - 20 * u, 60 * u);
+  ctx.fillText(team.name, cx, top + 72 * u);
+
+  ctx.fillStyle = C.accent;
+  ctx.font = `800 ${Math.round(110 * u)}px ${MATCHUP_CARD_FONT}`;
+  ctx.fillText(typeof team.mi_rating === 'number' ? String(team.mi_rating) : '—', cx, top + 190 * u);
+
+  ctx.fillStyle = C.faint;
+  ctx.font = `600 ${Math.round(20 * u)}px ${MATCHUP_CARD_FONT}`;
+  ctx.fillText(miGetCopy('matchup_card.rating_label', 'MI RATING'), cx, top + 222 * u);
+
+  const icons = badges.filter(Boolean).slice(0, MATCHUP_CARD_MAX_BADGES);
+  const size = 56 * u;
+  const gap = 12 * u;
+  const rowWidth = icons.length * size + Math.max(0, icons.length - 1) * gap;
+  icons.forEach((img, i) => {
+    ctx.drawImage(img, cx - rowWidth / 2 + i * (size + gap), top + 248 * u, size, size);
+  });
+}
+
+// drawMatchupCard(canvas, result, badgesA, badgesB) Paints the full card at the canvas' current size.
+function drawMatchupCard(canvas, result, badgesA, badgesB) {
+  const C = MATCHUP_CARD_COLORS;
+  const ctx = canvas.getContext('2d');
+  const w = canvas.width;
+  const h = canvas.height;
+  const u = Math.min(w / 1200, h / 675);
+  const pad = 48 * u;
+
+  const bg = ctx.createLinearGradient(0, 0, 0, h);
+  bg.addColorStop(0, C.bgTop);
+  bg.addColorStop(1, C.bgBottom);
+  ctx.fillStyle = bg;
+  ctx.fillRect(0, 0, w, h);
+  ctx.strokeStyle = C.border;
+  ctx.lineWidth = 4 * u;
+  ctx.strokeRect(pad / 2, pad / 2, w - pad, h - pad);
+
+  // Header
+  const roundCode = result.round || CURRENT_ROUND;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillStyle = C.accent;
+  ctx.font = `800 ${Math.round(24 * u)}px ${MATCHUP_CARD_FONT}`;
+  ctx.fillText(miGetCopy('matchup_card.kicker', 'MADNESS INDEX'), pad, pad + 34 * u);
+  ctx.textAlign = 'right';
+  ctx.fillStyle = C.muted;
+  ctx.fillText(roundCode ? getRoundLabelFromCode(roundCode).toUpperCase() : '', w - pad, pad + 34 * u);
+
+  // Teams (extra height on square / portrait goes above and below the team block)
+  const slack = Math.max(0, h - 675 * u);
+  const teamTop = pad + 110 * u + slack * 0.3;
+  const colWidth = (w - pad * 2) * 0.42;
+  drawMatchupCardTeam(ctx, result.a, pad, colWidth, teamTop, u, badgesA);
+  drawMatchupCardTeam(ctx, result.b, w - pad - colWidth, colWidth, teamTop, u, badgesB);
+
+  ctx.textAlign = 'center';
+  ctx.fillStyle = C.faint;
+  ctx.font = `700 ${Math.round(34 * u)}px ${MATCHUP_CARD_FONT}`;
+  ctx.fillText(miGetCopy('matchup_card.vs', 'vs'), w / 2, teamTop + 150 * u);
+
+  // Verdict strip: pick, ΔMI and lean band
+  const band = MI_ENGINE.getLeanBand(result.diff);
+  const bandColor = C.bands[band] || C.muted;
+  const verdictTop = teamTop + 340 * u + slack * 0.2;
+  ctx.fillStyle = bandColor;
+  ctx.fillRect(pad, verdictTop, 8 * u, 96 * u);
+
+  ctx.textAlign = 'left';
+  ctx.fillStyle = C.text;
+  const pick = result.predicted === 'Push'
+    ? miGetCopy('matchup_card.push', 'Push')
+    : miFillTemplate(miGetCopy('matchup_card.pick_template', 'Pick: {{TEAM}}'), { TEAM: result.predicted });
+  fitCardText(ctx, pick, (w - pad * 2) * 0.55, 40 * u, 800);
+  ctx.fillText(pick, pad + 28 * u, verdictTop + 42 * u);
+
+  ctx.fillStyle = bandColor;
+  ctx.font = `700 ${Math.round(28 * u)}px ${MATCHUP_CARD_FONT}`;
+  ctx.fillText(`ΔMI ${fmt(Math.abs(result.diff), 3)} · ${band}`, pad + 28 * u, verdictTop + 84 * u);
+
+  // Top interaction channels, right-aligned beside the verdict
+  const channels = getTopInteractionChannels(result, 2);
+  ctx.textAlign = 'right';
+  ctx.font = `600 ${Math.round(24 * u)}px ${MATCHUP_CARD_FONT}`;
+  if (channels.length) {
+    channels.forEach((ch, i) => {
+      const team = ch.favored === 'A' ? result.a.name : result.b.name;
+      ctx.fillStyle = i === 0 ? C.text : C.muted;
+      ctx.fillText(`${ch.label} → ${team} +${fmt(Math.abs(ch.value), 2)}`, w - pad, verdictTop + 38 * u + i * 40 * u);
+    });
+  } else {
+    ctx.fillStyle = C.muted;
+    ctx.fillText(miGetCopy('matchup_card.no_channels', 'No interaction edges'), w - pad, verdictTop + 38 * u);
   }
 
-  // Résumé context mini-tile
-  const resumeTile   = document.getElementById(isA ? 'resumeTileA' : 'resumeTileB');
-  const resumeAdjEl  = document.getElementById(isA ? 'resumeAdjA'  : 'resumeAdjB');
-  const resumeTierEl = document.getElementById(isA ? 'resumeTierA' : 'resumeTierB');
+  // Footer
+  const profile = MI_ENGINE.getModelProfile(DATASET);
+  ctx.textAlign = 'left';
+  ctx.fillStyle = C.faint;
+  ctx.font = `500 ${Math.round(18 * u)}px ${MATCHUP_CARD_FONT}`;
+  ctx.fillText([DATASET_LABEL, profile.label || profile.id].filter(Boolean).join(' · '), pad, h - pad + 6 * u);
+}
+
+// renderMatchupCard(result, sizeKey) Loads both teams' badges and draws the card into #matchupCardCanvas (null if a newer render superseded it).
+async function renderMatchupCard(result, sizeKey) {
+  const canvas = document.getElementById('matchupCardCanvas');
+  if (!canvas || !result) return null;
+  const token = ++MATCHUP_CARD_RENDER;
+
+  const loadBadges = team => Promise.all((team.profileMarks || [])
+    .filter(mark => PROFILE_MARK_BADGES[mark])
+    .slice(0, MATCHUP_CARD_MAX_BADGES)
+    .map(mark => loadCardImage(PROFILE_MARK_BADGE_PATH + PROFILE_MARK_BADGES[mark])));
+
+  const [badgesA, badgesB] = await Promise.all([loadBadges(result.a), loadBadges(result.b)]);
+  if (token !== MATCHUP_CARD_RENDER) return null;
+
+  const size = MATCHUP_CARD_SIZES[sizeKey] || MATCHUP_CARD_SIZES.landscape;
+  canvas.width = size.width;
+  canvas.height = size.height;
+  drawMatchupCard(canvas, result, badgesA, badgesB);
+  return canvas;
+}
+
+// downloadMatchupCard() Draws the current matchup at the selected size and saves it as a PNG.
+async function downloadMatchupCard() {
+  let result = null;
+  let sizeKey = 'landscape';
+  let canvas = null;
+  // A newer render (new matchup or size change) supersedes ours mid-draw; redraw from the latest state
+  for (let attempt = 0; !canvas && attempt < 3; attempt++) {
+    result = window.LAST_RESULT;
+    if (!result) {
+      setToolStatus('matchupCardStatus', 'warn', miGetCopy('matchup_card.no_matchup', 'Run a matchup first, then generate the card.'));
+      return;
+    }
+    sizeKey = document.getElementById('matchupCardSize')?.value || 'landscape';
+    canvas = await renderMatchupCard(result, sizeKey);
+  }
+  if (!canvas) {
+    setToolStatus('matchupCardStatus', 'warn', miGetCopy('matchup_card.superseded', 'The card was still redrawing. Try the download again.'));
+    return;
+  }
 
-  if (resumeTile && resumeAdjEl && resumeTierEl) {
-    resumeAdjEl.textContent = fmt(resume, 3);
+  const slug = s => String(s).replace(/[^\w-]+/g, '');
+  const filename = `MadnessIndex_${slug(result.a.name)}_vs_${slug(result.b.name)}_${sizeKey}.png`;
 
-    let tier = team.resumeRTier;
+  canvas.toBlob(blob => {
+    if (!blob) {
+      setToolStatus('matchupCardStatus', 'error', miGetCopy('matchup_card.failed', 'Could not export the card image.'));
+      return;
+    }
+    triggerBlobDownload(blob, filename);
+    setToolStatus('matchupCardStatus', 'ok', miFillTemplate(
+      miGetCopy('matchup_card.done_template', 'Saved {{FILE}} ({{W}}×{{H}}).'),
+      { FILE: filename, W: canvas.width, H: canvas.height }
+    ));
+  }, 'image/png');
+}
 
-    if (!tier) {
-     const rules = miGetCopy('resume_tile_ui.tier_rules', null);
-     if (Array.isArray(rules) && rules.length) {
-       const hit = rules.find(r => typeof r.min === 'number' && resume >= r.min);
-       tier = hit?.label || 'Average';
-     } else {
-       tier =
-        (resume >= 0.10 ? 'Strong' :
-         resume >= 0.05 ? 'Above Average' :
-         resume <= -0.10 ? 'Fragile' :
-         resume <= -0.05 ? 'Weak' : 'Average');
-     }
-   }
+// ========== FIELD LEADERBOARD ==========
 
-    resumeTierEl.textContent = tier;
+const LEADERBOARD_CORE_LABELS = {
+  offeff: 'OE', defeff: 'DE', adjem: 'EM', ts: 'TS', efg: 'eFG', def_efg: 'D-eFG', epr: 'EPR', to: 'TO',
+};
 
-    // Reset state + tier classes
-    resumeTile.classList.remove(
-      'context-positive',
-      'context-negative',
-      'context-neutral',
-      'resume-tier-strong',
-      'resume-tier-above',
-      'resume-tier-average',
-      'resume-tier-weak',
-      'resume-tier-fragile'
-    );
+// Sortable columns; value() feeds sorting, text() (optional) the cell. Headers read leaderboard.columns.<key> from copy.json.
+const LEADERBOARD_COLUMNS = [
+  { key: 'name',    label: 'Team',    value: r => r.name, text: r => `<button type="button" class="lb-profile" data-team="${r.name}">${r.name}</button>` },
+  { key: 'seed',    label: 'Seed',    value: r => r.seed },
+  { key: 'mi_base', label: 'MI_base', value: r => r.mi_base, text: r => fmt(r.mi_base, 2) },
+  { key: 'rating',  label: 'Rating',  value: r => r.mi_rating },
+  ...MI_ENGINE.CORE_METRICS.map(m => ({
+    key: `z_${m}`,
+    label: `z ${LEADERBOARD_CORE_LABELS[m] || m}`,
+    title: m,
+    value: r => r.coreZ[m],
+    text: r => fmtDelta(r.coreZ[m]),
+    cls: r => getDeltaClass(r.coreZ[m] || 0),
+  })),
+  { key: 'breadth', label: 'Breadth', value: r => r.breadthHits },
+  { key: 'resume',  label: 'Résumé',  value: r => r.resumeR, text: r => r.resumeRTier || '—' },
+  { key: 'cis',     label: 'CIS',     value: r => r.cisStatic, text: r => fmt(r.cisStatic, 0) },
+  { key: 'fas',     label: 'FAS',     value: r => r.fasStatic, text: r => fmt(r.fasStatic, 0) },
+  { key: 'marks',   label: 'Marks',   value: r => r.profileMarks.length, text: r => `<span title="${r.profileMarks.join('\n')}">${r.profileMarks.length}</span>` },
+];
 
-    // Sign-based state (existing behavior)
-    let stateClass = 'context-neutral';
-    if (resume > 0.0001) stateClass = 'context-positive';
-    else if (resume < -0.0001) stateClass = 'context-negative';
+let LEADERBOARD_SORT = { key: 'mi_base', dir: 'desc' };
 
-   // Tier-based color class (JSON-driven)
-  let tierClass = 'resume-tier-average';
-  const rules = miGetCopy('resume_tile_ui.tier_rules', []);
-  if (Array.isArray(rules)) {
-    const rule = rules.find(r => r.label === tier);
-    if (rule?.class) tierClass = rule.class;
+// setLeaderboardSort(key) Sorts by a column; clicking the active column flips direction (text columns start ascending).
+function setLeaderboardSort(key) {
+  if (LEADERBOARD_SORT.key === key) {
+    LEADERBOARD_SORT.dir = LEADERBOARD_SORT.dir === 'desc' ? 'asc' : 'desc';
+  } else {
+    LEADERBOARD_SORT = { key, dir: (key === 'name' || key === 'seed') ? 'asc' : 'desc' };
   }
+  renderLeaderboard();
+}
 
-    resumeTile.classList.add(stateClass, tierClass);
+// populateLeaderboardSeedFilter(records) One option per seed line present in the field; keeps the current choice when still valid.
+function populateLeaderboardSeedFilter(records) {
+  const select = document.getElementById('leaderboardSeed');
+  if (!select) return;
+
+  const current = select.value;
+  const seeds = [...new Set(records.map(r => r.seed).filter(s => s != null))].sort((a, b) => a - b);
+  select.innerHTML = `<option value="">${miGetCopy('leaderboard.all_seeds', 'All seeds')}</option>` +
+    seeds.map(s => `<option value="${s}">${miFillTemplate(miGetCopy('leaderboard.seed_option', '{{SEED}} seeds'), { SEED: s })}</option>`).join('');
+  select.value = seeds.map(String).includes(current) ? current : '';
+}
+
+// renderLeaderboard() Field-wide table of every team's derived scores, filtered by seed line and sorted by LEADERBOARD_SORT.
+function renderLeaderboard() {
+  const table = document.getElementById('leaderboardTable');
+  if (!table) return;
+
+  if (!DATASET || !TEAM_LIST.length) {
+    table.innerHTML = '';
+    setToolStatus('leaderboardStatus', '', miGetCopy('leaderboard.no_data', 'Load a dataset to rank the field.'));
+    return;
   }
 
-    // Identity tile (CIS / FAS)
-  const identityTile    = document.getElementById(isA ? 'identityTileA'    : 'identityTileB');
-  const identityScoreEl = document.getElementById(isA ? 'identityScoreA'   : 'identityScoreB');
-  const identityRoleEl  = document.getElementById(isA ? 'identityRoleA'    : 'identityRoleB');
-  const identityDetailEl= document.getElementById(isA ? 'identityDetailA'  : 'identityDetailB');
-  const backIdentityEl  = document.getElementById(isA ? 'backIdentityA'    : 'backIdentityB');
+  const records = MI_ENGINE.getScoredTeamRecords(DATASET);
+  populateLeaderboardSeedFilter(records);
 
-  if (identityTile && identityScoreEl && identityRoleEl && identityDetailEl) {
-    const identityLabelEl = identityTile.querySelector('.context-label');
-    const opponent = isA ? result.b : result.a;
-    const roundCode = result.round || CURRENT_ROUND || "R64";
-    const role = getIdentityRoleForGame(team, opponent, roundCode);
+  const seedFilter = document.getElementById('leaderboardSeed')?.value || '';
+  const col = LEADERBOARD_COLUMNS.find(c => c.key === LEADERBOARD_SORT.key) || LEADERBOARD_COLUMNS[2];
+  const sign = LEADERBOARD_SORT.dir === 'asc' ? 1 : -1;
 
-    const cis = (typeof team.cisStatic === 'number') ? team.cisStatic : 0;
-    const fas = (typeof team.fasStatic === 'number') ? team.fasStatic : 0;
+  const rows = records
+    .filter(r => !seedFilter || String(r.seed) === seedFilter)
+    .sort((a, b) => {
+      const va = col.value(a), vb = col.value(b);
+      if (va == null || vb == null) return (va == null) - (vb == null);
+      if (typeof va === 'string') return sign * va.localeCompare(vb);
+      return sign * (va - vb) || a.rank - b.rank;
+    });
 
-    let activeScore = null;
-    let label       = 'Neutral';
-    let desc        = '';
-    let tileClass   = 'identity-neutral';
-    let headerText  = 'Tournament Identity';
+  const arrow = LEADERBOARD_SORT.dir === 'asc' ? '▲' : '▼';
+  const head = `
+    <thead>
+      <tr>
+        <th>#</th>
+        ${LEADERBOARD_COLUMNS.map(c => `
+          <th${c.key === col.key ? ` class="is-sorted" aria-sort="${LEADERBOARD_SORT.dir}ending"` : ''}>
+            <button type="button" class="lb-sort" data-sort-key="${c.key}"${c.title ? ` title="${miGetCopy(`core_explain.metrics.${c.title}.label`, c.title)} (z)"` : ''}>${miGetCopy(`leaderboard.columns.${c.key}`, c.label)}${c.key === col.key ? ` ${arrow}` : ''}</button>
+          </th>`).join('')}
+        <th>${miGetCopy('leaderboard.load_col', 'Load')}</th>
+      </tr>
+    </thead>`;
 
-    const roundLabel = (typeof getRoundLabelFromCode === 'function')
-      ? getRoundLabelFromCode(roundCode)
-      : roundCode;
+  const body = rows.map(r => `
+      <tr>
+        <td>${r.rank}</td>
+        ${LEADERBOARD_COLUMNS.map(c => `<td class="${c.cls ? c.cls(r) : ''}">${c.text ? c.text(r) : (c.value(r) ?? '—')}</td>`).join('')}
+        <td class="lb-load">
+          <button type="button" class="btn subtle lb-pick" data-team="${r.name}" data-slot="A">A</button>
+          <button type="button" class="btn subtle lb-pick" data-team="${r.name}" data-slot="B">B</button>
+        </td>
+      </tr>`).join('');
+
+  table.innerHTML = head + `<tbody>${body}</tbody>`;
+  setToolStatus('leaderboardStatus', '', miFillTemplate(
+    miGetCopy('leaderboard.count_template', 'Showing {{N}} of {{TOTAL}} teams · ranked by MI_base (#).'),
+    { N: rows.length, TOTAL: records.length }
+  ));
+}
+
+// pickLeaderboardTeam(name, slot) Loads a team into the #teamA / #teamB selector and fires its change handler.
+function pickLeaderboardTeam(name, slot) {
+  const select = document.getElementById(slot === 'B' ? 'teamB' : 'teamA');
+  if (!select || !getTeamByName(name)) return;
+
+  select.value = name;
+  select.dispatchEvent(new Event('change', { bubbles: true }));
+
+  const setup = document.getElementById('matchupSetupCard') || select;
+  if (setup.scrollIntoView) setup.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+  setToolStatus('leaderboardStatus', 'ok', miFillTemplate(
+    miGetCopy('leaderboard.picked_template', '{{TEAM}} loaded as Team {{SLOT}}.'),
+    { TEAM: name, SLOT: slot === 'B' ? 'B' : 'A' }
+  ));
+}
+
+// ========== TEAM PROFILE ==========
+
+// populateProfileTeamSelect() Fills #profileTeamSelect with the field (alphabetical), keeping the current team when it is still loaded.
+function populateProfileTeamSelect() {
+  const select = document.getElementById('profileTeamSelect');
+  if (!select) return;
+
+  const current = select.value;
+  select.innerHTML = `<option value="">${miGetCopy('team_profile.placeholder', 'Select a team…')}</option>`;
+  [...TEAM_LIST].sort().forEach(name => {
+    const opt = document.createElement('option');
+    opt.value = name;
+    opt.textContent = name;
+    select.appendChild(opt);
+  });
+  select.value = TEAM_LIST.includes(current) ? current : '';
+}
 
-        if (role === 'FAVORITE') {
-    activeScore = fas;
-    label       = 'Favorite';
-    // Only show FAS in the detail line
-    desc        = `Favorite Authenticity: ${Math.round(fas)}`;
-    tileClass   = 'identity-favorite';
-    headerText  = 'Favorite Authenticity Score';
+// getProfileIdentityRole(team) Dominant static identity for the profile's identity text (no opponent to resolve a game role against).
+function getProfileIdentityRole(team) {
+  const cis = team.cisStatic || 0;
+  const fas = team.fasStatic || 0;
+  if (fas > cis) return 'Favorite';
+  if (cis > fas) return 'Cinderella';
+  return 'Neutral';
+}
 
-  } else if (role === 'CINDERELLA') {
-    activeScore = cis;
-    label       = 'Cinderella';
-    // Only show CIS in the detail line
-    desc        = `Cinderella Identity: ${Math.round(cis)}`;
-    tileClass   = 'identity-cinderella';
-    headerText  = 'Cinderella Identity Score';
+// buildMetricPercentileRowsHTML(rows) One row per METRICS_FOR_Z metric: raw value, field rank, z and a low → high percentile bar.
+function buildMetricPercentileRowsHTML(rows) {
+  return rows.map(r => {
+    const label = (MI_ENGINE.HEADER_ALIASES[r.key] || [])[0] || r.key;
+    const pct = r.percentile == null ? null : Math.round(r.percentile * 100);
+    return `
+      <tr>
+        <td>${label}</td>
+        <td>${fmt(r.value, 3)}</td>
+        <td>${r.rank != null ? `${r.rank} / ${r.count}` : '—'}</td>
+        <td class="${r.z != null ? getDeltaClass(r.z) : ''}">${r.z != null ? fmtDelta(r.z) : '—'}</td>
+        <td class="tp-pct">
+          <span class="tp-pct-bar"><span style="width:${pct ?? 0}%"></span></span>
+          <span class="tp-pct-val">${pct != null ? pct : '—'}</span>
+        </td>
+      </tr>`;
+  }).join('');
+}
 
-  } else {
-    // No clear identity → keep both as background profile metrics
-    activeScore = null; // keeps the big number as "—"
-    label       = 'Neutral';
-    desc        = `CIS: ${Math.round(cis)} • FAS: ${Math.round(fas)}`;
-    tileClass   = 'identity-neutral';
+// renderTeamProfile(name) Single-team view: core table + breadth, lanes, résumé, identity, marks and field percentiles, with the copy-driven back text.
+function renderTeamProfile(name) {
+  const view = document.getElementById('teamProfileView');
+  if (!view) return;
+
+  const team = name ? getTeamByName(name) : null;
+  if (!team) {
+    view.innerHTML = '';
+    setToolStatus('teamProfileStatus', '', DATASET
+      ? miGetCopy('team_profile.pick_team', 'Pick a team to see its full profile.')
+      : miGetCopy('team_profile.no_data', 'Load a dataset to view team profiles.'));
+    return;
   }
 
-    identityScoreEl.textContent = (activeScore != null)
-      ? fmt(activeScore, 0)
-      : '—';
+  const copy = window.MI_COPY || {};
+  const lanes = Object.entries(team.breadthLanes || {});
+  const role = getProfileIdentityRole(team);
+  const identityText = buildIdentityBackTextForTeam({
+    name: team.name,
+    identity: { CIS_static: team.cisStatic || 0, FAS_static: team.fasStatic || 0 },
+    role,
+  }, copy);
+
+  view.innerHTML = `
+    <div class="tp-head">
+      <div class="tp-name">${team.seed != null ? `#${team.seed} Seed ` : ''}${team.name}${team.region ? ` · ${team.region}` : ''}</div>
+      <div class="tp-chips">
+        <span class="tp-chip"><strong>${fmt(team.mi_rating, 0)}</strong> ${miGetCopy('team_profile.rating_label', 'Rating')}</span>
+        <span class="tp-chip"><strong>${fmt(team.mi_base, 3)}</strong> MI_base</span>
+        <span class="tp-chip"><strong>${team.resumeRTier || '—'}</strong> ${miGetCopy('team_profile.resume_label', 'Résumé')} (${fmtDelta(team.resumeR, 3)})</span>
+        <span class="tp-chip"><strong>${fmt(team.cisStatic, 0)}</strong> CIS</span>
+        <span class="tp-chip"><strong>${fmt(team.fasStatic, 0)}</strong> FAS</span>
+      </div>
+    </div>
 
-    identityRoleEl.textContent   = label;
-    identityDetailEl.textContent = desc;
+    <div class="tp-block">
+      <h3 class="tp-title">${miGetCopy('team_profile.core_title', 'Core Traits')}</h3>
+      <div class="tool-table-wrap"><table id="teamProfileCoreTable" class="explain-table"></table></div>
+      <div class="tp-lanes">
+        ${lanes.map(([lane, v]) => `<span class="tp-chip">${lane}: ${v.hits} hits (${fmtDelta(v.bonus)})</span>`).join('')}
+      </div>
+      <p class="tp-back">${buildCoreBackTextForTeam(team, copy)}</p>
+    </div>
+
+    <div class="tp-block">
+      <h3 class="tp-title">${miGetCopy('team_profile.resume_title', 'Résumé Context')}</h3>
+      <p class="tp-back">${buildResumeBackTextForTeam(team, copy)}</p>
+    </div>
+
+    <div class="tp-block">
+      <h3 class="tp-title">${miGetCopy('team_profile.identity_title', 'Tournament Identity')}</h3>
+      <p class="tp-back">${identityText}</p>
+    </div>
+
+    <div class="tp-block">
+      <h3 class="tp-title">${miGetCopy('team_profile.marks_title', 'Profile Marks')}</h3>
+      <div id="teamProfileMarks" class="tp-marks"></div>
+      <p class="tp-back">${buildMarksBackTextForTeam(team, copy)}</p>
+    </div>
+
+    <div class="tp-block">
+      <h3 class="tp-title">${miGetCopy('team_profile.percentile_title', 'Field Percentiles')}</h3>
+      <p class="helper-text">${miGetCopy('team_profile.percentile_help', 'Raw values ranked against the loaded field; percentile runs low → high, so lower can be better (e.g. Def Eff, TO %).')}</p>
+      <div class="tool-table-wrap">
+        <table class="explain-table tp-pct-table">
+          <thead>
+            <tr>
+              <th>${miGetCopy('team_profile.metric_col', 'Metric')}</th>
+              <th>${miGetCopy('team_profile.value_col', 'Value')}</th>
+              <th>${miGetCopy('team_profile.rank_col', 'Rank')}</th>
+              <th>z</th>
+              <th>${miGetCopy('team_profile.percentile_col', 'Percentile')}</th>
+            </tr>
+          </thead>
+          <tbody>${buildMetricPercentileRowsHTML(MI_ENGINE.getTeamMetricPercentiles(DATASET, team.name))}</tbody>
+        </table>
+      </div>
+    </div>`;
 
-    if (identityLabelEl) {
-      identityLabelEl.textContent = headerText;
-    }
+  renderCoreProfileTable(team, 'teamProfileCoreTable');
+  renderProfileMarks(team, 'teamProfileMarks');
+  setToolStatus('teamProfileStatus', '', '');
+}
 
-    identityTile.classList.remove('identity-favorite', 'identity-cinderella', 'identity-neutral');
-    identityTile.classList.add('identity-tile', tileClass);
+// openTeamProfile(name) Selects a team in the profile card, renders it and scrolls the card into view.
+function openTeamProfile(name) {
+  const select = document.getElementById('profileTeamSelect');
+  if (select) select.value = name;
+  renderTeamProfile(name);
 
-    if (backIdentityEl && window.MI_COPY) {
-      const identityRole =
-        role === 'FAVORITE'   ? 'Favorite'   :
-        role === 'CINDERELLA' ? 'Cinderella' :
-                                'Neutral';
+  const section = document.getElementById('teamProfileSection');
+  if (section && section.scrollIntoView) section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
 
-      const identityTeam = {
-        name: team.name,
-        identity: {
-          CIS_static: cis,
-          FAS_static: fas
-        },
-        role: identityRole
-      };
+// refreshTeamProfile() Re-renders the profile card after a dataset load or rescore.
+function refreshTeamProfile() {
+  populateProfileTeamSelect();
+  renderTeamProfile(document.getElementById('profileTeamSelect')?.value || '');
+}
 
-      const expl = buildIdentityBackTextForTeam(identityTeam, window.MI_COPY);
+// ========== ROUND-ROBIN MATRIX ==========
 
-      backIdentityEl.textContent = expl || '';
-    }
+const ROUND_ROBIN_MAX_TEAMS = 32;
+
+// populateRoundRobinGroups() Group presets (each bracket region, top 16 by MI_base, custom) plus the custom team list.
+function populateRoundRobinGroups() {
+  const groupSelect = document.getElementById('rrGroup');
+  const teamSelect = document.getElementById('rrTeams');
+  if (!groupSelect) return;
+
+  const current = groupSelect.value;
+  const regions = DATASET ? MI_ENGINE.buildBracketRegions(DATASET) : [];
+  const options = [
+    ...regions.map((r, i) => ({ value: `region:${i}`, label: r.name })),
+    { value: 'top16', label: miGetCopy('round_robin.top16_option', 'Top 16 by MI_base') },
+    { value: 'custom', label: miGetCopy('round_robin.custom_option', 'Custom selection') },
+  ];
+  groupSelect.innerHTML = options.map(o => `<option value="${o.value}">${o.label}</option>`).join('');
+  groupSelect.value = options.some(o => o.value === current) ? current : options[0].value;
+
+  if (teamSelect) {
+    const picked = new Set([...teamSelect.selectedOptions || []].map(o => o.value));
+    teamSelect.innerHTML = '';
+    [...TEAM_LIST].sort().forEach(name => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      opt.selected = picked.has(name);
+      teamSelect.appendChild(opt);
+    });
   }
-  // Core Traits big table
-  renderCoreProfileTable(team, coreTableId);
+  syncRoundRobinCustomField();
+}
 
-  // Neutral Modifiers table (Résumé + Interactions)
-  renderNeutralTable(team, mi, intTot, neutralTableId, neutralSubtotalId);
+// syncRoundRobinCustomField() Shows the multi-select only for the custom group.
+function syncRoundRobinCustomField() {
+  const wrap = document.getElementById('rrTeamsField');
+  const group = document.getElementById('rrGroup')?.value;
+  if (wrap) wrap.hidden = group !== 'custom';
 }
 
-function renderTeamCards(result) {
-  renderTeamSide('A', result);
-  renderTeamSide('B', result);
+// getRoundRobinTeams() Team names for the chosen group, in seed order for regions.
+function getRoundRobinTeams() {
+  const group = document.getElementById('rrGroup')?.value || '';
+
+  if (group.startsWith('region:')) {
+    const region = MI_ENGINE.buildBracketRegions(DATASET)[Number(group.slice(7))];
+    if (!region) return [];
+    return Object.keys(region.seeds).map(Number).sort((a, b) => a - b).map(s => region.seeds[s]);
+  }
+  if (group === 'top16') {
+    return MI_ENGINE.getScoredTeamRecords(DATASET).slice(0, 16).map(r => r.name);
+  }
+  const teamSelect = document.getElementById('rrTeams');
+  return teamSelect ? [...teamSelect.selectedOptions].map(o => o.value) : [];
 }
 
-function setCompareButtonEnabled(isEnabled) {
-  const btn =
-    document.getElementById('compareBtn') ||
-    document.getElementById('runCompare');
+// runRoundRobin() Scores every pair in the chosen group and renders the matrix.
+function runRoundRobin() {
+  if (!DATASET || !TEAM_LIST.length) {
+    setToolStatus('rrStatus', 'warn', miGetCopy('round_robin.no_data', 'Load a dataset before building a matrix.'));
+    return null;
+  }
 
-  if (!btn) return;
+  const names = getRoundRobinTeams();
+  if (names.length < 2) {
+    setToolStatus('rrStatus', 'warn', miGetCopy('round_robin.too_few', 'Pick at least two teams.'));
+    return null;
+  }
+  if (names.length > ROUND_ROBIN_MAX_TEAMS) {
+    setToolStatus('rrStatus', 'warn', miFillTemplate(
+      miGetCopy('round_robin.too_many_template', 'Pick at most {{MAX}} teams.'),
+      { MAX: ROUND_ROBIN_MAX_TEAMS }
+    ));
+    return null;
+  }
 
-  btn.disabled = !isEnabled;
-  btn.setAttribute('aria-disabled', isEnabled ? 'false' : 'true');
+  const rr = MI_ENGINE.scoreRoundRobin(DATASET, names, { round: CURRENT_ROUND });
+  renderRoundRobin(rr);
 
-  btn.classList.toggle('compare-btn-disabled', !isEnabled);
-  btn.classList.toggle('compare-btn-enabled',  isEnabled);
+  const games = rr.teams.length * (rr.teams.length - 1) / 2;
+  setToolStatus('rrStatus', 'ok', miFillTemplate(
+    miGetCopy('round_robin.done_template', 'Scored {{GAMES}} pairings among {{N}} teams.'),
+    { GAMES: games, N: rr.teams.length }
+  ));
+  return rr;
 }
 
-function miGetPreHubEls() {
-  return {
-    step1: document.getElementById('preStep1'),
-    step2: document.getElementById('preStep2'),
-    step3: document.getElementById('preStep3'),
-    text1: document.getElementById('preStepText1'),
-    text2: document.getElementById('preStepText2'),
-    text3: document.getElementById('preStepText3'),
-    st1: document.getElementById('preStepStatus1'),
-    st2: document.getElementById('preStepStatus2'),
-    st3: document.getElementById('preStepStatus3'),
+// renderRoundRobin(rr) ΔMI matrix (row team's view) colored by lean band, with the dominant channel per cell and favored-against row totals.
+function renderRoundRobin(rr) {
+  const table = document.getElementById('rrTable');
+  if (!table || !rr) return;
+
+  const seedOf = name => {
+    const t = getTeamByName(name);
+    return t && t.seed != null ? `${t.seed} ` : '';
   };
+
+  const head = `
+    <thead>
+      <tr>
+        <th>${miGetCopy('round_robin.team_col', 'Team')}</th>
+        ${rr.teams.map(n => `<th class="rr-col" title="${n}">${seedOf(n)}${n}</th>`).join('')}
+        <th>${miGetCopy('round_robin.favored_col', 'Favored')}</th>
+      </tr>
+    </thead>`;
+
+  const body = rr.teams.map((name, i) => {
+    const row = rr.rows[i];
+    const cells = rr.cells[i].map(c => {
+      if (!c) return '<td class="rr-self">—</td>';
+      const side = c.diff > 0 ? 'rr-fav' : (c.diff < 0 ? 'rr-dog' : '');
+      const channelText = c.channel ? `${c.channel.label} → ${c.channel.team}` : miGetCopy('round_robin.no_channel', 'No channel fired');
+      return `
+        <td class="rr-cell ${getLeanBandClass(c.lean)} ${side}" title="${name} vs ${c.opponent}: ΔMI ${fmtDelta(c.diff)} (${c.lean}) · ${channelText}">
+          <span class="rr-diff">${fmtDelta(c.diff)}</span>
+          <span class="rr-channel">${c.channel ? c.channel.tag : ''}</span>
+        </td>`;
+    }).join('');
+
+    return `
+      <tr>
+        <td class="rr-team">${seedOf(name)}${name}</td>
+        ${cells}
+        <td class="rr-total">${row.favored} / ${row.opponents}</td>
+      </tr>`;
+  }).join('');
+
+  table.innerHTML = head + `<tbody>${body}</tbody>`;
 }
 
-function isCSVLoaded() {
-  return Array.isArray(RAW_ROWS) && RAW_ROWS.length > 0 && Array.isArray(TEAM_LIST) && TEAM_LIST.length > 0;
+// ========== WHAT-IF EDITOR ==========
+//
+// Edits live in WHAT_IF_EDITS and are only applied to an engine clone of the
+// dataset (MI_ENGINE.buildWhatIfDataset); DATASET itself is never touched, so
+// Reset just clears the edits.
+
+// whatIfMetricLabel(key) Display label for a raw metric (first CSV header alias).
+function whatIfMetricLabel(key) {
+  return (MI_ENGINE.HEADER_ALIASES[key] || [])[0] || key;
+}
+
+// populateWhatIfSelects() Fills the team and opponent selects, keeping the current picks when they are still loaded.
+function populateWhatIfSelects() {
+  const fill = (id, placeholder) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = `<option value="">${placeholder}</option>`;
+    [...TEAM_LIST].sort().forEach(name => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      select.appendChild(opt);
+    });
+    select.value = TEAM_LIST.includes(current) ? current : '';
+  };
+
+  fill('whatIfTeam', miGetCopy('what_if.team_placeholder', 'Select a team…'));
+  fill('whatIfOpponent', miGetCopy('what_if.opponent_placeholder', 'No opponent'));
 }
 
-function getSelectedTeams() {
-  const a = document.getElementById('teamA')?.value || '';
-  const b = document.getElementById('teamB')?.value || '';
-  return { a, b, ok: !!a && !!b && a !== b };
+// getWhatIfEditCount() Number of edited values across every team.
+function getWhatIfEditCount() {
+  return Object.values(WHAT_IF_EDITS).reduce((n, values) => n + Object.keys(values).length, 0);
 }
 
-function isRoundSelected() {
-  return !!CURRENT_ROUND;
+// renderWhatIfEditor() Metric inputs for the selected team: original value beside an editable what-if value.
+function renderWhatIfEditor() {
+  const table = document.getElementById('whatIfEditorTable');
+  if (!table) return;
+
+  const name = document.getElementById('whatIfTeam')?.value || '';
+  const team = name ? getTeamByName(name) : null;
+  if (!team) {
+    table.innerHTML = '';
+    return;
+  }
+
+  const edits = WHAT_IF_EDITS[name] || {};
+  const rows = MI_ENGINE.WHAT_IF_KEYS.map(key => {
+    const orig = team[key];
+    const edited = Object.prototype.hasOwnProperty.call(edits, key);
+    return `
+      <tr class="${edited ? 'wi-edited' : ''}">
+        <td>${whatIfMetricLabel(key)}</td>
+        <td>${orig != null ? fmt(orig, 3) : '—'}</td>
+        <td>
+          <input class="wi-input" type="number" step="any" data-key="${key}"
+                 value="${edited ? edits[key] : (orig ?? '')}" />
+        </td>
+      </tr>`;
+  }).join('');
+
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>${miGetCopy('what_if.metric_col', 'Metric')}</th>
+        <th>${miGetCopy('what_if.original_col', 'Original')}</th>
+        <th>${miGetCopy('what_if.value_col', 'What-if')}</th>
+      </tr>
+    </thead>
+    <tbody>${rows}</tbody>`;
 }
 
-function refreshCompareButtonState() {
-  const ready = isCSVLoaded() && getSelectedTeams().ok && isRoundSelected();
-  setCompareButtonEnabled(ready);
-  return ready;
+// setWhatIfEdit(name, key, raw) Records one edited value (dropping it when it is blank or matches the original).
+function setWhatIfEdit(name, key, raw) {
+  const team = getTeamByName(name);
+  if (!team) return;
+
+  const value = raw === '' ? NaN : Number(raw);
+  const edits = WHAT_IF_EDITS[name] || {};
+  if (!Number.isFinite(value) || value === team[key]) delete edits[key];
+  else edits[key] = value;
+
+  if (Object.keys(edits).length) WHAT_IF_EDITS[name] = edits;
+  else delete WHAT_IF_EDITS[name];
 }
 
-function updatePreMatchupHubProgress() {
-  const copy = window.MI_COPY && window.MI_COPY.prematch && window.MI_COPY.prematch.progress
-    ? window.MI_COPY.prematch.progress
-    : null;
+// runWhatIf() Rescores a clone with every edit and shows the selected team's changes versus the original.
+function runWhatIf() {
+  const view = document.getElementById('whatIfResults');
+  if (!DATASET || !TEAM_LIST.length) {
+    setToolStatus('whatIfStatus', 'warn', miGetCopy('what_if.no_data', 'Load a dataset to try what-if edits.'));
+    return null;
+  }
 
-  const hub = document.getElementById('preMatchupHub');
-  if (!hub) return;
+  const name = document.getElementById('whatIfTeam')?.value || '';
+  if (!getTeamByName(name)) {
+    setToolStatus('whatIfStatus', 'warn', miGetCopy('what_if.pick_team', 'Pick a team to edit.'));
+    return null;
+  }
 
-  const els = {
-    statusWrap: document.querySelector('#preHubStatusWrap .pre-hub-status'),
-    statusText: document.getElementById('preStatusText'),
-    step1: document.getElementById('preStep1'),
-    step2: document.getElementById('preStep2'),
-    step3: document.getElementById('preStep3'),
-    t1: document.getElementById('preStepText1'),
-    t2: document.getElementById('preStepText2'),
-    t3: document.getElementById('preStepText3'),
-    s1: document.getElementById('preStepStatus1'),
-    s2: document.getElementById('preStepStatus2'),
-    s3: document.getElementById('preStepStatus3')
-  };
+  const count = getWhatIfEditCount();
+  if (!count) {
+    if (view) view.innerHTML = '';
+    setToolStatus('whatIfStatus', 'warn', miGetCopy('what_if.no_edits', 'Change at least one value, then run the what-if.'));
+    return null;
+  }
 
-  // Inputs / state
-  const csvLoaded = Array.isArray(TEAM_LIST) && TEAM_LIST.length > 0;
-  const sel = getSelectedTeams();
-  const hasA = !!sel.a;
-  const hasB = !!sel.b && sel.b !== sel.a;
-  const teamsOk = !!sel.ok;
-  const roundChosen = !!CURRENT_ROUND;
+  const whatIf = MI_ENGINE.buildWhatIfDataset(DATASET, WHAT_IF_EDITS);
+  const diff = MI_ENGINE.compareWhatIf(DATASET, whatIf, name, {
+    opponent: document.getElementById('whatIfOpponent')?.value || '',
+    round: CURRENT_ROUND,
+  });
 
-  // ---- Active step visibility (show ONLY the current step) ----
-  const stepsWrap = hub.querySelector('.pre-hub-steps');
+  renderWhatIfResults(diff);
+  setToolStatus('whatIfStatus', 'ok', miFillTemplate(
+    miGetCopy('what_if.done_template', '{{N}} edited value(s) across {{TEAMS}} team(s); field rescored on a copy.'),
+    { N: count, TEAMS: Object.keys(WHAT_IF_EDITS).length }
+  ));
+  return diff;
+}
 
-  // Decide which step is "active"
-  let activeStep = 1;
+// renderWhatIfResults(diff) Score deltas, mark changes, matchup before/after by channel, and the field ripple.
+function renderWhatIfResults(diff) {
+  const view = document.getElementById('whatIfResults');
+  if (!view) return;
+  if (!diff) {
+    view.innerHTML = '';
+    return;
+  }
 
-  // Step 1 until a dataset is loaded
-  if (!csvLoaded) {
-    activeStep = 1;
+  const FIELD_LABELS = {
+    mi_rating: ['Rating', 0],
+    mi_base: ['MI_base', 3],
+    mibs: ['MIBS', 3],
+    breadth: ['Breadth', 2],
+    resumeR: ['Résumé', 3],
+    cisStatic: ['CIS', 0],
+    fasStatic: ['FAS', 0],
+  };
+  const scoreRows = MI_ENGINE.WHAT_IF_FIELDS.map(f => {
+    const [label, digits] = FIELD_LABELS[f] || [f, 3];
+    return `
+      <tr>
+        <td>${label}</td>
+        <td>${fmt(diff.before[f], digits)}</td>
+        <td>${fmt(diff.after[f], digits)}</td>
+        <td class="${getDeltaClass(diff.delta[f])}">${fmtDelta(diff.delta[f], digits)}</td>
+      </tr>`;
+  }).join('');
 
-  // Step 2 until BOTH teams are valid
-  } else if (!teamsOk) {
-    activeStep = 2;
+  const markChip = (mark, cls) => `<span class="wi-mark ${cls}">${mark}</span>`;
+  const marks = [
+    ...diff.marks.added.map(m => markChip(`+ ${m}`, 'wi-added')),
+    ...diff.marks.removed.map(m => markChip(`− ${m}`, 'wi-removed')),
+    ...diff.marks.after.filter(m => !diff.marks.added.includes(m)).map(m => markChip(m, '')),
+  ].join('') || `<span class="helper-text">${miGetCopy('what_if.no_marks', 'No profile marks before or after.')}</span>`;
+
+  let matchupHTML = '';
+  if (diff.matchup) {
+    const m = diff.matchup;
+    const side = s => `${s.predicted} · ΔMI ${fmtDelta(s.diff, 3)} <span class="wi-band ${getLeanBandClass(s.band)}">${s.band}</span>`;
+    const channelRows = m.channels.map(ch => `
+      <tr class="${Math.abs(ch.delta) > 1e-9 ? 'wi-edited' : ''}">
+        <td>${ch.label}</td>
+        <td>${fmtDelta(ch.before)}</td>
+        <td>${fmtDelta(ch.after)}</td>
+        <td class="${getDeltaClass(ch.delta)}">${fmtDelta(ch.delta)}</td>
+      </tr>`).join('');
+
+    matchupHTML = `
+      <div class="wi-block">
+        <h3 class="tp-title">${miFillTemplate(miGetCopy('what_if.matchup_title', '{{TEAM}} vs {{OPP}}'), { TEAM: diff.name, OPP: m.opponent })}</h3>
+        <p class="wi-verdict">
+          <span>${miGetCopy('what_if.before_label', 'Original')}: ${side(m.before)}</span>
+          <span>${miGetCopy('what_if.after_label', 'What-if')}: ${side(m.after)}</span>
+          ${m.flipped ? `<strong class="wi-flip">${miGetCopy('what_if.flipped', 'Pick flips')}</strong>` : ''}
+        </p>
+        <p class="helper-text">${miFillTemplate(miGetCopy('what_if.channel_help', 'Channel values are signed toward {{TEAM}}.'), { TEAM: diff.name })}</p>
+        <div class="tool-table-wrap">
+          <table class="explain-table wi-table">
+            <thead>
+              <tr>
+                <th>${miGetCopy('what_if.channel_col', 'Channel')}</th>
+                <th>${miGetCopy('what_if.before_label', 'Original')}</th>
+                <th>${miGetCopy('what_if.after_label', 'What-if')}</th>
+                <th>Δ</th>
+              </tr>
+            </thead>
+            <tbody>${channelRows}</tbody>
+          </table>
+        </div>
+      </div>`;
+  }
 
-  // Step 3 as soon as teams are valid (round selection happens here)
-  } else {
-    activeStep = 3;
+  const ripple = diff.ripple.slice(0, 5)
+    .map(r => `<span class="tp-chip">${r.name} <span class="${getDeltaClass(r.delta)}">${fmtDelta(r.delta, 3)}</span></span>`)
+    .join('');
+
+  view.innerHTML = `
+    <div class="wi-block">
+      <h3 class="tp-title">${miFillTemplate(miGetCopy('what_if.scores_title', '{{TEAM}} scores'), { TEAM: diff.name })}</h3>
+      <div class="tool-table-wrap">
+        <table class="explain-table wi-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>${miGetCopy('what_if.before_label', 'Original')}</th>
+              <th>${miGetCopy('what_if.after_label', 'What-if')}</th>
+              <th>Δ</th>
+            </tr>
+          </thead>
+          <tbody>${scoreRows}</tbody>
+        </table>
+      </div>
+    </div>
+
+    <div class="wi-block">
+      <h3 class="tp-title">${miGetCopy('what_if.marks_title', 'Profile Marks')}</h3>
+      <div class="wi-marks">${marks}</div>
+    </div>
+
+    ${matchupHTML}
+
+    <div class="wi-block">
+      <h3 class="tp-title">${miGetCopy('what_if.ripple_title', 'Field Ripple')}</h3>
+      <p class="helper-text">${miFillTemplate(
+        miGetCopy('what_if.ripple_template', 'Edits shift the field means and SDs, so {{N}} other team(s) moved on MI_base.'),
+        { N: diff.ripple.length }
+      )}</p>
+      <div class="tp-lanes">${ripple}</div>
+    </div>`;
+}
+
+// resetWhatIf() Clears every edit and the results (the loaded dataset was never modified).
+function resetWhatIf() {
+  WHAT_IF_EDITS = {};
+  renderWhatIfEditor();
+  renderWhatIfResults(null);
+  setToolStatus('whatIfStatus', '', '');
+}
+
+// refreshWhatIf(clearEdits) Re-syncs the panel after a dataset load (clearEdits) or model profile swap (re-runs live edits).
+function refreshWhatIf(clearEdits = false) {
+  populateWhatIfSelects();
+  if (clearEdits) {
+    resetWhatIf();
+    return;
   }
+  renderWhatIfEditor();
+  if (getWhatIfEditCount()) runWhatIf();
+}
 
-  // Force the visible step to reflect the *current* instruction
-  if (activeStep === 1 && els.t1) {
-    els.t1.textContent = (copy && copy.step1_pending) || 'Load tournament data to unlock team   selection.';
+// ========== PICK SENSITIVITY ==========
+
+const SENSITIVITY_ROW_LIMIT = 12;
+let LAST_SENSITIVITY = null; // last analyzeMatchupSensitivity() result
+
+// refreshSensitivity(result) Clears the last analysis and flags close games; the analysis itself (a second or two) runs on demand.
+function refreshSensitivity(result) {
+  LAST_SENSITIVITY = null;
+  renderSensitivity(null);
+  if (!result) return;
+
+  const close = MI_ENGINE.isCloseGame(result.diff);
+  setToolStatus('sensitivityStatus', close ? 'ok' : '', miFillTemplate(
+    close
+      ? miGetCopy('sensitivity.close_template', '{{BAND}} (ΔMI {{DIFF}}): a close game. Analyze it to see which stats would flip the pick.')
+      : miGetCopy('sensitivity.not_close_template', '{{BAND}} (ΔMI {{DIFF}}): not a close game. Run it anyway to see what would flip the pick.'),
+    { BAND: MI_ENGINE.getLeanBand(result.diff), DIFF: fmtDelta(result.diff, 3) }
+  ));
+}
+
+// runSensitivity() Analyzes the matchup on screen (deferred a tick so the status paints first).
+function runSensitivity() {
+  const result = window.LAST_RESULT;
+  if (!result) {
+    setToolStatus('sensitivityStatus', 'warn', miGetCopy('sensitivity.no_matchup', 'Run a matchup first.'));
+    return;
   }
 
-  if (activeStep === 2 && els.t2) {
-    if (!hasA) els.t2.textContent = (copy && copy.step2_pending) || 'Select Team A to continue.';
-    else if (!hasB) els.t2.textContent = (copy && copy.step2_pending) || 'Select Team B to continue.';
-    else els.t2.textContent = (copy && copy.step2_ready) || 'Teams selected.';
+  setToolStatus('sensitivityStatus', '', miGetCopy('sensitivity.running', 'Probing every metric of both teams…'));
+  window.setTimeout(() => {
+    const report = MI_ENGINE.analyzeMatchupSensitivity(DATASET, result.a.name, result.b.name, { round: result.round });
+    if (!report) return;
+    LAST_SENSITIVITY = report;
+    renderSensitivity(report);
+
+    const top = report.metrics[0];
+    setToolStatus('sensitivityStatus', top ? 'ok' : '', top
+      ? miFillTemplate(
+        miGetCopy('sensitivity.done_template', '{{PICK}} by {{DIFF}} ({{BAND}}). Most fragile: {{TEAM}} {{METRIC}}, {{SD}} SD from flipping.'),
+        {
+          PICK: report.predicted,
+          DIFF: fmt(Math.abs(report.diff), 3),
+          BAND: report.band,
+          TEAM: top.team,
+          METRIC: whatIfMetricLabel(top.key),
+          SD: fmt(Math.abs(top.changeSD), 2),
+        })
+      : miFillTemplate(
+        miGetCopy('sensitivity.stable_template', 'No single stat flips this pick within {{SD}} SD.'),
+        { SD: MI_ENGINE.SENSITIVITY_DEFAULTS.maxSD }
+      ));
+  }, 0);
+}
+
+// renderSensitivity(report) Flip thresholds ranked by fragility (smallest move in field SDs first).
+function renderSensitivity(report) {
+  const table = document.getElementById('sensitivityTable');
+  const note = document.getElementById('sensitivityNote');
+  if (!table) return;
+  if (!report || !report.metrics.length) {
+    table.innerHTML = '';
+    if (note) note.textContent = '';
+    return;
   }
 
-  if (activeStep === 3 && els.t3) {
-    els.t3.textContent = !roundChosen
-      ? ((copy && copy.step3_pending) || 'Choose a round to unlock Compare.')
-      : ((copy && copy.step3_ready) || 'Ready. Press Compare to generate results.');
+  const rows = report.metrics.slice(0, SENSITIVITY_ROW_LIMIT).map((m, i) => `
+    <tr>
+      <td>${i + 1}</td>
+      <td>${m.team}</td>
+      <td>${whatIfMetricLabel(m.key)}</td>
+      <td>${fmt(m.value, 3)}</td>
+      <td>${fmt(m.target, 3)}</td>
+      <td>${fmtDelta(m.change, 3)}</td>
+      <td class="sens-sd">${fmtDelta(m.changeSD, 2)}</td>
+      <td>
+        <button class="btn subtle sens-try" type="button" data-index="${i}">
+          ${miGetCopy('sensitivity.try_btn', 'Try')}
+        </button>
+      </td>
+    </tr>`).join('');
+
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>#</th>
+        <th>${miGetCopy('sensitivity.team_col', 'Team')}</th>
+        <th>${miGetCopy('sensitivity.metric_col', 'Metric')}</th>
+        <th>${miGetCopy('sensitivity.value_col', 'Now')}</th>
+        <th>${miGetCopy('sensitivity.target_col', 'Flips at')}</th>
+        <th>${miGetCopy('sensitivity.change_col', 'Change')}</th>
+        <th>${miGetCopy('sensitivity.sd_col', 'Field SDs')}</th>
+        <th></th>
+      </tr>
+    </thead>
+    <tbody>${rows}</tbody>`;
+
+  if (note) {
+    note.textContent = miFillTemplate(
+      miGetCopy('sensitivity.note_template', '{{SHOWN}} of {{N}} flippable metrics shown; {{STABLE}} cannot flip the pick alone within {{SD}} SD. Each threshold is confirmed by rescoring the whole field; "Try" opens it in the What-If Editor.'),
+      {
+        SHOWN: Math.min(report.metrics.length, SENSITIVITY_ROW_LIMIT),
+        N: report.metrics.length,
+        STABLE: report.stable.length,
+        SD: MI_ENGINE.SENSITIVITY_DEFAULTS.maxSD,
+      }
+    );
   }
+}
 
-    // ---- SHOW ONLY ONE STEP (activeStep) ----
-  const steps = [
-    { el: els.step1, n: 1 },
-    { el: els.step2, n: 2 },
-    { el: els.step3, n: 3 }
-  ];
+// trySensitivityInWhatIf(index) Loads one flip threshold into the what-if editor (against the same opponent) and runs it.
+function trySensitivityInWhatIf(index) {
+  const report = LAST_SENSITIVITY;
+  const m = report && report.metrics[index];
+  if (!m) return;
 
-  // Ensure the wrapper uses the single-column layout when only one step is visible
-  if (stepsWrap) stepsWrap.classList.add('is-single');
+  const opponent = m.team === report.teamA ? report.teamB : report.teamA;
+  WHAT_IF_EDITS = { [m.team]: { [m.key]: m.target } };
 
-  steps.forEach(({ el, n }) => {
-    if (!el) return;
-    const isActive = n === activeStep;
+  const teamSelect = document.getElementById('whatIfTeam');
+  const oppSelect = document.getElementById('whatIfOpponent');
+  if (teamSelect) teamSelect.value = m.team;
+  if (oppSelect) oppSelect.value = opponent;
+  renderWhatIfEditor();
+  runWhatIf();
 
-    el.classList.toggle('is-hidden', !isActive);
-    el.setAttribute('aria-hidden', String(!isActive));
+  const section = document.getElementById('whatIfSection');
+  if (section && section.scrollIntoView) section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
 
-    // Optional: keep keyboard focus out of hidden steps
-    el.querySelectorAll('button, a, input, select, textarea').forEach((node) => {
-      node.tabIndex = isActive ? 0 : -1;
-    });
-  });
+// ========== HYPOTHETICAL TEAMS ==========
+//
+// Synthetic teams are built by the engine from the field mean (plus z shifts
+// or typed values) and injected into DATASET.teams; they stay out of TEAM_LIST
+// and, unless "include in field" is ticked, out of the field statistics.
 
-  // Optional styling hook: single-step layout mode (always true now)
-  if (stepsWrap) stepsWrap.classList.add('is-single');
+let SYNTHETIC_DRAFT = { z: {}, values: {} }; // builder inputs: { z: { key: z }, values: { key: raw } }
 
-  // Progress milestones (per-click)
-  let pct = 0;
-  if (csvLoaded) pct = 25;
-  if (csvLoaded && hasA) pct = 50;
-  if (csvLoaded && hasA && hasB) pct = 75;
-  if (csvLoaded && teamsOk && roundChosen) pct = 100;
+// getSyntheticDraftValue(key, baseline) Raw value the builder will use for one metric.
+function getSyntheticDraftValue(key, baseline) {
+  if (key in SYNTHETIC_DRAFT.values) return SYNTHETIC_DRAFT.values[key];
+  const b = baseline[key];
+  return b ? b.mean + (SYNTHETIC_DRAFT.z[key] || 0) * b.sd : null;
+}
 
-  // Status message (granular)
-  const fallback = {
-    waiting_csv:  'Waiting for tournament dataset.',
-    pick_team_a:  'Select Team A to continue.',
-    pick_team_b:  'Select Team B to continue.',
-    choose_round: 'Choose a round to unlock Compare.',
-    ready:        'Ready. Press Compare to generate results.'
-  };
+// renderSyntheticBuilder() Metric rows (field mean, z, raw value) for the team being built.
+function renderSyntheticBuilder() {
+  const table = document.getElementById('synthBuilderTable');
+  if (!table) return;
+  if (!DATASET) {
+    table.innerHTML = '';
+    return;
+  }
 
-  let statusMsg = fallback.waiting_csv;
+  const baseline = MI_ENGINE.getSyntheticBaseline(DATASET);
+  const rows = MI_ENGINE.WHAT_IF_KEYS.filter(key => baseline[key]).map(key => {
+    const b = baseline[key];
+    const value = getSyntheticDraftValue(key, baseline);
+    const z = b.sd ? (value - b.mean) / b.sd : 0;
+    const edited = key in SYNTHETIC_DRAFT.z || key in SYNTHETIC_DRAFT.values;
+    return `
+      <tr class="${edited ? 'wi-edited' : ''}" data-key="${key}">
+        <td>${whatIfMetricLabel(key)}</td>
+        <td>${fmt(b.mean, 3)}</td>
+        <td><input class="wi-input syn-z" type="number" step="0.25" value="${fmt(z, 2)}" /></td>
+        <td><input class="wi-input syn-value" type="number" step="any" value="${fmt(value, 3)}" /></td>
+      </tr>`;
+  }).join('');
 
-  if (!csvLoaded) {
-    statusMsg = (copy && copy.status_waiting_csv) || fallback.waiting_csv;
-  } else if (!hasA) {
-    statusMsg = (copy && (copy.status_pick_team_a || copy.status_pick_teams)) || fallback.pick_team_a;
-  } else if (!hasB) {
-    statusMsg = (copy && (copy.status_pick_team_b || copy.status_pick_teams)) || fallback.pick_team_b;
-  } else if (!roundChosen) {
-    statusMsg = (copy && copy.status_choose_round) || fallback.choose_round;
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>${miGetCopy('synthetic.metric_col', 'Metric')}</th>
+        <th>${miGetCopy('synthetic.mean_col', 'Field mean')}</th>
+        <th>${miGetCopy('synthetic.z_col', 'z')}</th>
+        <th>${miGetCopy('synthetic.value_col', 'Value')}</th>
+      </tr>
+    </thead>
+    <tbody>${rows}</tbody>`;
+}
+
+// setSyntheticDraftInput(row, input) Records a z or raw edit and mirrors it into the row's other input.
+function setSyntheticDraftInput(row, input) {
+  const key = row.dataset.key;
+  const b = MI_ENGINE.getSyntheticBaseline(DATASET)[key];
+  const n = Number(input.value);
+  if (!b || input.value.trim() === '' || !Number.isFinite(n)) return;
+
+  const zInput = row.querySelector('.syn-z');
+  const valueInput = row.querySelector('.syn-value');
+  if (input.classList.contains('syn-z')) {
+    SYNTHETIC_DRAFT.z[key] = n;
+    delete SYNTHETIC_DRAFT.values[key];
+    if (valueInput) valueInput.value = fmt(b.mean + n * b.sd, 3);
   } else {
-    statusMsg = (copy && copy.status_ready) || fallback.ready;
+    SYNTHETIC_DRAFT.values[key] = n;
+    delete SYNTHETIC_DRAFT.z[key];
+    if (zInput) zInput.value = fmt(b.sd ? (n - b.mean) / b.sd : 0, 2);
   }
+  row.classList.add('wi-edited');
+}
 
-  if (els.statusText) els.statusText.textContent = '';
+// resetSyntheticDraft() Back to an all-average team.
+function resetSyntheticDraft() {
+  SYNTHETIC_DRAFT = { z: {}, values: {} };
+  renderSyntheticBuilder();
+}
 
-  // Progress bar classes (for CSS widths)
-  if (els.statusWrap) {
-    els.statusWrap.classList.remove('is-idle', 'is-25', 'is-50', 'is-75', 'is-100');
-    const cls =
-      pct >= 100 ? 'is-100' :
-      pct >= 75  ? 'is-75'  :
-      pct >= 50  ? 'is-50'  :
-      pct >= 25  ? 'is-25'  : 'is-idle';
-    els.statusWrap.classList.add(cls);
+// addSyntheticTeamFromBuilder() Builds the draft through the engine and injects it into the loaded dataset.
+function addSyntheticTeamFromBuilder() {
+  if (!DATASET) {
+    setToolStatus('synthStatus', 'warn', miGetCopy('synthetic.no_data', 'Load a dataset before building hypothetical teams.'));
+    return null;
   }
 
-  // Step readiness (keep your 3-step structure, but update on partial progress)
-  const setStepState = (el, state) => {
-    if (!el) return;
-    el.classList.remove('is-done', 'is-next', 'is-locked');
-    el.classList.add(state);
-  };
+  const name = (document.getElementById('synthName')?.value || '').trim();
+  const seed = Number(document.getElementById('synthSeed')?.value);
+  const includeInField = !!document.getElementById('synthIncludeField')?.checked;
+  if (!name) {
+    setToolStatus('synthStatus', 'warn', miGetCopy('synthetic.need_name', 'Give the team a name.'));
+    return null;
+  }
+  if (!Number.isInteger(seed) || seed < 1 || seed > 16) {
+    setToolStatus('synthStatus', 'warn', miGetCopy('synthetic.need_seed', 'Seed must be a whole number from 1 to 16.'));
+    return null;
+  }
 
-  // Step 1
-  if (csvLoaded) {
-    setStepState(els.step1, 'is-done');
-    if (els.s1) els.s1.textContent = (copy && copy.step1_ready) || 'Field loaded and teams unlocked.';
-  } else {
-    setStepState(els.step1, 'is-next');
-    if (els.s1) els.s1.textContent = (copy && copy.step1_pending) || 'Tournament field not loaded.';
+  const team = MI_ENGINE.buildSyntheticTeam(DATASET, { name, seed, z: SYNTHETIC_DRAFT.z, values: SYNTHETIC_DRAFT.values });
+  const replaced = getTeamByName(name);
+  const wasInField = !!(replaced && replaced.synthetic && replaced.includeInField);
+  try {
+    MI_ENGINE.addSyntheticTeam(DATASET, team, { includeInField });
+  } catch (err) {
+    setToolStatus('synthStatus', 'error', err.message);
+    return null;
   }
 
-  // Step 2
-  if (!csvLoaded) {
-    setStepState(els.step2, 'is-locked');
-    if (els.s2) els.s2.textContent = (copy && copy.status_pending) || 'Pending';
-  } else if (teamsOk) {
-    setStepState(els.step2, 'is-done');
-    if (els.s2) els.s2.textContent = (copy && copy.step2_ready) || 'Teams selected. Matchup is queued.';
-  } else {
-    setStepState(els.step2, 'is-next');
-    const msg = !hasA ? ((copy && copy.step2_pending) || 'Select two teams to compare.')
-              : !hasB ? 'Select Team B to continue.'
-              : ((copy && copy.step2_pending) || 'Select two teams to compare.');
-    if (els.s2) els.s2.textContent = msg;
+  syncSyntheticTeams(includeInField || wasInField, name);
+  const added = getTeamByName(name);
+  setToolStatus('synthStatus', 'ok', miFillTemplate(
+    miGetCopy('synthetic.added_template', 'Added {{TEAM}} (#{{SEED}} seed, rating {{RATING}}){{FIELD}}. Pick it as Team A or B to compare.'),
+    {
+      TEAM: name,
+      SEED: seed,
+      RATING: fmt(added && added.mi_rating, 0),
+      FIELD: includeInField ? miGetCopy('synthetic.in_field_suffix', ', counted in field stats') : '',
+    }
+  ));
+  return added;
+}
+
+// removeSyntheticTeamByName(name) Drops one hypothetical team and refreshes everything that lists teams.
+function removeSyntheticTeamByName(name) {
+  const team = getTeamByName(name);
+  if (!team || !team.synthetic) return;
+  MI_ENGINE.removeSyntheticTeam(DATASET, name);
+  syncSyntheticTeams(team.includeInField, name);
+  setToolStatus('synthStatus', '', miFillTemplate(miGetCopy('synthetic.removed_template', 'Removed {{TEAM}}.'), { TEAM: name }));
+}
+
+// syncSyntheticTeams(fieldChanged, name) After adding / replacing / removing `name`: matchup options, list, and (when
+// field stats moved, before or after) every field view. A matchup showing `name` is rerun, or cleared if the team is gone.
+function syncSyntheticTeams(fieldChanged, name) {
+  syncDatasetGlobals();
+  const selectionDropped = renderSyntheticTeamOptions();
+  renderSyntheticTeamList();
+  if (fieldChanged) {
+    renderLeaderboard();
+    refreshTeamProfile();
+    renderSyntheticBuilder();
   }
 
-  // Step 3
-  if (!csvLoaded || !teamsOk) {
-    setStepState(els.step3, 'is-locked');
-    if (els.s3) els.s3.textContent = (copy && copy.status_pending) || 'Pending';
-  } else if (roundChosen) {
-    setStepState(els.step3, 'is-done');
-    if (els.s3) els.s3.textContent = (copy && copy.step3_ready) || 'Briefing complete. Run Compare when ready.';
-  } else {
-    setStepState(els.step3, 'is-next');
-    if (els.s3) els.s3.textContent = (copy && copy.step3_pending) || 'Choose a round, then run Compare to generate analysis.';
+  const last = window.LAST_RESULT;
+  const inMatchup = !!last && (last.a.name === name || last.b.name === name);
+  if (inMatchup && !getTeamByName(name)) {
+    clearMatchupResult();
+    return;
+  }
+  if (selectionDropped) {
+    updateRoundOptionsForCurrentSeeds();
+    refreshCompareButtonState();
   }
+  if (fieldChanged || inMatchup) rerunLastMatchup();
+}
+
+// renderSyntheticTeamOptions() Appends a "Hypothetical teams" group to the Team A / Team B selects; true if a selected team is no longer listed.
+function renderSyntheticTeamOptions() {
+  const synthetic = DATASET ? MI_ENGINE.getSyntheticTeams(DATASET) : [];
+  let dropped = false;
+
+  ['teamA', 'teamB'].forEach(id => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    const current = select.value;
+    select.querySelectorAll('optgroup.synthetic-optgroup').forEach(group => group.remove());
+    if (synthetic.length) {
+      const group = document.createElement('optgroup');
+      group.className = 'synthetic-optgroup';
+      group.label = miGetCopy('synthetic.optgroup_label', 'Hypothetical teams');
+      synthetic.forEach(team => {
+        const opt = document.createElement('option');
+        opt.value = team.name;
+        opt.textContent = `${team.name} (#${team.seed})`;
+        group.appendChild(opt);
+      });
+      select.appendChild(group);
+    }
+
+    // A removed team falls back to the placeholder rather than whichever option the browser picks next
+    if (!current) return;
+    select.value = current;
+    if (select.value !== current) {
+      select.value = '';
+      dropped = true;
+    }
+  });
+  return dropped;
 }
 
-// Dynamically filter which rounds are available based on selected teams' seeds
-function updateRoundOptionsForCurrentSeeds() {
-  const roundBtn = document.getElementById("roundSelectBtn");
-  const roundDropdown = document.getElementById("roundDropdown");
-  if (!roundBtn || !roundDropdown) return;
+// renderSyntheticTeamList() Added hypothetical teams with load-into-matchup and remove actions.
+function renderSyntheticTeamList() {
+  const list = document.getElementById('synthList');
+  if (!list) return;
 
-  const selectA =
-    document.getElementById('teamA') ||
-    document.getElementById('teamASelect') ||
-    document.getElementById('cindTeamSelect');
+  const synthetic = DATASET ? MI_ENGINE.getSyntheticTeams(DATASET) : [];
+  if (!synthetic.length) {
+    list.innerHTML = `<li class="helper-text">${miGetCopy('synthetic.empty', 'No hypothetical teams yet.')}</li>`;
+    return;
+  }
 
-  const selectB =
-    document.getElementById('teamB') ||
-    document.getElementById('teamBSelect') ||
-    document.getElementById('favTeamSelect');
+  list.innerHTML = synthetic.map(team => `
+    <li class="synth-item" data-team="${team.name}">
+      <span class="synth-name">#${team.seed} ${team.name}</span>
+      <span class="tp-chip"><strong>${fmt(team.mi_rating, 0)}</strong> ${miGetCopy('synthetic.rating_label', 'Rating')}</span>
+      <span class="tp-chip"><strong>${fmt(team.mi_base, 3)}</strong> MI_base</span>
+      <span class="synth-scope ${team.includeInField ? 'is-field' : ''}">
+        ${team.includeInField ? miGetCopy('synthetic.in_field', 'In field stats') : miGetCopy('synthetic.sandbox_only', 'Sandbox only')}
+      </span>
+      <span class="synth-actions">
+        <button class="btn subtle" type="button" data-action="A">A</button>
+        <button class="btn subtle" type="button" data-action="B">B</button>
+        <button class="btn subtle" type="button" data-action="remove">${miGetCopy('synthetic.remove_btn', 'Remove')}</button>
+      </span>
+    </li>`).join('');
+}
 
-  const teamAName = selectA?.value || '';
-  const teamBName = selectB?.value || '';
+// pickSyntheticTeam(name, slot) Loads a hypothetical team into the Team A / B selector.
+function pickSyntheticTeam(name, slot) {
+  const select = document.getElementById(slot === 'B' ? 'teamB' : 'teamA');
+  if (!select || !getTeamByName(name)) return;
 
-  const showAllRounds = () => {
-    roundDropdown.querySelectorAll(".round-option").forEach(opt => {
-      opt.style.display = "";
-    });
-    CURRENT_ROUND = null;
-    roundBtn.textContent = "Select Round";
+  select.value = name;
+  select.dispatchEvent(new Event('change', { bubbles: true }));
+
+  const setup = document.getElementById('matchupSetupCard') || select;
+  if (setup.scrollIntoView) setup.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// refreshSyntheticTeams() Re-syncs the builder after a dataset load (the new dataset starts with no hypothetical teams).
+function refreshSyntheticTeams() {
+  renderSyntheticBuilder();
+  renderSyntheticTeamOptions();
+  renderSyntheticTeamList();
+}
+
+// ========== BRACKET SIMULATOR ==========
+
+// setToolStatus(elId, kind, text) Status line for the tool cards below the analysis (kind: ok | warn | error).
+function setToolStatus(elId, kind, text) {
+  const el = document.getElementById(elId);
+  if (!el) return;
+  el.className = kind ? `status tool-status ${kind}` : 'status tool-status';
+  el.textContent = text || '';
+}
+
+// getLeanBandClass(band) CSS modifier for a lean band label ("Strong Lean" -> "band-strong-lean").
+function getLeanBandClass(band) {
+  return 'band-' + String(band || '').toLowerCase().replace(/[^a-z]+/g, '-');
+}
+
+// runBracketSimulation() Plays the loaded field from R64 to the title through the engine (each game scored for its round), then renders the bracket.
+function runBracketSimulation() {
+  if (!DATASET || !TEAM_LIST.length) {
+    setToolStatus('bracketStatus', 'warn', miGetCopy('bracket.no_data', 'Load a dataset before simulating the bracket.'));
+    return null;
+  }
+
+  const regions = MI_ENGINE.buildBracketRegions(DATASET);
+
+  try {
+    LAST_BRACKET = MI_ENGINE.simulateBracket(DATASET, regions);
+  } catch (err) {
+    console.error('[MI] Bracket simulation error:', err);
+    setToolStatus('bracketStatus', 'error', err.message);
+    return null;
+  }
+
+  renderBracket(LAST_BRACKET);
+  setToolStatus('bracketStatus', 'ok', miFillTemplate(
+    miGetCopy('bracket.champion_template', 'Projected champion: {{TEAM}}'),
+    { TEAM: LAST_BRACKET.champion }
+  ));
+  return LAST_BRACKET;
+}
 
-    // 🔒 No round selected → disable Compare
-    setCompareButtonEnabled(false);
+function buildBracketGameHTML(game) {
+  const band = game.band || '';
+  const bandClass = getLeanBandClass(band);
+  const line = (name, seed, mi) => {
+    const isWinner = name === game.winner;
+    return `
+      <div class="bracket-team${isWinner ? ' is-winner' : ''}">
+        <span class="bracket-seed">${seed ?? ''}</span>
+        <span class="bracket-name">${name}</span>
+        <span class="bracket-mi">${fmt(mi, 2)}</span>
+      </div>`;
   };
 
-  // Sandbox = no restrictions
-  if (SANDBOX_MODE) {
-    showAllRounds();
-    return;
-  }
+  return `
+    <div class="bracket-game ${bandClass}">
+      ${line(game.teamA, game.seedA, game.miA)}
+      ${line(game.teamB, game.seedB, game.miB)}
+      <div class="bracket-game-meta">ΔMI ${fmt(Math.abs(game.diff), 3)} · ${band}${game.isPush ? ' (seed tiebreak)' : ''}</div>
+    </div>`;
+}
 
-  if (!teamAName || !teamBName) {
-    showAllRounds();
+function buildBracketRoundColumn(roundCode, games) {
+  return `
+    <div class="bracket-round">
+      <div class="bracket-round-label">${miGetCopy(`rounds.${roundCode}`, getRoundLabelFromCode(roundCode))}</div>
+      <div class="bracket-round-games">${games.map(buildBracketGameHTML).join('')}</div>
+    </div>`;
+}
+
+// renderBracket(sim) Draws each region (R64 → E8) as columns, then the Final Four and title game.
+function renderBracket(sim) {
+  const view = document.getElementById('bracketView');
+  if (!view) return;
+  if (!sim) {
+    view.innerHTML = '';
     return;
   }
 
-  const teamA = getTeamByName(teamAName);
-  const teamB = getTeamByName(teamBName);
+  const regionalRounds = ['R64', 'R32', 'S16', 'E8'];
 
-  if (!teamA || !teamB || teamA.seed == null || teamB.seed == null) {
-    showAllRounds();
-    return;
+  const regionsHTML = sim.regions.map(regionName => {
+    const cols = regionalRounds.map(code =>
+      buildBracketRoundColumn(code, sim.rounds[code].filter(g => g.region === regionName))
+    ).join('');
+    return `
+      <div class="bracket-region">
+        <h3 class="bracket-region-title">${regionName}</h3>
+        <div class="bracket-region-rounds">${cols}</div>
+      </div>`;
+  }).join('');
+
+  const finalsHTML = `
+    <div class="bracket-region bracket-finals">
+      <h3 class="bracket-region-title">${miGetCopy('bracket.finals_title', 'Final Four')}</h3>
+      <div class="bracket-region-rounds">
+        ${buildBracketRoundColumn('F4', sim.rounds.F4)}
+        ${buildBracketRoundColumn('Champ', sim.rounds.Champ)}
+        <div class="bracket-round bracket-champion">
+          <div class="bracket-round-label">${miGetCopy('bracket.champion_label', 'Champion')}</div>
+          <div class="bracket-champion-name">${sim.champion}</div>
+        </div>
+      </div>
+    </div>`;
+
+  view.innerHTML = regionsHTML + finalsHTML;
+}
+
+// ========== TOURNAMENT ODDS (MONTE CARLO) ==========
+
+// runTournamentOdds() Simulates the loaded field many times with ΔMI → win-probability draws and renders each team's chance of reaching every round.
+function runTournamentOdds() {
+  if (!DATASET || !TEAM_LIST.length) {
+    setToolStatus('oddsStatus', 'warn', miGetCopy('odds.no_data', 'Load a dataset before running tournament odds.'));
+    return null;
   }
 
-  const allowedRounds = new Set(getPossibleRoundsForSeeds(teamA.seed, teamB.seed));
+  const itersInput = document.getElementById('oddsIterations');
+  let iterations = Math.round(Number(itersInput?.value) || 5000);
+  iterations = Math.min(100000, Math.max(100, iterations));
+  if (itersInput) itersInput.value = iterations;
 
-  roundDropdown.querySelectorAll(".round-option").forEach(opt => {
-    const code = opt.getAttribute("data-round");
-    opt.style.display = allowedRounds.has(code) ? "" : "none";
-  });
+  try {
+    const regions = MI_ENGINE.buildBracketRegions(DATASET);
+    LAST_ODDS = MI_ENGINE.simulateTournament(DATASET, regions, { iterations });
+  } catch (err) {
+    console.error('[MI] Tournament odds error:', err);
+    setToolStatus('oddsStatus', 'error', err.message);
+    return null;
+  }
 
-  // Force user to pick a compatible round
-  CURRENT_ROUND = null;
-  roundBtn.textContent = "Select Round";
-  setCompareButtonEnabled(false);   // 🔒 reset whenever allowed-round set changes
+  renderTournamentOdds(LAST_ODDS);
+  setToolStatus('oddsStatus', 'ok', miFillTemplate(
+    miGetCopy('odds.done_template', 'Simulated {{N}} tournaments.'),
+    { N: LAST_ODDS.iterations.toLocaleString() }
+  ));
+  return LAST_ODDS;
 }
 
-function syncNextHalo(isCsvLoaded) {
-  const datasetCard = document.querySelector('.controls-card.is-primary-entry');
-  const stepsCard = document.getElementById('matchupSetupCard');
+function fmtPct(p) {
+  if (typeof p !== 'number' || !isFinite(p)) return '—';
+  if (p > 0 && p < 0.001) return '<0.1%';
+  return `${(p * 100).toFixed(1)}%`;
+}
 
-  if (isCsvLoaded) {
-    datasetCard?.classList.remove('mi-halo');
-    stepsCard?.classList.add('mi-halo');
-  } else {
-    datasetCard?.classList.add('mi-halo');
-    stepsCard?.classList.remove('mi-halo');
+// renderTournamentOdds(odds) Fills the odds table (one row per team, a column per round after R64 plus title odds) and the band → probability legend.
+function renderTournamentOdds(odds) {
+  const table = document.getElementById('oddsTable');
+  const legend = document.getElementById('oddsCalibration');
+  if (!table || !odds) return;
+
+  const cols = odds.rounds.filter(code => code !== 'R64');
+  const head = `
+    <thead>
+      <tr>
+        <th>Team</th>
+        <th>Seed</th>
+        <th>Region</th>
+        ${cols.map(code => `<th>${miGetCopy(`rounds.${code}`, getRoundLabelFromCode(code))}</th>`).join('')}
+        <th>${miGetCopy('odds.title_col', 'Title')}</th>
+      </tr>
+    </thead>`;
+
+  const body = odds.teams.map(t => `
+      <tr>
+        <td>${t.name}</td>
+        <td>${t.seed ?? ''}</td>
+        <td>${t.region || ''}</td>
+        ${cols.map(code => `<td>${fmtPct(t.reach[code])}</td>`).join('')}
+        <td class="odds-title">${fmtPct(t.title)}</td>
+      </tr>`).join('');
+
+  table.innerHTML = head + `<tbody>${body}</tbody>`;
+
+  if (legend) {
+    legend.innerHTML = MI_ENGINE.getLeanBandProbabilities().map(row => `
+      <span class="odds-band ${getLeanBandClass(row.band)}">
+        ${row.band}: ${fmtPct(row.minProb)}–${fmtPct(row.maxProb)}
+      </span>`).join('');
   }
 }
 
-async function loadOfficialDatasetFromUrl(url, filename) {
-  const statusEl = document.getElementById('status');
-  const appShell = document.querySelector('.app-shell');
+// ========== BACKTEST (HISTORICAL RESULTS) ==========
 
-  try {
-    if (statusEl) {
-      statusEl.className = 'status warn';
-      statusEl.textContent = 'Loading dataset…';
-    }
+// runBacktestFromText(text, filename) Parses a results CSV (Winner / Loser / Round), reruns every game against the loaded season dataset and renders the accuracy report.
+function runBacktestFromText(text, filename) {
+  if (!DATASET || !TEAM_LIST.length) {
+    setToolStatus('backtestStatus', 'warn', miGetCopy('backtest.no_data', 'Load the season dataset first, then choose its results file.'));
+    return null;
+  }
 
-    const res = await fetch(url, { cache: 'no-store' });
-    if (!res.ok) throw new Error(`Fetch failed (${res.status})`);
+  const { games, errors } = MI_ENGINE.parseResultsCSV(text);
+  if (!games.length) {
+    setToolStatus('backtestStatus', 'error', errors[0] || miGetCopy('backtest.no_games', 'No games found in the results file.'));
+    return null;
+  }
 
-    const text = await res.text();
+  LAST_BACKTEST = MI_ENGINE.runBacktest(DATASET, games);
+  renderBacktest(LAST_BACKTEST);
 
-    // 1) Load into the app (no user upload required)
-    const { headers, rows } = parseCSV(text);
-    RAW_ROWS = rows;
+  const notes = [...errors, ...LAST_BACKTEST.skipped.map(g => `Skipped ${g.winner} over ${g.loser}: ${g.reason}.`)];
+  notes.forEach(n => console.warn('[MI] Backtest:', n));
 
-    buildTeamsFromCSV(headers, rows);
+  const summary = miFillTemplate(
+    miGetCopy('backtest.done_template', 'Backtested {{N}} games from {{FILE}}.'),
+    { N: LAST_BACKTEST.overall.games, FILE: filename || 'results file' }
+  );
+  setToolStatus('backtestStatus', notes.length ? 'warn' : 'ok',
+    notes.length ? `${summary} ${notes.length} row(s) skipped — see console.` : summary);
+  return LAST_BACKTEST;
+}
 
-    const count = (TEAM_LIST || []).length;
-    updatePreMatchupHubProgress();
-    refreshCompareButtonState();
+function buildBacktestTableHTML(title, buckets, labelFn = (b) => b.label) {
+  if (!buckets.length) return '';
+  const rows = buckets.map(b => `
+      <tr>
+        <td>${labelFn(b)}</td>
+        <td>${b.games}</td>
+        <td>${b.hits}</td>
+        <td>${fmtPct(b.hitRate)}</td>
+        <td>${fmt(b.brier, 3)}</td>
+        <td>${fmt(b.logLoss, 3)}</td>
+      </tr>`).join('');
+
+  return `
+    <div class="backtest-block">
+      <h3 class="backtest-block-title">${title}</h3>
+      <table class="explain-table backtest-table">
+        <thead>
+          <tr><th></th><th>Games</th><th>Hits</th><th>Hit rate</th><th>Brier</th><th>Log-loss</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+}
+
+// renderBacktest(report) Headline accuracy plus hit-rate tables by round, seed pairing and lean band.
+function renderBacktest(report) {
+  const view = document.getElementById('backtestView');
+  if (!view || !report) return;
+
+  const o = report.overall;
+  const c = report.calibration;
+  const roundLabel = (b) => miGetCopy(`rounds.${b.label}`, getRoundLabelFromCode(b.label));
+
+  view.innerHTML = `
+    <div class="backtest-headline">
+      <span><strong>${fmtPct(o.hitRate)}</strong> hit rate (${o.hits}/${o.games})</span>
+      <span>Brier <strong>${fmt(o.brier, 3)}</strong></span>
+      <span>Log-loss <strong>${fmt(o.logLoss, 3)}</strong></span>
+      <span class="helper-text">Best-fit ΔMI scale ${fmt(c.bestScale, 2)} (log-loss ${fmt(c.bestLogLoss, 3)}) vs current ${fmt(c.scale, 2)}</span>
+    </div>
+    <div class="backtest-grid">
+      ${buildBacktestTableHTML('By round', report.byRound, roundLabel)}
+      ${buildBacktestTableHTML('By lean band', report.byBand)}
+      ${buildBacktestTableHTML('By seed pairing', report.bySeedPairing)}
+    </div>`;
+}
+
+// ========== MODEL PROFILE COMPARISON ==========
+
+// runModelComparison() Scores the open matchup (or every pairing in the field) under the two selected profiles and renders flips + biggest movers.
+async function runModelComparison() {
+  if (!DATASET || !TEAM_LIST.length) {
+    setToolStatus('compareStatus', 'warn', miGetCopy('model_compare.no_data', 'Load a dataset before comparing model profiles.'));
+    return null;
+  }
 
-    if (appShell) {
-      if (count > 0) appShell.classList.add('csv-loaded');
-      else appShell.classList.remove('csv-loaded');
-    }
+  const urlA = document.getElementById('compareProfileA')?.value;
+  const urlB = document.getElementById('compareProfileB')?.value;
+  const scope = document.getElementById('compareScope')?.value || 'field';
 
-    if (statusEl) {
-      if (count > 0) {
-        statusEl.className = 'status ok';
-        statusEl.textContent = `Loaded ${count} teams (${filename || 'dataset'})`;
-      } else {
-        statusEl.className = 'status warn';
-        statusEl.textContent = 'Dataset loaded, but 0 teams detected.';
-      }
+  let games;
+  if (scope === 'matchup') {
+    const last = window.LAST_RESULT;
+    if (!last) {
+      setToolStatus('compareStatus', 'warn', miGetCopy('model_compare.no_matchup', 'Run a matchup first, or compare the whole field.'));
+      return null;
     }
+    games = [[last.a.name, last.b.name]];
+  }
 
+  try {
+    const [profileA, profileB] = await Promise.all([fetchModelProfile(urlA), fetchModelProfile(urlB)]);
+    LAST_COMPARE = MI_ENGINE.compareModelProfiles(DATASET, profileA, profileB, { games });
   } catch (err) {
-    console.error('[MI] Dataset load error:', err);
-    if (statusEl) {
-      statusEl.className = 'status error';
-      statusEl.textContent = `Dataset load error: ${err.message}`;
-    }
-    if (appShell) appShell.classList.remove('csv-loaded');
-    syncNextHalo(false);
+    console.error('[MI] Model comparison error:', err);
+    setToolStatus('compareStatus', 'error', err.message);
+    return null;
   }
+
+  renderModelComparison(LAST_COMPARE);
+  setToolStatus('compareStatus', 'ok', miFillTemplate(
+    miGetCopy('model_compare.done_template', 'Compared {{N}} games: {{FLIPS}} predicted winner(s) flip.'),
+    { N: LAST_COMPARE.games.length.toLocaleString(), FLIPS: LAST_COMPARE.flips.length }
+  ));
+  return LAST_COMPARE;
 }
 
-function triggerCsvDownload(csvText, filename) {
-  const blob = new Blob([csvText], { type: 'text/csv;charset=utf-8' });
-  const a = document.createElement('a');
-  a.href = URL.createObjectURL(blob);
-  a.download = filename || 'MadnessIndex_Dataset.csv';
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(a.href);
+function fmtDelta(v, digits = 2) {
+  if (typeof v !== 'number' || !isFinite(v)) return '—';
+  const s = v.toFixed(digits);
+  return v > 0 && Number(s) !== 0 ? `+${s}` : s;
 }
 
-async function downloadDatasetFromUrl(url, filename) {
-  const res = await fetch(url, { cache: 'no-store' });
-  if (!res.ok) throw new Error(`Fetch failed (${res.status})`);
-  const text = await res.text();
-  triggerCsvDownload(text, filename);
+function getDeltaClass(v) {
+  if (Math.abs(v) < 0.005) return '';
+  return v > 0 ? 'compare-up' : 'compare-down';
 }
 
-function buildCsvTemplateText() {
-  // Headers chosen to align with your HEADER_MAP normalizer expectations.
-  // (Don’t add extra commas/spaces; keep these stable.)
-  const headers = [
-    'Team','Seed',
-    'Off Eff','Def Eff','Efficiency Margin','True Shooting %','eFG','Tempo','Effective Possession Ratio','TO%',
-    'Def. eFG%',
-    '% of points from 2','% of points from 3','% of points from FT',
-    '3P %','3P Rate','FTR',
-    'Extra Scoring Chances Game','Non Blocked 2pt %','ORB %','DRB %','Block %','Steals per possession',
-    'Opp Asst Poss','Opp TO Poss','Opp FTA FGA','Opp 3pt %','Opp 3P Rate',
-    'FT_PCT',
-    'Close game win pct','Wins','Losses','Strength of Schedule'
-  ];
+// renderModelComparison(cmp) Flipped games table plus per-team Δ table (mi_base, breadth, résumé R, mean interaction adj), largest movers first.
+function renderModelComparison(cmp) {
+  const view = document.getElementById('compareView');
+  if (!view || !cmp) return;
 
-  // Header row only (clean template)
-  return headers.join(',') + '\n';
+  const nameA = `${cmp.profileA.label} (v${cmp.profileA.version})`;
+  const nameB = `${cmp.profileB.label} (v${cmp.profileB.version})`;
+  const maxMovers = 15;
+
+  const flipRows = cmp.flips.map(g => `
+      <tr>
+        <td>${g.teamA} vs ${g.teamB}</td>
+        <td>${g.predictedA} (${fmt(Math.abs(g.diffA), 2)})</td>
+        <td>${g.predictedB} (${fmt(Math.abs(g.diffB), 2)})</td>
+        <td class="${getDeltaClass(g.diffB - g.diffA)}">${fmtDelta(g.diffB - g.diffA)}</td>
+      </tr>`).join('');
+
+  const flipsHTML = cmp.flips.length ? `
+      <table class="explain-table compare-table">
+        <thead>
+          <tr><th>Game</th><th>${nameA}</th><th>${nameB}</th><th>Δ diff</th></tr>
+        </thead>
+        <tbody>${flipRows}</tbody>
+      </table>`
+    : `<p class="helper-text">${miGetCopy('model_compare.no_flips', 'No predicted winners change between these profiles.')}</p>`;
+
+  const deltaCell = (t, key) => `
+        <td>${fmt(t.a[key], 2)} → ${fmt(t.b[key], 2)}
+          <span class="compare-delta ${getDeltaClass(t.delta[key])}">${fmtDelta(t.delta[key])}</span></td>`;
+
+  const moverRows = cmp.movers.slice(0, maxMovers).map(t => `
+      <tr>
+        <td>${t.name}</td>
+        <td>${t.seed ?? ''}</td>
+        ${deltaCell(t, 'mi_base')}
+        ${deltaCell(t, 'breadth')}
+        ${deltaCell(t, 'resumeR')}
+        ${deltaCell(t, 'interactions')}
+      </tr>`).join('');
+
+  view.innerHTML = `
+    <div class="backtest-headline">
+      <span><strong>${nameA}</strong> → <strong>${nameB}</strong></span>
+      <span><strong>${cmp.flips.length}</strong> flip(s) in ${cmp.games.length.toLocaleString()} game(s)</span>
+    </div>
+    <div class="compare-block">
+      <h3 class="backtest-block-title">Flipped predictions</h3>
+      <div class="tool-table-wrap">${flipsHTML}</div>
+    </div>
+    <div class="compare-block">
+      <h3 class="backtest-block-title">Biggest movers (MI base)</h3>
+      <div class="tool-table-wrap">
+        <table class="explain-table compare-table">
+          <thead>
+            <tr><th>Team</th><th>Seed</th><th>MI base</th><th>Breadth</th><th>Résumé R</th><th>Avg interaction</th></tr>
+          </thead>
+          <tbody>${moverRows}</tbody>
+        </table>
+      </div>
+    </div>`;
+}
+
+// ========== SCORED DATASET EXPORT ==========
+
+// triggerJsonDownload(data, filename) Saves a value as a pretty-printed .json file.
+function triggerJsonDownload(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json;charset=utf-8' });
+  triggerBlobDownload(blob, filename || 'MadnessIndex_Dataset.json');
+}
+
+// exportScoredDataset(format) Downloads one row per team with every derived score ('csv' or 'json').
+function exportScoredDataset(format) {
+  if (!DATASET || !TEAM_LIST.length) {
+    setToolStatus('exportStatus', 'warn', miGetCopy('export.no_data', 'Load a dataset before exporting scores.'));
+    return;
+  }
+
+  const profileId = String(MI_ENGINE.getModelProfile(DATASET).id || 'profile').replace(/[^\w.-]+/g, '_');
+  const base = `MadnessIndex_Scored_${profileId}`;
+
+  if (format === 'json') {
+    triggerJsonDownload(MI_ENGINE.scoredDatasetToJSON(DATASET), `${base}.json`);
+  } else {
+    triggerCsvDownload(MI_ENGINE.scoredDatasetToCSV(DATASET), `${base}.csv`);
+  }
+
+  setToolStatus('exportStatus', 'ok', miFillTemplate(
+    miGetCopy('export.done_template', 'Exported {{N}} teams as {{FORMAT}}.'),
+    { N: TEAM_LIST.length, FORMAT: format === 'json' ? 'JSON' : 'CSV' }
+  ));
 }
 
 // ========== EVENT WIRING & DOM READY ==========
 
 function setupEventListeners() {
-  // ---- CSV upload ----
+  // ---- Dataset upload (CSV / JSON / XLSX) ----
   const fileInput =
     document.getElementById('csvFile') ||
     document.getElementById('csvUpload') ||
@@ -4883,49 +6195,21 @@ function setupEventListeners() {
     fileInput.addEventListener('change', (e) => {
       const file = e.target.files && e.target.files[0];
       if (!file) return;
-      const reader = new FileReader();
-      reader.onload = (ev) => {
-        try {
-          const { headers, rows } = parseCSV(ev.target.result);
-          RAW_ROWS = rows;
-          console.log('[MI] CSV headers:', headers);
-          console.log('[MI] First data row:', rows[0]);
-
-          buildTeamsFromCSV(headers, rows);
-
-          const count = (TEAM_LIST || []).length;
-          console.log('[MI] Teams parsed:', count);
-          updatePreMatchupHubProgress();
-          refreshCompareButtonState();
-
-          const appShell = document.querySelector('.app-shell');
-          if (appShell) {
-            const isLoaded = count > 0;
-
-            if (isLoaded) appShell.classList.add('csv-loaded');
-            else appShell.classList.remove('csv-loaded');
-
-            syncNextHalo(isLoaded);
-          } 
-
-          if (statusEl) {
-            if (count > 0) {
-              statusEl.className = 'status ok';
-              statusEl.textContent = `Loaded ${count} teams`;
-            } else {
-              statusEl.className = 'status warn';
-              statusEl.textContent = 'CSV parsed, but 0 teams detected. Check the Team column header.';
-            }
-          }
-        } catch (err) {
-          console.error('[MI] CSV parse error:', err);
-          if (statusEl) {
-            statusEl.className = 'status error';
-            statusEl.textContent = `CSV parse error: ${err.message}`;
-          }
+      importDatasetFile(file);
+    });
+  }
+
+  // ---- Workbook sheet picker ----
+  const sheetSelect = document.getElementById('sheetSelect');
+  if (sheetSelect) {
+    sheetSelect.addEventListener('change', () => {
+      loadWorkbookSheet(sheetSelect.value).catch(err => {
+        console.error('[MI] XLSX sheet error:', err);
+        if (statusEl) {
+          statusEl.className = 'status error';
+          statusEl.textContent = `XLSX parse error: ${err.message}`;
         }
-      };
-      reader.readAsText(file);
+      });
     });
   }
 
@@ -4967,10 +6251,18 @@ function setupEventListeners() {
 
       // 🔥 ONLY enforce legal rounds when Sandbox mode is OFF
       if (!SANDBOX_MODE) {
-        const allowedRounds = getPossibleRoundsForSeeds(teamA.seed, teamB.seed);
+        const allowedRounds = getPossibleRoundsForTeams(DATASET, teamA, teamB);
+        const meta = MI_ENGINE.getMatchupRoundMeta(DATASET, teamA, teamB, CURRENT_ROUND);
+        const pairLabel = meta && meta.regionAware
+          ? describeSeedPair(teamA.seed, teamB.seed, teamA.region, teamB.region)
+          : describeSeedPair(teamA.seed, teamB.seed);
+        if (!allowedRounds.length) {
+          alert(describeNoMeetingRound(teamA, teamB));
+          return;
+        }
         if (!allowedRounds.includes(CURRENT_ROUND)) {
           alert(
-            `As seeds ${teamA.seed} and ${teamB.seed}, these teams can only meet in: ` +
+            `As ${pairLabel}, these teams can only meet in: ` +
             allowedRounds.map(getRoundLabelFromCode).join(', ') +
             `. Please choose one of those rounds.`
           );
@@ -5017,6 +6309,135 @@ function setupEventListeners() {
     });
   }
 
+  // ---- Matchup history ----
+  const historyList = document.getElementById('historyList');
+  if (historyList) {
+    historyList.addEventListener('click', (e) => {
+      const btn = e.target.closest('.history-restore');
+      if (btn) restoreMatchupFromHistory(Number(btn.dataset.index));
+    });
+  }
+  const historyClearBtn = document.getElementById('historyClearBtn');
+  if (historyClearBtn) {
+    historyClearBtn.addEventListener('click', () => {
+      writeStoredJSON(MATCHUP_HISTORY_KEY, null);
+      renderMatchupHistory();
+    });
+  }
+
+  // ---- Printable report ----
+  const openReportBtn = document.getElementById('openReportBtn');
+  if (openReportBtn) {
+    openReportBtn.addEventListener('click', () => openMatchupReport());
+  }
+  const reportPrintBtn = document.getElementById('reportPrintBtn');
+  if (reportPrintBtn) {
+    reportPrintBtn.addEventListener('click', () => window.print());
+  }
+  const reportCloseBtn = document.getElementById('reportCloseBtn');
+  if (reportCloseBtn) {
+    reportCloseBtn.addEventListener('click', () => closeMatchupReport());
+  }
+
+  // ---- Matchup card (PNG) ----
+  const matchupCardBtn = document.getElementById('matchupCardBtn');
+  if (matchupCardBtn) {
+    matchupCardBtn.addEventListener('click', () => downloadMatchupCard());
+  }
+  const matchupCardSize = document.getElementById('matchupCardSize');
+  if (matchupCardSize) {
+    matchupCardSize.addEventListener('change', () => {
+      if (window.LAST_RESULT) renderMatchupCard(window.LAST_RESULT, matchupCardSize.value);
+    });
+  }
+
+  // ---- What-if editor ----
+  const whatIfTeam = document.getElementById('whatIfTeam');
+  if (whatIfTeam) {
+    whatIfTeam.addEventListener('change', () => {
+      renderWhatIfEditor();
+      renderWhatIfResults(null);
+      if (getWhatIfEditCount()) runWhatIf();
+    });
+  }
+  const whatIfOpponent = document.getElementById('whatIfOpponent');
+  if (whatIfOpponent) {
+    whatIfOpponent.addEventListener('change', () => {
+      if (getWhatIfEditCount()) runWhatIf();
+    });
+  }
+  const whatIfEditorTable = document.getElementById('whatIfEditorTable');
+  if (whatIfEditorTable) {
+    whatIfEditorTable.addEventListener('change', (e) => {
+      const input = e.target.closest('.wi-input');
+      const name = document.getElementById('whatIfTeam')?.value || '';
+      if (!input || !name) return;
+      setWhatIfEdit(name, input.dataset.key, input.value.trim());
+      input.closest('tr').classList.toggle('wi-edited', !!(WHAT_IF_EDITS[name] && input.dataset.key in WHAT_IF_EDITS[name]));
+    });
+  }
+  const whatIfRunBtn = document.getElementById('whatIfRunBtn');
+  if (whatIfRunBtn) {
+    whatIfRunBtn.addEventListener('click', () => runWhatIf());
+  }
+  const whatIfResetBtn = document.getElementById('whatIfResetBtn');
+  if (whatIfResetBtn) {
+    whatIfResetBtn.addEventListener('click', () => resetWhatIf());
+  }
+
+  // ---- Pick sensitivity ----
+  const sensitivityRunBtn = document.getElementById('sensitivityRunBtn');
+  if (sensitivityRunBtn) {
+    sensitivityRunBtn.addEventListener('click', () => runSensitivity());
+  }
+  const sensitivityTable = document.getElementById('sensitivityTable');
+  if (sensitivityTable) {
+    sensitivityTable.addEventListener('click', (e) => {
+      const btn = e.target.closest('.sens-try');
+      if (btn) trySensitivityInWhatIf(Number(btn.dataset.index));
+    });
+  }
+
+  // ---- Hypothetical teams ----
+  const synthBuilderTable = document.getElementById('synthBuilderTable');
+  if (synthBuilderTable) {
+    synthBuilderTable.addEventListener('change', (e) => {
+      const input = e.target.closest('.syn-z, .syn-value');
+      const row = e.target.closest('tr[data-key]');
+      if (input && row) setSyntheticDraftInput(row, input);
+    });
+  }
+  const synthAddBtn = document.getElementById('synthAddBtn');
+  if (synthAddBtn) {
+    synthAddBtn.addEventListener('click', () => addSyntheticTeamFromBuilder());
+  }
+  const synthResetBtn = document.getElementById('synthResetBtn');
+  if (synthResetBtn) {
+    synthResetBtn.addEventListener('click', () => resetSyntheticDraft());
+  }
+  const synthList = document.getElementById('synthList');
+  if (synthList) {
+    synthList.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-action]');
+      const item = e.target.closest('.synth-item');
+      if (!btn || !item) return;
+      const name = item.dataset.team;
+      if (btn.dataset.action === 'remove') removeSyntheticTeamByName(name);
+      else pickSyntheticTeam(name, btn.dataset.action);
+    });
+  }
+
+  // ---- Matchup permalink ----
+  const copyPermalinkBtn = document.getElementById('copyPermalinkBtn');
+  if (copyPermalinkBtn) {
+    copyPermalinkBtn.addEventListener('click', () => copyMatchupPermalink(copyPermalinkBtn));
+  }
+  window.addEventListener('hashchange', () => {
+    const last = window.LAST_RESULT;
+    const link = readMatchupPermalink();
+    if (link && (!last || location.hash !== buildMatchupPermalinkHash(last))) restoreMatchupFromPermalink();
+  });
+
   const editMatchupBtn = document.getElementById('editMatchupBtn');
   if (editMatchupBtn) {
     editMatchupBtn.addEventListener('click', (e) => {
@@ -5086,6 +6507,166 @@ function setupEventListeners() {
     });
   }
 
+  // ---- Final Four pairing ----
+  const f4PairingSelect = document.getElementById('f4PairingSelect');
+  if (f4PairingSelect) {
+    f4PairingSelect.addEventListener('change', () => setF4Pairing(Number(f4PairingSelect.value)));
+  }
+
+  // ---- Bracket simulator ----
+  const bracketRunBtn = document.getElementById('bracketRunBtn');
+  if (bracketRunBtn) {
+    bracketRunBtn.addEventListener('click', () => {
+      runBracketSimulation();
+    });
+  }
+
+  // ---- Tournament odds ----
+  const oddsRunBtn = document.getElementById('oddsRunBtn');
+  if (oddsRunBtn) {
+    oddsRunBtn.addEventListener('click', () => {
+      runTournamentOdds();
+    });
+  }
+
+  // ---- Backtest results upload ----
+  const backtestFile = document.getElementById('backtestFile');
+  if (backtestFile) {
+    backtestFile.addEventListener('change', (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = (ev) => {
+        try {
+          runBacktestFromText(ev.target.result, file.name);
+        } catch (err) {
+          console.error('[MI] Backtest error:', err);
+          setToolStatus('backtestStatus', 'error', `Backtest error: ${err.message}`);
+        }
+        backtestFile.value = '';
+      };
+      reader.readAsText(file);
+    });
+  }
+
+  // ---- Model profile select ----
+  const modelProfileSelect = document.getElementById('modelProfileSelect');
+  if (modelProfileSelect) {
+    modelProfileSelect.addEventListener('change', () => {
+      if (modelProfileSelect.value) loadModelProfileFromUrl(modelProfileSelect.value);
+    });
+  }
+
+  // ---- Header mapping overrides (inside the data check panel) ----
+  const datasetValidation = document.getElementById('datasetValidation');
+  if (datasetValidation) {
+    datasetValidation.addEventListener('change', (e) => {
+      const sel = e.target.closest('.header-override-select');
+      if (sel) setHeaderOverride(sel.dataset.header, sel.value);
+    });
+    datasetValidation.addEventListener('click', (e) => {
+      if (e.target.closest('.header-override-clear')) clearHeaderOverrides();
+    });
+  }
+
+  // ---- Column-mapping wizard ----
+  const mappingWizard = document.getElementById('mappingWizard');
+  if (mappingWizard) {
+    mappingWizard.addEventListener('change', (e) => {
+      const sel = e.target.closest('.mapping-wizard-select');
+      if (sel) updateMappingWizardPreview(sel);
+    });
+  }
+
+  const mappingWizardApplyBtn = document.getElementById('mappingWizardApplyBtn');
+  if (mappingWizardApplyBtn) {
+    mappingWizardApplyBtn.addEventListener('click', () => {
+      applyMappingWizard();
+    });
+  }
+
+  const mappingWizardSkipBtn = document.getElementById('mappingWizardSkipBtn');
+  if (mappingWizardSkipBtn) {
+    mappingWizardSkipBtn.addEventListener('click', () => {
+      skipMappingWizard();
+    });
+  }
+
+  const importProfileApplyBtn = document.getElementById('importProfileApplyBtn');
+  if (importProfileApplyBtn) {
+    importProfileApplyBtn.addEventListener('click', () => {
+      const select = document.getElementById('importProfileSelect');
+      if (select && select.value) applyImportProfile(select.value);
+    });
+  }
+
+  // ---- Interaction trace rows ----
+  const interactionsTable = document.getElementById('interactionsTable');
+  if (interactionsTable) {
+    interactionsTable.addEventListener('click', (e) => {
+      const btn = e.target.closest('.int-trace-toggle');
+      if (btn) toggleInteractionTrace(btn.dataset.traceKey);
+    });
+  }
+
+  // ---- Model profile comparison ----
+  const compareRunBtn = document.getElementById('compareRunBtn');
+  if (compareRunBtn) {
+    compareRunBtn.addEventListener('click', () => {
+      runModelComparison();
+    });
+  }
+
+  // ---- Field leaderboard ----
+  const leaderboardTable = document.getElementById('leaderboardTable');
+  if (leaderboardTable) {
+    leaderboardTable.addEventListener('click', (e) => {
+      const sortBtn = e.target.closest('.lb-sort');
+      if (sortBtn) {
+        setLeaderboardSort(sortBtn.dataset.sortKey);
+        return;
+      }
+      const profileBtn = e.target.closest('.lb-profile');
+      if (profileBtn) {
+        openTeamProfile(profileBtn.dataset.team);
+        return;
+      }
+      const pickBtn = e.target.closest('.lb-pick');
+      if (pickBtn) pickLeaderboardTeam(pickBtn.dataset.team, pickBtn.dataset.slot);
+    });
+  }
+  const leaderboardSeed = document.getElementById('leaderboardSeed');
+  if (leaderboardSeed) {
+    leaderboardSeed.addEventListener('change', () => renderLeaderboard());
+  }
+
+  // ---- Team profile ----
+  const profileTeamSelect = document.getElementById('profileTeamSelect');
+  if (profileTeamSelect) {
+    profileTeamSelect.addEventListener('change', () => renderTeamProfile(profileTeamSelect.value));
+  }
+
+  // ---- Round-robin matrix ----
+  const rrGroup = document.getElementById('rrGroup');
+  if (rrGroup) {
+    rrGroup.addEventListener('change', () => syncRoundRobinCustomField());
+  }
+  const rrRunBtn = document.getElementById('rrRunBtn');
+  if (rrRunBtn) {
+    rrRunBtn.addEventListener('click', () => runRoundRobin());
+  }
+
+  // ---- Scored dataset export ----
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  if (exportCsvBtn) {
+    exportCsvBtn.addEventListener('click', () => exportScoredDataset('csv'));
+  }
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  if (exportJsonBtn) {
+    exportJsonBtn.addEventListener('click', () => exportScoredDataset('json'));
+  }
+
   // ---- Badge Legend collapsible toggle ----
   const badgeCard    = document.getElementById('badgeKeyCard');
   const badgeContent = document.getElementById('badgeKeyContent');
@@ -5224,14 +6805,25 @@ if (roundBtn && roundDropdown) {
 }
 
 // ---- ONE dom-ready block (outside the function) ----
+function loadInitialModelProfile() {
+  const select = document.getElementById('modelProfileSelect');
+  const link = readMatchupPermalink();
+  if (select && link && getSelectOptionValues('modelProfileSelect').includes(link.model)) {
+    select.value = link.model;
+  }
+  return loadModelProfileFromUrl(select?.value || 'model_profile_v3_2.json');
+}
+
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
     setupEventListeners();
     loadCopyJSON();
+    loadInitialModelProfile().then(restoreStartupState);
     updatePreMatchupHubProgress();
   });
 } else {
   setupEventListeners();
   loadCopyJSON();
+  loadInitialModelProfile().then(restoreStartupState);
   updatePreMatchupHubProgress();
 }
\ No newline at end of file
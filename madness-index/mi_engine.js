@@ -0,0 +1,3607 @@
+/************************************************************
+ * Madness Index v3.2 — Headless Scoring Engine
+ *
+ * Everything needed to turn a parsed dataset into Madness Index
+ * scores and matchup results, with no document/window access.
+ * The UI (madness_index.js) is a thin consumer of this module;
+ * Node scripts, tests and batch jobs can use it directly:
+ *
+ *   const MI = require('./mi_engine.js');
+ *   const dataset = MI.loadDatasetFromCSV(csvText);
+ *   const result  = MI.scoreMatchup(dataset, 'Drake', 'Missouri', { round: 'R64' });
+ *
+ * In the browser the same API is exposed as window.MI_ENGINE.
+ ************************************************************/
+
+(function (root, factory) {
+  const engine = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = engine;
+  } else {
+    root.MI_ENGINE = engine;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+
+// ========== SEED / BRACKET LOGIC HELPERS ==========
+//
+// We treat seeds 1–16 as if they belong to the standard NCAA region structure:
+//
+//  Pod A (top-top):    {1, 16, 8, 9}
+//  Pod B (top-bottom): {5, 12, 4, 13}
+//  Pod C (bot-top):    {6, 11, 3, 14}
+//  Pod D (bot-bottom): {7, 10, 2, 15}
+//
+// Within a single region, two seeds have a uniquely-defined meeting round:
+//   - R64: same first-round game
+//   - R32: same pod but not direct R64
+//   - S16: different pods, same half (A↔B or C↔D)
+//   - E8:  different halves (A/B vs C/D)
+//
+// Across different regions, any pair of seeds can only meet in:
+//   - Final Four (F4)
+//   - Championship (Champ)
+//
+// For *distinct* seeds, both "same region" and "different region" layouts
+// are possible across different years, so the possible rounds are:
+//   { intra-region round } ∪ { F4, Champ }.
+// For *equal* seeds (e.g., 1 vs 1), they can never share a region
+// (only one #1 per region), so only { F4, Champ } are possible.
+
+const R64_PAIRINGS = [
+  [1, 16], [8, 9],
+  [5, 12], [4, 13],
+  [6, 11], [3, 14],
+  [7, 10], [2, 15],
+];
+
+// Map seed → pod label
+function getSeedPod(seed) {
+  const s = Number(seed);
+  if ([1, 16, 8, 9].includes(s))  return 'A'; // top-top
+  if ([5, 12, 4, 13].includes(s)) return 'B'; // top-bottom
+  if ([6, 11, 3, 14].includes(s)) return 'C'; // bottom-top
+  if ([7, 10, 2, 15].includes(s)) return 'D'; // bottom-bottom
+  return null;
+}
+
+// Pod → half of region
+function getPodHalf(pod) {
+  if (pod === 'A' || pod === 'B') return 'top';
+  if (pod === 'C' || pod === 'D') return 'bottom';
+  return null;
+}
+
+// Are these seeds a direct Round of 64 game?
+function isFirstRoundPair(seedA, seedB) {
+  const a = Number(seedA);
+  const b = Number(seedB);
+  return R64_PAIRINGS.some(([x, y]) =>
+    (a === x && b === y) || (a === y && b === x)
+  );
+}
+
+// If two seeds were placed in the *same region*,
+// what is the unique round where they would meet?
+function getIntraRegionRound(seedA, seedB) {
+  const a = Number(seedA);
+  const b = Number(seedB);
+
+  // Same seed cannot share a region (one slot per seed per region)
+  if (!Number.isFinite(a) || !Number.isFinite(b) || a === b) return null;
+
+  const podA = getSeedPod(a);
+  const podB = getSeedPod(b);
+  if (!podA || !podB) return null;
+
+  if (isFirstRoundPair(a, b)) return 'R64';
+
+  if (podA === podB) return 'R32';
+
+  const halfA = getPodHalf(podA);
+  const halfB = getPodHalf(podB);
+
+  if (halfA && halfB && halfA === halfB) return 'S16';
+
+  // Different halves of the same region
+  return 'E8';
+}
+
+// Global order for sorting rounds
+const ROUND_ORDER = ['R64', 'R32', 'S16', 'E8', 'F4', 'Champ'];
+
+// All possible rounds this *pair of seeds* can meet in,
+// across all valid bracket layouts (same region vs different region).
+function getPossibleRoundsForSeeds(seedA, seedB) {
+  const a = Number(seedA);
+  const b = Number(seedB);
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return [];
+
+  const possible = new Set();
+
+  if (a !== b) {
+    const intra = getIntraRegionRound(a, b);
+    if (intra) possible.add(intra);
+  }
+
+  // Cross-region possibilities (any pair can be separated across regions)
+  possible.add('F4');
+  possible.add('Champ');
+
+  // Return sorted by natural tournament order
+  return Array.from(possible).sort((r1, r2) =>
+    ROUND_ORDER.indexOf(r1) - ROUND_ORDER.indexOf(r2)
+  );
+}
+
+// Convenience wrapper for checking a specific round
+function isRoundPossibleForSeeds(seedA, seedB, roundCode) {
+  const possible = getPossibleRoundsForSeeds(seedA, seedB);
+  return possible.includes(roundCode);
+}
+
+// Build a small descriptor we can attach to the matchup result
+function getSeedRoundMeta(seedA, seedB, roundCode) {
+  const a = Number(seedA);
+  const b = Number(seedB);
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
+
+  const possible = getPossibleRoundsForSeeds(a, b);
+  const isAllowed = possible.includes(roundCode);
+  const earliest = possible.length
+    ? possible[0]
+    : null;
+
+  return {
+    seedA: a,
+    seedB: b,
+    possible,    // e.g. ['R32','F4','Champ']
+    isAllowed,   // true if current round is compatible with these seeds
+    earliest,    // earliest possible round in standard bracket order
+  };
+}
+
+// ---------- Region-aware round legality ----------
+//
+// When the dataset carries a Region column, a pair of teams has exactly one
+// possible meeting round:
+//   - same region      → the unique intra-region round for their seeds
+//   - different region → F4 if their regions are paired in the national
+//                        semifinal, otherwise Championship
+// The national-semifinal pairing is explicit (dataset.f4Pairing, chosen in the
+// UI); without one it defaults to the order regions first appear in the CSV
+// (1st vs 2nd, 3rd vs 4th).
+
+// Distinct regions in first-appearance order (empty if the column is absent)
+function getRegionOrder(teams, teamList) {
+  const order = [];
+  (teamList || Object.keys(teams || {})).forEach(name => {
+    const region = teams[name] && teams[name].region;
+    if (region && !order.includes(region)) order.push(region);
+  });
+  return order;
+}
+
+// The three ways to split four regions into national semifinals (first-appearance pairing first)
+function getF4PairingOptions(regionOrder) {
+  if (!regionOrder || regionOrder.length !== 4) return [];
+  const [a, b, c, d] = regionOrder;
+  return [[[a, b], [c, d]], [[a, c], [b, d]], [[a, d], [b, c]]];
+}
+
+// normalizeF4Pairing(pairing, regionOrder) The requested [[r, r], [r, r]] if it is one of the
+// options above, else the first-appearance default (null without four regions)
+function normalizeF4Pairing(pairing, regionOrder) {
+  const options = getF4PairingOptions(regionOrder);
+  if (!options.length) return null;
+  const pairingKey = p => p.map(pair => pair.slice().sort().join('|')).sort().join('||');
+  const valid = Array.isArray(pairing) && pairing.length === 2 &&
+    pairing.every(pair => Array.isArray(pair) && pair.length === 2);
+  const wanted = valid ? pairingKey(pairing) : null;
+  return options.find(option => pairingKey(option) === wanted) || options[0];
+}
+
+// Which national semifinal (0 or 1) a region feeds; null if unknown
+function getF4HalfForRegion(pairing, region) {
+  const idx = (pairing || []).findIndex(pair => pair.includes(region));
+  return idx === -1 ? null : idx;
+}
+
+// Are both teams placed in a complete four-region layout?
+function hasRegionLayout(dataset, teamA, teamB) {
+  const order = (dataset && dataset.regionOrder) || [];
+  return order.length === 4 && !!(teamA && teamA.region) && !!(teamB && teamB.region);
+}
+
+// Possible meeting rounds for two team objects. Falls back to the
+// seed-only rules when region info is missing.
+function getPossibleRoundsForTeams(dataset, teamA, teamB) {
+  if (!teamA || !teamB) return [];
+  if (!hasRegionLayout(dataset, teamA, teamB)) {
+    return getPossibleRoundsForSeeds(teamA.seed, teamB.seed);
+  }
+
+  if (teamA.region === teamB.region) {
+    const intra = getIntraRegionRound(teamA.seed, teamB.seed);
+    return intra ? [intra] : [];
+  }
+
+  const pairing = dataset.f4Pairing || normalizeF4Pairing(null, dataset.regionOrder);
+  const halfA = getF4HalfForRegion(pairing, teamA.region);
+  const halfB = getF4HalfForRegion(pairing, teamB.region);
+  return halfA === halfB ? ['F4'] : ['Champ'];
+}
+
+// Seed meta plus region context for the matchup result
+function getMatchupRoundMeta(dataset, teamA, teamB, roundCode) {
+  const meta = getSeedRoundMeta(teamA.seed, teamB.seed, roundCode);
+  if (!meta) return null;
+
+  const regionAware = hasRegionLayout(dataset, teamA, teamB);
+  if (regionAware) {
+    const possible = getPossibleRoundsForTeams(dataset, teamA, teamB);
+    meta.possible  = possible;
+    meta.isAllowed = possible.includes(roundCode);
+    meta.earliest  = possible.length ? possible[0] : null;
+  }
+
+  meta.regionAware = regionAware;
+  meta.regionA     = teamA.region || null;
+  meta.regionB     = teamB.region || null;
+  return meta;
+}
+
+// ---------- Config: Header Aliases ----------
+// One alias table per canonical team key. Headers and aliases are compared after
+// normalizeHeader() (case, punctuation, "%" → "pct"), then with spaces removed,
+// so "Off. Eff.", "OFF Eff" and "OffEff" all resolve to offeff.
+const HEADER_ALIASES = {
+  // identity
+  name:   ['Team', 'Team Name', 'School', 'School Name'],
+  seed:   ['Seed'],
+  region: ['Region', 'Bracket Region'],
+
+  // core 8
+  offeff:  ['Off Eff', 'Offensive Efficiency', 'AdjOE', 'AdjO'],
+  defeff:  ['Def Eff', 'Defensive Efficiency', 'AdjDE', 'AdjD'],
+  adjem:   ['Efficiency Margin', 'AdjEM', 'AdjEMargin', 'AdjEMarg'],
+  ts:      ['True Shooting %', 'TS%', 'TS'],
+  efg:     ['eFG', 'eFG%'],
+  tempo:   ['Tempo', 'Pace', 'AdjT'],
+  epr:     ['Effective Possession Ratio', 'EPR'],
+  to:      ['TO %', 'TO', 'TOV%', 'Turnover %'],
+  def_efg: ['Def. eFG %', 'Def eFG', 'DEFG%', 'Opp eFG%', 'Opp eFG'],
+
+  // distribution (points share)
+  pct_pts_2:  ['% of Points from 2', '%Pts2', '%Pts from 2', 'PctPts2'],
+  pct_pts_3:  ['% of Points from 3', '%Pts3', '%Pts from 3', 'PctPts3'],
+  pct_pts_ft: ['% of Points from FT', '%PtsFT', '%Pts from FT', 'PctPtsFT'],
+
+  // shooting + rates used by interactions
+  threepp: ['3P %', '3P', '3PT%'],
+  threepr: ['3P Rate', '3PR', '3P Att Rate', '3PAr', '3PA Rate'],
+  ftr:     ['FTR', 'FT Rate', 'FTA/FGA'],
+  // No alias: the shipped v3.2 scores were produced without the "FT %" column,
+  // so ft_pct only resolves through a user mapping override.
+  ft_pct:  [],
+
+  // extras used in breadth / interactions / marks
+  scpg:         ['Extra Scoring Chances/game', 'SCPG', 'Extra Chances', '2nd Chance'],
+  nb2:          ['Non-blocked 2pt %', 'NB2', 'NB2%', 'NonBlock2%', 'NonBlock2P%'],
+  orb:          ['ORB %', 'OR%', 'ORB'],
+  drb:          ['DRB %', 'DR%', 'DRB'],
+  blk:          ['Block %', 'BLK%', 'BLK'],
+  spp:          ['Steals per Possession', 'SPP', 'Stl Poss', 'Steals/poss', 'Stl%'],
+  opp_ast_poss: ['Opp. Asst./Poss.', 'Opp Ast/Poss', 'Opp Ast Poss'],
+  otpp:         ['Opp. TO/poss.', 'OTPP', 'Opp TOV%'],
+  opp_ftr:      ['Opp. FTA/FGA', 'Opp FTR', 'Opp FT Rate'],
+  opp_3pp:      ['Opp. 3PT %', 'Opp 3P%'],
+  opp_3pr:      ['Opp. 3P Rate', 'Opp 3PR'],
+
+  // résumé bits
+  close_win_pct: ['Close Game Win %', 'CGW%', 'Close Win %'],
+  w:             ['Wins', 'W'],
+  l:             ['Losses', 'L'],
+  sos:           ['Strength of Schedule', 'SOS'],
+};
+
+// Helper: normalize percent-like numbers to 0–1 range
+function normalizePercentMaybe(v) {
+  if (v == null || isNaN(v)) return v;
+  if (v > 1.0001 && v <= 100.0) return v / 100.0;
+  return v;
+}
+
+// Metrics that require field stats for z-scoring
+const METRICS_FOR_Z = [
+  'offeff', 'defeff', 'adjem', 'ts', 'efg', 'tempo', 'epr', 'to',
+  'threepr', 'threepp', 'pct_pts_3', 'pct_pts_2', 'pct_pts_ft',
+  'opp_3pr', 'opp_3pp', 'ftr', 'opp_ftr', 'ft_pct',
+  'nb2', 'def_efg', 'blk',
+  'spp', 'otpp', 'opp_ast_poss',
+  'orb', 'drb', 'scpg',
+];
+
+// ---------- Utility Functions ----------
+
+function findHeaderIndex(headers, candidates) {
+  const normed = headers.map(normalizeHeader);
+  for (const name of candidates) {
+    const idx = normed.indexOf(normalizeHeader(name));
+    if (idx !== -1) return idx;
+  }
+  return -1;
+}
+
+function getValue(row, headers, key) {
+  const idx = resolveHeaders(headers).index[key];
+  if (idx == null) return null;
+  const raw = row[idx];
+  if (raw === undefined || raw === null || raw === '') return null;
+  const v = parseFloat(raw);
+  return isNaN(v) ? null : v;
+}
+
+function computeMean(arr) {
+  if (!arr.length) return 0;
+  return arr.reduce((a, b) => a + b, 0) / arr.length;
+}
+
+function computeSD(arr, mean) {
+  if (!arr.length) return 0;
+  const v = arr.reduce((s, x) => s + Math.pow(x - mean, 2), 0) / arr.length;
+  return Math.sqrt(v);
+}
+
+function zScore(val, mean, sd) {
+  if (val === null || val === undefined || sd === 0) return 0;
+  return (val - mean) / sd;
+}
+
+// Defensive orientation: convert "lower is better" into "higher is better" BEFORE z-scoring
+function orientAndZ(fieldStats, team, key, orientation = 'normal') {
+  const fs = fieldStats[key];
+  if (!fs) return 0;
+  let v = team[key];
+  if (v === null || v === undefined) return 0;
+
+  if (orientation === 'invert') {
+    // For things like DefEff, TO%, Opp eFG% etc. when we store raw values
+    v = fs.mean * 2 - v; // simple reflection around mean (works since we only need monotonic inversion)
+  }
+
+  return zScore(v, fs.mean, fs.sd);
+}
+
+// Helper: safe z on arbitrary metric with control over inversion
+function getZ(fieldStats, team, key, inverted = false) {
+  const fs = fieldStats[key];
+  if (!fs) return 0;
+  const v = team[key];
+  if (v === null || v === undefined) return 0;
+  const val = inverted ? (fs.mean * 2 - v) : v;
+  return zScore(val, fs.mean, fs.sd);
+}
+
+// v3.2 unified tier table
+function getTierPointsFromZ(z) {
+  if (z >= 1.00) return 2.0;                  // Elite
+  if (z >= 0.80) return 1.5;                  // Strong
+  if (z >= 0.60) return 1.0;                  // Above Average
+  if (z >= 0.00) return 0.5;                  // Average
+  if (z >= -0.80) return 0.0;                 // Weak
+  return 0.0;                                 // Fragile (z < -0.80)
+}
+
+// Tier labels for UI only (same ranges as tier points)
+function getTierLabelFromZ(z) {
+  if (z >= 1.00) return 'Elite';
+  if (z >= 0.80) return 'Strong';
+  if (z >= 0.60) return 'Above Average';
+  if (z >= 0.00) return 'Average';
+  if (z >= -0.80) return 'Weak';
+  return 'Fragile';
+}
+
+// ---------- CSV Parsing & Initialization ----------
+function parseCSV(text) {
+  // Strip BOM if present
+  if (text && text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+
+  const rows = [];
+  let cur = '', row = [], inQuotes = false;
+
+  const pushCell = () => {
+    // Unwrap quotes, unescape ""
+    row.push(cur.replace(/^"(.*)"$/s, '$1').replace(/""/g, '"').trim());
+    cur = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') {
+      if (inQuotes && text[i + 1] === '"') { cur += '"'; i++; }
+      else { inQuotes = !inQuotes; }
+    } else if (ch === ',' && !inQuotes) {
+      pushCell();
+    } else if ((ch === '\n' || ch === '\r') && !inQuotes) {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      pushCell();
+      rows.push(row);
+      row = [];
+    } else {
+      cur += ch;
+    }
+  }
+  if (cur.length || row.length) { pushCell(); rows.push(row); }
+
+  const headers = (rows.shift() || []).map(h => h.trim());
+  return { headers, rows };
+}
+
+// ---------- JSON / XLSX Import ----------
+//
+// Both importers return the same { headers, rows } shape as parseCSV (every
+// cell a string), so uploads feed the unchanged header-resolution pipeline.
+
+// _cellToString(value) stringifies a JSON/XLSX cell the way it would appear in a CSV.
+function _cellToString(value) {
+  if (value == null) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  return String(value).trim();
+}
+
+// parseTeamJSON(text) reads an array of team records (or { teams: [...] }) keyed by column name.
+function parseTeamJSON(text) {
+  if (text && text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : (data && Array.isArray(data.teams) ? data.teams : null);
+  if (!records) throw new Error('Expected an array of team records or { "teams": [...] }');
+
+  const isRecord = rec => rec && typeof rec === 'object' && !Array.isArray(rec);
+  const headers = [];
+  const seen = new Set();
+  records.filter(isRecord).forEach(rec => {
+    Object.keys(rec).forEach(key => {
+      if (!seen.has(key)) { seen.add(key); headers.push(key); }
+    });
+  });
+
+  const rows = records.filter(isRecord).map(rec => headers.map(h => _cellToString(rec[h])));
+  return { headers, rows };
+}
+
+// _readZipDirectory(bytes) maps entry name -> { method, size, offset } from the zip central directory.
+function _readZipDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a valid .xlsx file (zip directory not found)');
+
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = {};
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error('Corrupt .xlsx zip directory');
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const name = decoder.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    entries[name] = {
+      method: view.getUint16(p + 10, true),
+      size: view.getUint32(p + 20, true),
+      offset: view.getUint32(p + 42, true),
+    };
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+// _readZipText(bytes, entries, name) returns one zip entry as UTF-8 text (null if absent).
+async function _readZipText(bytes, entries, name) {
+  const entry = entries[name];
+  if (!entry) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  const raw = bytes.subarray(start, start + entry.size);
+
+  let data;
+  if (entry.method === 0) {
+    data = raw;
+  } else if (entry.method === 8) {
+    if (typeof DecompressionStream !== 'function') {
+      throw new Error('This browser cannot unpack .xlsx files; export the sheet as CSV instead');
+    }
+    const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    data = new Uint8Array(await new Response(stream).arrayBuffer());
+  } else {
+    throw new Error(`Unsupported .xlsx compression (method ${entry.method})`);
+  }
+  return new TextDecoder().decode(data);
+}
+
+// _xmlDecode(text) unescapes XML entities in element text and attribute values.
+function _xmlDecode(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (m, ent) => {
+    const e = ent.toLowerCase();
+    if (e[0] === '#') return String.fromCodePoint(e[1] === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[e];
+  });
+}
+
+// _xmlAttrs(tagSource) parses `a="1" b='2'` into a plain object (namespace prefixes kept).
+function _xmlAttrs(tagSource) {
+  const attrs = {};
+  const re = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(tagSource))) attrs[m[1]] = _xmlDecode(m[3] != null ? m[3] : m[4]);
+  return attrs;
+}
+
+// _xmlRichText(xml) concatenates <t> runs, skipping phonetic (<rPh>) hints.
+function _xmlRichText(xml) {
+  const body = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  let out = '';
+  const re = /<t\b[^>]*>([\s\S]*?)<\/t>/g;
+  let m;
+  while ((m = re.exec(body))) out += _xmlDecode(m[1]);
+  return out;
+}
+
+// _columnIndex(ref) converts a cell reference like "AB12" to a 0-based column.
+function _columnIndex(ref) {
+  const letters = String(ref).match(/^[A-Z]+/i);
+  if (!letters) return -1;
+  let n = 0;
+  for (const ch of letters[0].toUpperCase()) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// _parseSheetXML(xml, sharedStrings) returns the sheet as a dense array of string rows.
+function _parseSheetXML(xml, sharedStrings) {
+  const grid = [];
+  const rowRe = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  const cellRe = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+  let rm;
+
+  while ((rm = rowRe.exec(xml))) {
+    const rowAttrs = _xmlAttrs(rm[1]);
+    const rowIdx = rowAttrs.r ? Number(rowAttrs.r) - 1 : grid.length;
+    const cells = [];
+    let cm, nextCol = 0;
+
+    while (rm[2] && (cm = cellRe.exec(rm[2]))) {
+      const attrs = _xmlAttrs(cm[1]);
+      const col = attrs.r ? _columnIndex(attrs.r) : nextCol;
+      nextCol = col + 1;
+      const inner = cm[2] || '';
+      const v = inner.match(/<v\b[^>]*>([\s\S]*?)<\/v>/);
+      const rawV = v ? _xmlDecode(v[1]) : '';
+
+      let value = '';
+      switch (attrs.t) {
+        case 's': value = sharedStrings[Number(rawV)] || ''; break;
+        case 'inlineStr': value = _xmlRichText(inner); break;
+        case 'b': value = rawV === '1' ? 'TRUE' : 'FALSE'; break;
+        case 'e': value = ''; break;
+        case 'str': value = rawV; break;
+        default: value = rawV === '' ? '' : _cellToString(Number(rawV));
+      }
+      cells[col] = String(value).trim();
+    }
+    cellRe.lastIndex = 0;
+    grid[rowIdx] = Array.from(cells, c => c || '');
+  }
+  return Array.from(grid, r => r || []);
+}
+
+// parseXLSX(buffer, options) reads one worksheet (options.sheet = name or index, default first)
+// of an .xlsx workbook and returns { sheetNames, sheetName, headers, rows }.
+async function parseXLSX(buffer, options = {}) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const entries = _readZipDirectory(bytes);
+
+  const workbook = await _readZipText(bytes, entries, 'xl/workbook.xml');
+  if (!workbook) throw new Error('Not an Excel workbook (xl/workbook.xml missing)');
+  const rels = (await _readZipText(bytes, entries, 'xl/_rels/workbook.xml.rels')) || '';
+
+  const targets = {};
+  (rels.match(/<Relationship\b[^>]*>/g) || []).forEach(tag => {
+    const a = _xmlAttrs(tag);
+    if (a.Id && a.Target) {
+      targets[a.Id] = a.Target.startsWith('/') ? a.Target.slice(1) : `xl/${a.Target.replace(/^\.\//, '')}`;
+    }
+  });
+
+  const sheets = (workbook.match(/<sheet\b[^>]*>/g) || []).map(tag => {
+    const a = _xmlAttrs(tag);
+    return { name: a.name, path: targets[a['r:id']] };
+  }).filter(s => s.name && s.path);
+  if (!sheets.length) throw new Error('Workbook has no worksheets');
+
+  const want = options.sheet;
+  const sheet = typeof want === 'number'
+    ? sheets[want]
+    : (want ? sheets.find(s => s.name === want) : sheets[0]);
+  if (!sheet) throw new Error(`Worksheet not found: ${want}`);
+
+  const sharedXml = (await _readZipText(bytes, entries, 'xl/sharedStrings.xml')) || '';
+  const sharedStrings = (sharedXml.match(/<si\b[\s\S]*?<\/si>/g) || []).map(_xmlRichText);
+
+  const sheetXml = await _readZipText(bytes, entries, sheet.path);
+  if (sheetXml == null) throw new Error(`Worksheet data missing for "${sheet.name}"`);
+
+  // First non-empty row is the header; fully blank rows are dropped.
+  const grid = _parseSheetXML(sheetXml, sharedStrings).filter(r => r.some(c => c !== ''));
+  const headers = (grid.shift() || []).map(h => h.trim());
+  const rows = grid.map(r => headers.map((_, i) => r[i] || ''));
+
+  return { sheetNames: sheets.map(s => s.name), sheetName: sheet.name, headers, rows };
+}
+
+function detectTeamNameIndex(headers, rows) {
+  // 1) Try alias matches (normalized)
+  const aliasIdx = findHeaderIndex(headers, HEADER_ALIASES.name);
+  if (aliasIdx !== -1) return aliasIdx;
+
+  // 2) Try loose regex match on header text
+  //    (covers things like "Team Name", "School (D1)", "TEAM/SCHOOL", etc.)
+  for (let i = 0; i < headers.length; i++) {
+    const h = (headers[i] || '').toLowerCase().replace(/[\s_\-\/().]+/g, '');
+    if (h.includes('team') || h.includes('school')) return i;
+  }
+
+  // 3) Heuristic: pick the column that looks most like names in first 30 rows
+  const sampleN = Math.min(rows.length, 30);
+  let bestIdx = -1, bestScore = -1;
+  for (let c = 0; c < headers.length; c++) {
+    let score = 0;
+    for (let r = 0; r < sampleN; r++) {
+      const v = (rows[r] && rows[r][c] || '').trim();
+      if (!v) continue;
+      const hasLetters = /[A-Za-z]/.test(v);
+      const looksNumber = /^[\d.\-]+$/.test(v);
+      const hasPercent = /%/.test(v);
+      // reward typical team-name patterns (letters + spaces, not pure numbers/percents)
+      if (hasLetters && !looksNumber && !hasPercent && v.length <= 60) score++;
+      // minor bonus if it contains a space (two words like "Saint Mary’s")
+      if (/\s/.test(v)) score += 0.25;
+    }
+    if (score > bestScore) { bestScore = score; bestIdx = c; }
+  }
+  return bestScore >= 5 ? bestIdx : -1;
+}
+
+// Normalize a header (trim, lowercase, "%"/"percent" → "pct", punctuation → spaces)
+function normalizeHeader(h) {
+  return String(h || '')
+    .trim()
+    .toLowerCase()
+    .replace(/%/g, ' pct ')
+    .replace(/\bpercent(age)?\b/g, 'pct')
+    .replace(/[.\-_/()#:]/g, ' ')   // dots and punctuation -> spaces
+    .replace(/\s+/g, ' ')           // collapse spaces
+    .trim();
+}
+
+const _compactHeader = (h) => normalizeHeader(h).replace(/ /g, '');
+
+// Normalized + compact alias lookups (built once from HEADER_ALIASES)
+const _HEADER_LOOKUP = (() => {
+  const exact = new Map();
+  const compact = new Map();
+  Object.keys(HEADER_ALIASES).forEach(key => {
+    if (!HEADER_ALIASES[key].length) return; // not matchable by name (see ft_pct)
+    [...HEADER_ALIASES[key], key].forEach(alias => {
+      const n = normalizeHeader(alias);
+      const c = _compactHeader(alias);
+      if (!exact.has(n)) exact.set(n, { key, alias });
+      if (!compact.has(c)) compact.set(c, { key, alias });
+    });
+  });
+  return { exact, compact };
+})();
+
+// resolveHeaders(headers, overrides) Maps CSV headers onto canonical keys.
+// overrides: { [header]: key | null } (matched on the normalized header; null = ignore the column),
+// checked before the alias table.
+// Returns {
+//   index:    { key: columnIndex },
+//   matches:  [{ column, header, key, alias, via: 'override' | 'alias' | 'compact' }],
+//   unmapped: [{ column, header, reason: 'unknown' | 'ignored' | 'duplicate', key?, takenBy? }]
+// }
+function resolveHeaders(headers, overrides = {}) {
+  const index = {};
+  const matches = [];
+  const unmapped = [];
+
+  const overrideMap = new Map();
+  Object.keys(overrides || {}).forEach(h => overrideMap.set(normalizeHeader(h), overrides[h]));
+
+  headers.forEach((header, column) => {
+    if (!String(header || '').trim()) return;
+    const n = normalizeHeader(header);
+
+    let hit = null;
+    if (overrideMap.has(n)) {
+      const key = overrideMap.get(n);
+      if (!key) {
+        unmapped.push({ column, header, reason: 'ignored' });
+        return;
+      }
+      hit = { key, alias: header, via: 'override' };
+    } else if (_HEADER_LOOKUP.exact.has(n)) {
+      hit = { ..._HEADER_LOOKUP.exact.get(n), via: 'alias' };
+    } else if (_HEADER_LOOKUP.compact.has(_compactHeader(header))) {
+      hit = { ..._HEADER_LOOKUP.compact.get(_compactHeader(header)), via: 'compact' };
+    }
+
+    if (!hit) {
+      unmapped.push({ column, header, reason: 'unknown' });
+      return;
+    }
+    if (index[hit.key] != null) {
+      unmapped.push({ column, header, reason: 'duplicate', key: hit.key, takenBy: headers[index[hit.key]] });
+      return;
+    }
+
+    index[hit.key] = column;
+    matches.push({ column, header, key: hit.key, alias: hit.alias, via: hit.via });
+  });
+
+  return { index, matches, unmapped };
+}
+
+// getUnresolvedKeys(headerIndex, keys) Canonical keys (default: Team + every required metric) with no column
+function getUnresolvedKeys(headerIndex, keys = ['name', ...REQUIRED_TEAM_KEYS]) {
+  return keys.filter(k => headerIndex[k] == null || headerIndex[k] < 0);
+}
+
+// getColumnSamples(rows, column, n) First n non-empty values of a column (raw strings)
+function getColumnSamples(rows, column, n = 3) {
+  const out = [];
+  for (const row of rows) {
+    const v = row[column];
+    if (v == null || String(v).trim() === '') continue;
+    out.push(String(v).trim());
+    if (out.length >= n) break;
+  }
+  return out;
+}
+
+// looksLikePercentUnits(values) True when most numeric samples are 1–100 (normalizePercentMaybe would rescale them)
+function looksLikePercentUnits(values) {
+  const nums = values
+    .map(v => Number(String(v).replace(/[,%]/g, '').trim()))
+    .filter(Number.isFinite);
+  if (!nums.length) return false;
+  const scaled = nums.filter(n => normalizePercentMaybe(n) !== n).length;
+  return scaled / nums.length > 0.5;
+}
+
+// detectPercentKeys(headers, rows, overrides) FRACTION_KEYS whose mapped column holds 0–100 percent values
+function detectPercentKeys(headers, rows, overrides = {}) {
+  const H = makeHeaderIndex(headers, overrides);
+  return FRACTION_KEYS.filter(key => {
+    const column = H[key];
+    return column != null && column >= 0 && looksLikePercentUnits(getColumnSamples(rows, column, 20));
+  });
+}
+
+// Build index: CSV header -> internal key (plus the resolution report under __ keys)
+function makeHeaderIndex(headers, overrides = {}) {
+  const { index, matches, unmapped } = resolveHeaders(headers, overrides);
+
+  // store for debugging / the validation report
+  index.__raw = headers;
+  index.__norm = headers.map(normalizeHeader);
+  index.__matches = matches;
+  index.__unmapped = unmapped;
+  return index;
+}
+
+// Parse rows into team objects keyed by name (no scoring yet)
+// options.headerOverrides: user header → key mapping (see resolveHeaders)
+// options.percentKeys: keys whose column is in percent units (run through normalizePercentMaybe)
+function buildTeamsFromRows(headers, rows, options = {}) {
+  const H = makeHeaderIndex(headers, options.headerOverrides);
+  const percentKeys = new Set(options.percentKeys || []);
+
+  // No recognizable Team header: fall back to the name-column heuristics
+  if (H.name == null) {
+    const guess = detectTeamNameIndex(headers, rows);
+    if (guess !== -1 && !Object.keys(H).some(k => !k.startsWith('__') && H[k] === guess)) H.name = guess;
+  }
+
+  function getNum(row, key) {
+    const i = H[key];
+    if (i == null || i < 0) return null;
+    let v = row[i];
+    if (v == null || v === '') return null;
+    if (typeof v === 'string') v = v.replace(/,/g,'').trim();
+    const n = Number(v);
+    if (!Number.isFinite(n)) return null;
+    return percentKeys.has(key) ? normalizePercentMaybe(n) : n;
+  }
+  function getStr(row, key) {
+    const i = H[key];
+    if (i == null || i < 0) return '';
+    return String(row[i]).trim();
+  }
+
+  const teams = {};
+  const teamList = [];
+
+  for (const row of rows) {
+    const team = {
+      name:   getStr(row, 'name'),
+      seed:   getNum(row, 'seed'),
+      region: getStr(row, 'region') || null,
+
+      // core 8
+      offeff: getNum(row, 'offeff'),
+      defeff: getNum(row, 'defeff'),
+      adjem:  getNum(row, 'adjem'),
+      ts:     getNum(row, 'ts'),
+      efg:    getNum(row, 'efg'),
+      tempo:  getNum(row, 'tempo'),
+      epr:    getNum(row, 'epr'),
+      to:     getNum(row, 'to'),
+      def_efg:getNum(row, 'def_efg'),
+
+      // distribution
+      pct_pts_2:  getNum(row, 'pct_pts_2'),
+      pct_pts_3:  getNum(row, 'pct_pts_3'),
+      pct_pts_ft: getNum(row, 'pct_pts_ft'),
+
+      // interactions/extras
+      threepp:       getNum(row, 'threepp'),
+      threepr:       getNum(row, 'threepr'),
+      ftr:           getNum(row, 'ftr'),
+      scpg:          getNum(row, 'scpg'),
+      nb2:           getNum(row, 'nb2'),
+      orb:           getNum(row, 'orb'),
+      drb:           getNum(row, 'drb'),
+      blk:           getNum(row, 'blk'),
+      spp:           getNum(row, 'spp'),
+      opp_ast_poss:  getNum(row, 'opp_ast_poss'),
+      otpp:          getNum(row, 'otpp'),
+      opp_ftr:       getNum(row, 'opp_ftr'),
+      opp_3pp:       getNum(row, 'opp_3pp'),
+      opp_3pr:       getNum(row, 'opp_3pr'),
+      ft_pct:        getNum(row, 'ft_pct'),
+
+
+      // résumé
+      close_win_pct: getNum(row, 'close_win_pct'),
+      w:             getNum(row, 'w'),
+      l:             getNum(row, 'l'),
+      sos:           getNum(row, 'sos'),
+    };
+
+    if (!team.name) continue; // skip empties
+
+    teams[team.name] = team;
+    teamList.push(team.name);
+  }
+
+  return { teams, teamList, headerIndex: H, regionOrder: getRegionOrder(teams, teamList) };
+}
+
+// ---------- Dataset Validation ----------
+
+// Metrics the model reads per team (missing columns / values silently become z = 0)
+const REQUIRED_TEAM_KEYS = [
+  'seed', ...METRICS_FOR_Z, 'close_win_pct', 'w', 'l', 'sos',
+];
+
+// Stored as fractions (0–1); a value > 1 usually means the column is in percent units
+const FRACTION_KEYS = [
+  'efg', 'def_efg', 'to', 'pct_pts_2', 'pct_pts_3', 'pct_pts_ft',
+  'threepp', 'threepr', 'ftr', 'nb2', 'orb', 'drb', 'blk', 'spp',
+  'opp_ast_poss', 'otpp', 'opp_ftr', 'opp_3pp', 'opp_3pr', 'ft_pct', 'close_win_pct',
+];
+
+const VALIDATION_SEVERITIES = ['error', 'warning', 'info'];
+
+// validateDataset(dataset) Checks a freshly parsed dataset for problems that would otherwise
+// degrade scoring silently. Returns { ok, counts: { error, warning, info }, issues: [
+//   { severity, code, message, team?, key?, header? } ] } (errors first).
+function validateDataset(dataset) {
+  const issues = [];
+  const add = (severity, code, message, extra = {}) => issues.push({ severity, code, message, ...extra });
+
+  const headers = dataset.headers || [];
+  const rows = dataset.rows || [];
+  const H = dataset.headerIndex || makeHeaderIndex(headers, dataset.headerOverrides);
+  const mapped = new Set(Object.keys(H).filter(k => !k.startsWith('__') && H[k] != null && H[k] >= 0).map(k => H[k]));
+
+  // 1) Headers the resolver could not use
+  (H.__unmapped || []).forEach(u => {
+    if (u.reason === 'ignored') {
+      add('info', 'ignored_header', `Column "${u.header}" is ignored by your header mapping.`, { header: u.header });
+    } else if (u.reason === 'duplicate') {
+      add('warning', 'duplicate_header', `Column "${u.header}" also maps to "${u.key}" (already taken by "${u.takenBy}"); ignored.`, { header: u.header, key: u.key });
+    } else {
+      add('warning', 'unmapped_header', `Column "${u.header}" is not recognized and will be ignored.`, { header: u.header });
+    }
+  });
+
+  if (H.name == null || H.name < 0) {
+    add('error', 'missing_team_column', 'No Team column found; no teams can be loaded.', { key: 'name' });
+  }
+
+  // 2) Required metric columns missing outright
+  const missingCols = new Set();
+  REQUIRED_TEAM_KEYS.forEach(key => {
+    if (H[key] != null && H[key] >= 0) return;
+    missingCols.add(key);
+    const severity = CORE_METRICS.includes(key) || key === 'seed' ? 'error' : 'warning';
+    add(severity, 'missing_column', `No column for "${key}"; every team will score it as field average (z = 0).`, { key });
+  });
+
+  // 3) Duplicate team names (later rows overwrite earlier ones)
+  const seen = new Map();
+  if (H.name != null && H.name >= 0) {
+    rows.forEach(row => {
+      const name = String(row[H.name] ?? '').trim();
+      if (name) seen.set(name, (seen.get(name) || 0) + 1);
+    });
+  }
+  seen.forEach((count, name) => {
+    if (count > 1) add('error', 'duplicate_team', `"${name}" appears ${count} times; only the last row is used.`, { team: name });
+  });
+
+  // 4) Per-team values: missing, out of range, bad seeds, empty records
+  const names = Array.from(new Set(dataset.teamList || []));
+  names.forEach(name => {
+    const t = dataset.teams[name];
+    if (!t) return;
+
+    const missing = REQUIRED_TEAM_KEYS.filter(k => !missingCols.has(k) && (t[k] === null || t[k] === undefined));
+    if (missing.length) {
+      add('warning', 'missing_values', `${name}: missing ${missing.join(', ')}.`, { team: name });
+    }
+
+    if (t.seed != null && (!Number.isInteger(t.seed) || t.seed < 1 || t.seed > 16)) {
+      add('error', 'seed_range', `${name}: seed ${t.seed} is outside 1–16.`, { team: name, key: 'seed' });
+    }
+
+    FRACTION_KEYS.forEach(k => {
+      const v = t[k];
+      if (v === null || v === undefined) return;
+      if (v > 1) add('error', 'fraction_range', `${name}: ${k} = ${v} is above 1 (percent units? expected a 0–1 fraction).`, { team: name, key: k });
+      else if (v < 0) add('error', 'fraction_range', `${name}: ${k} = ${v} is negative.`, { team: name, key: k });
+    });
+
+    if (t.tempo != null && t.tempo <= 0) {
+      add('error', 'tempo_range', `${name}: tempo ${t.tempo} must be positive.`, { team: name, key: 'tempo' });
+    }
+    if (t.w != null && t.l != null && t.w + t.l === 0) {
+      add('error', 'empty_record', `${name}: wins + losses = 0, so win% is undefined.`, { team: name, key: 'w' });
+    }
+    if ((t.w != null && t.w < 0) || (t.l != null && t.l < 0)) {
+      add('error', 'record_range', `${name}: wins / losses cannot be negative.`, { team: name, key: 'w' });
+    }
+  });
+
+  add('info', 'summary', `${names.length} teams, ${headers.length} columns (${mapped.size} recognized).`);
+
+  issues.sort((x, y) => VALIDATION_SEVERITIES.indexOf(x.severity) - VALIDATION_SEVERITIES.indexOf(y.severity));
+  const counts = { error: 0, warning: 0, info: 0 };
+  issues.forEach(i => { counts[i.severity]++; });
+
+  return { ok: counts.error === 0, counts, issues };
+}
+
+// ---------- Dataset (teams + field stats, fully scored) ----------
+
+// A dataset is the unit every engine call works on:
+//   { headers, rows, headerIndex, headerOverrides, percentKeys, teams, teamList, regionOrder, f4Pairing, fieldStats, profile }
+// options.profile: model profile to score with (defaults to DEFAULT_MODEL_PROFILE)
+// options.headerOverrides: user header → key mapping applied before the alias table
+// options.percentKeys: keys stored in percent units in this file (converted to 0–1)
+// options.f4Pairing: national-semifinal region pairs [[r, r], [r, r]] (see normalizeF4Pairing)
+function buildDataset(headers, rows, options = {}) {
+  const headerOverrides = options.headerOverrides || {};
+  const percentKeys = options.percentKeys || [];
+  const { teams, teamList, headerIndex, regionOrder } = buildTeamsFromRows(headers, rows, { headerOverrides, percentKeys });
+
+  const dataset = {
+    headers,
+    rows,
+    headerIndex,
+    headerOverrides,
+    percentKeys,
+    teams,
+    teamList,
+    regionOrder,
+    f4Pairing: normalizeF4Pairing(options.f4Pairing, regionOrder),
+    fieldStats: {},
+    profile: loadModelProfile(options.profile || DEFAULT_MODEL_PROFILE),
+  };
+
+  return scoreDataset(dataset);
+}
+
+// Recompute field stats and every per-team layer (call after editing team values)
+function scoreDataset(dataset) {
+  computeFieldStats(dataset);
+  computeAllTeamLayers(dataset);
+  computeStaticIdentities(dataset);
+  return dataset;
+}
+
+function loadDatasetFromCSV(text, options = {}) {
+  const { headers, rows } = parseCSV(text);
+  return buildDataset(headers, rows, options);
+}
+
+// Fresh, independently scored copy of a dataset (team objects are not shared; synthetic teams come along)
+function cloneDataset(dataset, options = {}) {
+  const clone = buildDataset(dataset.headers, dataset.rows, {
+    profile: options.profile || dataset.profile,
+    headerOverrides: options.headerOverrides || dataset.headerOverrides,
+    percentKeys: options.percentKeys || dataset.percentKeys,
+    f4Pairing: options.f4Pairing || dataset.f4Pairing,
+  });
+
+  const synthetic = getSyntheticTeams(dataset);
+  if (!synthetic.length) return clone;
+  synthetic.forEach(team => { clone.teams[team.name] = _copySyntheticTeam(team); });
+  return scoreDataset(clone);
+}
+
+function getTeam(dataset, name) {
+  return (dataset && dataset.teams[name]) || null;
+}
+
+// Where each raw METRICS_FOR_Z value sits in the field: percentile (mid-rank, low → high),
+// rank (1 = highest raw value), field size and z. Orientation is left to the caller.
+function getTeamMetricPercentiles(dataset, name) {
+  const team = getTeam(dataset, name);
+  if (!team) return [];
+  const teams = getFieldTeams(dataset);
+
+  return METRICS_FOR_Z.map(key => {
+    const vals = teams.map(t => t[key]).filter(v => v !== null && v !== undefined && !isNaN(v));
+    const value = team[key];
+    if (value === null || value === undefined || isNaN(value) || !vals.length) {
+      return { key, value: null, percentile: null, rank: null, count: vals.length, z: null };
+    }
+
+    const below = vals.filter(v => v < value).length;
+    const equal = vals.filter(v => v === value).length;
+    const fs = dataset.fieldStats[key];
+    return {
+      key,
+      value,
+      percentile: (below + equal / 2) / vals.length,
+      rank: vals.length - below - equal + 1,
+      count: vals.length,
+      z: fs && fs.sd ? zScore(value, fs.mean, fs.sd) : null,
+    };
+  });
+}
+
+// Synthetic teams stay out of field statistics unless they were added with includeInField
+function isFieldTeam(team) {
+  return !!team && (!team.synthetic || !!team.includeInField);
+}
+
+function getFieldTeams(dataset) {
+  return Object.values((dataset && dataset.teams) || {}).filter(isFieldTeam);
+}
+
+function computeFieldStats(dataset) {
+  const allTeams = Object.values(dataset.teams);
+  const teams = allTeams.filter(isFieldTeam);
+  const FIELD_STATS = {};
+
+  METRICS_FOR_Z.forEach(key => {
+    const vals = teams
+      .map(t => t[key])
+      .filter(v => v !== null && v !== undefined && !isNaN(v));
+    if (!vals.length) return;
+    const mean = computeMean(vals);
+    const sd = computeSD(vals, mean);
+    FIELD_STATS[key] = { mean, sd };
+  });
+
+  // wp & P for resume / resume-pressure
+  const wpArr = [];
+  const pArr = [];
+  const sosArr = [];
+
+  allTeams.forEach(t => {
+    const inField = isFieldTeam(t);
+    if (t.w != null && t.l != null) {
+      const total = t.w + t.l;
+      if (total > 0) {
+        t.wp = t.w / total;
+        if (inField) wpArr.push(t.wp);
+      }
+    }
+    if (t.sos != null && inField) {
+      sosArr.push(t.sos);
+    }
+  });
+
+  if (sosArr.length) {
+    // Convert SOS rank/index into hardness percentile P: lower SOS -> tougher -> higher P
+    const minSOS = Math.min(...sosArr);
+    const maxSOS = Math.max(...sosArr);
+    allTeams.forEach(t => {
+      if (t.sos != null && maxSOS > minSOS) {
+        // Clamped so a team outside the field maps onto the field's scale
+        const norm = Math.min(1, Math.max(0, (t.sos - minSOS) / (maxSOS - minSOS))); // 0 = toughest, 1 = weakest
+        t.P = 1 - norm; // 1 = toughest schedule
+        if (isFieldTeam(t)) pArr.push(t.P);
+      }
+    });
+  }
+
+  if (wpArr.length) {
+    const mean = computeMean(wpArr);
+    const sd = computeSD(wpArr, mean);
+    FIELD_STATS.wp = { mean, sd };
+  }
+
+  if (pArr.length) {
+    const mean = computeMean(pArr);
+    const sd = computeSD(pArr, mean);
+    FIELD_STATS.P = { mean, sd };
+  }
+
+  dataset.fieldStats = FIELD_STATS;
+  return FIELD_STATS;
+}
+
+// ---------- Model Profile (weights, thresholds, tiers) ----------
+//
+// Every tunable number in the Core, Breadth and Résumé layers comes from a
+// versioned model profile. Profiles ship as JSON next to copy.json
+// (model_profile_*.json); DEFAULT_MODEL_PROFILE mirrors the official v3.2
+// file so the engine still scores when no JSON is loaded. The UI checks the two
+// with getModelProfileDrift() whenever it loads v3.2, so edit both together.
+
+// Core metrics a profile may weight (orientation is fixed in computeCoreForTeam)
+const CORE_METRICS = ['offeff', 'defeff', 'adjem', 'ts', 'efg', 'def_efg', 'epr', 'to'];
+
+const DEFAULT_MODEL_PROFILE = {
+  id: 'v3.2',
+  version: '3.2.0',
+  label: 'Madness Index v3.2 (official)',
+  description: 'Official v3.2 weights.',
+
+  core: {
+    // Each lane's total weight is split evenly across its metrics
+    lanes: [
+      { key: 'efficiency', total: 0.45, metrics: ['offeff', 'defeff'] },
+      { key: 'shooting',   total: 0.35, metrics: ['ts', 'efg', 'def_efg'] },
+      { key: 'possession', total: 0.20, metrics: ['epr', 'to'] },
+    ],
+    stabilizer: { metric: 'adjem', weight: 0.10 },
+  },
+
+  breadth: {
+    hitZ: 0.60,
+    // bonuses[n] = lane bonus for n hits
+    lanes: [
+      { key: 'efficiency', metrics: ['offeff', 'defeff', 'adjem', 'def_efg'], bonuses: [0, 0.10, 0.20, 0.30, 0.40] },
+      { key: 'shooting',   metrics: ['ts', 'efg'],                         bonuses: [0, 0.15, 0.30] },
+      { key: 'possession', metrics: ['epr', 'to'],                         bonuses: [0, 0.15, 0.30] },
+    ],
+  },
+
+  resume: {
+    // Checked top-down: first tier with R ≥ minR wins (minR null = floor)
+    tiers: [
+      { tier: 'Elite',         minR: 1.00,  adj: 0.15,  interactionFactor: 1.00 },
+      { tier: 'Strong',        minR: 0.80,  adj: 0.10,  interactionFactor: 0.95 },
+      { tier: 'Above Average', minR: 0.60,  adj: 0.05,  interactionFactor: 0.90 },
+      { tier: 'Average',       minR: 0.00,  adj: 0.00,  interactionFactor: 0.85 },
+      { tier: 'Weak',          minR: -0.80, adj: -0.15, interactionFactor: 0.70 },
+      { tier: 'Fragile',       minR: null,  adj: -0.25, interactionFactor: 0.50 },
+    ],
+  },
+
+  interactions: {
+    // 'stepped' = ladder (0 / 0.25 / 0.50); 'continuous' = smooth curve below
+    scoring: 'stepped',
+    // Always computed for comparison; sigmoid {cap, mid, steepness} or linear {cap, start, full}
+    continuous: { shape: 'sigmoid', cap: 0.50, mid: 0.75, steepness: 6 },
+  },
+};
+
+const _isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// Returns a list of problems (empty list = profile is usable)
+function validateModelProfile(profile) {
+  const errors = [];
+  if (!profile || typeof profile !== 'object') return ['Profile is not an object.'];
+
+  if (!profile.id || typeof profile.id !== 'string') errors.push('Profile needs a string "id".');
+  if (!profile.version || typeof profile.version !== 'string') errors.push('Profile needs a string "version".');
+
+  // Core
+  const core = profile.core || {};
+  if (!Array.isArray(core.lanes) || !core.lanes.length) {
+    errors.push('core.lanes must be a non-empty array.');
+  } else {
+    const seen = new Set();
+    core.lanes.forEach((lane, i) => {
+      const where = `core.lanes[${i}]`;
+      if (!_isNum(lane.total) || lane.total < 0) errors.push(`${where}.total must be a number ≥ 0.`);
+      if (!Array.isArray(lane.metrics) || !lane.metrics.length) {
+        errors.push(`${where}.metrics must be a non-empty array.`);
+        return;
+      }
+      lane.metrics.forEach(m => {
+        if (!CORE_METRICS.includes(m)) errors.push(`${where}: unknown core metric "${m}".`);
+        if (seen.has(m)) errors.push(`${where}: "${m}" is weighted in more than one lane.`);
+        seen.add(m);
+      });
+    });
+  }
+  if (core.stabilizer) {
+    if (!CORE_METRICS.includes(core.stabilizer.metric)) errors.push(`core.stabilizer: unknown core metric "${core.stabilizer.metric}".`);
+    if (!_isNum(core.stabilizer.weight)) errors.push('core.stabilizer.weight must be a number.');
+  }
+
+  // Breadth
+  const breadth = profile.breadth || {};
+  if (!_isNum(breadth.hitZ)) errors.push('breadth.hitZ must be a number.');
+  if (!Array.isArray(breadth.lanes)) {
+    errors.push('breadth.lanes must be an array.');
+  } else {
+    breadth.lanes.forEach((lane, i) => {
+      const where = `breadth.lanes[${i}]`;
+      const metrics = Array.isArray(lane.metrics) ? lane.metrics : [];
+      if (!metrics.length) errors.push(`${where}.metrics must be a non-empty array.`);
+      metrics.forEach(m => {
+        if (!CORE_METRICS.includes(m)) errors.push(`${where}: unknown core metric "${m}".`);
+      });
+      if (!Array.isArray(lane.bonuses) || lane.bonuses.length !== metrics.length + 1 || !lane.bonuses.every(_isNum)) {
+        errors.push(`${where}.bonuses must list ${metrics.length + 1} numbers (one per hit count, starting at 0).`);
+      }
+    });
+  }
+
+  // Résumé
+  const tiers = (profile.resume && profile.resume.tiers) || [];
+  if (!Array.isArray(tiers) || !tiers.length) {
+    errors.push('resume.tiers must be a non-empty array.');
+  } else {
+    let prev = Infinity;
+    tiers.forEach((t, i) => {
+      const where = `resume.tiers[${i}]`;
+      const isLast = i === tiers.length - 1;
+      if (!t.tier) errors.push(`${where}.tier label is required.`);
+      if (!_isNum(t.adj)) errors.push(`${where}.adj must be a number.`);
+      if (t.interactionFactor != null && !_isNum(t.interactionFactor)) errors.push(`${where}.interactionFactor must be a number.`);
+      if (isLast) {
+        if (t.minR != null) errors.push(`${where} is the floor tier; its minR must be null.`);
+      } else if (!_isNum(t.minR)) {
+        errors.push(`${where}.minR must be a number.`);
+      } else if (t.minR >= prev) {
+        errors.push(`${where}.minR must be lower than the tier above it.`);
+      } else {
+        prev = t.minR;
+      }
+    });
+  }
+
+  // Interaction scoring mode + continuous curve (optional; defaults to stepped)
+  const ints = profile.interactions || {};
+  if (ints.scoring !== undefined && ints.scoring !== 'stepped' && ints.scoring !== 'continuous') {
+    errors.push('interactions.scoring must be "stepped" or "continuous".');
+  }
+  if (ints.continuous !== undefined) {
+    const c = ints.continuous || {};
+    if (c.shape !== 'sigmoid' && c.shape !== 'linear') errors.push('interactions.continuous.shape must be "sigmoid" or "linear".');
+    if (!_isNum(c.cap) || c.cap < 0) errors.push('interactions.continuous.cap must be a number ≥ 0.');
+    if (c.shape === 'sigmoid' && (!_isNum(c.mid) || !_isNum(c.steepness) || c.steepness <= 0)) {
+      errors.push('interactions.continuous (sigmoid) needs numeric "mid" and a positive "steepness".');
+    }
+    if (c.shape === 'linear' && (!_isNum(c.start) || !_isNum(c.full) || c.full <= c.start)) {
+      errors.push('interactions.continuous (linear) needs numeric "start" < "full".');
+    }
+  }
+
+  // Interaction channels (optional; built-in registry when absent)
+  const channels = ints.channels;
+  if (channels !== undefined) {
+    if (!Array.isArray(channels)) errors.push('interactions.channels must be an array.');
+    else errors.push(...validateInteractionChannels(channels));
+  }
+
+  return errors;
+}
+
+// Validate a parsed profile JSON; throws with every problem listed
+function loadModelProfile(json) {
+  const errors = validateModelProfile(json);
+  if (errors.length) {
+    const name = (json && json.id) ? `"${json.id}"` : '(unnamed)';
+    throw new Error(`Model profile ${name} is invalid: ${errors.join(' ')}`);
+  }
+  return json;
+}
+
+// Prose fields that may differ between a profile file and its built-in mirror
+const PROFILE_DRIFT_IGNORED = ['label', 'description'];
+
+// getModelProfileDrift(profile, reference) Dotted paths whose values differ ([] when both score identically)
+function getModelProfileDrift(profile, reference = DEFAULT_MODEL_PROFILE) {
+  const drift = [];
+  const walk = (a, b, path) => {
+    const isObj = v => v !== null && typeof v === 'object';
+    if (!isObj(a) || !isObj(b) || Array.isArray(a) !== Array.isArray(b)) {
+      if (JSON.stringify(a) !== JSON.stringify(b)) drift.push(path || '(root)');
+      return;
+    }
+    new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+      if (!path && PROFILE_DRIFT_IGNORED.includes(key)) return;
+      walk(a[key], b[key], path ? `${path}.${key}` : key);
+    });
+  };
+  walk(profile, reference, '');
+  return drift;
+}
+
+function getModelProfile(dataset) {
+  return (dataset && dataset.profile) || DEFAULT_MODEL_PROFILE;
+}
+
+// Swap the dataset's profile and rescore every team
+function setDatasetProfile(dataset, profile) {
+  dataset.profile = loadModelProfile(profile || DEFAULT_MODEL_PROFILE);
+  return scoreDataset(dataset);
+}
+
+// metric → weight for the active profile's Core composite
+function getCoreWeights(profile) {
+  const weights = {};
+  profile.core.lanes.forEach(lane => {
+    lane.metrics.forEach(m => { weights[m] = lane.total / lane.metrics.length; });
+  });
+  const stab = profile.core.stabilizer;
+  if (stab) weights[stab.metric] = (weights[stab.metric] || 0) + stab.weight;
+  return weights;
+}
+
+// Résumé tier row for an R index (profile tiers are ordered high → low)
+function getResumeTierForR(profile, R) {
+  const tiers = profile.resume.tiers;
+  return tiers.find(t => t.minR == null || R >= t.minR) || tiers[tiers.length - 1];
+}
+
+// ---------- Core Metric Layer + Breadth ----------
+function computeCoreForTeam(team, dataset) {
+  const FIELD_STATS = dataset.fieldStats;
+
+  // 1) Core z-scores (v3.2 Core set: 8 metrics, Tempo removed)
+  const zOff    = getZ(FIELD_STATS, team, 'offeff',  false);
+  const zDef    = getZ(FIELD_STATS, team, 'defeff',  true);   // lower DefEff better
+  const zAdjEM  = getZ(FIELD_STATS, team, 'adjem',   false);
+  const zTS     = getZ(FIELD_STATS, team, 'ts',      false);
+  const zEFG    = getZ(FIELD_STATS, team, 'efg',     false);
+  const zDefEFG = getZ(FIELD_STATS, team, 'def_efg', true);   // lower Def eFG% better
+  const zEPR    = getZ(FIELD_STATS, team, 'epr',     false);
+  const zTO     = getZ(FIELD_STATS, team, 'to',      true);   // lower TO% better
+
+  // Store for downstream layers (Breadth, Profile Marks, Interactions)
+  team.coreZ = {
+    offeff:  zOff,
+    defeff:  zDef,
+    adjem:   zAdjEM,
+    ts:      zTS,
+    efg:     zEFG,
+    def_efg: zDefEFG,
+    epr:     zEPR,
+    to:      zTO,
+  };
+
+  // Core tier points (explain-mode only; do not affect MIBS)
+  team.coreTierPts = {};
+  Object.keys(team.coreZ).forEach((key) => {
+    team.coreTierPts[key] = getTierPointsFromZ(team.coreZ[key]);
+  });
+
+  // 2) Core weighted composite — MIBS (weights from the model profile)
+  // v3.2: OffEff + -DefEff = 45%, TS% + eFG% + -Def eFG% = 35%,
+  //       EPR + -TO% = 20%, AdjEM = 0.10 stabilizer lane
+  const profile = getModelProfile(dataset);
+  const coreWeights = getCoreWeights(profile);
+
+  let mibsCore = 0;
+  profile.core.lanes.forEach(lane => {
+    const w = lane.total / lane.metrics.length;
+    lane.metrics.forEach(m => { mibsCore += w * team.coreZ[m]; });
+  });
+
+  const stab = profile.core.stabilizer;
+  const mibs = stab ? mibsCore + stab.weight * team.coreZ[stab.metric] : mibsCore;
+  team.mibs = mibs;
+
+  // 3) Per-stat rows for the Core Traits table (UI only)
+  const fsOff    = FIELD_STATS.offeff  || {};
+  const fsDef    = FIELD_STATS.defeff  || {};
+  const fsAdjEM  = FIELD_STATS.adjem   || {};
+  const fsTS     = FIELD_STATS.ts      || {};
+  const fsEFG    = FIELD_STATS.efg     || {};
+  const fsDefEFG = FIELD_STATS.def_efg || {};
+  const fsEPR    = FIELD_STATS.epr     || {};
+  const fsTO     = FIELD_STATS.to      || {};
+
+  const L = getTierLabelFromZ;
+
+  team.coreDetails = [
+    {
+      key:   'offeff',
+      label: 'Offensive Efficiency',
+      mean:  fsOff.mean,
+      sd:    fsOff.sd,
+      value: team.offeff,
+      z:     zOff,
+      tier:  L(zOff),
+      weight: coreWeights.offeff || 0,
+      points: (coreWeights.offeff || 0) * zOff,
+    },
+    {
+      key:   'defeff',
+      label: 'Defensive Efficiency',
+      mean:  fsDef.mean,
+      sd:    fsDef.sd,
+      value: team.defeff,
+      z:     zDef,
+      tier:  L(zDef),
+      weight: coreWeights.defeff || 0,
+      points: (coreWeights.defeff || 0) * zDef,
+    },
+    {
+      key:   'adjem',
+      label: 'Adj. Efficiency Margin',
+      mean:  fsAdjEM.mean,
+      sd:    fsAdjEM.sd,
+      value: team.adjem,
+      z:     zAdjEM,
+      tier:  L(zAdjEM),
+      weight: coreWeights.adjem || 0,
+      points: (coreWeights.adjem || 0) * zAdjEM,
+    },
+    {
+      key:   'ts',
+      label: 'True Shooting %',
+      mean:  fsTS.mean,
+      sd:    fsTS.sd,
+      value: team.ts,
+      z:     zTS,
+      tier:  L(zTS),
+      weight: coreWeights.ts || 0,
+      points: (coreWeights.ts || 0) * zTS,
+    },
+    {
+      key:   'efg',
+      label: 'Effective FG %',
+      mean:  fsEFG.mean,
+      sd:    fsEFG.sd,
+      value: team.efg,
+      z:     zEFG,
+      tier:  L(zEFG),
+      weight: coreWeights.efg || 0,
+      points: (coreWeights.efg || 0) * zEFG,
+    },
+    {
+      key:   'def_efg',
+      label: 'Defensive eFG %',
+      mean:  fsDefEFG.mean,
+      sd:    fsDefEFG.sd,
+      value: team.def_efg,
+      z:     zDefEFG,
+      tier:  L(zDefEFG),
+      weight: coreWeights.def_efg || 0,
+      points: (coreWeights.def_efg || 0) * zDefEFG,
+    },
+    {
+      key:   'epr',
+      label: 'Effective Possession Ratio (EPR)',
+      mean:  fsEPR.mean,
+      sd:    fsEPR.sd,
+      value: team.epr,
+      z:     zEPR,
+      tier:  L(zEPR),
+      weight: coreWeights.epr || 0,
+      points: (coreWeights.epr || 0) * zEPR,
+    },
+    {
+      key:   'to',
+      label: 'Turnover %',
+      mean:  fsTO.mean,
+      sd:    fsTO.sd,
+      value: team.to,
+      z:     zTO,
+      tier:  L(zTO),
+      weight: coreWeights.to || 0,
+      points: (coreWeights.to || 0) * zTO,
+    },
+  ];
+}
+
+function computeBreadthForTeam(team, dataset) {
+  const z = team.coreZ || {};
+  const breadthCfg = getModelProfile(dataset).breadth;
+
+  // v3.2 hit criterion: z ≥ 0.60
+  const isHit = (val) => typeof val === 'number' && val >= breadthCfg.hitZ;
+
+  // v3.2 lanes:
+  // A. Efficiency Quartet (OffEff, -DefEff, AdjEM, -Def eFG%) — max +0.40
+  // B. Shooting Pair (TS%, eFG%) — max +0.30
+  // C. Possession Stability Pair (EPR, -TO%) — max +0.30 (TO already inverted in z)
+  let breadth = 0;
+  team.breadthLanes = {};
+  breadthCfg.lanes.forEach(lane => {
+    const hits  = lane.metrics.filter(m => isHit(z[m])).length;
+    const bonus = lane.bonuses[hits] || 0;
+    team.breadthLanes[lane.key] = { hits, bonus };
+    breadth += bonus;
+  });
+
+  const laneHits = (key) => (team.breadthLanes[key] ? team.breadthLanes[key].hits : 0);
+
+  // For debugging / UI
+  team.breadthEffHits   = laneHits('efficiency');
+  team.breadthShootHits = laneHits('shooting');
+  team.breadthPossHits  = laneHits('possession');
+  team.breadthTotalHits = Object.values(team.breadthLanes).reduce((n, l) => n + l.hits, 0);
+
+  team.breadth = breadth;                   // BreadthWeight = 1.00
+  team.breadthHits = team.breadthTotalHits; // backwards-compatible
+}
+
+// ---------- Résumé Context Score (R) — MI_base Component ----------
+
+function computeResumeContextForTeam(team, dataset) {
+  const FIELD_STATS = dataset.fieldStats;
+
+  // If we’re missing résumé data or field stats, treat as neutral résumé.
+  if (!FIELD_STATS.wp || !FIELD_STATS.P || team.wp == null || team.P == null) {
+    team.resumeIndex = 0;          // underlying R index
+    team.resumeR     = 0;          // adjustment actually added to MI_base
+    team.resumeRTier = 'Average';
+
+    // Keep MI_base well-defined even if résumé is neutral
+     computeMIBase(team);
+    return;
+  }
+
+  // 1) Field-normalized record and schedule
+  const z_wp = zScore(team.wp, FIELD_STATS.wp.mean, FIELD_STATS.wp.sd || 0.00001);
+  const z_P  = zScore(team.P,  FIELD_STATS.P.mean,  FIELD_STATS.P.sd  || 0.00001);
+
+  const R = (z_wp + z_P) / 2;
+
+  // 3) Map R into the profile's résumé tiers, then tier → MI_base adjustment.
+  //
+  // v3.2 tiers (R):
+  //   Elite      : R ≥ +1.00         → +0.15
+  //   Strong     : +1.00 > R ≥ 0.80  → +0.10
+  //   Above Avg  : +0.80 > R ≥ 0.60  → +0.05
+  //   Average    : +0.60 > R ≥ 0.00  →  0.00
+  //   Weak       :  0.00 > R ≥ –0.80 → –0.15
+  //   Fragile    : R < –0.80         → –0.25
+
+  const tierRow = getResumeTierForR(getModelProfile(dataset), R);
+  const adj  = tierRow.adj;
+  const tier = tierRow.tier;
+
+  // 4) Store all résumé pieces on the team object
+  team.resumeIndex = R;    // the underlying R index (z-like)
+  team.resumeR     = adj;  // the actual MI_base adjustment
+  team.resumeRTier = tier;
+
+  // 5) Update MI_base now that Core, Breadth, and Résumé are known
+  computeMIBase(team);
+}
+
+// ---------- Interaction Metrics (Directional, Tiered, Half-Mirrored) ----------
+
+// Gap → adjustment ladder (checked high → low; below the last min = 0)
+const DEFAULT_INTERACTION_LADDER = [
+  { min: 1.00, adj: 0.50 },
+  { min: 0.50, adj: 0.25 },
+];
+
+function halfMirroredAdjust(gap, ladder = DEFAULT_INTERACTION_LADDER) {
+  const mag = Math.abs(gap);
+  for (const step of ladder) {
+    if (mag >= step.min) return step.adj;
+  }
+  return 0;
+}
+
+// continuousInteractionAdjust(gap, curve) Smooth gap → adjustment (0 at gap 0, approaching curve.cap)
+//   sigmoid: cap · (σ(k(|gap| − mid)) − σ(−k·mid)) / (1 − σ(−k·mid))
+//   linear:  cap · clamp((|gap| − start) / (full − start), 0, 1)
+function continuousInteractionAdjust(gap, curve = DEFAULT_MODEL_PROFILE.interactions.continuous) {
+  const mag = Math.abs(gap);
+  if (curve.shape === 'linear') {
+    const t = (mag - curve.start) / (curve.full - curve.start);
+    return curve.cap * Math.min(1, Math.max(0, t));
+  }
+  const sig = (x) => 1 / (1 + Math.exp(-curve.steepness * (x - curve.mid)));
+  const s0 = sig(0);
+  return curve.cap * (sig(mag) - s0) / (1 - s0);
+}
+
+// getInteractionScoring(profile) { mode: 'stepped' | 'continuous', curve } with defaults filled in
+function getInteractionScoring(profile) {
+  const ints = (profile && profile.interactions) || {};
+  return {
+    mode: ints.scoring === 'continuous' ? 'continuous' : 'stepped',
+    curve: ints.continuous || DEFAULT_MODEL_PROFILE.interactions.continuous,
+  };
+}
+
+// getLadderBand(gap, ladder) The ladder step |gap| lands on: { min, adj, next }
+// (min = 0 / adj = 0 below the lowest step; next = the next step's min, null at the top)
+function getLadderBand(gap, ladder = DEFAULT_INTERACTION_LADDER) {
+  const mag = Math.abs(gap);
+  for (let i = 0; i < ladder.length; i++) {
+    if (mag >= ladder[i].min) {
+      return { min: ladder[i].min, adj: ladder[i].adj, next: i > 0 ? ladder[i - 1].min : null };
+    }
+  }
+  return { min: 0, adj: 0, next: ladder.length ? ladder[ladder.length - 1].min : null };
+}
+
+// Named derived features usable as blend terms ({ derived: 'name' }).
+// Each returns a number, or null when the inputs are missing (channel is skipped).
+const INTERACTION_DERIVED = {
+  // Turnover Fragility (same logic as the mark, but numeric): inverse of (-TO% + EPR) stability
+  turnoverFragility(fs, team) {
+    const stability = (-getZ(fs, team, 'to') + getZ(fs, team, 'epr')) / 2;
+    return -stability;
+  },
+
+  // Small bonus for shot-volatility marks
+  varianceMarkBonus(fs, team) {
+    const marks = Array.isArray(team.profileMarks) ? team.profileMarks : [];
+    let bonus = 0;
+
+    if (marks.includes('Unstable Perimeter — Severe')) bonus += 0.10;
+    else if (marks.includes('Unstable Perimeter — Moderate')) bonus += 0.05;
+
+    if (marks.includes('Cold Arc Team — Severe')) bonus += 0.10;
+    else if (marks.includes('Cold Arc Team — Moderate')) bonus += 0.05;
+
+    return bonus;
+  },
+
+  // Matchup résumé index: mean of win% and P z-scores
+  resumeIndex(fs, team) {
+    if (!fs.wp || !fs.P || team.wp == null || team.P == null) return null;
+    const z_wp = zScore(team.wp, fs.wp.mean, fs.wp.sd || 1e-5);
+    const z_P  = zScore(team.P,  fs.P.mean,  fs.P.sd  || 1e-5);
+    return (z_wp + z_P) / 2;
+  },
+};
+
+// Channel registry. Each channel is data:
+//   tag          breakdown key (also the UI row key)
+//   label        display name
+//   off / def    metric blends: { mode: 'mean' | 'weighted', terms: [{ metric, inverted, weight } | { derived, weight }] }
+//   orientation  'offense'  → gap = off(X) − def(opponent); positive favors X
+//                'risk'     → same gaps, but positive exposes X (favors the opponent)
+//                'relative' → single gap = off(A) − off(B); no def blend
+//   ladder       optional gap → adjustment ladder (default DEFAULT_INTERACTION_LADDER)
+const INTERACTION_CHANNELS = [
+  {
+    // 1) 3PT Tension: perimeter volume/accuracy vs perimeter D (lower opp values = stronger D)
+    tag: '3pt',
+    label: '3PT Tension',
+    orientation: 'offense',
+    off: { mode: 'mean', terms: [{ metric: 'threepr' }, { metric: 'threepp' }, { metric: 'pct_pts_3' }] },
+    def: { mode: 'mean', terms: [{ metric: 'opp_3pr', inverted: true }, { metric: 'opp_3pp', inverted: true }] },
+  },
+  {
+    // 2) FT Pressure: FTR + FT% + %Pts from FT vs foul discipline (lower OppFTR = better)
+    tag: 'ft',
+    label: 'FT Pressure',
+    orientation: 'offense',
+    off: { mode: 'mean', terms: [{ metric: 'ftr' }, { metric: 'ft_pct' }, { metric: 'pct_pts_ft' }] },
+    def: { mode: 'mean', terms: [{ metric: 'opp_ftr', inverted: true }] },
+  },
+  {
+    // 3) Paint Presence: 2P profile vs rim protection (Def eFG% inverted, BLK% normal)
+    tag: 'paint',
+    label: 'Paint Tension',
+    orientation: 'offense',
+    off: { mode: 'mean', terms: [{ metric: 'pct_pts_2' }, { metric: 'nb2' }] },
+    def: { mode: 'mean', terms: [{ metric: 'def_efg', inverted: true }, { metric: 'blk' }] },
+  },
+  {
+    // 4) Turnover Pressure: ball pressure + disruption (attacking side) vs ball security
+    tag: 'to',
+    label: 'Turnover Pressure',
+    orientation: 'offense',
+    off: { mode: 'mean', terms: [{ metric: 'spp' }, { metric: 'otpp' }, { metric: 'opp_ast_poss', inverted: true }] },
+    def: { mode: 'mean', terms: [{ metric: 'to', inverted: true }] },
+  },
+  {
+    // 5) Possession Manager: second chances vs denial
+    tag: 'glass',
+    label: 'Glass Tension',
+    orientation: 'offense',
+    off: { mode: 'mean', terms: [{ metric: 'orb' }, { metric: 'scpg' }] },
+    def: { mode: 'mean', terms: [{ metric: 'drb' }] },
+  },
+  {
+    // 6) Résumé Pressure (matchup version)
+    tag: 'resume',
+    label: 'Résumé Pressure',
+    orientation: 'relative',
+    off: { mode: 'mean', terms: [{ derived: 'resumeIndex' }] },
+  },
+  {
+    // 7) Physicality / Contact Tolerance: contact + paint style vs rim resistance + foul discipline
+    tag: 'phys',
+    label: 'Physicality Tolerance',
+    orientation: 'offense',
+    off: { mode: 'mean', terms: [{ metric: 'ftr' }, { metric: 'pct_pts_2' }, { metric: 'nb2' }] },
+    def: { mode: 'mean', terms: [{ metric: 'blk' }, { metric: 'def_efg', inverted: true }, { metric: 'opp_ftr', inverted: true }] },
+  },
+  {
+    // 8) Shot Quality / Shot Discipline: shot diet vs ability to distort it
+    tag: 'shotq',
+    label: 'Shot Discipline',
+    orientation: 'offense',
+    off: { mode: 'mean', terms: [{ metric: 'efg' }, { metric: 'threepr' }, { metric: 'nb2' }] },
+    def: { mode: 'mean', terms: [{ metric: 'def_efg', inverted: true }, { metric: 'opp_ast_poss', inverted: true }] },
+  },
+  {
+    // 9) Variance Sensitivity: Variance Exposure Index (VEI) vs Opponent Stabilization Index (OSI);
+    //    higher exposed risk is a liability, so leverage goes to the more stable side
+    tag: 'var',
+    label: 'Variance Sensitivity',
+    orientation: 'risk',
+    off: {
+      mode: 'weighted',
+      terms: [
+        { metric: 'threepr', weight: 0.40 },               // high 3P rate → more variance
+        { metric: 'ftr', inverted: true, weight: 0.20 },   // low FTR → fewer stabilizing FTs
+        { metric: 'orb', inverted: true, weight: 0.20 },   // low ORB → fewer extra chances
+        { derived: 'turnoverFragility', weight: 0.20 },    // bad TO/EPR mix → volatility
+        { derived: 'varianceMarkBonus', weight: 1 },       // small boost for bad marks
+      ],
+    },
+    def: {
+      mode: 'mean',
+      terms: [
+        { metric: 'otpp' },                    // forces TOs → punishes fragile styles
+        { metric: 'drb' },                     // strong DRB → removes 2nd-chance safety
+        { metric: 'opp_ftr', inverted: true }, // fewer free points
+        { metric: 'opp_3pp', inverted: true }, // stabilizes 3-happy foes
+      ],
+    },
+  },
+];
+
+// validateInteractionChannels(channels) Checks channel definitions → errors[]
+function validateInteractionChannels(channels) {
+  const errors = [];
+  const tags = new Set();
+
+  const checkBlend = (blend, where) => {
+    if (!blend || !Array.isArray(blend.terms) || !blend.terms.length) {
+      errors.push(`${where}.terms must be a non-empty array.`);
+      return;
+    }
+    if (blend.mode && blend.mode !== 'mean' && blend.mode !== 'weighted') {
+      errors.push(`${where}.mode must be "mean" or "weighted".`);
+    }
+    blend.terms.forEach((term, j) => {
+      if (term.derived) {
+        if (!INTERACTION_DERIVED[term.derived]) errors.push(`${where}.terms[${j}]: unknown derived feature "${term.derived}".`);
+      } else if (!term.metric || typeof term.metric !== 'string') {
+        errors.push(`${where}.terms[${j}] needs a "metric" or "derived" name.`);
+      } else if (!METRICS_FOR_Z.includes(term.metric)) {
+        errors.push(`${where}.terms[${j}]: unknown metric "${term.metric}" (use a z-scored metric or a derived feature).`);
+      }
+      if (term.weight != null && !_isNum(term.weight)) errors.push(`${where}.terms[${j}].weight must be a number.`);
+    });
+  };
+
+  channels.forEach((ch, i) => {
+    const where = `interactions.channels[${i}]`;
+    if (!ch.tag || typeof ch.tag !== 'string') errors.push(`${where}.tag is required.`);
+    else if (tags.has(ch.tag)) errors.push(`${where}: duplicate tag "${ch.tag}".`);
+    tags.add(ch.tag);
+
+    const orientation = ch.orientation || 'offense';
+    if (!['offense', 'risk', 'relative'].includes(orientation)) {
+      errors.push(`${where}.orientation must be "offense", "risk" or "relative".`);
+    }
+    checkBlend(ch.off, `${where}.off`);
+    if (orientation !== 'relative') checkBlend(ch.def, `${where}.def`);
+
+    if (ch.ladder !== undefined) {
+      if (!Array.isArray(ch.ladder) || !ch.ladder.every(s => _isNum(s.min) && _isNum(s.adj))) {
+        errors.push(`${where}.ladder must be an array of { min, adj } numbers.`);
+      } else if (ch.ladder.some((s, j) => j > 0 && s.min >= ch.ladder[j - 1].min)) {
+        errors.push(`${where}.ladder must be ordered from the highest min to the lowest.`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+// evaluateBlend(fieldStats, team, blend) Mean or weighted sum of z-scored terms (null if a derived term is unavailable)
+function evaluateBlend(fieldStats, team, blend) {
+  const terms = blend.terms || [];
+  let sum = 0;
+  for (const term of terms) {
+    let z;
+    if (term.derived) {
+      const fn = INTERACTION_DERIVED[term.derived];
+      if (!fn) throw new Error(`Unknown derived interaction feature "${term.derived}"`);
+      z = fn(fieldStats, team);
+      if (z === null || z === undefined) return null;
+    } else {
+      z = getZ(fieldStats, team, term.metric, !!term.inverted);
+    }
+    sum += blend.mode === 'weighted' ? (term.weight ?? 1) * z : z;
+  }
+  return blend.mode === 'weighted' ? sum : sum / terms.length;
+}
+
+// evaluateInteractionChannel(channel, fieldStats, a, b, scoring) Runs one channel definition for a matchup.
+// Returns { tag, label, orientation, offA, offB, defA, defB, gapA, gapB, side, gap, favored, adj, value,
+//           mode, steppedValue, continuousValue, band, toNextStep, aboveStep, reason }
+// (side = which gap was used; favored = 'A' | 'B' | null; value = signed adj in the active mode, + favors A;
+//  stepped/continuousValue = the same decision under each mode;
+//  band = ladder step hit; toNextStep / aboveStep = distance to the next / current step edge),
+// or null when the channel's inputs are unavailable.
+function evaluateInteractionChannel(channel, fieldStats, a, b, scoring = getInteractionScoring(null)) {
+  const orientation = channel.orientation || 'offense';
+  const offA = evaluateBlend(fieldStats, a, channel.off);
+  const offB = evaluateBlend(fieldStats, b, channel.off);
+  if (offA === null || offB === null) return null;
+
+  let defA = null;
+  let defB = null;
+  let gapA;
+  let gapB;
+
+  if (orientation === 'relative') {
+    gapA = offA - offB;
+    gapB = -gapA;
+  } else {
+    defA = evaluateBlend(fieldStats, a, channel.def);
+    defB = evaluateBlend(fieldStats, b, channel.def);
+    if (defA === null || defB === null) return null;
+    gapA = offA - defB; // A's attack vs B's resistance
+    gapB = offB - defA; // B's attack vs A's resistance
+  }
+
+  // Choose the side with the stronger leverage signal
+  const side = Math.abs(gapA) >= Math.abs(gapB) ? 'A' : 'B';
+  const gap = side === 'A' ? gapA : gapB;
+  const ladder = channel.ladder || DEFAULT_INTERACTION_LADDER;
+  const stepped = halfMirroredAdjust(gap, ladder);
+  const continuous = continuousInteractionAdjust(gap, scoring.curve);
+  const adj = scoring.mode === 'continuous' ? continuous : stepped;
+  const band = getLadderBand(gap, ladder);
+  const mag = Math.abs(gap);
+
+  // Which side the gap points toward (independent of magnitude)
+  let direction = null;
+  if (gap !== 0) {
+    const other = side === 'A' ? 'B' : 'A';
+    const attackerWins = orientation === 'risk' ? gap < 0 : gap > 0;
+    direction = attackerWins ? side : other;
+  }
+  const sign = direction === 'A' ? 1 : direction === 'B' ? -1 : 0;
+  const favored = adj ? direction : null;
+
+  return {
+    tag: channel.tag,
+    label: channel.label || channel.tag,
+    orientation,
+    offA, offB, defA, defB,
+    gapA, gapB,
+    side,
+    gap,
+    favored,
+    adj: favored ? adj : 0,
+    value: favored === 'A' ? adj : favored === 'B' ? -adj : 0,
+    mode: scoring.mode,
+    steppedValue: sign * stepped || 0,
+    continuousValue: sign * continuous || 0,
+    band,
+    toNextStep: band.next === null ? null : band.next - mag,
+    aboveStep: band.adj ? mag - band.min : null,
+    reason: _describeChannelDecision(orientation, { gapA, gapB, side, gap, favored, adj, band, mode: scoring.mode }, a, b),
+  };
+}
+
+// Plain-language "which side and why" for a channel result
+function _describeChannelDecision(orientation, r, a, b) {
+  const f = (x) => (x >= 0 ? '+' : '') + x.toFixed(2);
+  const nameA = a.name || 'A';
+  const nameB = b.name || 'B';
+  const attacker = r.side === 'A' ? nameA : nameB;
+  const defender = r.side === 'A' ? nameB : nameA;
+  const parts = [];
+
+  if (orientation === 'relative') {
+    parts.push(`${nameA} − ${nameB} gap ${f(r.gapA)}.`);
+  } else {
+    parts.push(`${nameA}→${nameB} gap ${f(r.gapA)}, ${nameB}→${nameA} gap ${f(r.gapB)}; ` +
+      `used ${attacker}→${defender} (larger |gap|).`);
+  }
+
+  if (!r.favored) {
+    parts.push(`|gap| ${Math.abs(r.gap).toFixed(2)} is below the ${(r.band.next ?? 0).toFixed(2)} step → no edge.`);
+    return parts.join(' ');
+  }
+
+  const winner = r.favored === 'A' ? nameA : nameB;
+  let why = '';
+  if (orientation === 'offense') why = r.gap > 0 ? `${attacker}'s attack beats the resistance` : `${defender}'s resistance holds`;
+  else if (orientation === 'risk') why = r.gap > 0 ? `${attacker}'s volatility is exposed` : `${attacker}'s volatility is contained`;
+  else why = `${winner} has the stronger index`;
+
+  if (r.mode === 'continuous') parts.push(`${why}; continuous curve → ${r.adj.toFixed(2)} to ${winner}.`);
+  else parts.push(`${why}; |gap| ≥ ${r.band.min.toFixed(2)} → ${r.adj.toFixed(2)} to ${winner}.`);
+  return parts.join(' ');
+}
+
+// getInteractionChannels(profile) Profile-defined channels (profile.interactions.channels) or the built-in registry
+function getInteractionChannels(profile) {
+  const custom = profile && profile.interactions && profile.interactions.channels;
+  return Array.isArray(custom) && custom.length ? custom : INTERACTION_CHANNELS;
+}
+
+// computeInteractions(dataset, a, b) Evaluates every channel and half-mirrors each decision onto A and B.
+// Returns { a, b, breakdown: { tag: signed adj (+ favors A) }, channels: [channel results],
+//           mode, totals: { stepped: A's net, continuous: A's net } }
+function computeInteractions(dataset, a, b) {
+  const fieldStats = dataset.fieldStats;
+  const profile = getModelProfile(dataset);
+  const scoring = getInteractionScoring(profile);
+  const out = { a: 0, b: 0, breakdown: {}, channels: [], mode: scoring.mode, totals: { stepped: 0, continuous: 0 } };
+
+  getInteractionChannels(profile).forEach(channel => {
+    const res = evaluateInteractionChannel(channel, fieldStats, a, b, scoring);
+    if (!res) return;
+    out.channels.push(res);
+    out.totals.stepped += res.steppedValue;
+    out.totals.continuous += res.continuousValue;
+    if (!res.favored) return;
+
+    if (res.favored === 'A') {
+      out.a += res.adj;
+      out.b -= res.adj;
+    } else {
+      out.b += res.adj;
+      out.a -= res.adj;
+    }
+    out.breakdown[res.tag] = (out.breakdown[res.tag] || 0) + res.value;
+  });
+
+  return out;
+}
+
+// ---------- Profile Marks (Diagnostic Only) ----------
+
+function computeProfileMarks(team, dataset) {
+  const FIELD_STATS = dataset.fieldStats;
+  const z = (key, inverted) => getZ(FIELD_STATS, team, key, inverted);
+  const marks = [];
+
+  // 1. Offensive Rigidity
+  const s2 = team.pct_pts_2 || 0;
+  const s3 = team.pct_pts_3 || 0;
+  const sft = team.pct_pts_ft || 0;
+  const primaryShare = Math.max(s2, s3, sft);
+  const primary = (primaryShare === s2) ? '2P' : (primaryShare === s3 ? '3P' : 'FT');
+
+  let planBZs = [];
+  if (primaryShare >= 0.50) {
+    if (primary === '2P') {
+      planBZs.push(z('threepp'));
+      planBZs.push(z('ft_pct'));
+    } else if (primary === '3P') {
+      planBZs.push(z('nb2'));
+      planBZs.push(z('ft_pct'));
+    } else {
+      planBZs.push(z('nb2'));
+      planBZs.push(z('threepp'));
+    }
+    const planB = (planBZs[0] + planBZs[1]) / 2;
+    if (primaryShare >= 0.55 && planB <= -0.50) {
+      marks.push('Offensive Rigidity — Severe');
+    } else if (planB <= -0.25) {
+      marks.push('Offensive Rigidity — Moderate');
+    }
+  }
+
+  // 2. Unstable Perimeter Profile
+  if (team.threepr != null && team.threepp != null) {
+    const vol = team.threepr;
+    const acc = team.threepp;
+    const gap = Math.abs(vol - acc);
+    if (vol >= 0.40) {
+      if (gap >= 0.10) marks.push('Unstable Perimeter — Severe');
+      else if (gap >= 0.06) marks.push('Unstable Perimeter — Moderate');
+    }
+  }
+
+  // 3. Cold Arc Team
+  if (FIELD_STATS.threepp && team.threepp != null) {
+    const zArc = z('threepp');
+    if (zArc < -0.67) marks.push('Cold Arc Team — Severe');
+    else if (zArc < 0 && zArc >= -0.67) marks.push('Cold Arc Team — Moderate');
+  }
+
+  // 4. Undisciplined Defense
+  if (FIELD_STATS.spp && FIELD_STATS.otpp && FIELD_STATS.opp_ftr && team.spp != null && team.otpp != null && team.opp_ftr != null) {
+    const pressure = z('spp') + z('otpp');
+    const discipline = -z('opp_ftr'); // higher OppFTR = worse discipline
+    const disorder = pressure - discipline;
+    if (disorder >= 1.00) marks.push('Undisciplined Defense — Severe');
+    else if (disorder >= 0.50) marks.push('Undisciplined Defense — Moderate');
+  }
+
+  // 5. Soft Interior
+  if (FIELD_STATS.def_efg && FIELD_STATS.blk && team.def_efg != null && team.blk != null) {
+    const resistance = (-z('def_efg') + z('blk')) / 2;
+    if (resistance < -0.75) marks.push('Soft Interior — Severe');
+    else if (resistance < -0.25) marks.push('Soft Interior — Moderate');
+  }
+
+  // 6. Perimeter Leakage
+  if (FIELD_STATS.opp_3pr && FIELD_STATS.opp_3pp && team.opp_3pr != null && team.opp_3pp != null) {
+    const exposure = z('opp_3pr') + z('opp_3pp');
+    if (exposure >= 1.00) marks.push('Perimeter Leakage — Severe');
+    else if (exposure >= 0.50) marks.push('Perimeter Leakage — Moderate');
+  }
+
+  // 7. Tempo Strain
+  if (FIELD_STATS.tempo && FIELD_STATS.epr && FIELD_STATS.to &&
+      team.tempo != null && team.epr != null && team.to != null) {
+
+    const zTempo = z('tempo');
+    const zEPR   = z('epr');
+    const zInvTO = z('to', true);
+
+    const tempoExtremity = Math.abs(zTempo);
+    if (tempoExtremity < 0.80) {
+      // no mark
+    } else {
+      const si = (zEPR + zInvTO) / 2;
+      const vulnerability = Math.max(0, -si);
+
+      const tempoStrain = tempoExtremity * vulnerability;
+
+      if (tempoExtremity >= 1.20 &&
+          vulnerability >= 0.75 &&
+          tempoStrain   >= 0.90) {
+        marks.push('Tempo Strain — Severe');
+      } else if (tempoExtremity >= 0.80 &&
+                 vulnerability >= 0.40 &&
+                 tempoStrain   >= 0.40) {
+        marks.push('Tempo Strain — Moderate');
+      }
+    }
+  }
+
+  // 8. Turnover Fragility
+  if (FIELD_STATS.to && FIELD_STATS.epr && team.to != null && team.epr != null) {
+    const stability = (-z('to') + z('epr')) / 2;
+    const frag = -stability;
+    if (frag >= 1.00) marks.push('Turnover Fragility — Severe');
+    else if (frag >= 0.50) marks.push('Turnover Fragility — Moderate');
+  }
+
+  team.profileMarks = marks;
+}
+
+// ---------- Full Team Layer Computation ----------
+
+function computeAllTeamLayers(dataset) {
+  Object.values(dataset.teams).forEach(team => {
+    computeCoreForTeam(team, dataset);
+    computeBreadthForTeam(team, dataset);
+    computeResumeContextForTeam(team, dataset);
+    computeProfileMarks(team, dataset);
+  });
+}
+
+// ---------- CIS / FAS Static Identity Profiles (v4.0) ----------
+
+// Small helper: count strong/weak cores from team.coreZ
+function getCoreFractions(team) {
+  const z = team.coreZ || {};
+  const keys = Object.keys(z);
+  if (!keys.length) {
+    return {
+      fStrong: 0,
+      fWeak: 0,
+      strongCount: 0,
+      weakCount: 0
+    };
+  }
+
+  let strongCount = 0;
+  let weakCount   = 0;
+
+  keys.forEach(k => {
+    const val = z[k];
+    if (typeof val !== 'number') return;
+    if (val >= 0.80) strongCount++;
+    else if (val < 0.50) weakCount++;
+  });
+
+  const total = keys.length;
+  return {
+    fStrong: strongCount / total,
+    fWeak:   weakCount   / total,
+    strongCount,
+    weakCount
+  };
+}
+
+// Compute CIS_static and FAS_static for every team once per CSV load
+function computeStaticIdentities(dataset) {
+  const teams = Object.values(dataset.teams || {});
+  const fieldTeams = teams.filter(isFieldTeam);
+  const n = fieldTeams.length;
+  if (!n) return;
+
+  // 1) Make sure MI_base is populated and collect values
+  const miValues = [];
+  teams.forEach(t => {
+    if (typeof t.mi_base !== 'number') {
+      computeMIBase(t);
+    }
+    miValues.push(t.mi_base || 0);
+  });
+
+  // 2) Performance percentile P via rank-percentile of MI_base
+  const sorted = [...fieldTeams].sort((a, b) => (a.mi_base || 0) - (b.mi_base || 0));
+  const perfMap = new Map();
+  sorted.forEach((t, idx) => {
+    // rank-percentile: lower MI_base = lower percentile
+    const P = (idx + 0.5) / n;
+    perfMap.set(t.name, P);
+  });
+
+  // Teams outside the field take the percentile they would hold if inserted, without moving anyone
+  teams.filter(t => !isFieldTeam(t)).forEach(t => {
+    const below = fieldTeams.filter(f => (f.mi_base || 0) < (t.mi_base || 0)).length;
+    perfMap.set(t.name, (below + 0.5) / (n + 1));
+  });
+
+  // 3) Compute raw CIS/FAS
+  let cisRawMax = 0;
+  let fasRawMax = 0;
+
+  teams.forEach(team => {
+    const s = team.seed;
+    if (s == null) {
+      team.cis_raw = 0;
+      team.fas_raw = 0;
+      return;
+    }
+
+    const P = perfMap.get(team.name) ?? 0.5;
+    team.performancePercentile = P;
+
+  // 1–99 Madness Index Rating (cosmetic, based on MI_base percentile)
+  let rating = Math.round(P * 100);
+  if (rating < 1) rating = 1;
+  if (rating > 99) rating = 99;
+  team.mi_rating = rating;
+
+    const Sf = (17 - s) / 16; // favorite-side index
+    const Su = (s - 1) / 16;  // underdog-side index
+
+    const delta = P - Sf;
+    const deltaPlus = Math.max(0, delta); // for CIS
+    const APrime = 1 - Math.abs(delta);   // for FAS alignment
+
+    const { fStrong, fWeak, strongCount, weakCount } = getCoreFractions(team);
+    team.coreStrongCount = strongCount;
+    team.coreWeakCount   = weakCount;
+    team.coreStrongFrac  = fStrong;
+    team.coreWeakFrac    = fWeak;
+
+    const bCoreCIS = Math.max(0, fStrong - 0.5 * fWeak);
+    const bCoreFAS = fStrong * (1 - fWeak);
+
+    const R      = (typeof team.resumeR === 'number') ? team.resumeR : 0;
+    const Rplus  = 0.5 + R / 4;
+
+    const xCIS = 0.60 * deltaPlus +
+                 0.25 * bCoreCIS +
+                 0.15 * Rplus;
+
+    const xFAS = 0.50 * APrime +
+                 0.30 * bCoreFAS +
+                 0.20 * Rplus;
+
+    const cisRaw = Su * xCIS;
+    const fasRaw = Sf * xFAS;
+
+    team.cis_raw = cisRaw;
+    team.fas_raw = fasRaw;
+
+    if (!isFieldTeam(team)) return;
+    if (cisRaw > cisRawMax) cisRawMax = cisRaw;
+    if (fasRaw > fasRawMax) fasRawMax = fasRaw;
+  });
+
+  // 4) Normalize to 0–100 static scores
+  const EPS = 1e-6;
+  teams.forEach(team => {
+    const cisRaw = team.cis_raw || 0;
+    const fasRaw = team.fas_raw || 0;
+
+    const cis = (cisRawMax > EPS && cisRaw > 0)
+      ? Math.min(100, (cisRaw / cisRawMax) * 100)
+      : 0;
+
+    const fas = (fasRawMax > EPS && fasRaw > 0)
+      ? Math.min(100, (fasRaw / fasRawMax) * 100)
+      : 0;
+
+    team.cisStatic = cis;
+    team.fasStatic = fas;
+  });
+}
+
+// ---------- Baseline Madness Index (MI_base) ----------
+function computeMIBase(team) {
+  const mibs      = (typeof team.mibs === 'number') ? team.mibs : 0;
+  const breadth   = (typeof team.breadth === 'number') ? team.breadth : 0;
+  const resumeAdj = (typeof team.resumeR === 'number') ? team.resumeR : 0;
+
+  const miBase = mibs + breadth + resumeAdj;
+
+  team.mi_base = miBase;  // keep on the object for UI / downstream use
+  return miBase;
+}
+
+// Scale interaction leverage by résumé quality.
+// Stronger résumés "cash in" more of their matchup leverage.
+function getResumeInteractionFactor(team, profile = DEFAULT_MODEL_PROFILE) {
+  const tier = team.resumeRTier || 'Average';
+  const row = profile.resume.tiers.find(t => t.tier === tier);
+
+  // v3.2: Elite 1.00, Strong 0.95, Above Average 0.90, Average 0.85, Weak 0.70, Fragile 0.50
+  if (row && _isNum(row.interactionFactor)) return row.interactionFactor;
+  return 0.85; // treat unknown as roughly Average
+}
+
+// ---------- Matchup Madness Index (MI_matchup) ----------
+
+function computeFinalMI(team, interactionAdj, profile = DEFAULT_MODEL_PROFILE) {
+  // Safeguard: ensure MI_base exists
+  const base = (typeof team.mi_base === 'number')
+    ? team.mi_base
+    : computeMIBase(team);
+
+  // Raw interaction total from the interaction engine
+  const intRaw = (typeof interactionAdj === 'number') ? interactionAdj : 0;
+
+  // Scale by résumé quality
+  const rFactor = getResumeInteractionFactor(team, profile);
+  const intAdj  = intRaw * rFactor;
+
+  const mi_matchup = base + intAdj;
+
+  // Optional: store for debugging / Explain Mode
+  team.mi_matchup   = mi_matchup;
+  team.mi_int_raw   = intRaw;   // pre-scaling leverage
+  team.mi_int       = intAdj;   // effective leverage after résumé scaling
+  team.mi_int_rFact = rFactor;  // which factor was applied
+
+  return mi_matchup;
+}
+
+// ---------- Lean band helper (for ΔMI) ----------
+function getLeanBand(diff) {
+  const d = Math.abs(diff);
+  if (d < 0.10) return 'Toss-Up';
+  if (d < 0.25) return 'Very Slight Lean';
+  if (d < 0.50) return 'Lean';
+  if (d < 0.80) return 'Strong Lean';
+  return 'Heavy Lean';
+}
+
+// Score one matchup. Returns null if either team is not in the dataset.
+// options.round: round code ("R64", "S16", ...) used for seed/bracket metadata
+function scoreMatchup(dataset, teamAName, teamBName, options = {}) {
+  const a = getTeam(dataset, teamAName);
+  const b = getTeam(dataset, teamBName);
+  if (!a || !b) return null;
+
+  const interactions = computeInteractions(dataset, a, b);
+
+  const activeRound = options.round || null;  // e.g. "R64", "S16", etc.
+  const seedMeta    = getMatchupRoundMeta(dataset, a, b, activeRound);
+
+  const profile = getModelProfile(dataset);
+  const miA = computeFinalMI(a, interactions.a, profile);
+  const miB = computeFinalMI(b, interactions.b, profile);
+
+  const diff      = miA - miB;
+  const predicted = diff > 0 ? a.name : (diff < 0 ? b.name : 'Push');
+
+  return {
+    a,
+    b,
+    miA,
+    miB,
+    diff,
+    predicted,
+    interactions,
+    round: activeRound,
+    seedMeta,
+  };
+}
+
+// ---------- Round-Robin Matrix ----------
+
+// Channel with the largest active adjustment in one scored matchup (null when every channel is 0).
+function getDominantChannel(interactions) {
+  let best = null;
+  (interactions.channels || []).forEach(ch => {
+    if (!ch.favored || !ch.value) return;
+    if (!best || Math.abs(ch.value) > Math.abs(best.value)) best = ch;
+  });
+  return best;
+}
+
+// Score every pair among a group of teams. cells[i][j] is teams[i] vs teams[j]
+// from teams[i]'s side (null on the diagonal); each pair is scored once and
+// mirrored, since ΔMI(a, b) = −ΔMI(b, a). rows[i] counts the opponents
+// teams[i] is favored against. Unknown and duplicate names are dropped.
+function scoreRoundRobin(dataset, names, options = {}) {
+  const teams = [...new Set(names)].filter(name => getTeam(dataset, name));
+  const cells = teams.map(() => teams.map(() => null));
+
+  for (let i = 0; i < teams.length; i++) {
+    for (let j = i + 1; j < teams.length; j++) {
+      const r = scoreMatchup(dataset, teams[i], teams[j], { round: options.round });
+      const ch = getDominantChannel(r.interactions);
+      const channel = ch
+        ? { tag: ch.tag, label: ch.label, value: ch.value, team: ch.favored === 'A' ? teams[i] : teams[j] }
+        : null;
+
+      cells[i][j] = { opponent: teams[j], diff: r.diff, lean: getLeanBand(r.diff), channel };
+      cells[j][i] = { opponent: teams[i], diff: -r.diff, lean: getLeanBand(r.diff), channel };
+    }
+  }
+
+  const rows = teams.map((name, i) => {
+    const games = cells[i].filter(Boolean);
+    return {
+      name,
+      seed: getTeam(dataset, name).seed,
+      favored: games.filter(c => c.diff > 0).length,
+      underdog: games.filter(c => c.diff < 0).length,
+      opponents: games.length,
+      netDiff: games.reduce((sum, c) => sum + c.diff, 0),
+    };
+  });
+
+  return { teams, cells, rows };
+}
+
+// ---------- Bracket Simulation (full 64-team field) ----------
+//
+// A region is { name, seeds: { 1: 'Team', 2: 'Team', ..., 16: 'Team' } }.
+// Four regions make a bracket; F4 pairs region 0 vs 1 and region 2 vs 3
+// (with a Region column, the regions are laid out in dataset.f4Pairing order).
+
+// Seed lines in bracket order (top to bottom of one region), from R64_PAIRINGS
+const BRACKET_SEED_ORDER = R64_PAIRINGS.flat();
+
+const BRACKET_REGION_COUNT = 4;
+
+// Layout from the Region column when the dataset has four regions;
+// otherwise the i-th team listed on each seed line goes to region i.
+function buildBracketRegions(dataset) {
+  const pairing = dataset.f4Pairing || normalizeF4Pairing(null, dataset.regionOrder);
+  const order = pairing ? pairing.flat() : [];
+  if (order.length === BRACKET_REGION_COUNT) {
+    const regions = order.map(name => ({ name, seeds: {} }));
+    (dataset.teamList || []).forEach(name => {
+      const team = dataset.teams[name];
+      const seed = team ? Number(team.seed) : NaN;
+      const region = regions[order.indexOf(team && team.region)];
+      if (!region || !Number.isInteger(seed) || seed < 1 || seed > 16) return;
+      if (!region.seeds[seed]) region.seeds[seed] = name;  // first listed wins a play-in pair
+    });
+    return regions;
+  }
+
+  const regions = [];
+  for (let i = 0; i < BRACKET_REGION_COUNT; i++) {
+    regions.push({ name: `Region ${i + 1}`, seeds: {} });
+  }
+
+  const seen = {};
+  (dataset.teamList || []).forEach(name => {
+    const team = dataset.teams[name];
+    const seed = team ? Number(team.seed) : NaN;
+    if (!Number.isInteger(seed) || seed < 1 || seed > 16) return;
+
+    const slot = seen[seed] || 0;
+    seen[seed] = slot + 1;
+    if (slot < BRACKET_REGION_COUNT) regions[slot].seeds[seed] = name;
+  });
+
+  return regions;
+}
+
+// Returns a list of problems (empty list = bracket is playable)
+function validateBracketRegions(dataset, regions) {
+  const errors = [];
+  if (!Array.isArray(regions) || regions.length !== BRACKET_REGION_COUNT) {
+    errors.push(`Bracket needs exactly ${BRACKET_REGION_COUNT} regions.`);
+    return errors;
+  }
+
+  const used = new Set();
+  regions.forEach((region, i) => {
+    const label = (region && region.name) || `Region ${i + 1}`;
+    for (let seed = 1; seed <= 16; seed++) {
+      const name = region && region.seeds ? region.seeds[seed] : null;
+      if (!name) {
+        errors.push(`${label}: no team on the ${seed} line.`);
+        continue;
+      }
+      if (!getTeam(dataset, name)) errors.push(`${label}: "${name}" is not in the dataset.`);
+      if (used.has(name)) errors.push(`${label}: "${name}" appears more than once.`);
+      used.add(name);
+    }
+  });
+
+  return errors;
+}
+
+// Score one bracket game and pick the winner (a Push goes to the better seed)
+function playBracketGame(dataset, round, teamAName, teamBName, region) {
+  const r = scoreMatchup(dataset, teamAName, teamBName, { round });
+
+  let winner = r.predicted;
+  if (winner === 'Push') {
+    winner = (Number(r.b.seed) < Number(r.a.seed)) ? r.b.name : r.a.name;
+  }
+  const loser = winner === r.a.name ? r.b.name : r.a.name;
+
+  return {
+    round,
+    region,
+    teamA: r.a.name,
+    teamB: r.b.name,
+    seedA: r.a.seed,
+    seedB: r.b.seed,
+    miA: r.miA,
+    miB: r.miB,
+    diff: r.diff,
+    band: getLeanBand(r.diff),
+    isPush: r.predicted === 'Push',
+    winner,
+    loser,
+  };
+}
+
+// Pair adjacent winners of the previous round: [0 v 1], [2 v 3], ...
+function _pairWinners(games) {
+  const pairs = [];
+  for (let i = 0; i + 1 < games.length; i += 2) {
+    pairs.push([games[i].winner, games[i + 1].winner]);
+  }
+  return pairs;
+}
+
+// Walk the bracket R64 → Champ. play(round, teamA, teamB, regionName) must
+// return an object with at least { winner }. Returns { rounds, champion }.
+function _walkBracket(regions, play) {
+  const rounds = {};
+  ROUND_ORDER.forEach(code => { rounds[code] = []; });
+
+  // Regional rounds (R64 → E8)
+  const regionalRounds = ['R64', 'R32', 'S16', 'E8'];
+  const regionChamps = regions.map(region => {
+    let pairs = [];
+    for (let i = 0; i < BRACKET_SEED_ORDER.length; i += 2) {
+      pairs.push([region.seeds[BRACKET_SEED_ORDER[i]], region.seeds[BRACKET_SEED_ORDER[i + 1]]]);
+    }
+
+    let games = [];
+    regionalRounds.forEach(round => {
+      games = pairs.map(([a, b]) => play(round, a, b, region.name));
+      rounds[round].push(...games);
+      pairs = _pairWinners(games);
+    });
+
+    return games[0].winner;
+  });
+
+  // National semifinals: region 0 vs 1, region 2 vs 3
+  const semis = [
+    play('F4', regionChamps[0], regionChamps[1], null),
+    play('F4', regionChamps[2], regionChamps[3], null),
+  ];
+  rounds.F4.push(...semis);
+
+  const title = play('Champ', semis[0].winner, semis[1].winner, null);
+  rounds.Champ.push(title);
+
+  return { rounds, champion: title.winner };
+}
+
+// Play every game from R64 to the title (each scored with its own round).
+// Returns { regions, rounds: { R64: [games], ..., Champ: [game] }, champion }
+function simulateBracket(dataset, regions) {
+  const errors = validateBracketRegions(dataset, regions);
+  if (errors.length) {
+    throw new Error(`Bracket is not playable: ${errors.join(' ')}`);
+  }
+
+  const { rounds, champion } = _walkBracket(regions, (round, a, b, region) =>
+    playBracketGame(dataset, round, a, b, region)
+  );
+
+  return {
+    regions: regions.map(r => r.name),
+    rounds,
+    champion,
+  };
+}
+
+// ---------- Win Probability + Monte Carlo Tournament ----------
+//
+// ΔMI → P(win) is a logistic curve. The default scale is fitted by maximum
+// likelihood to the 2025 tournament: the 60 decided games in the tracker's
+// '2025 Results' sheet, scored against mi_2025_official.csv (log-loss 0.546,
+// vs 0.693 for a coin flip). Tournament ΔMI runs wide (mean |ΔMI| ≈ 3.4), so
+// the lean-band edges sit close to even:
+//
+//   |ΔMI| 0.80 (Strong Lean edge) → ~56%
+//   |ΔMI| 1.50                    → ~62%
+//   |ΔMI| 3.00                    → ~72%
+//   |ΔMI| 6.00                    → ~87%
+//
+// Probabilities are clamped to [floor, 1 - floor] so no game is a lock. One
+// season is a small sample; callers can pass their own { scale, floor } as
+// `calibration`.
+
+const WIN_PROB_CALIBRATION = {
+  scale: 0.32,  // MLE on the 2025 tournament (see above)
+  floor: 0.02,
+};
+
+// Lean band upper edges on |ΔMI| (mirrors getLeanBand)
+const LEAN_BAND_EDGES = [
+  { band: 'Toss-Up',          max: 0.10 },
+  { band: 'Very Slight Lean', max: 0.25 },
+  { band: 'Lean',             max: 0.50 },
+  { band: 'Strong Lean',      max: 0.80 },
+  { band: 'Heavy Lean',       max: Infinity },
+];
+
+// P(team A beats team B) from diff = MI_A − MI_B
+function getWinProbability(diff, calibration = WIN_PROB_CALIBRATION) {
+  const scale = Number.isFinite(calibration.scale) ? calibration.scale : WIN_PROB_CALIBRATION.scale;
+  const floor = Number.isFinite(calibration.floor) ? calibration.floor : WIN_PROB_CALIBRATION.floor;
+  const d = Number.isFinite(diff) ? diff : 0;
+  const p = 1 / (1 + Math.exp(-scale * d));
+  return Math.min(1 - floor, Math.max(floor, p));
+}
+
+// Favorite win-probability range for each lean band (for legends / explain mode)
+function getLeanBandProbabilities(calibration = WIN_PROB_CALIBRATION) {
+  let lo = 0;
+  return LEAN_BAND_EDGES.map(({ band, max }) => {
+    const row = {
+      band,
+      minDiff: lo,
+      maxDiff: max,
+      minProb: getWinProbability(lo, calibration),
+      maxProb: getWinProbability(Number.isFinite(max) ? max : 99, calibration),
+    };
+    lo = max;
+    return row;
+  });
+}
+
+// Small seedable PRNG so simulation runs are reproducible
+function _mulberry32(seed) {
+  let t = seed >>> 0;
+  return function () {
+    t = (t + 0x6D2B79F5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Run `iterations` randomized brackets. Each game is scored exactly like
+// scoreMatchup (ΔMI is cached per pairing) and the winner is drawn from
+// getWinProbability(ΔMI).
+//
+// options: { iterations = 5000, seed, calibration }
+// Returns {
+//   iterations,
+//   rounds: ROUND_ORDER,
+//   teams: [{ name, seed, region, reach: { R64, R32, ..., Champ }, title }]
+// }
+// where reach[round] = P(team plays in that round) and title = P(wins it all).
+function simulateTournament(dataset, regions, options = {}) {
+  const errors = validateBracketRegions(dataset, regions);
+  if (errors.length) {
+    throw new Error(`Bracket is not playable: ${errors.join(' ')}`);
+  }
+
+  const iterations  = Math.max(1, Math.floor(options.iterations || 5000));
+  const calibration = options.calibration || WIN_PROB_CALIBRATION;
+  const rand        = Number.isFinite(options.seed) ? _mulberry32(options.seed) : Math.random;
+
+  // ΔMI only depends on the two teams, so cache it per ordered pairing
+  const diffCache = new Map();
+  const getDiff = (a, b) => {
+    const key = `${a}\u0000${b}`;
+    if (!diffCache.has(key)) {
+      diffCache.set(key, scoreMatchup(dataset, a, b).diff);
+    }
+    return diffCache.get(key);
+  };
+
+  const counts = {};
+  regions.forEach(region => {
+    Object.values(region.seeds).forEach(name => {
+      counts[name] = { title: 0 };
+      ROUND_ORDER.forEach(code => { counts[name][code] = 0; });
+    });
+  });
+
+  const play = (round, a, b) => {
+    counts[a][round]++;
+    counts[b][round]++;
+    const pA = getWinProbability(getDiff(a, b), calibration);
+    return { winner: rand() < pA ? a : b };
+  };
+
+  for (let i = 0; i < iterations; i++) {
+    const { champion } = _walkBracket(regions, play);
+    counts[champion].title++;
+  }
+
+  const regionOf = {};
+  regions.forEach(region => {
+    Object.values(region.seeds).forEach(name => { regionOf[name] = region.name; });
+  });
+
+  const teams = Object.keys(counts).map(name => {
+    const reach = {};
+    ROUND_ORDER.forEach(code => { reach[code] = counts[name][code] / iterations; });
+    return {
+      name,
+      seed: dataset.teams[name].seed,
+      region: regionOf[name],
+      reach,
+      title: counts[name].title / iterations,
+    };
+  });
+
+  teams.sort((x, y) =>
+    (y.title - x.title) || (y.reach.Champ - x.reach.Champ) || (y.reach.F4 - x.reach.F4)
+  );
+
+  return { iterations, rounds: ROUND_ORDER.slice(), teams };
+}
+
+// ---------- Model Profile Comparison ----------
+
+// Every unordered pairing in the dataset, in teamList order
+function getAllPairings(dataset) {
+  const names = dataset.teamList || [];
+  const pairs = [];
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) pairs.push([names[i], names[j]]);
+  }
+  return pairs;
+}
+
+function _profileSummary(profile) {
+  return { id: profile.id, version: profile.version, label: profile.label || profile.id };
+}
+
+// Score the same games under two model profiles and diff the results.
+// options.games: [[teamA, teamB], ...] (default: every pairing in the field)
+// Returns {
+//   profileA, profileB,
+//   games:  [{ teamA, teamB, diffA, diffB, predictedA, predictedB, flipped }],
+//   flips:  games whose predicted winner changed (largest ΔMI swing first),
+//   teams:  [{ name, seed, a, b, delta }] with mi_base / breadth / resumeR /
+//           mibs / interactions (mean effective interaction adj per game),
+//   movers: teams sorted by |Δ mi_base| (largest first)
+// }
+function compareModelProfiles(dataset, profileA, profileB, options = {}) {
+  const dsA = cloneDataset(dataset, { profile: profileA });
+  const dsB = cloneDataset(dataset, { profile: profileB });
+  const pairs = options.games || getAllPairings(dataset);
+
+  const intTotals = { a: {}, b: {} };
+  const addInt = (bucket, team) => {
+    const row = bucket[team.name] || (bucket[team.name] = { sum: 0, games: 0 });
+    row.sum += team.mi_int || 0;
+    row.games++;
+  };
+
+  const games = [];
+  pairs.forEach(([nameA, nameB]) => {
+    const rA = scoreMatchup(dsA, nameA, nameB);
+    if (!rA) return;
+    addInt(intTotals.a, rA.a);
+    addInt(intTotals.a, rA.b);
+
+    const rB = scoreMatchup(dsB, nameA, nameB);
+    addInt(intTotals.b, rB.a);
+    addInt(intTotals.b, rB.b);
+
+    games.push({
+      teamA: nameA,
+      teamB: nameB,
+      diffA: rA.diff,
+      diffB: rB.diff,
+      predictedA: rA.predicted,
+      predictedB: rB.predicted,
+      flipped: rA.predicted !== rB.predicted,
+    });
+  });
+
+  const FIELDS = ['mi_base', 'breadth', 'resumeR', 'mibs'];
+  const snapshot = (team, ints) => {
+    const snap = {};
+    FIELDS.forEach(f => { snap[f] = typeof team[f] === 'number' ? team[f] : 0; });
+    const it = ints[team.name];
+    snap.interactions = it && it.games ? it.sum / it.games : 0;
+    return snap;
+  };
+
+  const inGames = new Set();
+  games.forEach(g => { inGames.add(g.teamA); inGames.add(g.teamB); });
+
+  const teams = (dataset.teamList || [])
+    .filter(name => inGames.has(name))
+    .map(name => {
+      const a = snapshot(dsA.teams[name], intTotals.a);
+      const b = snapshot(dsB.teams[name], intTotals.b);
+      const delta = {};
+      Object.keys(a).forEach(k => { delta[k] = b[k] - a[k]; });
+      return { name, seed: dsA.teams[name].seed, a, b, delta };
+    });
+
+  const flips = games
+    .filter(g => g.flipped)
+    .sort((x, y) => Math.abs(y.diffB - y.diffA) - Math.abs(x.diffB - x.diffA));
+
+  const movers = teams
+    .slice()
+    .sort((x, y) => Math.abs(y.delta.mi_base) - Math.abs(x.delta.mi_base));
+
+  return {
+    profileA: _profileSummary(dsA.profile),
+    profileB: _profileSummary(dsB.profile),
+    games,
+    flips,
+    teams,
+    movers,
+  };
+}
+
+// ---------- Scored Dataset Export ----------
+
+// Flat per-team score columns, in export order (coreZ / coreTierPts expand per CORE_METRICS).
+const SCORED_EXPORT_FIELDS = [
+  'name', 'seed', 'region',
+  'mi_rating', 'mi_base', 'mibs', 'performancePercentile',
+  'breadth', 'breadthHits',
+  'resumeIndex', 'resumeR', 'resumeRTier',
+  'coreStrongCount', 'coreWeakCount',
+  'cisStatic', 'fasStatic',
+];
+
+// _roundExport(v) Trims float noise from exported numbers (6 decimals); non-numbers pass through.
+function _roundExport(v) {
+  return (typeof v === 'number' && Number.isFinite(v)) ? Math.round(v * 1e6) / 1e6 : v;
+}
+
+// getScoredTeamRecords(dataset) One record per team with every derived score, ranked by MI_base.
+function getScoredTeamRecords(dataset) {
+  const teams = dataset.teamList
+    .map(name => dataset.teams[name])
+    .filter(Boolean)
+    .sort((a, b) => (b.mi_base || 0) - (a.mi_base || 0));
+
+  return teams.map((t, i) => {
+    const rec = { rank: i + 1 };
+    SCORED_EXPORT_FIELDS.forEach(key => { rec[key] = _roundExport(t[key] == null ? null : t[key]); });
+
+    rec.coreZ = {};
+    rec.coreTierPts = {};
+    CORE_METRICS.forEach(m => {
+      rec.coreZ[m] = _roundExport(t.coreZ ? t.coreZ[m] : null);
+      rec.coreTierPts[m] = t.coreTierPts ? t.coreTierPts[m] : null;
+    });
+
+    rec.breadthLanes = {};
+    Object.entries(t.breadthLanes || {}).forEach(([lane, v]) => { rec.breadthLanes[lane] = v.hits; });
+
+    rec.profileMarks = Array.isArray(t.profileMarks) ? t.profileMarks.slice() : [];
+    return rec;
+  });
+}
+
+// _csvCell(v) Quotes a CSV cell when it contains a comma, quote or newline.
+function _csvCell(v) {
+  if (v == null) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// scoredDatasetToCSV(dataset) Flattens getScoredTeamRecords into CSV (nested maps become key_sub columns, marks join with "; ").
+function scoredDatasetToCSV(dataset) {
+  const records = getScoredTeamRecords(dataset);
+  const lanes = records.length ? Object.keys(records[0].breadthLanes) : [];
+
+  const headers = [
+    'rank', ...SCORED_EXPORT_FIELDS,
+    ...CORE_METRICS.map(m => `coreZ_${m}`),
+    ...CORE_METRICS.map(m => `coreTierPts_${m}`),
+    ...lanes.map(l => `breadthHits_${l}`),
+    'profileMarks',
+  ];
+
+  const lines = records.map(rec => [
+    rec.rank,
+    ...SCORED_EXPORT_FIELDS.map(k => rec[k]),
+    ...CORE_METRICS.map(m => rec.coreZ[m]),
+    ...CORE_METRICS.map(m => rec.coreTierPts[m]),
+    ...lanes.map(l => rec.breadthLanes[l]),
+    rec.profileMarks.join('; '),
+  ].map(_csvCell).join(','));
+
+  return [headers.join(','), ...lines].join('\n') + '\n';
+}
+
+// scoredDatasetToJSON(dataset) Export payload: active profile summary + nested team records.
+function scoredDatasetToJSON(dataset) {
+  return {
+    profile: _profileSummary(getModelProfile(dataset)),
+    teamCount: dataset.teamList.length,
+    teams: getScoredTeamRecords(dataset),
+  };
+}
+
+// ---------- What-If Edits ----------
+
+// Raw team values a what-if may overwrite (everything the model reads except seed)
+const WHAT_IF_KEYS = REQUIRED_TEAM_KEYS.filter(key => key !== 'seed');
+
+// Per-team scores snapshotted on both sides of a what-if
+const WHAT_IF_FIELDS = ['mi_rating', 'mi_base', 'mibs', 'breadth', 'resumeR', 'cisStatic', 'fasStatic'];
+
+// Clone the dataset, overwrite raw values and re-run field stats, team layers and
+// static identities. edits: { teamName: { key: number } }; unknown teams, keys
+// outside WHAT_IF_KEYS and non-finite values are ignored. The original is untouched.
+function buildWhatIfDataset(dataset, edits = {}) {
+  const ds = cloneDataset(dataset);
+  Object.entries(edits).forEach(([name, values]) => {
+    const team = ds.teams[name];
+    if (!team) return;
+    Object.entries(values || {}).forEach(([key, v]) => {
+      if (WHAT_IF_KEYS.includes(key) && Number.isFinite(v)) team[key] = v;
+    });
+  });
+  return scoreDataset(ds);
+}
+
+function _whatIfSnapshot(team) {
+  const snap = {};
+  WHAT_IF_FIELDS.forEach(f => { snap[f] = typeof team[f] === 'number' ? team[f] : 0; });
+  snap.resumeRTier = team.resumeRTier || null;
+  return snap;
+}
+
+// Diff one team (and optionally one matchup) between the original and a what-if dataset.
+// options: { opponent, round }
+// Returns {
+//   name, before, after, delta     (WHAT_IF_FIELDS, plus resumeRTier on before / after),
+//   marks:   { before, after, added, removed },
+//   matchup: { opponent, before, after, flipped, channels: [{ tag, label, before, after, delta }] } | null
+//            (before / after = { diff, predicted, band }; channel values are signed toward the edited team),
+//   ripple:  [{ name, before, after, delta }] other teams whose MI_base moved, largest |Δ| first
+// }
+function compareWhatIf(baseDataset, whatIfDataset, name, options = {}) {
+  const orig = getTeam(baseDataset, name);
+  const edited = getTeam(whatIfDataset, name);
+  if (!orig || !edited) return null;
+
+  const before = _whatIfSnapshot(orig);
+  const after = _whatIfSnapshot(edited);
+  const delta = {};
+  WHAT_IF_FIELDS.forEach(f => { delta[f] = after[f] - before[f]; });
+
+  const marksBefore = Array.isArray(orig.profileMarks) ? orig.profileMarks.slice() : [];
+  const marksAfter = Array.isArray(edited.profileMarks) ? edited.profileMarks.slice() : [];
+
+  let matchup = null;
+  const opponent = options.opponent;
+  if (opponent && opponent !== name && getTeam(baseDataset, opponent)) {
+    const rBefore = scoreMatchup(baseDataset, name, opponent, { round: options.round });
+    const rAfter = scoreMatchup(whatIfDataset, name, opponent, { round: options.round });
+    const side = r => ({ diff: r.diff, predicted: r.predicted, band: getLeanBand(r.diff) });
+
+    const afterByTag = {};
+    rAfter.interactions.channels.forEach(ch => { afterByTag[ch.tag] = ch; });
+    const channels = rBefore.interactions.channels.map(ch => {
+      const next = afterByTag[ch.tag];
+      const afterValue = next ? next.value : 0;
+      return { tag: ch.tag, label: ch.label, before: ch.value, after: afterValue, delta: afterValue - ch.value };
+    });
+
+    matchup = {
+      opponent,
+      before: side(rBefore),
+      after: side(rAfter),
+      flipped: rBefore.predicted !== rAfter.predicted,
+      channels,
+    };
+  }
+
+  const ripple = (baseDataset.teamList || [])
+    .filter(other => other !== name && whatIfDataset.teams[other])
+    .map(other => {
+      const b = baseDataset.teams[other].mi_base || 0;
+      const a = whatIfDataset.teams[other].mi_base || 0;
+      return { name: other, before: b, after: a, delta: a - b };
+    })
+    .filter(r => Math.abs(r.delta) > 1e-9)
+    .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+
+  return {
+    name,
+    before,
+    after,
+    delta,
+    marks: {
+      before: marksBefore,
+      after: marksAfter,
+      added: marksAfter.filter(m => !marksBefore.includes(m)),
+      removed: marksBefore.filter(m => !marksAfter.includes(m)),
+    },
+    matchup,
+    ripple,
+  };
+}
+
+// ---------- Pick Sensitivity ----------
+//
+// How far would one raw stat have to move to flip a pick? Each probe nudges one
+// team's value and re-runs that team's layers (core, breadth, résumé, marks) and
+// the matchup's interactions against the field as loaded (field means / SDs held
+// fixed) to find the flip edge cheaply. Each edge is then confirmed by rescoring
+// the whole field, as the what-if editor does, stepping outward until the flip
+// holds, so every reported threshold reproduces there.
+
+// Lean bands considered close enough to be worth a sensitivity pass
+const SENSITIVITY_BANDS = ['Toss-Up', 'Very Slight Lean'];
+
+const SENSITIVITY_DEFAULTS = {
+  maxSD: 3,       // search up to this many field SDs each way
+  stepSD: 0.05,   // scan step (field SDs) before bisecting the flip edge
+  bisections: 12,
+};
+
+function isCloseGame(diff) {
+  return SENSITIVITY_BANDS.includes(getLeanBand(diff));
+}
+
+// _probeMatchupDiff(dataset, side, names, key, value, round) ΔMI (A − B) with one team's raw value replaced.
+function _probeMatchupDiff(dataset, side, names, key, value, round) {
+  const name = side === 'A' ? names[0] : names[1];
+  const probe = { ...dataset.teams[name], [key]: value };
+
+  // wp / P are derived in computeFieldStats; re-derive them (P on the loaded field's SOS range)
+  if ((key === 'w' || key === 'l') && probe.w != null && probe.l != null && probe.w + probe.l > 0) {
+    probe.wp = probe.w / (probe.w + probe.l);
+  }
+  if (key === 'sos' && probe.sos != null) {
+    const sos = getFieldTeams(dataset).map(t => t.sos).filter(v => v != null);
+    const minSOS = Math.min(...sos);
+    const maxSOS = Math.max(...sos);
+    if (maxSOS > minSOS) probe.P = 1 - Math.min(1, Math.max(0, (probe.sos - minSOS) / (maxSOS - minSOS)));
+  }
+
+  computeCoreForTeam(probe, dataset);
+  computeBreadthForTeam(probe, dataset);
+  computeResumeContextForTeam(probe, dataset);
+  computeProfileMarks(probe, dataset);
+
+  const view = { ...dataset, teams: { ...dataset.teams, [name]: probe } };
+  return scoreMatchup(view, names[0], names[1], { round }).diff;
+}
+
+// For every raw metric of both teams, the smallest single-stat change that flips `predicted`.
+// options: { round, keys (default WHAT_IF_KEYS), maxSD, stepSD, bisections }
+// Returns {
+//   teamA, teamB, diff, predicted, band, close,
+//   metrics: [{ side, team, key, value, sd, target, change, changeSD, diff }]
+//            flippable metrics only, most fragile (smallest |changeSD|) first;
+//            target = value at which the pick flips under a full rescore, diff = ΔMI there,
+//   stable:  [{ side, team, key }] metrics that cannot flip it within maxSD
+// }
+function analyzeMatchupSensitivity(dataset, teamAName, teamBName, options = {}) {
+  const base = scoreMatchup(dataset, teamAName, teamBName, { round: options.round });
+  if (!base) return null;
+
+  const cfg = { ...SENSITIVITY_DEFAULTS, ...options };
+  const keys = options.keys || WHAT_IF_KEYS;
+  const names = [base.a.name, base.b.name];
+  const teams = getFieldTeams(dataset);
+  const flips = d => Math.sign(d) !== Math.sign(base.diff);
+
+  const metrics = [];
+  const stable = [];
+
+  ['A', 'B'].forEach(side => {
+    const team = side === 'A' ? base.a : base.b;
+
+    keys.forEach(key => {
+      const value = team[key];
+      const vals = teams.map(t => t[key]).filter(v => v !== null && v !== undefined && !isNaN(v));
+      const sd = vals.length > 1 ? computeSD(vals, computeMean(vals)) : 0;
+      if (value === null || value === undefined || isNaN(value) || !sd) return;
+
+      const inRange = x => !FRACTION_KEYS.includes(key) || (x >= 0 && x <= 1);
+      const probe = x => _probeMatchupDiff(dataset, side, names, key, x, options.round);
+
+      const rescore = x => scoreMatchup(
+        buildWhatIfDataset(dataset, { [team.name]: { [key]: x } }), names[0], names[1], { round: options.round }
+      ).diff;
+
+      let best = null;
+      [1, -1].forEach(dir => {
+        let prev = value;
+        let k = cfg.stepSD;
+        for (; k <= cfg.maxSD + 1e-9; k += cfg.stepSD) {
+          const x = value + dir * k * sd;
+          if (!inRange(x)) return;
+          if (!flips(probe(x))) {
+            prev = x;
+            continue;
+          }
+
+          // Bisect between the last unflipped and first flipped probe
+          let lo = prev;
+          let hi = x;
+          for (let i = 0; i < cfg.bisections; i++) {
+            const mid = (lo + hi) / 2;
+            if (flips(probe(mid))) hi = mid;
+            else lo = mid;
+          }
+
+          // Confirm with a full rescore (the field moves with the edit); step outward until it holds
+          let target = hi;
+          let diff = rescore(target);
+          while (!flips(diff)) {
+            k += cfg.stepSD;
+            target = value + dir * k * sd;
+            if (k > cfg.maxSD + 1e-9 || !inRange(target)) return;
+            diff = rescore(target);
+          }
+
+          const change = target - value;
+          if (!best || Math.abs(change) < Math.abs(best.change)) best = { target, change, diff };
+          return;
+        }
+      });
+
+      if (!best) {
+        stable.push({ side, team: team.name, key });
+        return;
+      }
+      metrics.push({
+        side,
+        team: team.name,
+        key,
+        value,
+        sd,
+        target: best.target,
+        change: best.change,
+        changeSD: best.change / sd,
+        diff: best.diff,
+      });
+    });
+  });
+
+  metrics.sort((x, y) => Math.abs(x.changeSD) - Math.abs(y.changeSD));
+
+  // Probes write mi_matchup / mi_int onto the untouched opponent; restore the real game's values
+  scoreMatchup(dataset, names[0], names[1], { round: options.round });
+
+  return {
+    teamA: names[0],
+    teamB: names[1],
+    diff: base.diff,
+    predicted: base.predicted,
+    band: getLeanBand(base.diff),
+    close: isCloseGame(base.diff),
+    metrics,
+    stable,
+  };
+}
+
+// ---------- Synthetic (Sandbox) Teams ----------
+//
+// Hypothetical teams live in dataset.teams (so scoreMatchup and friends find
+// them) but never in dataset.teamList, which keeps them out of the bracket,
+// pairings, leaderboard and exports. Field statistics skip them unless they
+// were added with includeInField (see isFieldTeam).
+
+// Raw values a synthetic team carries (everything the model reads)
+const SYNTHETIC_TEAM_KEYS = REQUIRED_TEAM_KEYS;
+
+// Field mean and SD of every raw input a synthetic team can set: { key: { mean, sd } }
+function getSyntheticBaseline(dataset) {
+  const teams = getFieldTeams(dataset);
+  const baseline = {};
+  WHAT_IF_KEYS.forEach(key => {
+    const vals = teams.map(t => t[key]).filter(v => v !== null && v !== undefined && !isNaN(v));
+    if (!vals.length) return;
+    const mean = computeMean(vals);
+    baseline[key] = { mean, sd: computeSD(vals, mean) };
+  });
+  return baseline;
+}
+
+// Raw team from the field mean, shifted by spec.z[key] field SDs (raw scale: for
+// lower-is-better stats a negative z is the strong side) and then overridden by
+// spec.values[key]. Fraction stats are clamped to 0–1.
+// spec: { name, seed, region, z: { key: z }, values: { key: value } }
+function buildSyntheticTeam(dataset, spec = {}) {
+  const baseline = getSyntheticBaseline(dataset);
+  const z = spec.z || {};
+  const values = spec.values || {};
+
+  const team = {
+    name: String(spec.name || '').trim(),
+    seed: Number.isFinite(spec.seed) ? spec.seed : null,
+    region: spec.region || null,
+  };
+
+  WHAT_IF_KEYS.forEach(key => {
+    const b = baseline[key];
+    let v = b ? b.mean + (Number.isFinite(z[key]) ? z[key] : 0) * b.sd : null;
+    if (Number.isFinite(values[key])) v = values[key];
+    if (v !== null && FRACTION_KEYS.includes(key)) v = Math.min(1, Math.max(0, v));
+    team[key] = v;
+  });
+
+  return team;
+}
+
+function getSyntheticTeams(dataset) {
+  return Object.values((dataset && dataset.teams) || {}).filter(t => t.synthetic);
+}
+
+function _copySyntheticTeam(team) {
+  const copy = { name: team.name, region: team.region || null, synthetic: true, includeInField: !!team.includeInField };
+  SYNTHETIC_TEAM_KEYS.forEach(key => { copy[key] = team[key] === undefined ? null : team[key]; });
+  return copy;
+}
+
+// Add (or replace) a synthetic team and rescore. options.includeInField lets it
+// count toward field means / SDs and rating percentiles. Throws if the name is
+// empty or belongs to a real team.
+function addSyntheticTeam(dataset, team, options = {}) {
+  const name = String((team && team.name) || '').trim();
+  if (!name) throw new Error('A synthetic team needs a name');
+  const existing = dataset.teams[name];
+  if (existing && !existing.synthetic) throw new Error(`"${name}" is already a team in this dataset`);
+
+  dataset.teams[name] = _copySyntheticTeam({ ...team, name, includeInField: !!options.includeInField });
+  return scoreDataset(dataset);
+}
+
+// Remove a synthetic team (real teams are never removed) and rescore.
+function removeSyntheticTeam(dataset, name) {
+  const team = dataset.teams[name];
+  if (!team || !team.synthetic) return dataset;
+  delete dataset.teams[name];
+  return scoreDataset(dataset);
+}
+
+// ---------- Backtesting (historical results) ----------
+//
+// A results file is a CSV with one row per game: Winner, Loser, Round.
+// Round accepts codes (R64, S16, Champ, ...) or common labels
+// ("1st Round", "Sweet 16", "Final Four", "Championship", ...).
+
+const RESULT_ALIASES = {
+  winner: ['Winner', 'Winning Team', 'Actual Winner', 'W Team', 'WTeam'],
+  loser:  ['Loser', 'Losing Team', 'L Team', 'LTeam'],
+  round:  ['Round', 'Rd', 'Round Code'],
+};
+
+const ROUND_LABEL_ALIASES = {
+  R64:   ['r64', 'round of 64', '1st round', 'first round', '1st'],
+  R32:   ['r32', 'round of 32', '2nd round', 'second round', '2nd'],
+  S16:   ['s16', 'sweet 16', 'sweet sixteen', 'regional semifinal'],
+  E8:    ['e8', 'elite 8', 'elite eight', 'regional final'],
+  F4:    ['f4', 'final 4', 'final four', 'national semifinal'],
+  Champ: ['champ', 'championship', 'title', 'final', 'national championship'],
+};
+
+// "Sweet 16" / "S16" / "sweet sixteen" / 3 → "S16" (null if unknown); bare numbers 1–6 are round indexes
+function normalizeRoundCode(value) {
+  const v = String(value || '').trim().toLowerCase();
+  if (!v) return null;
+  if (/^[1-6]$/.test(v)) return ROUND_ORDER[Number(v) - 1];
+  for (const code of ROUND_ORDER) {
+    if (ROUND_LABEL_ALIASES[code].includes(v)) return code;
+  }
+  return null;
+}
+
+// Loose team-name key: case, punctuation and "Saint"/"St." differences ignored
+function _teamNameKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\bsaint\b/g, 'st')
+    .replace(/&amp;/g, '&')
+    .replace(/[^a-z0-9&]/g, '');
+}
+
+// Find a dataset team by exact name, then by loose key
+function findTeamByName(dataset, name) {
+  const exact = getTeam(dataset, name);
+  if (exact) return exact;
+  const key = _teamNameKey(name);
+  if (!key) return null;
+  const match = (dataset.teamList || []).find(n => _teamNameKey(n) === key);
+  return match ? dataset.teams[match] : null;
+}
+
+// Parse a results CSV into { games: [{ winner, loser, round }], errors: [] }
+function parseResultsCSV(text) {
+  const { headers, rows } = parseCSV(text);
+  const iW = findHeaderIndex(headers, RESULT_ALIASES.winner);
+  const iL = findHeaderIndex(headers, RESULT_ALIASES.loser);
+  const iR = findHeaderIndex(headers, RESULT_ALIASES.round);
+
+  const errors = [];
+  if (iW === -1) errors.push('Results file has no Winner column.');
+  if (iL === -1) errors.push('Results file has no Loser column.');
+  if (iR === -1) errors.push('Results file has no Round column.');
+  if (errors.length) return { games: [], errors };
+
+  const games = [];
+  rows.forEach((row, i) => {
+    const winner = (row[iW] || '').trim();
+    const loser  = (row[iL] || '').trim();
+    if (!winner && !loser) return; // blank line
+
+    const round = normalizeRoundCode(row[iR]);
+    if (!winner || !loser) {
+      errors.push(`Row ${i + 2}: missing winner or loser.`);
+      return;
+    }
+    if (!round) {
+      errors.push(`Row ${i + 2}: unknown round "${row[iR]}".`);
+      return;
+    }
+    games.push({ winner, loser, round });
+  });
+
+  return { games, errors };
+}
+
+// Running accuracy bucket
+function _newBacktestBucket(label) {
+  return { label, games: 0, hits: 0, pushes: 0, brierSum: 0, logLossSum: 0 };
+}
+
+function _addToBucket(bucket, g) {
+  bucket.games++;
+  if (g.hit) bucket.hits++;
+  if (g.isPush) bucket.pushes++;
+  bucket.brierSum   += g.brier;
+  bucket.logLossSum += g.logLoss;
+}
+
+function _finishBucket(bucket) {
+  const n = bucket.games || 0;
+  return {
+    label:   bucket.label,
+    games:   n,
+    hits:    bucket.hits,
+    pushes:  bucket.pushes,
+    hitRate: n ? bucket.hits / n : null,
+    brier:   n ? bucket.brierSum / n : null,
+    logLoss: n ? bucket.logLossSum / n : null,
+  };
+}
+
+// Mean log-loss of a set of ΔMI values (diff from the actual winner's side) at a given scale
+function _logLossAtScale(diffs, scale, floor) {
+  if (!diffs.length) return null;
+  const sum = diffs.reduce((acc, d) => acc - Math.log(getWinProbability(d, { scale, floor })), 0);
+  return sum / diffs.length;
+}
+
+// Rerun every historical game through the engine and score the calls.
+// options: { calibration } (defaults to WIN_PROB_CALIBRATION)
+// Returns {
+//   overall, byRound[], bySeedPairing[], byBand[], games[], skipped[],
+//   calibration: { scale, logLoss, bestScale, bestLogLoss }
+// }
+function runBacktest(dataset, results, options = {}) {
+  const calibration = options.calibration || WIN_PROB_CALIBRATION;
+
+  const overall  = _newBacktestBucket('All games');
+  const byRound  = {};
+  const byPair   = {};
+  const byBand   = {};
+  ROUND_ORDER.forEach(code => { byRound[code] = _newBacktestBucket(code); });
+  LEAN_BAND_EDGES.forEach(({ band }) => { byBand[band] = _newBacktestBucket(band); });
+
+  const games   = [];
+  const skipped = [];
+  const winnerDiffs = [];
+
+  (results || []).forEach(res => {
+    const w = findTeamByName(dataset, res.winner);
+    const l = findTeamByName(dataset, res.loser);
+    if (!w || !l) {
+      skipped.push({ ...res, reason: `${!w ? res.winner : res.loser} is not in the dataset` });
+      return;
+    }
+
+    // Score from the actual winner's side: diff > 0 means the model agreed
+    const r = scoreMatchup(dataset, w.name, l.name, { round: res.round });
+    const pWinner = getWinProbability(r.diff, calibration);
+    const band    = getLeanBand(r.diff);
+
+    const seeds = [w.seed, l.seed].map(Number).sort((x, y) => x - y);
+    const pairKey = seeds.every(Number.isFinite) ? `${seeds[0]} v ${seeds[1]}` : 'Unseeded';
+
+    const g = {
+      round:     res.round,
+      winner:    w.name,
+      loser:     l.name,
+      seedW:     w.seed,
+      seedL:     l.seed,
+      predicted: r.predicted,
+      diff:      r.diff,
+      band,
+      pWinner,
+      isPush:    r.predicted === 'Push',
+      hit:       r.predicted === w.name,
+      brier:     Math.pow(1 - pWinner, 2),
+      logLoss:   -Math.log(pWinner),
+      upset:     Number(w.seed) > Number(l.seed),
+    };
+
+    games.push(g);
+    winnerDiffs.push(r.diff);
+
+    _addToBucket(overall, g);
+    if (byRound[g.round]) _addToBucket(byRound[g.round], g);
+    if (!byPair[pairKey]) byPair[pairKey] = _newBacktestBucket(pairKey);
+    _addToBucket(byPair[pairKey], g);
+    _addToBucket(byBand[band], g);
+  });
+
+  // Grid-search the logistic scale that best fits these results
+  let bestScale = null;
+  let bestLogLoss = null;
+  for (let k = 0.1; k <= 5.0001; k += 0.05) {
+    const ll = _logLossAtScale(winnerDiffs, k, calibration.floor);
+    if (ll != null && (bestLogLoss == null || ll < bestLogLoss)) {
+      bestLogLoss = ll;
+      bestScale = Math.round(k * 100) / 100;
+    }
+  }
+
+  const pairOrder = (key) => {
+    const m = key.match(/^(\d+) v (\d+)$/);
+    return m ? Number(m[1]) * 100 + Number(m[2]) : Infinity;
+  };
+
+  return {
+    overall:       _finishBucket(overall),
+    byRound:       ROUND_ORDER.map(code => _finishBucket(byRound[code])).filter(b => b.games),
+    bySeedPairing: Object.keys(byPair)
+      .sort((x, y) => pairOrder(x) - pairOrder(y))
+      .map(key => _finishBucket(byPair[key])),
+    byBand:        LEAN_BAND_EDGES.map(({ band }) => _finishBucket(byBand[band])).filter(b => b.games),
+    games,
+    skipped,
+    calibration: {
+      scale:   calibration.scale,
+      logLoss: _logLossAtScale(winnerDiffs, calibration.scale, calibration.floor),
+      bestScale,
+      bestLogLoss,
+    },
+  };
+}
+
+return {
+  // bracket geometry
+  R64_PAIRINGS,
+  ROUND_ORDER,
+  getSeedPod,
+  getPodHalf,
+  isFirstRoundPair,
+  getIntraRegionRound,
+  getPossibleRoundsForSeeds,
+  isRoundPossibleForSeeds,
+  getSeedRoundMeta,
+  getRegionOrder,
+  getF4PairingOptions,
+  normalizeF4Pairing,
+  getF4HalfForRegion,
+  getPossibleRoundsForTeams,
+  getMatchupRoundMeta,
+
+  // parsing / headers
+  HEADER_ALIASES,
+  METRICS_FOR_Z,
+  parseCSV,
+  parseTeamJSON,
+  parseXLSX,
+  findHeaderIndex,
+  getValue,
+  detectTeamNameIndex,
+  normalizeHeader,
+  resolveHeaders,
+  makeHeaderIndex,
+  getUnresolvedKeys,
+  getColumnSamples,
+  looksLikePercentUnits,
+  detectPercentKeys,
+  REQUIRED_TEAM_KEYS,
+  FRACTION_KEYS,
+  normalizePercentMaybe,
+  buildTeamsFromRows,
+
+  // model profiles
+  CORE_METRICS,
+  DEFAULT_MODEL_PROFILE,
+  validateModelProfile,
+  loadModelProfile,
+  getModelProfileDrift,
+  getModelProfile,
+  setDatasetProfile,
+  getCoreWeights,
+  getResumeTierForR,
+
+  // dataset
+  buildDataset,
+  scoreDataset,
+  loadDatasetFromCSV,
+  cloneDataset,
+  validateDataset,
+  getTeam,
+  getTeamMetricPercentiles,
+  computeFieldStats,
+
+  // math + tiers
+  computeMean,
+  computeSD,
+  zScore,
+  orientAndZ,
+  getZ,
+  getTierPointsFromZ,
+  getTierLabelFromZ,
+
+  // team layers
+  computeCoreForTeam,
+  computeBreadthForTeam,
+  computeResumeContextForTeam,
+  computeProfileMarks,
+  computeAllTeamLayers,
+  computeStaticIdentities,
+  computeMIBase,
+
+  // matchup
+  DEFAULT_INTERACTION_LADDER,
+  INTERACTION_CHANNELS,
+  INTERACTION_DERIVED,
+  halfMirroredAdjust,
+  continuousInteractionAdjust,
+  getInteractionScoring,
+  getLadderBand,
+  validateInteractionChannels,
+  evaluateBlend,
+  evaluateInteractionChannel,
+  getInteractionChannels,
+  computeInteractions,
+  getResumeInteractionFactor,
+  computeFinalMI,
+  getLeanBand,
+  scoreMatchup,
+  getDominantChannel,
+  scoreRoundRobin,
+
+  // bracket simulation
+  BRACKET_SEED_ORDER,
+  buildBracketRegions,
+  validateBracketRegions,
+  playBracketGame,
+  simulateBracket,
+
+  // win probability + Monte Carlo
+  WIN_PROB_CALIBRATION,
+  LEAN_BAND_EDGES,
+  getWinProbability,
+  getLeanBandProbabilities,
+  simulateTournament,
+
+  // backtesting
+  normalizeRoundCode,
+  findTeamByName,
+  parseResultsCSV,
+  runBacktest,
+
+  // profile comparison
+  getAllPairings,
+  compareModelProfiles,
+
+  // scored export
+  SCORED_EXPORT_FIELDS,
+  getScoredTeamRecords,
+  scoredDatasetToCSV,
+  scoredDatasetToJSON,
+
+  // what-if edits
+  WHAT_IF_KEYS,
+  WHAT_IF_FIELDS,
+  buildWhatIfDataset,
+  compareWhatIf,
+
+  // pick sensitivity
+  SENSITIVITY_BANDS,
+  SENSITIVITY_DEFAULTS,
+  isCloseGame,
+  analyzeMatchupSensitivity,
+
+  // synthetic (sandbox) teams
+  SYNTHETIC_TEAM_KEYS,
+  isFieldTeam,
+  getFieldTeams,
+  getSyntheticBaseline,
+  buildSyntheticTeam,
+  getSyntheticTeams,
+  addSyntheticTeam,
+  removeSyntheticTeam,
+};
+});